@@ -32,6 +32,7 @@ import apiFetch from '@wordpress/api-fetch';
  */
 import { useConfig } from '../config';
 import { STORY_STATUSES } from '../../constants';
+import { DATA_VERSION } from '../../../shared/storyExport';
 
 export const ApiContext = createContext({ state: {}, actions: {} });
 
@@ -75,6 +76,77 @@ export default function ApiProvider({ children }) {
     [api.stories]
   );
 
+  const getStoryById = useCallback(
+    (storyId) => {
+      const path = queryString.stringifyUrl({
+        url: `${api.stories}/${storyId}`,
+        query: { context: 'edit' },
+      });
+      return apiFetch({ path });
+    },
+    [api.stories]
+  );
+
+  const saveStoryById = useCallback(
+    /**
+     * Fire REST API call to save story.
+     *
+     * If no story id is given, a new story is created.
+     *
+     * @param {Object} story Story object.
+     * @return {Promise} Return apiFetch promise.
+     */
+    ({
+      storyId,
+      title,
+      status,
+      slug,
+      content,
+      excerpt,
+      password,
+      stylePresets,
+      pages,
+      autoAdvance,
+      defaultPageDuration,
+      guides,
+      quarantine,
+    }) => {
+      return apiFetch({
+        path: storyId ? `${api.stories}/${storyId}` : api.stories,
+        data: {
+          title,
+          status,
+          slug,
+          content,
+          excerpt,
+          password,
+          story_data: {
+            version: DATA_VERSION,
+            pages,
+            autoAdvance,
+            defaultPageDuration,
+            guides,
+            quarantine,
+          },
+          style_presets: stylePresets,
+        },
+        method: 'POST',
+      });
+    },
+    [api.stories]
+  );
+
+  const getMediaById = useCallback(
+    (mediaId) => {
+      const path = queryString.stringifyUrl({
+        url: `${api.media}/${mediaId}`,
+        query: { context: 'edit' },
+      });
+      return apiFetch({ path });
+    },
+    [api.media]
+  );
+
   const getAllFonts = useCallback(() => {
     return apiFetch({ path: api.fonts }).then((data) =>
       data.map((font) => ({
@@ -87,9 +159,22 @@ export default function ApiProvider({ children }) {
   const value = useMemo(
     () => ({
       state: { stories },
-      actions: { fetchStories, getAllFonts },
+      actions: {
+        fetchStories,
+        getStoryById,
+        saveStoryById,
+        getMediaById,
+        getAllFonts,
+      },
     }),
-    [stories, fetchStories, getAllFonts]
+    [
+      stories,
+      fetchStories,
+      getStoryById,
+      saveStoryById,
+      getMediaById,
+      getAllFonts,
+    ]
   );
 
   return <ApiContext.Provider value={value}>{children}</ApiContext.Provider>;
@@ -25,6 +25,8 @@ import PropTypes from 'prop-types';
  * Internal dependencies
  */
 import theme, { GlobalStyle } from '../theme';
+import editorTheme from '../../edit-story/theme';
+import { SnackbarProvider } from '../../edit-story/app/snackbar';
 import KeyboardOnlyOutline from '../utils/keyboardOnlyOutline';
 import { NavigationBar } from '../components';
 import ApiProvider from './api/apiProvider';
@@ -39,17 +41,27 @@ function App({ config }) {
       <ThemeProvider theme={theme}>
         <ConfigProvider config={config}>
           <ApiProvider>
-            <RouterProvider>
-              <GlobalStyle />
-              <KeyboardOnlyOutline />
-              <NavigationBar />
-              <Route exact path="/" component={<MyStoriesView />} />
-              <Route
-                path="/templates-gallery"
-                component={<TemplatesGalleryView />}
-              />
-              <Route path="/my-bookmarks" component={<MyBookmarksView />} />
-            </RouterProvider>
+            {/* The snackbar is shared with the editor and uses its theme. */}
+            <ThemeProvider theme={editorTheme}>
+              <SnackbarProvider>
+                <ThemeProvider theme={theme}>
+                  <RouterProvider>
+                    <GlobalStyle />
+                    <KeyboardOnlyOutline />
+                    <NavigationBar />
+                    <Route exact path="/" component={<MyStoriesView />} />
+                    <Route
+                      path="/templates-gallery"
+                      component={<TemplatesGalleryView />}
+                    />
+                    <Route
+                      path="/my-bookmarks"
+                      component={<MyBookmarksView />}
+                    />
+                  </RouterProvider>
+                </ThemeProvider>
+              </SnackbarProvider>
+            </ThemeProvider>
           </ApiProvider>
         </ConfigProvider>
       </ThemeProvider>
@@ -0,0 +1,134 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { useCallback, useContext, useRef, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { Button } from '../../../components';
+import { BUTTON_TYPES } from '../../../constants';
+import { ApiContext } from '../../api/apiProvider';
+import { useConfig } from '../../config';
+import {
+  getImportNotice,
+  importStory,
+  readFileAsText,
+} from '../../../../shared/storyExport';
+
+const Container = styled.div`
+  display: flex;
+  align-items: flex-start;
+  margin: 0 20px 20px;
+`;
+
+const HiddenFileInput = styled.input.attrs({
+  type: 'file',
+  accept: 'application/json,.json',
+})`
+  display: none;
+`;
+
+const Notice = styled.div`
+  font-family: ${({ theme }) => theme.fonts.body1.family};
+  font-size: ${({ theme }) => theme.fonts.body1.size};
+  line-height: ${({ theme }) => theme.fonts.body1.lineHeight};
+  color: ${({ theme }) => theme.colors.gray200};
+  margin: auto 20px;
+`;
+
+const ImportStory = ({ onImported }) => {
+  const {
+    actions: { saveStoryById, getMediaById },
+  } = useContext(ApiContext);
+  const { metadata } = useConfig();
+  const [isImporting, setIsImporting] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const inputRef = useRef();
+
+  const handleFileChange = useCallback(
+    async (evt) => {
+      const [file] = evt.target.files;
+      evt.target.value = '';
+      if (!file) {
+        return;
+      }
+      setIsImporting(true);
+      setNotice(null);
+      try {
+        const contents = await readFileAsText(file);
+        const result = await importStory(contents, {
+          saveStoryById,
+          getMediaById,
+          metadata,
+        });
+        setNotice(getImportNotice(result));
+        onImported();
+      } catch (e) {
+        setNotice({
+          message: e.isUserError
+            ? e.message
+            : __('Failed to import the story', 'web-stories'),
+          list: [],
+        });
+      } finally {
+        setIsImporting(false);
+      }
+    },
+    [getMediaById, metadata, onImported, saveStoryById]
+  );
+
+  return (
+    <Container>
+      <HiddenFileInput ref={inputRef} onChange={handleFileChange} />
+      <Button
+        type={BUTTON_TYPES.PRIMARY}
+        onClick={() => inputRef.current.click()}
+        isDisabled={isImporting}
+      >
+        {__('Import story', 'web-stories')}
+      </Button>
+      {notice && (
+        <Notice role="status">
+          {notice.message}
+          {notice.list.length > 0 && (
+            <ul>
+              {notice.list.map((src) => (
+                <li key={src}>{src}</li>
+              ))}
+            </ul>
+          )}
+        </Notice>
+      )}
+    </Container>
+  );
+};
+
+ImportStory.propTypes = {
+  onImported: PropTypes.func.isRequired,
+};
+
+export default ImportStory;
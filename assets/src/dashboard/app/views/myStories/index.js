@@ -31,6 +31,11 @@ import { useCallback, useContext, useEffect, useState, useMemo } from 'react';
 import { FloatingTab, ListBar } from '../../../components';
 import { VIEW_STYLE, STORY_STATUSES } from '../../../constants';
 import { ApiContext } from '../../api/apiProvider';
+import {
+  createStoryExportFromPost,
+  downloadStoryExport,
+} from '../../../../shared/storyExport';
+import { useSnackbar } from '../../../../edit-story/app/snackbar';
 import { UnitsProvider } from '../../../../edit-story/units';
 import { TransformProvider } from '../../../../edit-story/components/transform';
 import FontProvider from '../../font/fontProvider';
@@ -38,6 +43,7 @@ import usePagePreviewSize from '../../../utils/usePagePreviewSize';
 import StoryGridView from './storyGridView';
 import PageHeading from './pageHeading';
 import NoResults from './noResults';
+import ImportStory from './importStory';
 
 const FilterContainer = styled.div`
   padding: 0 20px 20px;
@@ -60,14 +66,36 @@ function MyStories() {
   const [viewStyle, setViewStyle] = useState(VIEW_STYLE.GRID);
   const { pageSize } = usePagePreviewSize();
   const {
-    actions: { fetchStories },
+    actions: { fetchStories, getStoryById },
     state: { stories },
   } = useContext(ApiContext);
+  const { showSnackbar } = useSnackbar();
 
   useEffect(() => {
     fetchStories({ status });
   }, [fetchStories, status]);
 
+  const handleImported = useCallback(() => fetchStories({ status }), [
+    fetchStories,
+    status,
+  ]);
+
+  const handleExportStory = useCallback(
+    async ({ id }) => {
+      try {
+        const post = await getStoryById(id);
+        downloadStoryExport(createStoryExportFromPost(post));
+      } catch (e) {
+        showSnackbar({
+          message: e.isUserError
+            ? e.message
+            : __('Failed to export the story', 'web-stories'),
+        });
+      }
+    },
+    [getStoryById, showSnackbar]
+  );
+
   const filteredStories = useMemo(() => {
     return stories.filter((story) => {
       const lowerTypeaheadValue = typeaheadValue.toLowerCase();
@@ -106,7 +134,10 @@ function MyStories() {
             layoutStyle={viewStyle}
             onPress={handleViewStyleBarButtonSelected}
           />
-          <StoryGridView filteredStories={filteredStories} />
+          <StoryGridView
+            filteredStories={filteredStories}
+            onExportStory={handleExportStory}
+          />
         </>
       );
     } else if (typeaheadValue.length > 0) {
@@ -121,6 +152,7 @@ function MyStories() {
   }, [
     filteredStories,
     filteredStoriesCount,
+    handleExportStory,
     handleViewStyleBarButtonSelected,
     listBarLabel,
     typeaheadValue,
@@ -137,6 +169,7 @@ function MyStories() {
             handleTypeaheadChange={setTypeaheadValue}
             typeaheadValue={typeaheadValue}
           />
+          <ImportStory onImported={handleImported} />
           <FilterContainer>
             {STORY_STATUSES.map((storyStatus) => (
               <FloatingTab
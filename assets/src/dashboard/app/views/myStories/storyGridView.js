@@ -14,6 +14,11 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
 /**
  * Internal dependencies
  */
@@ -26,13 +31,14 @@ import {
 } from '../../../components';
 import { StoriesPropType } from '../../../types';
 
-const StoryGridView = ({ filteredStories }) => (
+const StoryGridView = ({ filteredStories, onExportStory }) => (
   <StoryGrid>
     {filteredStories.map((story) => (
       <CardGridItem key={story.id}>
         <CardPreviewContainer
           onOpenInEditorClick={() => {}}
           onPreviewClick={() => {}}
+          onExportClick={() => onExportStory(story)}
           previewSource={'http://placeimg.com/225/400/nature'}
         >
           <PreviewPage page={story.pages[0]} />
@@ -48,6 +54,7 @@ const StoryGridView = ({ filteredStories }) => (
 
 StoryGridView.propTypes = {
   filteredStories: StoriesPropType,
+  onExportStory: PropTypes.func.isRequired,
 };
 
 export default StoryGridView;
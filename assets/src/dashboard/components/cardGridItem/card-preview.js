@@ -98,6 +98,11 @@ const CtaContainer = styled.div`
   margin: auto auto 25px;
 `;
 
+const ExportContainer = styled.div`
+  display: flex;
+  margin: 25px auto 0;
+`;
+
 const PlayArrowIcon = styled(PlayArrowSvg).attrs({ width: 11, height: 14 })`
   margin-right: 9px;
 `;
@@ -106,15 +111,24 @@ const PlayArrowIcon = styled(PlayArrowSvg).attrs({ width: 11, height: 14 })`
 const CardPreviewContainer = ({
   onOpenInEditorClick,
   onPreviewClick,
+  onExportClick,
   children,
 }) => {
-  const displayEditControls = onPreviewClick || onOpenInEditorClick;
+  const displayEditControls =
+    onPreviewClick || onOpenInEditorClick || onExportClick;
 
   return (
     <>
       <PreviewPane>{children}</PreviewPane>
       {displayEditControls && (
         <EditControls>
+          {onExportClick && (
+            <ExportContainer>
+              <Button type={BUTTON_TYPES.SECONDARY} onClick={onExportClick}>
+                {__('Export', 'web-stories')}
+              </Button>
+            </ExportContainer>
+          )}
           {onPreviewClick && (
             <PreviewContainer>
               <PreviewButton
@@ -143,6 +157,7 @@ CardPreviewContainer.propTypes = {
   children: PropTypes.node.isRequired,
   onOpenInEditorClick: PropTypes.func,
   onPreviewClick: PropTypes.func,
+  onExportClick: PropTypes.func,
 };
 
 export default CardPreviewContainer;
@@ -30,7 +30,7 @@ import apiFetch from '@wordpress/api-fetch';
  */
 import addQueryArgs from '../../utils/addQueryArgs';
 import { DATA_VERSION } from '../../migration';
-import { useConfig } from '../';
+import { useConfig } from '../config';
 import Context from './context';
 
 function APIProvider({ children }) {
@@ -50,6 +50,8 @@ function APIProvider({ children }) {
     /**
      * Fire REST API call to save story.
      *
+     * If no story id is given, a new story is created.
+     *
      * @param {import('../../types').Story} story Story object.
      * @return {Promise} Return apiFetch promise.
      */
@@ -70,9 +72,12 @@ function APIProvider({ children }) {
       publisherLogo,
       autoAdvance,
       defaultPageDuration,
+      guides,
+      backgroundAudio,
+      quarantine,
     }) => {
       return apiFetch({
-        path: `${stories}/${storyId}`,
+        path: storyId ? `${stories}/${storyId}` : stories,
         data: {
           title,
           status,
@@ -88,6 +93,9 @@ function APIProvider({ children }) {
             pages,
             autoAdvance,
             defaultPageDuration,
+            guides,
+            backgroundAudio,
+            quarantine,
           },
           featured_media: featuredMedia,
           style_presets: stylePresets,
@@ -115,6 +123,58 @@ function APIProvider({ children }) {
     [stories]
   );
 
+  const lockStoryById = useCallback(
+    /**
+     * Fire REST API call to acquire the post lock of a story.
+     *
+     * @param {number}  storyId Story post id.
+     * @param {boolean} force   Whether to take over the lock from another user.
+     * @return {Promise} Return apiFetch promise, resolving to the lock status.
+     */
+    (storyId, force = false) => {
+      return apiFetch({
+        path: `${stories}/${storyId}/lock`,
+        data: { force },
+        method: 'POST',
+      });
+    },
+    [stories]
+  );
+
+  const getStoryRevisions = useCallback(
+    /**
+     * Fire REST API call to list the revisions of a story, without their data.
+     *
+     * @param {number} storyId Story post id.
+     * @return {Promise} Return apiFetch promise, resolving to the revisions.
+     */
+    (storyId) => {
+      const path = addQueryArgs(`${stories}/${storyId}/revisions`, {
+        _fields: 'id,author,date,date_gmt',
+      });
+      return apiFetch({ path });
+    },
+    [stories]
+  );
+
+  const getStoryRevisionById = useCallback(
+    /**
+     * Fire REST API call to get a single revision of a story, with its data.
+     *
+     * @param {number} storyId    Story post id.
+     * @param {number} revisionId Revision post id.
+     * @return {Promise} Return apiFetch promise, resolving to the revision.
+     */
+    (storyId, revisionId) => {
+      const path = addQueryArgs(
+        `${stories}/${storyId}/revisions/${revisionId}`,
+        { context: 'edit' }
+      );
+      return apiFetch({ path });
+    },
+    [stories]
+  );
+
   const getMedia = useCallback(
     ({ mediaType, searchTerm, pagingNum }) => {
       let apiPath = media;
@@ -143,6 +203,20 @@ function APIProvider({ children }) {
     [media]
   );
 
+  /**
+   * Get a single media attachment.
+   *
+   * @param  {number} mediaId
+   * @return {Promise} Media Object Promise.
+   */
+  const getMediaById = useCallback(
+    (mediaId) => {
+      const path = addQueryArgs(`${media}/${mediaId}`, { context: 'edit' });
+      return apiFetch({ path });
+    },
+    [media]
+  );
+
   /**
    * Upload file to via REST API.
    *
@@ -226,16 +300,38 @@ function APIProvider({ children }) {
     return apiFetch({ path: addQueryArgs(users, { per_page: '-1' }) });
   }, [users]);
 
+  /**
+   * Update the current user.
+   *
+   * @param {Object} data User properties to update, e.g. meta.
+   * @return {Promise} Return apiFetch promise, resolving to the user.
+   */
+  const updateCurrentUser = useCallback(
+    (data) => {
+      return apiFetch({
+        path: `${users}/me`,
+        data,
+        method: 'POST',
+      });
+    },
+    [users]
+  );
+
   const state = {
     actions: {
       getStoryById,
       getMedia,
+      getMediaById,
       getLinkMetadata,
       saveStoryById,
       deleteStoryById,
+      lockStoryById,
+      getStoryRevisions,
+      getStoryRevisionById,
       getAllFonts,
       getAllStatuses,
       getAllUsers,
+      updateCurrentUser,
       uploadMedia,
       updateMedia,
     },
@@ -33,6 +33,8 @@ function HistoryProvider({ children, size }) {
     clearHistory,
     offset,
     historyLength,
+    details,
+    replay,
     undo,
     redo,
   } = useHistoryReducer(size);
@@ -42,10 +44,13 @@ function HistoryProvider({ children, size }) {
       replayState,
       canUndo: offset < historyLength - 1,
       canRedo: offset > 0,
+      entries: details,
+      offset,
     },
     actions: {
       appendToHistory,
       clearHistory,
+      replay,
       undo,
       redo,
     },
@@ -66,7 +71,7 @@ HistoryProvider.propTypes = {
 };
 
 HistoryProvider.defaultProps = {
-  size: 50,
+  size: 300,
 };
 
 export default HistoryProvider;
@@ -0,0 +1,171 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Patches describe the difference between two immutable states, so history
+ * only has to store what changed rather than full copies of the story.
+ *
+ * Unchanged parts of a state are found by reference, so creating a patch only
+ * walks the parts that actually changed. A patch is one of:
+ *
+ * - `null` if nothing changed,
+ * - `{ set: value }` to replace a value,
+ * - `{ object: { [key]: patch }, remove: [keys] }` to update an object,
+ * - `{ list: { [id]: patch }, order: [ids] }` to update a list of objects
+ *   with ids, such as pages and elements. `order` is only set if items were
+ *   added, removed or moved.
+ */
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isList(value) {
+  if (!Array.isArray(value)) {
+    return false;
+  }
+  const ids = new Set();
+  return value.every((item) => {
+    if (!isPlainObject(item) || item.id === undefined || ids.has(item.id)) {
+      return false;
+    }
+    ids.add(item.id);
+    return true;
+  });
+}
+
+function createListPatch(prev, next) {
+  const prevById = new Map(prev.map((item) => [item.id, item]));
+  const list = {};
+  next.forEach((item) => {
+    const patch = prevById.has(item.id)
+      ? createPatch(prevById.get(item.id), item)
+      : { set: item };
+    if (patch) {
+      list[item.id] = patch;
+    }
+  });
+
+  const isOrderChanged =
+    prev.length !== next.length ||
+    next.some(({ id }, index) => prev[index].id !== id);
+  if (!isOrderChanged && Object.keys(list).length === 0) {
+    return null;
+  }
+  return isOrderChanged ? { list, order: next.map(({ id }) => id) } : { list };
+}
+
+function createObjectPatch(prev, next) {
+  const object = {};
+  Object.keys(next).forEach((key) => {
+    const patch = createPatch(prev[key], next[key]);
+    if (patch) {
+      object[key] = patch;
+    }
+  });
+  const remove = Object.keys(prev).filter(
+    (key) => !Object.prototype.hasOwnProperty.call(next, key)
+  );
+
+  if (remove.length === 0 && Object.keys(object).length === 0) {
+    return null;
+  }
+  return remove.length > 0 ? { object, remove } : { object };
+}
+
+/**
+ * Create a patch that turns one state into another.
+ *
+ * @param {*} prev Previous state.
+ * @param {*} next Next state.
+ * @return {?Object} Patch, or null if there are no changes.
+ */
+export function createPatch(prev, next) {
+  if (prev === next) {
+    return null;
+  }
+  if (isList(prev) && isList(next)) {
+    return createListPatch(prev, next);
+  }
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    return createObjectPatch(prev, next);
+  }
+  return { set: next };
+}
+
+/**
+ * Apply a patch created by `createPatch`.
+ *
+ * Parts of the state that aren't touched by the patch are kept as is.
+ *
+ * @param {*} value State to apply the patch to.
+ * @param {?Object} patch Patch to apply.
+ * @return {*} Patched state.
+ */
+export function applyPatch(value, patch) {
+  if (!patch) {
+    return value;
+  }
+  if ('set' in patch) {
+    return patch.set;
+  }
+  if (patch.list) {
+    const byId = new Map(value.map((item) => [item.id, item]));
+    const order = patch.order || value.map(({ id }) => id);
+    return order.map((id) => applyPatch(byId.get(id), patch.list[id]));
+  }
+
+  const result = { ...value };
+  Object.entries(patch.object).forEach(([key, keyPatch]) => {
+    result[key] = applyPatch(value[key], keyPatch);
+  });
+  (patch.remove || []).forEach((key) => delete result[key]);
+  return result;
+}
+
+/**
+ * Get the paths of all values changed by a patch, such as
+ * `pages.<pageId>.elements.<elementId>.x`.
+ *
+ * Lists that had items added, removed or moved are included as `<path>[]`.
+ *
+ * @param {?Object} patch Patch.
+ * @param {string} path Path of the patched value.
+ * @return {Array<string>} Changed paths.
+ */
+export function getPatchPaths(patch, path = '') {
+  if (!patch) {
+    return [];
+  }
+  if ('set' in patch) {
+    return [path];
+  }
+  const prefix = path ? `${path}.` : '';
+  if (patch.list) {
+    return [
+      ...(patch.order ? [`${path}[]`] : []),
+      ...Object.entries(patch.list).flatMap(([id, itemPatch]) =>
+        getPatchPaths(itemPatch, `${prefix}${id}`)
+      ),
+    ];
+  }
+  return [
+    ...Object.entries(patch.object).flatMap(([key, keyPatch]) =>
+      getPatchPaths(keyPatch, `${prefix}${key}`)
+    ),
+    ...(patch.remove || []).map((key) => `${prefix}${key}`),
+  ];
+}
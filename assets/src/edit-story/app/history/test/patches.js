@@ -0,0 +1,122 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { applyPatch, createPatch, getPatchPaths } from '../patches';
+
+const TEXT = { id: 't1', type: 'text', x: 10, y: 10 };
+const SHAPE = { id: 's1', type: 'shape', x: 50, y: 50 };
+const PAGE = { id: 'p1', elements: [TEXT, SHAPE] };
+const STATE = { pages: [PAGE], selection: ['t1'], story: { title: 'A' } };
+
+function expectRoundTrip(prev, next) {
+  expect(applyPatch(prev, createPatch(prev, next))).toStrictEqual(next);
+  expect(applyPatch(next, createPatch(next, prev))).toStrictEqual(prev);
+}
+
+describe('createPatch', () => {
+  it('should return null without changes', () => {
+    expect(createPatch(STATE, STATE)).toBeNull();
+    expect(createPatch(STATE, { ...STATE })).toBeNull();
+  });
+
+  it('should only record changed values', () => {
+    const next = {
+      ...STATE,
+      pages: [{ ...PAGE, elements: [{ ...TEXT, x: 20 }, SHAPE] }],
+    };
+
+    expect(createPatch(STATE, next)).toStrictEqual({
+      object: {
+        pages: {
+          list: {
+            p1: {
+              object: {
+                elements: { list: { t1: { object: { x: { set: 20 } } } } },
+              },
+            },
+          },
+        },
+      },
+    });
+    expectRoundTrip(STATE, next);
+  });
+
+  it('should record added, removed and moved list items', () => {
+    const added = { id: 'i1', type: 'image' };
+    const next = { ...PAGE, elements: [SHAPE, added] };
+
+    expect(createPatch(PAGE, next)).toStrictEqual({
+      object: {
+        elements: {
+          list: { i1: { set: added } },
+          order: ['s1', 'i1'],
+        },
+      },
+    });
+    expectRoundTrip(PAGE, next);
+  });
+
+  it('should record added and removed keys', () => {
+    const { x, ...withoutX } = TEXT;
+
+    expect(createPatch(TEXT, withoutX)).toStrictEqual({
+      object: {},
+      remove: ['x'],
+    });
+    expectRoundTrip(TEXT, { ...withoutX, isLocked: true });
+  });
+
+  it('should replace other values', () => {
+    expect(createPatch(['t1'], ['t1', 's1'])).toStrictEqual({
+      set: ['t1', 's1'],
+    });
+    expectRoundTrip(STATE, { ...STATE, selection: [], story: null });
+  });
+});
+
+describe('applyPatch', () => {
+  it('should keep unchanged values', () => {
+    const page2 = { id: 'p2', elements: [] };
+    const prev = { ...STATE, pages: [PAGE, page2] };
+    const next = { ...prev, pages: [{ ...PAGE, elements: [TEXT] }, page2] };
+
+    const result = applyPatch(prev, createPatch(prev, next));
+
+    expect(result.pages[1]).toBe(page2);
+    expect(result.pages[0].elements[0]).toBe(TEXT);
+    expect(result.story).toBe(STATE.story);
+  });
+});
+
+describe('getPatchPaths', () => {
+  it('should list all changed paths', () => {
+    const next = {
+      ...STATE,
+      story: { title: 'B' },
+      pages: [{ ...PAGE, elements: [SHAPE, { ...TEXT, x: 0, y: 0 }] }],
+    };
+
+    expect(getPatchPaths(createPatch(STATE, next))).toStrictEqual([
+      'pages.p1.elements[]',
+      'pages.p1.elements.t1.x',
+      'pages.p1.elements.t1.y',
+      'story.title',
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { renderHook, act } from '@testing-library/react-hooks';
+
+/**
+ * Internal dependencies
+ */
+import useHistoryReducer from '../useHistoryReducer';
+
+function getState(x) {
+  return {
+    pages: [
+      { id: 'p1', elements: [{ id: 'e1', x }] },
+      { id: 'p2', elements: [] },
+    ],
+    story: {},
+  };
+}
+
+function setupHistory(size = 50) {
+  const { result } = renderHook(() => useHistoryReducer(size));
+
+  const append = (entry, details = {}) =>
+    act(() => result.current.appendToHistory(entry, details));
+  // Replaying only sets `replayState`, which the app then restores and
+  // appends again.
+  const replay = (deltaOffset) => {
+    act(() => {
+      result.current.replay(deltaOffset);
+    });
+    const { replayState } = result.current;
+    append(replayState);
+    return replayState;
+  };
+
+  return { result, append, replay };
+}
+
+describe('useHistoryReducer', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should undo and redo to the recorded states', () => {
+    const { result, append, replay } = setupHistory();
+    const states = [getState(0), getState(10), getState(20)];
+    states.forEach((state) => {
+      now += 5000;
+      append(state);
+    });
+
+    expect(result.current.historyLength).toBe(3);
+    expect(replay(2)).toStrictEqual(states[0]);
+    expect(result.current.offset).toBe(2);
+    expect(replay(-1)).toStrictEqual(states[1]);
+    expect(replay(-1)).toStrictEqual(states[2]);
+    expect(result.current.offset).toBe(0);
+  });
+
+  it('should keep unchanged parts of the state when replaying', () => {
+    const { append, replay } = setupHistory();
+    const first = getState(0);
+    const second = { ...first, pages: [getState(10).pages[0], first.pages[1]] };
+    append(first);
+    now += 5000;
+    append(second);
+
+    const replayed = replay(1);
+
+    expect(replayed.pages[1]).toBe(second.pages[1]);
+    expect(replayed.story).toBe(second.story);
+  });
+
+  it('should drop undone entries on new changes', () => {
+    const { result, append, replay } = setupHistory();
+    append(getState(0), { label: 'First' });
+    now += 5000;
+    append(getState(10), { label: 'Second' });
+    replay(1);
+    now += 5000;
+    append(getState(30), { label: 'Third' });
+
+    expect(result.current.details).toStrictEqual([
+      { label: 'Third' },
+      { label: 'First' },
+    ]);
+    expect(replay(1)).toStrictEqual(getState(0));
+  });
+
+  it('should coalesce quick changes to the same values', () => {
+    const { result, append, replay } = setupHistory();
+    append(getState(0));
+    now += 5000;
+    [10, 20, 30, 40].forEach((x) => {
+      now += 100;
+      append(getState(x));
+    });
+
+    expect(result.current.historyLength).toBe(2);
+    expect(replay(1)).toStrictEqual(getState(0));
+    expect(replay(-1)).toStrictEqual(getState(40));
+  });
+
+  it('should not coalesce changes to different values', () => {
+    const { result, append } = setupHistory();
+    const state = getState(0);
+    append(state);
+    append(getState(10));
+    append({ ...getState(10), story: { title: 'Title' } });
+
+    expect(result.current.historyLength).toBe(3);
+  });
+
+  it('should limit the number of entries', () => {
+    const { result, append, replay } = setupHistory(3);
+    [0, 10, 20, 30, 40].forEach((x) => {
+      now += 5000;
+      append(getState(x));
+    });
+
+    expect(result.current.historyLength).toBe(3);
+    expect(replay(2)).toStrictEqual(getState(20));
+    expect(result.current.undo()).toBe(false);
+  });
+});
@@ -17,19 +17,64 @@
 /**
  * External dependencies
  */
-import { useReducer, useCallback } from 'react';
+import { useReducer, useCallback, useMemo } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { applyPatch, createPatch, getPatchPaths } from './patches';
 
 const ADD_ENTRY = 'add';
 const CLEAR_HISTORY = 'clear';
 const REPLAY = 'replay';
 
-const EMPTY_STATE = { entries: [], offset: 0, replayState: null };
+// Changes to the same values within this many milliseconds of each other,
+// such as from dragging a slider, are merged into a single entry.
+const COALESCE_TIMEOUT = 1000;
 
-const reducer = (size) => (state, { type, payload }) => {
+const EMPTY_STATE = {
+  entries: [],
+  offset: 0,
+  present: null,
+  replayState: null,
+  replayOffset: null,
+};
+
+function isSamePaths(patchA, patchB) {
+  const pathsA = getPatchPaths(patchA);
+  const pathsB = getPatchPaths(patchB);
+  return (
+    pathsA.length === pathsB.length &&
+    pathsA.every((path) => pathsB.includes(path))
+  );
+}
+
+// Walk the patches from the present entry to the entry at `offset`.
+function getStateAt({ entries, offset, present }, newOffset) {
+  let result = present;
+  for (let i = offset; i < newOffset; i++) {
+    result = applyPatch(result, entries[i].undo);
+  }
+  for (let i = offset - 1; i >= newOffset; i--) {
+    result = applyPatch(result, entries[i].redo);
+  }
+  return result;
+}
+
+function createEntry(prev, next, details, timestamp) {
+  return {
+    undo: prev && createPatch(next, prev),
+    redo: prev && createPatch(prev, next),
+    details,
+    timestamp,
+  };
+}
+
+const reducer = (size) => (state, { type, payload, details, timestamp }) => {
   switch (type) {
-    case ADD_ENTRY:
+    case ADD_ENTRY: {
       // First check if everything in payload matches the current `replayState`,
-      // if so, update `offset` to match the state in entries and clear `replayState`
+      // if so, update `offset` to match the replayed entry and clear `replayState`
       // and of course leave entries unchanged.
       if (state.replayState) {
         const isReplay = Object.keys(state.replayState).every(
@@ -39,25 +84,62 @@ const reducer = (size) => (state, { type, payload }) => {
         if (isReplay) {
           return {
             ...state,
-            offset: state.entries.indexOf(state.replayState),
+            offset: state.replayOffset,
+            present: payload,
             replayState: null,
+            replayOffset: null,
           };
         }
       }
 
-      // If not, trim `entries` from `offset` (basically destroy all undone states),
-      // add new entry but limit entire storage to `size`
-      // and clear `offset` and `replayState`.
+      // If not, trim `entries` from `offset` (basically destroy all undone states).
+      const { present } = state;
+      const entries = state.entries.slice(state.offset);
+      const [latest] = entries;
+
+      // If the latest entry changed the very same values just now, replace it
+      // rather than adding another entry for the same interaction.
+      if (
+        state.offset === 0 &&
+        latest?.redo &&
+        timestamp - latest.timestamp < COALESCE_TIMEOUT &&
+        isSamePaths(latest.redo, createPatch(present, payload))
+      ) {
+        const base = applyPatch(present, latest.undo);
+        return {
+          ...EMPTY_STATE,
+          entries: [
+            createEntry(base, payload, details, timestamp),
+            ...entries.slice(1),
+          ],
+          present: payload,
+        };
+      }
+
+      // Add new entry, but limit entire storage to `size`. The oldest entry
+      // is the base state, so it has no patches.
+      const newEntries = [
+        createEntry(present, payload, details, timestamp),
+        ...entries,
+      ].slice(0, size);
+      const oldest = newEntries[newEntries.length - 1];
+      newEntries[newEntries.length - 1] = {
+        ...oldest,
+        undo: null,
+        redo: null,
+      };
       return {
-        entries: [payload, ...state.entries.slice(state.offset)].slice(0, size),
-        offset: 0,
-        replayState: null,
+        ...EMPTY_STATE,
+        entries: newEntries,
+        present: payload,
       };
+    }
 
     case REPLAY:
       return {
         ...state,
-        replayState: state.entries[payload],
+        replayState: getStateAt(state, payload),
+        replayOffset: payload,
       };
 
     case CLEAR_HISTORY:
@@ -71,23 +153,31 @@ const reducer = (size) => (state, { type, payload }) => {
 };
 
 function useHistoryReducer(size) {
-  // State has 3 parts:
+  // State has 5 parts:
   //
-  // `state.entries` is an array of the last changes (up to `size`) to
-  // the object with the most recent at position 0.
+  // `state.entries` is an array of the last changes (up to `size`) with the
+  // most recent at position 0. Rather than full copies of the state, each
+  // entry has patches to `undo` to the entry after it, and to `redo` from
+  // the entry after it, along with `details` describing the change.
   //
   // `state.offset` is a pointer to the currently active entry. This will
   // almost always be 0 unless the user recently did an undo without making
   // any new changes since.
   //
+  // `state.present` is the full state of the currently active entry, which
+  // the patches are applied to.
+  //
   // `state.replayState` is the state that the user most recently tried to
-  // undo/redo to - it will be null except for the very short timespan
-  // between the user pressing undo and the app updating to that desired
-  // state.
+  // undo/redo to, and `state.replayOffset` the offset of its entry - they will
+  // be null except for the very short timespan between the user pressing undo
+  // and the app updating to that desired state.
   const [state, dispatch] = useReducer(reducer(size), { ...EMPTY_STATE });
 
   const { entries, offset, replayState } = state;
   const historyLength = entries.length;
+  const details = useMemo(() => entries.map((entry) => entry.details), [
+    entries,
+  ]);
 
   // @todo: make this an identity-stable function, akin to `setState` or `dispatch`.
   // It appears the only reason for deps here is to return boolean from this
@@ -124,8 +214,13 @@ function useHistoryReducer(size) {
   }, [dispatch]);
 
   const appendToHistory = useCallback(
-    (entry) => {
-      dispatch({ type: ADD_ENTRY, payload: entry });
+    (entry, entryDetails = {}) => {
+      dispatch({
+        type: ADD_ENTRY,
+        payload: entry,
+        details: entryDetails,
+        timestamp: Date.now(),
+      });
     },
     [dispatch]
   );
@@ -136,6 +231,8 @@ function useHistoryReducer(size) {
     clearHistory,
     offset,
     historyLength,
+    details,
+    replay,
     undo,
     redo,
   };
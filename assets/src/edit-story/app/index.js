@@ -34,6 +34,7 @@ import { GlobalStyle as DefaultMoveableGlobalStyle } from '../components/movable
 import { GlobalStyle as ModalGlobalStyle } from '../components/modal';
 import { GlobalStyle as CalendarGlobalStyle } from '../components/form/dateTime/calendarStyle';
 import { useDropTargets, DropTargetsProvider } from '../components/dropTargets';
+import { KeyboardProvider } from '../components/keyboard';
 import { useTransform, TransformProvider } from '../components/transform';
 import { useHistory, HistoryProvider } from './history';
 import { useAPI, APIProvider } from './api';
@@ -51,27 +52,29 @@ function App({ config }) {
       <ThemeProvider theme={theme}>
         <ConfigProvider config={config}>
           <APIProvider>
-            <HistoryProvider size={50}>
-              <SnackbarProvider>
-                <StoryProvider storyId={storyId}>
-                  <FontProvider>
-                    <MediaProvider>
-                      <TransformProvider>
-                        <DropTargetsProvider>
-                          <GlobalStyle />
-                          <DefaultMoveableGlobalStyle />
-                          <CropMoveableGlobalStyle />
-                          <ModalGlobalStyle />
-                          <CalendarGlobalStyle />
-                          <KeyboardOnlyOutlines />
-                          <Layout />
-                        </DropTargetsProvider>
-                      </TransformProvider>
-                    </MediaProvider>
-                  </FontProvider>
-                </StoryProvider>
-              </SnackbarProvider>
-            </HistoryProvider>
+            <KeyboardProvider>
+              <HistoryProvider size={300}>
+                <SnackbarProvider>
+                  <StoryProvider storyId={storyId}>
+                    <FontProvider>
+                      <MediaProvider>
+                        <TransformProvider>
+                          <DropTargetsProvider>
+                            <GlobalStyle />
+                            <DefaultMoveableGlobalStyle />
+                            <CropMoveableGlobalStyle />
+                            <ModalGlobalStyle />
+                            <CalendarGlobalStyle />
+                            <KeyboardOnlyOutlines />
+                            <Layout />
+                          </DropTargetsProvider>
+                        </TransformProvider>
+                      </MediaProvider>
+                    </FontProvider>
+                  </StoryProvider>
+                </SnackbarProvider>
+              </HistoryProvider>
+            </KeyboardProvider>
           </APIProvider>
         </ConfigProvider>
       </ThemeProvider>
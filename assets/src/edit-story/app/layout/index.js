@@ -24,6 +24,11 @@ import styled from 'styled-components';
  */
 import Library from '../../components/library';
 import Workspace from '../../components/workspace';
+import LocalDraftDialog from '../../components/localDraftDialog';
+import SaveConflictDialog from '../../components/saveConflictDialog';
+import PostLockBanner from '../../components/postLockBanner';
+import LeaveEditorDialog from '../../components/leaveEditorDialog';
+import KeyboardShortcutsDialog from '../../components/keyboardShortcutsDialog';
 import {
   CANVAS_MIN_WIDTH,
   LIBRARY_MIN_WIDTH,
@@ -93,7 +98,12 @@ function Layout() {
       </Area>
       <Area area="main">
         <Workspace />
+        <PostLockBanner />
       </Area>
+      <LocalDraftDialog />
+      <SaveConflictDialog />
+      <LeaveEditorDialog />
+      <KeyboardShortcutsDialog />
     </Editor>
   );
 }
@@ -28,7 +28,7 @@ import useUploadVideoFrame from './utils/useUploadVideoFrame';
 import useMediaReducer from './useMediaReducer';
 import useUploadMedia from './useUploadMedia';
 import Context from './context';
-import { getResourceFromAttachment } from './utils';
+import { getResourceFromAttachment, isInsertableAttachment } from './utils';
 
 function MediaProvider({ children }) {
   const { state, actions } = useMediaReducer();
@@ -62,7 +62,10 @@ function MediaProvider({ children }) {
       getMedia({ mediaType: currentMediaType, searchTerm, pagingNum: p })
         .then(({ data, headers }) => {
           const totalPages = parseInt(headers.get('X-WP-TotalPages'));
-          const mediaArray = data.map(getResourceFromAttachment);
+          // Audio attachments are only used as background audio.
+          const mediaArray = data
+            .filter(isInsertableAttachment)
+            .map(getResourceFromAttachment);
           callback({
             media: mediaArray,
             mediaType: currentMediaType,
@@ -21,4 +21,5 @@ export { default as getResourceFromLocalFile } from './getResourceFromLocalFile'
 export { default as getResourceFromMediaPicker } from './getResourceFromMediaPicker';
 export { default as getResourceFromUploadAPI } from './getResourceFromUploadAPI';
 export { default as getTypeFromMime } from './getTypeFromMime';
+export { default as isInsertableAttachment } from './isInsertableAttachment';
 export { default as useUploadVideoFrame } from './useUploadVideoFrame';
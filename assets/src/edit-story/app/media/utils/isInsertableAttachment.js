@@ -0,0 +1,30 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Check whether an attachment can be inserted into a story as an element.
+ *
+ * Only images and videos can be inserted. Other attachments, such as audio
+ * files used as background audio, can't be turned into a resource.
+ *
+ * @param {Object} attachment WP Attachment object.
+ * @return {boolean} Whether the attachment can be inserted.
+ */
+function isInsertableAttachment({ mime_type: mimeType }) {
+  return /^(image|video)\//.test(mimeType);
+}
+
+export default isInsertableAttachment;
@@ -0,0 +1,36 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import isInsertableAttachment from '../isInsertableAttachment';
+
+describe('isInsertableAttachment', () => {
+  it.each(['image/jpeg', 'image/gif', 'video/mp4'])(
+    'should allow %s attachments',
+    (mimeType) => {
+      expect(isInsertableAttachment({ mime_type: mimeType })).toBe(true);
+    }
+  );
+
+  it.each(['audio/mpeg', 'audio/ogg', 'application/pdf'])(
+    'should not allow %s attachments',
+    (mimeType) => {
+      expect(isInsertableAttachment({ mime_type: mimeType })).toBe(false);
+    }
+  );
+});
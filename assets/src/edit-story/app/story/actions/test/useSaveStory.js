@@ -0,0 +1,86 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { renderHook, act } from '@testing-library/react-hooks';
+
+/**
+ * Internal dependencies
+ */
+import { useAPI } from '../../../api';
+import useSaveStory from '../useSaveStory';
+
+jest.mock('../../../api', () => ({ useAPI: jest.fn() }));
+jest.mock('../../../config', () => ({ useConfig: () => ({ metadata: {} }) }));
+jest.mock('../../../../output/utils/getStoryMarkup', () => () => '');
+
+// Let the save queue and the API promises settle.
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('useSaveStory', () => {
+  it('should mark the story as saved with the properties returned by the server', async () => {
+    const story = {
+      title: 'Story',
+      slug: 'My Story!',
+      date: '2020-05-01T10:00',
+      modified: '2020-05-01T10:00:00',
+    };
+    const post = {
+      status: 'draft',
+      slug: 'my-story',
+      date: '2020-05-01T10:00:00',
+      link: 'https://example.com/my-story',
+      modified: '2020-05-02T10:00:00',
+    };
+    useAPI.mockReturnValue({
+      actions: {
+        getStoryById: () => Promise.resolve({ modified: story.modified }),
+        saveStoryById: () => Promise.resolve(post),
+      },
+    });
+    const updateStory = jest.fn();
+    const markSaved = jest.fn();
+    const pages = [{ id: 'p1', elements: [] }];
+
+    const { result } = renderHook(() =>
+      useSaveStory({
+        storyId: 1,
+        pages,
+        story,
+        updateStory,
+        restore: jest.fn(),
+        clearLocalDraft: jest.fn(),
+        markSaved,
+      })
+    );
+    await act(async () => {
+      result.current.saveStory({ status: 'draft' });
+      await flushPromises();
+    });
+
+    expect(markSaved).toHaveBeenCalledWith({
+      story: expect.objectContaining({
+        title: 'Story',
+        status: 'draft',
+        slug: 'my-story',
+        date: '2020-05-01T10:00:00',
+      }),
+      pages,
+    });
+  });
+});
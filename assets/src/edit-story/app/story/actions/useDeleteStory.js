@@ -31,9 +31,10 @@ import { useConfig } from '../../config';
  *
  * @param {Object}    properties Properties to delete.
  * @param {number}    properties.storyId Story post id.
+ * @param {Function}  properties.leaveEditor Function to leave the editor.
  * @return {Function} Function that can be called to delete a story.
  */
-function useDeleteStory({ storyId }) {
+function useDeleteStory({ storyId, leaveEditor }) {
   const {
     actions: { deleteStoryById },
   } = useAPI();
@@ -51,9 +52,10 @@ function useDeleteStory({ storyId }) {
         post_type: postType,
         ids: postId,
       });
-      window.location.href = getPostEditURL;
+      // The story is gone, so there's nothing left to save.
+      leaveEditor(getPostEditURL, { force: true });
     },
-    [postType]
+    [postType, leaveEditor]
   );
 
   const deleteStory = useCallback(() => {
@@ -0,0 +1,69 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import mergePages from '../utils/mergePages';
+
+/**
+ * Custom hook to restore a revision of the story.
+ *
+ * @param {Object}    properties Properties of the current story.
+ * @param {Array}     properties.pages Current pages.
+ * @param {Object}    properties.story Current story properties.
+ * @param {string}    properties.current Current page id.
+ * @param {Object}    properties.capabilities Capabilities of the user.
+ * @param {Function}  properties.restore Function to restore the story state.
+ * @return {Function} Function that can be called to restore a revision.
+ */
+function useRestoreRevision({ pages, story, current, capabilities, restore }) {
+  /**
+   * Restore a whole revision, or only some of its pages.
+   *
+   * Either way the story state is replaced at once, so it can be undone as a
+   * single step.
+   *
+   * @param {Object}         revision Story state of the revision, see
+   * `getStoryStateFromRevision`.
+   * @param {?Array<string>} pageIds Ids of the pages to restore, or nothing to
+   * restore the whole revision. Pages missing in the revision are removed.
+   */
+  const restoreRevision = useCallback(
+    (revision, pageIds = null) => {
+      const isWhole = pageIds === null;
+      restore({
+        pages: isWhole
+          ? revision.pages
+          : mergePages(pages, revision.pages, pageIds),
+        story: isWhole ? { ...story, ...revision.story } : story,
+        current,
+        selection: [],
+        capabilities,
+      });
+    },
+    [pages, story, current, capabilities, restore]
+  );
+
+  return { restoreRevision };
+}
+
+export default useRestoreRevision;
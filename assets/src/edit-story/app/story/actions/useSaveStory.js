@@ -17,13 +17,7 @@
 /**
  * External dependencies
  */
-import { useCallback, useState } from 'react';
-import { renderToStaticMarkup } from 'react-dom/server';
-
-/**
- * WordPress dependencies
- */
-import { __ } from '@wordpress/i18n';
+import { useCallback, useEffect, useRef, useState } from 'react';
 
 /**
  * Internal dependencies
@@ -31,100 +25,195 @@ import { __ } from '@wordpress/i18n';
 import objectPick from '../../../utils/objectPick';
 import { useAPI } from '../../api';
 import { useConfig } from '../../config';
-import OutputStory from '../../../output/story';
+import getStoryMarkup from '../../../output/utils/getStoryMarkup';
 import useRefreshPostEditURL from '../../../utils/useRefreshPostEditURL';
-import { useSnackbar } from '../../snackbar';
-
-/**
- * Creates AMP HTML markup for saving to DB for rendering in the FE.
- *
- * @param {import('../../../types').Story} story Story object.
- * @param {Array<Object>} pages List of pages.
- * @param {Object} metadata Metadata.
- * @return {Element} Story markup.
- */
-const getStoryMarkup = (story, pages, metadata) => {
-  return renderToStaticMarkup(
-    <OutputStory story={story} pages={pages} metadata={metadata} />
-  );
-};
+import getStoryStateFromPost from '../utils/getStoryStateFromPost';
+import mergePages from '../utils/mergePages';
+import createSaveQueue, {
+  SAVE_IDLE,
+  SAVE_SAVING,
+} from '../utils/createSaveQueue';
 
 /**
  * Custom hook to save story.
  *
+ * Saves are queued and retried if they fail, see `createSaveQueue`.
+ *
+ * Before saving, the story is checked for changes saved by someone else since
+ * it was loaded. If there are any, nothing is saved and `conflict` is set
+ * instead, until resolved by overwriting, reloading or merging, or dismissed.
+ *
  * @param {Object}    properties Properties to update.
  * @param {number}    properties.storyId Story post id.
  * @param {Array}     properties.pages Array of all pages.
  * @param {Object}    properties.story Story-global properties
- * @return {Function} Function that can be called to save a story.
+ * @param {Function}  properties.updateStory Function to update story properties.
+ * @param {Function}  properties.restore Function to restore the story state.
+ * @param {Function}  properties.clearLocalDraft Function to remove the local draft.
+ * @param {Function}  properties.markSaved Function to mark a state as saved.
+ * @return {Object} Function that can be called to save a story, the status
+ * of the save queue, and the state and actions of save conflicts.
  */
-function useSaveStory({ storyId, pages, story, updateStory }) {
+function useSaveStory({
+  storyId,
+  pages,
+  story,
+  updateStory,
+  restore,
+  clearLocalDraft,
+  markSaved,
+}) {
   const {
-    actions: { saveStoryById },
+    actions: { getStoryById, saveStoryById },
   } = useAPI();
   const { metadata } = useConfig();
-  const { showSnackbar } = useSnackbar();
-  const [isSaving, setIsSaving] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(SAVE_IDLE);
+  const [conflict, setConflict] = useState(null);
 
   const refreshPostEditURL = useRefreshPostEditURL(storyId);
 
-  const saveStory = useCallback(
-    (props) => {
-      setIsSaving(true);
-      const propsToSave = objectPick(story, [
-        'title',
-        'status',
-        'author',
-        'date',
-        'modified',
-        'slug',
-        'excerpt',
-        'featuredMedia',
-        'password',
-        'publisherLogo',
-        'stylePresets',
-        'autoAdvance',
-        'defaultPageDuration',
-      ]);
-      const content = getStoryMarkup(story, pages, metadata);
-      saveStoryById({
-        storyId,
-        content,
-        pages,
-        ...propsToSave,
-        ...props,
-      })
-        .then((post) => {
+  // The last saved version of the story, which queued saves check against.
+  const modifiedRef = useRef(story.modified);
+  useEffect(() => {
+    modifiedRef.current = story.modified;
+  }, [story.modified]);
+
+  const save = useCallback(
+    ({ story: storyToSave, pages: pagesToSave, props }) => {
+      // Check that nobody else saved the story since it was loaded.
+      return getStoryById(storyId).then((savedPost) => {
+        if (savedPost.modified !== modifiedRef.current) {
+          const { state } = getStoryStateFromPost(storyId, savedPost);
+          setConflict({ state, props });
+          return undefined;
+        }
+
+        const propsToSave = objectPick(storyToSave, [
+          'title',
+          'status',
+          'author',
+          'date',
+          'modified',
+          'slug',
+          'excerpt',
+          'featuredMedia',
+          'password',
+          'publisherLogo',
+          'stylePresets',
+          'autoAdvance',
+          'defaultPageDuration',
+          'guides',
+          'backgroundAudio',
+          'quarantine',
+        ]);
+        const content = getStoryMarkup(storyToSave, pagesToSave, metadata);
+        return saveStoryById({
+          storyId,
+          content,
+          pages: pagesToSave,
+          ...propsToSave,
+          ...props,
+        }).then((post) => {
+          modifiedRef.current = post.modified;
           const properties = {
-            ...objectPick(post, ['status', 'slug', 'link']),
+            ...objectPick(post, ['status', 'date', 'slug', 'link', 'modified']),
             featuredMediaUrl: post.featured_media_url,
           };
           updateStory({ properties });
+          clearLocalDraft();
+          // The server may normalize properties like the slug or date,
+          // so the story as returned is what was saved.
+          markSaved({
+            story: { ...storyToSave, ...props, ...properties },
+            pages: pagesToSave,
+          });
 
           refreshPostEditURL();
-        })
-        .catch(() => {
-          showSnackbar({
-            message: __('Failed to save the story', 'web-stories'),
-          });
-        })
-        .finally(() => {
-          setIsSaving(false);
         });
+      });
     },
     [
-      story,
-      pages,
+      getStoryById,
       metadata,
       saveStoryById,
       storyId,
       updateStory,
+      clearLocalDraft,
+      markSaved,
       refreshPostEditURL,
-      showSnackbar,
     ]
   );
 
-  return { saveStory, isSaving };
+  // Saves are queued, so the queue always runs the latest `save`.
+  const saveRef = useRef(save);
+  useEffect(() => {
+    saveRef.current = save;
+  }, [save]);
+
+  const queueRef = useRef(null);
+  useEffect(() => {
+    const queue = createSaveQueue({
+      save: (request) => saveRef.current(request),
+      onStatusChange: setSaveStatus,
+    });
+    queueRef.current = queue;
+    return () => queue.destroy();
+  }, []);
+
+  const saveStory = useCallback(
+    (props) => queueRef.current.enqueue({ story, pages, props }),
+    [story, pages]
+  );
+
+  const retrySave = useCallback(() => queueRef.current.retry(), []);
+
+  // Keep editing without saving for now.
+  const dismissConflict = useCallback(() => setConflict(null), []);
+
+  // Save own changes regardless of what was saved in the meantime.
+  const overwriteConflict = useCallback(() => {
+    const { state, props } = conflict;
+    setConflict(null);
+    modifiedRef.current = state.story.modified;
+    queueRef.current.enqueue({ story, pages, props });
+  }, [conflict, story, pages]);
+
+  // Discard own changes and load what was saved in the meantime.
+  const reloadConflict = useCallback(() => {
+    setConflict(null);
+    restore(conflict.state);
+    markSaved(conflict.state);
+  }, [conflict, restore, markSaved]);
+
+  // Save own changes, but with the saved version of the given pages.
+  const mergeConflict = useCallback(
+    (theirPageIds) => {
+      const { state, props } = conflict;
+      const mergedStory = { ...story, modified: state.story.modified };
+      const mergedPages = mergePages(pages, state.pages, theirPageIds);
+      setConflict(null);
+      modifiedRef.current = state.story.modified;
+      restore({ ...state, story: mergedStory, pages: mergedPages });
+      queueRef.current.enqueue({
+        story: mergedStory,
+        pages: mergedPages,
+        props,
+      });
+    },
+    [conflict, story, pages, restore]
+  );
+
+  return {
+    saveStory,
+    retrySave,
+    isSaving: saveStatus === SAVE_SAVING,
+    saveStatus,
+    conflict,
+    dismissConflict,
+    overwriteConflict,
+    reloadConflict,
+    mergeConflict,
+  };
 }
 
 export default useSaveStory;
@@ -23,6 +23,7 @@ import { useEffect, useRef } from 'react';
  * Internal dependencies
  */
 import { useHistory } from '../../';
+import describeHistoryChange from '../utils/describeHistoryChange';
 
 // Record any change to core variables in history (history will know if it's a replay)
 function useHistoryEntry({ story, current, pages, selection, capabilities }) {
@@ -32,19 +33,25 @@ function useHistoryEntry({ story, current, pages, selection, capabilities }) {
 
   const currentPageIndexRef = useRef();
   const selectedElementIdsRef = useRef();
+  const previousEntryRef = useRef(null);
   useEffect(() => {
     currentPageIndexRef.current = current;
     selectedElementIdsRef.current = selection;
   }, [current, selection]);
 
   useEffect(() => {
-    appendToHistory({
+    const entry = {
       story,
       current: currentPageIndexRef.current,
       selection: selectedElementIdsRef.current,
       pages,
       capabilities,
-    });
+    };
+    appendToHistory(
+      entry,
+      describeHistoryChange(previousEntryRef.current, entry)
+    );
+    previousEntryRef.current = entry;
   }, [capabilities, story, pages, appendToHistory]);
 }
 
@@ -17,25 +17,66 @@
 /**
  * External dependencies
  */
-import { useEffect } from 'react';
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
  */
 import { useAPI, useHistory } from '../../';
-import { createPage } from '../../../elements';
-import { migrate } from '../../../migration';
+import { useSnackbar } from '../../snackbar';
+import { getDefinitionForType } from '../../../elements';
+import {
+  getLocalDraft,
+  deleteLocalDraft,
+  isLocalDraftNewer,
+  isLocalDraftStoryChanged,
+} from '../utils/localDraft';
+import comparePages from '../utils/comparePages';
+import getStoryStateFromPost from '../utils/getStoryStateFromPost';
 
 /**
- * Get the permission by checking for fields in the REST API.
+ * Describe a validation issue for the user.
  *
- * @param {Object} post Current post object.
- * @param {Object} post._links Embed links
- * @param {string} field Requested field.
- * @return {boolean} If user has capability, defaults to false.
+ * @param {Object} issue Issue as returned by `validateStoryData`.
+ * @return {string} Description of the issue.
  */
-const getPerm = (post, field) => {
-  return Boolean(post?._links?.[field]);
+const getIssueDescription = ({ pageIndex, elementType, isDropped }) => {
+  const pageNumber = pageIndex + 1;
+  if (!elementType && isDropped) {
+    return sprintf(
+      /* translators: %d: page number. */
+      __('Page %d: removed broken page', 'web-stories'),
+      pageNumber
+    );
+  }
+  if (!elementType) {
+    return sprintf(
+      /* translators: %d: page number. */
+      __('Page %d: repaired page settings', 'web-stories'),
+      pageNumber
+    );
+  }
+  const name =
+    getDefinitionForType(elementType)?.name ||
+    __('Unknown element', 'web-stories');
+  return isDropped
+    ? sprintf(
+        /* translators: 1: page number, 2: element type. */
+        __('Page %1$d: removed broken element (%2$s)', 'web-stories'),
+        pageNumber,
+        name
+      )
+    : sprintf(
+        /* translators: 1: page number, 2: element type. */
+        __('Page %1$d: repaired element (%2$s)', 'web-stories'),
+        pageNumber,
+        name
+      );
 };
 
 // When ID is set, load story from API.
@@ -46,94 +87,74 @@ function useLoadStory({ storyId, shouldLoad, restore }) {
   const {
     actions: { clearHistory },
   } = useHistory();
+  const { showSnackbar } = useSnackbar();
+  const [validationIssues, setValidationIssues] = useState(null);
+  const [localDraft, setLocalDraft] = useState(null);
+
+  // Tell the user about any content that had to be repaired or removed.
+  useEffect(() => {
+    if (!validationIssues) {
+      return;
+    }
+    setValidationIssues(null);
+    showSnackbar({
+      message: __(
+        'Some content of this story was damaged and has been repaired:',
+        'web-stories'
+      ),
+      list: [...new Set(validationIssues.map(getIssueDescription))],
+      timeout: 30000,
+    });
+  }, [validationIssues, showSnackbar]);
 
   useEffect(() => {
     if (storyId && shouldLoad) {
       getStoryById(storyId).then((post) => {
-        const {
-          title: { raw: title },
-          status,
-          author,
-          slug,
-          date,
-          modified,
-          excerpt: { raw: excerpt },
-          link,
-          story_data: storyDataRaw,
-          featured_media: featuredMedia,
-          featured_media_url: featuredMediaUrl,
-          publisher_logo_url: publisherLogoUrl,
-          permalink_template: permalinkTemplate,
-          style_presets: stylePresets,
-          password,
-        } = post;
-
-        const [prefix, suffix] = permalinkTemplate.split(
-          /%(?:postname|pagename)%/
-        );
-        // If either of these is undefined, the placeholder was not found in settings.
-        const foundSettings = prefix !== undefined && suffix !== undefined;
-        const permalinkConfig = foundSettings
-          ? {
-              prefix,
-              suffix,
-            }
-          : null;
-        const statusFormat = status === 'auto-draft' ? 'draft' : status;
-
         // First clear history completely.
         clearHistory();
 
-        // If there are no pages, create empty page.
-        const storyData =
-          storyDataRaw && migrate(storyDataRaw, storyDataRaw.version || 0);
-        const pages =
-          storyData?.pages?.length > 0 ? storyData.pages : [createPage()];
-
-        // Initialize color presets, if missing.
-        if (!stylePresets.fillColors) {
-          stylePresets.fillColors = [];
+        const { state, issues } = getStoryStateFromPost(storyId, post);
+        if (issues.length > 0) {
+          setValidationIssues(issues);
         }
-        if (!stylePresets.textColors) {
-          stylePresets.textColors = [];
-        }
-
-        // Set story-global variables.
-        const story = {
-          storyId,
-          title,
-          status: statusFormat,
-          author,
-          date,
-          modified,
-          excerpt,
-          slug,
-          link,
-          featuredMedia,
-          featuredMediaUrl,
-          permalinkConfig,
-          publisherLogoUrl,
-          password,
-          stylePresets,
-          autoAdvance: storyData?.autoAdvance,
-          defaultPageDuration: storyData?.defaultPageDuration,
-        };
 
-        const hasPublishAction = getPerm(post, 'wp:action-publish');
-        const hasAssignAuthorAction = getPerm(post, 'wp:action-assign-author');
-
-        const capabilities = { hasPublishAction, hasAssignAuthorAction };
         // TODO read current page and selection from deeplink?
-        restore({
-          pages,
-          story,
-          selection: [],
-          current: null, // will be set to first page by `restore`
-          capabilities,
-        });
+        restore(state);
+
+        // Offer to recover unsaved changes from a newer local draft.
+        const { modified, modified_gmt: modifiedGmt } = post;
+        const draft = getLocalDraft(storyId);
+        if (draft && isLocalDraftNewer(draft, modified, modifiedGmt)) {
+          const changes = comparePages(state.pages, draft.pages);
+          if (
+            changes.length > 0 ||
+            isLocalDraftStoryChanged(state.story, draft)
+          ) {
+            setLocalDraft({ ...draft, changes, loadedState: state });
+            return;
+          }
+        }
+        deleteLocalDraft(storyId);
       });
     }
   }, [storyId, shouldLoad, restore, getStoryById, clearHistory]);
+
+  const restoreLocalDraft = useCallback(() => {
+    const { loadedState, pages, story } = localDraft;
+    setLocalDraft(null);
+    restore({
+      ...loadedState,
+      pages,
+      story: { ...loadedState.story, ...story },
+    });
+  }, [localDraft, restore]);
+
+  const discardLocalDraft = useCallback(() => {
+    setLocalDraft(null);
+    deleteLocalDraft(storyId);
+  }, [storyId]);
+
+  return { localDraft, restoreLocalDraft, discardLocalDraft };
 }
 
 export default useLoadStory;
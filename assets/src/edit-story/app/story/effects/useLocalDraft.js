@@ -0,0 +1,74 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { saveLocalDraft, deleteLocalDraft } from '../utils/localDraft';
+
+const DRAFT_INTERVAL = 5000;
+
+// Periodically store unsaved changes in the browser, so they can be recovered
+// if the editor crashes or saving fails.
+function useLocalDraft({ storyId, story, pages, isEnabled }) {
+  const latestRef = useRef({ story, pages });
+  const storedRef = useRef(null);
+
+  useEffect(() => {
+    latestRef.current = { story, pages };
+  }, [story, pages]);
+
+  // Whatever is loaded once enabled is the saved story, which needs no draft.
+  useEffect(() => {
+    if (isEnabled && pages.length > 0 && !storedRef.current) {
+      storedRef.current = latestRef.current;
+    }
+  }, [isEnabled, pages]);
+
+  useEffect(() => {
+    if (!storyId || !isEnabled) {
+      return undefined;
+    }
+    const interval = setInterval(() => {
+      const latest = latestRef.current;
+      const stored = storedRef.current;
+      if (
+        !stored ||
+        (latest.story === stored.story && latest.pages === stored.pages)
+      ) {
+        return;
+      }
+      saveLocalDraft(storyId, latest.story, latest.pages);
+      storedRef.current = latest;
+    }, DRAFT_INTERVAL);
+    return () => clearInterval(interval);
+  }, [storyId, isEnabled]);
+
+  // Once the story is saved, the current state needs no draft anymore.
+  const clearLocalDraft = useCallback(() => {
+    deleteLocalDraft(storyId);
+    storedRef.current = latestRef.current;
+  }, [storyId]);
+
+  return { clearLocalDraft };
+}
+
+export default useLocalDraft;
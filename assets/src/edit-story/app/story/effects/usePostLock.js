@@ -0,0 +1,60 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useAPI } from '../../';
+
+// The lock expires after 150 seconds, so refresh it well before that.
+const LOCK_INTERVAL = 30000;
+
+// Hold the post lock of the story while it's open, and tell who else holds it.
+function usePostLock({ storyId }) {
+  const {
+    actions: { lockStoryById },
+  } = useAPI();
+  const [lockUser, setLockUser] = useState(null);
+
+  const lock = useCallback(
+    (force = false) =>
+      lockStoryById(storyId, force)
+        .then(({ user }) => setLockUser(user))
+        // Editing is still possible if the lock can't be checked.
+        .catch(() => {}),
+    [lockStoryById, storyId]
+  );
+
+  useEffect(() => {
+    if (!storyId) {
+      return undefined;
+    }
+    lock();
+    const interval = setInterval(() => lock(), LOCK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [storyId, lock]);
+
+  const takeOverPostLock = useCallback(() => lock(true), [lock]);
+
+  return { lockUser, takeOverPostLock };
+}
+
+export default usePostLock;
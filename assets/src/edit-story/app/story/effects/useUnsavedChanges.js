@@ -0,0 +1,121 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import objectPick from '../../../utils/objectPick';
+import { createPatch } from '../../history/patches';
+
+// Story properties that are only changed by saving aren't tracked.
+const TRACKED_STORY_PROPS = [
+  'title',
+  'author',
+  'date',
+  'excerpt',
+  'slug',
+  'password',
+  'featuredMedia',
+  'stylePresets',
+  'autoAdvance',
+  'defaultPageDuration',
+  'guides',
+  'backgroundAudio',
+];
+
+function getTrackedState({ story, pages }) {
+  return { story: objectPick(story, TRACKED_STORY_PROPS), pages };
+}
+
+// Track whether the story differs from what was last saved, and guard
+// against leaving the editor if it does.
+function useUnsavedChanges({ story, pages }) {
+  const [savedState, setSavedState] = useState(null);
+  const [leaveURL, setLeaveURL] = useState(null);
+  const isLeavingRef = useRef(false);
+
+  // Whatever is loaded first is what was last saved.
+  useEffect(() => {
+    if (!savedState && pages.length > 0) {
+      setSavedState(getTrackedState({ story, pages }));
+    }
+  }, [savedState, story, pages]);
+
+  const markSaved = useCallback(
+    (state) => setSavedState(getTrackedState(state)),
+    []
+  );
+
+  // Unchanged parts are compared by reference, so this is cheap.
+  const hasUnsavedChanges = useMemo(
+    () =>
+      Boolean(savedState) &&
+      createPatch(savedState, getTrackedState({ story, pages })) !== null,
+    [savedState, story, pages]
+  );
+
+  useEffect(() => {
+    if (!hasUnsavedChanges) {
+      return undefined;
+    }
+    const handleBeforeUnload = (evt) => {
+      if (isLeavingRef.current) {
+        return;
+      }
+      evt.preventDefault();
+      // Chrome requires `returnValue` to be set.
+      evt.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedChanges]);
+
+  const leave = useCallback((url) => {
+    isLeavingRef.current = true;
+    window.location.assign(url);
+  }, []);
+
+  // Leave the editor, but ask first if there are unsaved changes.
+  const leaveEditor = useCallback(
+    (url, { force = false } = {}) => {
+      if (hasUnsavedChanges && !force) {
+        setLeaveURL(url);
+        return;
+      }
+      leave(url);
+    },
+    [hasUnsavedChanges, leave]
+  );
+
+  const confirmLeave = useCallback(() => leave(leaveURL), [leave, leaveURL]);
+  const cancelLeave = useCallback(() => setLeaveURL(null), []);
+
+  return {
+    hasUnsavedChanges,
+    markSaved,
+    isLeaveRequested: Boolean(leaveURL),
+    leaveEditor,
+    confirmLeave,
+    cancelLeave,
+  };
+}
+
+export default useUnsavedChanges;
@@ -29,13 +29,17 @@ import useLoadStory from './effects/useLoadStory';
 import useSaveStory from './actions/useSaveStory';
 import useHistoryEntry from './effects/useHistoryEntry';
 import useHistoryReplay from './effects/useHistoryReplay';
+import useLocalDraft from './effects/useLocalDraft';
+import usePostLock from './effects/usePostLock';
+import useUnsavedChanges from './effects/useUnsavedChanges';
 import usePageBackgrounds from './effects/usePageBackgrounds';
 import useStoryReducer from './useStoryReducer';
 import useDeleteStory from './actions/useDeleteStory';
+import useRestoreRevision from './actions/useRestoreRevision';
 
 function StoryProvider({ storyId, children }) {
   const {
-    state: { pages, current, selection, story, capabilities },
+    state: { pages, current, selection, pageSelection, story, capabilities },
     api,
     internal: { restore },
   } = useStoryReducer();
@@ -83,9 +87,31 @@ function StoryProvider({ storyId, children }) {
     };
   }, [currentPage, selection]);
 
+  // Generate page selection info, where no explicit page selection means
+  // that only the current page is selected.
+  const selectedPageIds = useMemo(() => {
+    if (pageSelection.length > 0) {
+      return pageSelection;
+    }
+    return current ? [current] : [];
+  }, [pageSelection, current]);
+
   // This effect loads and initialises the story on first load (when there's no pages).
   const shouldLoad = pages.length === 0;
-  useLoadStory({ restore, shouldLoad, storyId });
+  const { localDraft, restoreLocalDraft, discardLocalDraft } = useLoadStory({
+    restore,
+    shouldLoad,
+    storyId,
+  });
+
+  // This effect keeps a local draft of unsaved changes, except while the user
+  // is still deciding whether to recover the previous one.
+  const { clearLocalDraft } = useLocalDraft({
+    storyId,
+    story,
+    pages,
+    isEnabled: !localDraft,
+  });
 
   // These effects send updates to and restores state from history.
   useHistoryEntry({ pages, current, selection, story, capabilities });
@@ -98,17 +124,52 @@ function StoryProvider({ storyId, children }) {
     addElement: api.addElement,
   });
 
+  // This effect tracks whether there are unsaved changes, and guards against
+  // leaving the editor with them.
+  const {
+    hasUnsavedChanges,
+    markSaved,
+    isLeaveRequested,
+    leaveEditor,
+    confirmLeave,
+    cancelLeave,
+  } = useUnsavedChanges({ story, pages });
+
   // This action allows the user to save the story
   // (and it will have side-effects because saving can update url and status,
   //  thus the need for `updateStory`)
   const { updateStory } = api;
-  const { saveStory, isSaving } = useSaveStory({
+  const {
+    saveStory,
+    retrySave,
+    isSaving,
+    saveStatus,
+    conflict,
+    dismissConflict,
+    overwriteConflict,
+    reloadConflict,
+    mergeConflict,
+  } = useSaveStory({
     storyId,
     pages,
     story,
     updateStory,
+    restore,
+    clearLocalDraft,
+    markSaved,
   });
-  const { deleteStory } = useDeleteStory({ storyId });
+  const { deleteStory } = useDeleteStory({ storyId, leaveEditor });
+  const { restoreRevision } = useRestoreRevision({
+    pages,
+    story,
+    current,
+    capabilities,
+    restore,
+  });
+
+  // This effect holds the post lock while the story is open, so others know
+  // someone is editing it.
+  const { lockUser, takeOverPostLock } = usePostLock({ storyId });
 
   const state = {
     state: {
@@ -120,16 +181,36 @@ function StoryProvider({ storyId, children }) {
       selectedElementIds,
       selectedElements,
       hasSelection,
+      selectedPageIds,
+      hasPageSelection: pageSelection.length > 0,
       story,
       capabilities,
+      localDraft,
+      saveConflict: conflict,
+      postLockUser: lockUser,
       meta: {
         isSaving,
+        saveStatus,
+        hasUnsavedChanges,
+        isLeaveRequested,
       },
     },
     actions: {
       ...api,
       saveStory,
+      retrySave,
       deleteStory,
+      restoreRevision,
+      restoreLocalDraft,
+      discardLocalDraft,
+      dismissConflict,
+      overwriteConflict,
+      reloadConflict,
+      mergeConflict,
+      takeOverPostLock,
+      leaveEditor,
+      confirmLeave,
+      cancelLeave,
     },
   };
 
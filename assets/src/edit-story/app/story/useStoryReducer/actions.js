@@ -14,6 +14,11 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import { v4 as uuidv4 } from 'uuid';
+
 /**
  * Internal dependencies
  */
@@ -41,6 +46,33 @@ const updateCurrentPageProperties = (dispatch) => ({ properties }) =>
 const arrangePage = (dispatch) => ({ pageId, position }) =>
   dispatch({ type: types.ARRANGE_PAGE, payload: { pageId, position } });
 
+const addPagesAt = (dispatch) => ({ pages, position }) =>
+  dispatch({ type: types.ADD_PAGES, payload: { pages, position } });
+
+const deletePagesById = (dispatch) => ({ pageIds }) =>
+  dispatch({ type: types.DELETE_PAGES, payload: { pageIds } });
+
+const deleteSelectedPages = (dispatch) => () =>
+  dispatch({ type: types.DELETE_PAGES, payload: { pageIds: null } });
+
+const arrangePagesById = (dispatch) => ({ pageIds, position }) =>
+  dispatch({ type: types.ARRANGE_PAGES, payload: { pageIds, position } });
+
+const arrangeSelectedPages = (dispatch) => ({ position }) =>
+  dispatch({
+    type: types.ARRANGE_PAGES,
+    payload: { pageIds: null, position },
+  });
+
+const setSelectedPagesById = (dispatch) => ({ pageIds }) =>
+  dispatch({ type: types.SET_SELECTED_PAGES, payload: { pageIds } });
+
+const clearPageSelection = (dispatch) => () =>
+  dispatch({ type: types.SET_SELECTED_PAGES, payload: { pageIds: [] } });
+
+const togglePageInSelection = (dispatch) => ({ pageId }) =>
+  dispatch({ type: types.TOGGLE_PAGE_IN_SELECTION, payload: { pageId } });
+
 const setCurrentPage = (dispatch) => ({ pageId }) =>
   dispatch({ type: types.SET_CURRENT_PAGE, payload: { pageId } });
 
@@ -104,6 +136,37 @@ const arrangeSelection = (dispatch) => ({ position }) =>
     payload: { elementId: null, position },
   });
 
+const groupElements = (dispatch) => ({ elementIds, groupId = uuidv4() }) =>
+  dispatch({ type: types.GROUP_ELEMENTS, payload: { elementIds, groupId } });
+
+const groupSelection = (dispatch) => ({ groupId = uuidv4() } = {}) =>
+  dispatch({
+    type: types.GROUP_ELEMENTS,
+    payload: { elementIds: null, groupId },
+  });
+
+const ungroupElements = (dispatch) => ({ groupId }) =>
+  dispatch({ type: types.UNGROUP_ELEMENTS, payload: { groupId } });
+
+const ungroupSelection = (dispatch) => () =>
+  dispatch({ type: types.UNGROUP_ELEMENTS, payload: { groupId: null } });
+
+const moveElementsToPage = (dispatch) => ({
+  elementIds,
+  pageId,
+  copy = false,
+}) =>
+  dispatch({
+    type: types.MOVE_ELEMENTS_TO_PAGE,
+    payload: {
+      elementIds,
+      pageId,
+      newIds: copy
+        ? elementIds.reduce((ids, id) => ({ ...ids, [id]: uuidv4() }), {})
+        : null,
+    },
+  });
+
 const setSelectedElementsById = (dispatch) => ({ elementIds }) =>
   dispatch({ type: types.SET_SELECTED_ELEMENTS, payload: { elementIds } });
 
@@ -130,6 +193,14 @@ export const exposedActions = {
   updatePageProperties,
   updateCurrentPageProperties,
   arrangePage,
+  addPagesAt,
+  deletePagesById,
+  deleteSelectedPages,
+  arrangePagesById,
+  arrangeSelectedPages,
+  setSelectedPagesById,
+  clearPageSelection,
+  togglePageInSelection,
   setCurrentPage,
   addElements,
   addElement,
@@ -144,6 +215,11 @@ export const exposedActions = {
   clearBackgroundElement,
   arrangeElement,
   arrangeSelection,
+  groupElements,
+  groupSelection,
+  ungroupElements,
+  ungroupSelection,
+  moveElementsToPage,
   setSelectedElementsById,
   clearSelection,
   addElementToSelection,
@@ -156,13 +232,14 @@ export const exposedActions = {
 const restore = (dispatch) => ({
   pages,
   selection,
+  pageSelection,
   current,
   story,
   capabilities,
 }) =>
   dispatch({
     type: types.RESTORE,
-    payload: { pages, selection, current, story, capabilities },
+    payload: { pages, selection, pageSelection, current, story, capabilities },
   });
 
 export const internalActions = {
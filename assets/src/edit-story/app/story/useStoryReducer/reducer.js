@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+/* eslint complexity: ["error", { "max": 30 }] */
+
 /**
  * Internal dependencies
  */
@@ -38,6 +40,26 @@ function reducer(state, { type, payload }) {
       return reducers.arrangePage(state, payload);
     }
 
+    case types.ADD_PAGES: {
+      return reducers.addPages(state, payload);
+    }
+
+    case types.DELETE_PAGES: {
+      return reducers.deletePages(state, payload);
+    }
+
+    case types.ARRANGE_PAGES: {
+      return reducers.arrangePages(state, payload);
+    }
+
+    case types.SET_SELECTED_PAGES: {
+      return reducers.setSelectedPages(state, payload);
+    }
+
+    case types.TOGGLE_PAGE_IN_SELECTION: {
+      return reducers.togglePage(state, payload);
+    }
+
     case types.SET_CURRENT_PAGE: {
       return reducers.setCurrentPage(state, payload);
     }
@@ -66,6 +88,18 @@ function reducer(state, { type, payload }) {
       return reducers.arrangeElement(state, payload);
     }
 
+    case types.GROUP_ELEMENTS: {
+      return reducers.groupElements(state, payload);
+    }
+
+    case types.UNGROUP_ELEMENTS: {
+      return reducers.ungroupElements(state, payload);
+    }
+
+    case types.MOVE_ELEMENTS_TO_PAGE: {
+      return reducers.moveElementsToPage(state, payload);
+    }
+
     case types.SET_SELECTED_ELEMENTS: {
       return reducers.setSelectedElements(state, payload);
     }
@@ -27,7 +27,7 @@ import { isInsideRange } from './utils';
  *
  * Current page will be updated to point to the newly inserted page.
  *
- * Selection is cleared.
+ * Selection and page selection are cleared.
  *
  * @param {Object} state Current state
  * @param {Object} payload Action payload
@@ -62,6 +62,7 @@ function addPage(state, { page, position }) {
     ],
     current: id,
     selection: [],
+    pageSelection: [],
   };
 }
 
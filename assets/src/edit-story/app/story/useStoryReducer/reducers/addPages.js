@@ -0,0 +1,76 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { OverlayType } from '../../../../utils/backgroundOverlay';
+import { getSelectedPageIds, isInsideRange } from './utils';
+
+/**
+ * Insert several pages at the given position.
+ *
+ * If position is outside bounds or no position given, new pages will be
+ * inserted after the last selected page.
+ *
+ * If no pages are given, state is unchanged.
+ *
+ * Current page will be updated to point to the first inserted page, and the
+ * inserted pages become the page selection.
+ *
+ * Element selection is cleared.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {Array.<Object>} payload.pages List of new pages
+ * @param {number} payload.position Position at which to insert the new pages. If null, insert after selected pages
+ * @return {Object} New state
+ */
+function addPages(state, { pages, position }) {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return state;
+  }
+
+  const isWithinBounds =
+    position !== null && isInsideRange(position, 0, state.pages.length);
+  const selectedPageIds = getSelectedPageIds(state);
+  const lastSelectedIndex = state.pages.findIndex(
+    ({ id }) => id === selectedPageIds[selectedPageIds.length - 1]
+  );
+  const insertionPoint = isWithinBounds ? position : lastSelectedIndex + 1;
+
+  // Ensure new pages have elements array and background id
+  const newPages = pages.map((page) => ({
+    elements: [],
+    backgroundElementId: null,
+    backgroundOverlay: OverlayType.NONE,
+    ...page,
+  }));
+
+  return {
+    ...state,
+    pages: [
+      ...state.pages.slice(0, insertionPoint),
+      ...newPages,
+      ...state.pages.slice(insertionPoint),
+    ],
+    current: newPages[0].id,
+    selection: [],
+    pageSelection: newPages.length > 1 ? newPages.map(({ id }) => id) : [],
+  };
+}
+
+export default addPages;
@@ -17,12 +17,19 @@
 /**
  * Internal dependencies
  */
-import { getAbsolutePosition, moveArrayElement } from './utils';
+import { LAYER_DIRECTIONS } from '../../../../constants';
+import { getSelectedGroupId } from '../../../../utils/elementGroups';
+import {
+  getAbsolutePosition,
+  getGroupRange,
+  snapToGroupBoundary,
+} from './utils';
 
 /**
  * Move element in element order on the current page.
  *
  * If no element is given, check if selection only has one element, and if so, use that.
+ * If no element is given and selection is exactly the members of one group, use that group.
  * If no element is given and selection is empty or has multiple elements, state is unchanged.
  *
  * If the element does not exist on the current page, state is unchanged.
@@ -39,6 +46,12 @@ import { getAbsolutePosition, moveArrayElement } from './utils';
  *
  * If there is a current background element, both BACK and position 0 is treated as position 1.
  *
+ * If the element is part of a group, the whole group is moved as one block, and the
+ * position refers to the new position of the bottom-most member of the group.
+ * FORWARD and BACKWARD will step over an entire neighbouring group rather than a
+ * single element, and numeric positions inside another group are moved to the
+ * nearest edge of that group, so a group is never split.
+ *
  * If element is already at the desired position, state is unchanged.
  *
  * Selection and current page is unchanged.
@@ -52,16 +65,20 @@ import { getAbsolutePosition, moveArrayElement } from './utils';
  * @return {Object} New state
  */
 function arrangeElement(state, { elementId, position }) {
-  if (elementId === null && state.selection.length !== 1) {
+  const pageIndex = state.pages.findIndex(({ id }) => id === state.current);
+
+  const page = state.pages[pageIndex];
+
+  if (
+    elementId === null &&
+    state.selection.length !== 1 &&
+    !getSelectedGroupId(page.elements, state.selection)
+  ) {
     return state;
   }
 
   const idToArrange = elementId !== null ? elementId : state.selection[0];
 
-  const pageIndex = state.pages.findIndex(({ id }) => id === state.current);
-
-  const page = state.pages[pageIndex];
-
   // Abort if there's less than two elements (nothing to rearrange)
   if (page.elements.length < 2) {
     return state;
@@ -75,25 +92,53 @@ function arrangeElement(state, { elementId, position }) {
     return state;
   }
 
+  const { start, end } = getGroupRange(page.elements, currentPosition);
+  const blockSize = end - start + 1;
+  const otherElements = [
+    ...page.elements.slice(0, start),
+    ...page.elements.slice(end + 1),
+  ];
+
   const minPosition = Boolean(page.backgroundElementId) ? 1 : 0;
-  const maxPosition = page.elements.length - 1;
-  const newPosition = getAbsolutePosition({
-    currentPosition,
-    minPosition,
-    maxPosition,
-    desiredPosition: position,
-  });
+  const maxPosition = otherElements.length;
+  let newPosition;
+  if (position === LAYER_DIRECTIONS.FORWARD) {
+    // Step over the entire element or group right above this block.
+    newPosition =
+      end < page.elements.length - 1
+        ? getGroupRange(page.elements, end + 1).end - blockSize + 1
+        : start;
+  } else if (position === LAYER_DIRECTIONS.BACKWARD) {
+    // Step under the entire element or group right below this block.
+    newPosition =
+      start > minPosition
+        ? Math.max(minPosition, getGroupRange(page.elements, start - 1).start)
+        : start;
+  } else {
+    newPosition = getAbsolutePosition({
+      currentPosition: start,
+      minPosition,
+      maxPosition,
+      desiredPosition: position,
+    });
+    newPosition = snapToGroupBoundary(
+      otherElements,
+      newPosition,
+      newPosition < start
+    );
+  }
 
   // If it's already there, do nothing.
-  if (currentPosition === newPosition) {
+  if (start === newPosition) {
     return state;
   }
 
-  const newElements = moveArrayElement(
-    page.elements,
-    currentPosition,
-    newPosition
-  );
+  const block = page.elements.slice(start, end + 1);
+  const newElements = [
+    ...otherElements.slice(0, newPosition),
+    ...block,
+    ...otherElements.slice(newPosition),
+  ];
 
   const newPages = [
     ...state.pages.slice(0, pageIndex),
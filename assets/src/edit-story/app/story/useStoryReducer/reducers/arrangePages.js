@@ -0,0 +1,72 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedPageIds } from './utils';
+
+/**
+ * Move pages with the given ids to the given position, keeping them together.
+ * If given list of ids is `null`, move all selected pages.
+ *
+ * The moved pages keep their relative order, and the first of them ends up
+ * at the given position in the new page order.
+ *
+ * Ids not matching an existing page are ignored.
+ *
+ * Position is clamped to the bounds of the page list.
+ * If pages are already at the new position, nothing happens.
+ *
+ * Current page, element selection and page selection are unchanged.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {Array.<string>} payload.pageIds List of ids of pages to move
+ * @param {number} payload.position Index of where the first page should be moved to
+ * @return {Object} New state
+ */
+function arrangePages(state, { pageIds, position }) {
+  const idsToMove = pageIds === null ? getSelectedPageIds(state) : pageIds;
+
+  const movedPages = state.pages.filter(({ id }) => idsToMove.includes(id));
+  if (movedPages.length === 0 || typeof position !== 'number') {
+    return state;
+  }
+
+  const otherPages = state.pages.filter(({ id }) => !idsToMove.includes(id));
+  const insertionPoint = Math.max(0, Math.min(otherPages.length, position));
+
+  const newPages = [
+    ...otherPages.slice(0, insertionPoint),
+    ...movedPages,
+    ...otherPages.slice(insertionPoint),
+  ];
+
+  const isUnchanged = newPages.every(
+    (page, index) => page === state.pages[index]
+  );
+  if (isUnchanged) {
+    return state;
+  }
+
+  return {
+    ...state,
+    pages: newPages,
+  };
+}
+
+export default arrangePages;
@@ -18,7 +18,7 @@
  * Internal dependencies
  */
 import { OverlayType } from '../../../../utils/backgroundOverlay';
-import { intersect } from './utils';
+import { intersect, ungroupOrphans } from './utils';
 
 /**
  * Delete elements by the given list of ids.
@@ -35,6 +35,8 @@ import { intersect } from './utils';
  * If any id to delete is in current selection, deleted ids are removed from selection.
  * Otherwise selection is unchanged.
  *
+ * If deleting leaves a group with only one member, that element is ungrouped.
+ *
  * Current page is unchanged.
  *
  * @param {Object} state Current state
@@ -60,8 +62,8 @@ function deleteElements(state, { elementIds }) {
     return state;
   }
 
-  const filteredElements = oldPage.elements.filter(
-    (element) => !idsToDelete.includes(element.id)
+  const filteredElements = ungroupOrphans(
+    oldPage.elements.filter((element) => !idsToDelete.includes(element.id))
   );
 
   const newPage = {
@@ -24,7 +24,7 @@
  *
  * If state only has one or zero pages, nothing happens.
  *
- * If a page is deleted, selection is cleared.
+ * If a page is deleted, selection is cleared and the page is removed from page selection.
  *
  * @param {Object} state Current state
  * @param {Object} payload Action payload
@@ -62,6 +62,7 @@ function deletePage(state, { pageId }) {
     pages: newPages,
     current: newCurrent,
     selection: [],
+    pageSelection: state.pageSelection.filter((id) => id !== idToDelete),
   };
 }
 
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedPageIds } from './utils';
+
+/**
+ * Delete pages by the given list of ids.
+ * If given list of ids is `null`, delete all selected pages.
+ *
+ * Ids not matching an existing page are ignored. If no pages are left to
+ * delete, state is unchanged.
+ *
+ * At least one page must always remain, so if all pages would be deleted,
+ * state is unchanged.
+ *
+ * If the current page is deleted, the first page after the deleted current page
+ * becomes current. If no such page, the last remaining page becomes current.
+ *
+ * Element selection and page selection are cleared.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {Array.<string>} payload.pageIds List of ids of pages to delete
+ * @return {Object} New state
+ */
+function deletePages(state, { pageIds }) {
+  const idsToDelete = pageIds === null ? getSelectedPageIds(state) : pageIds;
+
+  const newPages = state.pages.filter(({ id }) => !idsToDelete.includes(id));
+
+  if (newPages.length === state.pages.length || newPages.length === 0) {
+    return state;
+  }
+
+  let newCurrent = state.current;
+
+  if (idsToDelete.includes(state.current)) {
+    const currentIndex = state.pages.findIndex(
+      ({ id }) => id === state.current
+    );
+    const nextPage = state.pages
+      .slice(currentIndex + 1)
+      .find(({ id }) => !idsToDelete.includes(id));
+    newCurrent = nextPage ? nextPage.id : newPages[newPages.length - 1].id;
+  }
+
+  return {
+    ...state,
+    pages: newPages,
+    current: newCurrent,
+    selection: [],
+    pageSelection: [],
+  };
+}
+
+export default deletePages;
@@ -0,0 +1,107 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { snapToGroupBoundary, ungroupOrphans } from './utils';
+
+/**
+ * Group the given elements on the current page under the given group id.
+ *
+ * If given list of ids is `null`, group all currently selected elements.
+ *
+ * Ids not corresponding to an element on the current page are ignored, as is
+ * the background element, which can never be part of a group.
+ *
+ * If less than two elements remain, or if no group id is given, state is unchanged.
+ * If the elements already are the exact members of a single group, state is unchanged.
+ *
+ * Grouped elements are moved to be next to each other in the element order,
+ * keeping their relative order and placed where the top-most of them was.
+ *
+ * Elements that already belonged to another group are moved to the new group.
+ * If that leaves the old group with only one member, that element is ungrouped too.
+ *
+ * Selection is set to the members of the new group. Current page is unchanged.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {Array.<string>} payload.elementIds List of ids of elements to group
+ * @param {string} payload.groupId Id of the new group
+ * @return {Object} New state
+ */
+function groupElements(state, { elementIds, groupId }) {
+  if (!groupId) {
+    return state;
+  }
+
+  const idsToGroup = elementIds === null ? state.selection : elementIds;
+
+  const pageIndex = state.pages.findIndex(({ id }) => id === state.current);
+  const page = state.pages[pageIndex];
+
+  const isMember = ({ id }) =>
+    idsToGroup.includes(id) && id !== page.backgroundElementId;
+  const members = page.elements.filter(isMember);
+
+  if (members.length < 2) {
+    return state;
+  }
+
+  // Is this exact group already there?
+  const [{ groupId: existingGroupId }] = members;
+  const isAlreadyGrouped =
+    Boolean(existingGroupId) &&
+    page.elements.every(
+      (element) => isMember(element) === (element.groupId === existingGroupId)
+    );
+  if (isAlreadyGrouped) {
+    return state;
+  }
+
+  // Insert the group where the top-most member was, without splitting other groups.
+  const topPosition = page.elements.map(isMember).lastIndexOf(true);
+  const otherElements = page.elements.filter((element) => !isMember(element));
+  const insertAt = snapToGroupBoundary(
+    otherElements,
+    topPosition - members.length + 1
+  );
+
+  const groupedMembers = members.map((element) => ({ ...element, groupId }));
+  const newElements = ungroupOrphans([
+    ...otherElements.slice(0, insertAt),
+    ...groupedMembers,
+    ...otherElements.slice(insertAt),
+  ]);
+
+  const newPages = [
+    ...state.pages.slice(0, pageIndex),
+    {
+      ...page,
+      elements: newElements,
+    },
+    ...state.pages.slice(pageIndex + 1),
+  ];
+
+  return {
+    ...state,
+    pages: newPages,
+    selection: members.map(({ id }) => id),
+  };
+}
+
+export default groupElements;
@@ -19,6 +19,13 @@ export { default as addPage } from './addPage';
 export { default as deletePage } from './deletePage';
 export { default as updatePage } from './updatePage';
 export { default as arrangePage } from './arrangePage';
+export { default as addPages } from './addPages';
+export { default as deletePages } from './deletePages';
+export { default as arrangePages } from './arrangePages';
+
+// Manipulate list of selected pages.
+export { default as setSelectedPages } from './setSelectedPages';
+export { default as togglePage } from './togglePage';
 
 // Manipulate elements on a page.
 export { default as addElements } from './addElements';
@@ -27,6 +34,9 @@ export { default as updateElements } from './updateElements';
 export { default as updateVideoElementsByVideoId } from './updateVideoElementsByVideoId';
 export { default as setBackgroundElement } from './setBackgroundElement';
 export { default as arrangeElement } from './arrangeElement';
+export { default as groupElements } from './groupElements';
+export { default as ungroupElements } from './ungroupElements';
+export { default as moveElementsToPage } from './moveElementsToPage';
 
 // Manipulate current page.
 export { default as setCurrentPage } from './setCurrentPage';
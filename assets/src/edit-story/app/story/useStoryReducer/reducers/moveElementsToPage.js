@@ -0,0 +1,104 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { ungroupOrphans } from './utils';
+
+/**
+ * Move or copy the given elements from the current page to another page.
+ *
+ * Elements keep their position and properties, and are placed on top of the
+ * elements of the other page, keeping their relative order.
+ *
+ * If new ids are given, the elements are copied and the copies get these ids.
+ * Copied groups get the new id of their first member as group id, so that
+ * they are separate from the original groups.
+ *
+ * Ids not corresponding to an element on the current page are ignored, as is
+ * the background element, which can't be moved to another page.
+ *
+ * If no elements remain, or if the page doesn't exist or is the current page,
+ * state is unchanged.
+ *
+ * Moved elements are removed from the selection. Current page is unchanged.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {Array.<string>} payload.elementIds List of ids of elements to move
+ * @param {string} payload.pageId Id of the page to move the elements to
+ * @param {?Object} payload.newIds New element ids by old id, to copy elements
+ * @return {Object} New state
+ */
+function moveElementsToPage(state, { elementIds, pageId, newIds = null }) {
+  const sourceIndex = state.pages.findIndex(({ id }) => id === state.current);
+  const targetIndex = state.pages.findIndex(({ id }) => id === pageId);
+  if (targetIndex === -1 || targetIndex === sourceIndex) {
+    return state;
+  }
+
+  const sourcePage = state.pages[sourceIndex];
+  const targetPage = state.pages[targetIndex];
+
+  const isMoved = ({ id }) =>
+    elementIds.includes(id) && id !== sourcePage.backgroundElementId;
+  const movedElements = sourcePage.elements.filter(isMoved);
+  if (movedElements.length === 0) {
+    return state;
+  }
+
+  const newGroupIds = {};
+  const addedElements = newIds
+    ? movedElements.map((element) => {
+        const copy = { ...element, id: newIds[element.id] };
+        if (element.groupId) {
+          newGroupIds[element.groupId] =
+            newGroupIds[element.groupId] || copy.id;
+          copy.groupId = newGroupIds[element.groupId];
+        }
+        return copy;
+      })
+    : movedElements;
+
+  const newPages = state.pages.map((page, index) => {
+    if (index === targetIndex) {
+      return {
+        ...targetPage,
+        elements: ungroupOrphans([...targetPage.elements, ...addedElements]),
+      };
+    }
+    if (index === sourceIndex && !newIds) {
+      return {
+        ...sourcePage,
+        elements: ungroupOrphans(
+          sourcePage.elements.filter((element) => !isMoved(element))
+        ),
+      };
+    }
+    return page;
+  });
+
+  return {
+    ...state,
+    pages: newPages,
+    selection: newIds
+      ? state.selection
+      : state.selection.filter((id) => !elementIds.includes(id)),
+  };
+}
+
+export default moveElementsToPage;
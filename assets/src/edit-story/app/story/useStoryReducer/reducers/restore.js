@@ -22,13 +22,17 @@
  * - `pages` must be an array (if not, nothing happens).
  * - `current` must point to a legal page, if at least one page exists.
  * - `selection` is an array.
+ * - `pageSelection` is an array of existing page ids.
  * - `story` is an object.
  *
  * @param {Object} state Current state
  * @param {Object} payload New state to set.
  * @return {Object} New state
  */
-function restore(state, { pages, current, selection, story, capabilities }) {
+function restore(
+  state,
+  { pages, current, selection, pageSelection, story, capabilities }
+) {
   if (!Array.isArray(pages) || pages.length === 0) {
     return state;
   }
@@ -39,11 +43,15 @@ function restore(state, { pages, current, selection, story, capabilities }) {
     ? current
     : pages[0].id;
   const newSelection = Array.isArray(selection) ? selection : [];
+  const newPageSelection = Array.isArray(pageSelection)
+    ? pages.map(({ id }) => id).filter((id) => pageSelection.includes(id))
+    : [];
 
   return {
     pages,
     current: newCurrent,
     selection: newSelection,
+    pageSelection: newPageSelection,
     story: newStory,
     capabilities: newCapabilities,
   };
@@ -18,7 +18,7 @@
  * Internal dependencies
  */
 import { OverlayType } from '../../../../utils/backgroundOverlay';
-import { moveArrayElement } from './utils';
+import { moveArrayElement, objectWithout, ungroupOrphans } from './utils';
 
 /**
  * Set background element on the current page to the given id.
@@ -28,6 +28,8 @@ import { moveArrayElement } from './utils';
  * If page had a background element before, that element is deleted!
  * And if that element was selected, selection is cleared.
  *
+ * The new background element is removed from any group it was part of.
+ *
  * @param {Object} state Current state
  * @param {Object} payload Action payload
  * @param {number} payload.elementId Element id to set as background on the current page.
@@ -88,17 +90,17 @@ function setBackgroundElement(state, { elementId }) {
     }
 
     // Reorder elements
-    const newElements = moveArrayElement(pageElements, elementPosition, 0).map(
-      (element) => {
-        // Set isBackground for the element.
+    const newElements = ungroupOrphans(
+      moveArrayElement(pageElements, elementPosition, 0).map((element) => {
+        // Set isBackground for the element and take it out of its group.
         if (element.id === elementId) {
           return {
-            ...element,
+            ...objectWithout(element, ['groupId']),
             isBackground: true,
           };
         }
         return element;
-      }
+      })
     );
 
     //  remove new element from selection if there's more than one element there
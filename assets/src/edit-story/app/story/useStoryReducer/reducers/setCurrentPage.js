@@ -19,7 +19,8 @@
  *
  * If id doesn't match an existing page, nothing happens.
  *
- * If page is changed, selection is cleared
+ * If page is changed, selection is cleared.
+ * Page selection is cleared too, unless the new current page is part of it.
  *
  * @param {Object} state Current state
  * @param {Object} payload Action payload
@@ -35,6 +36,9 @@ function setCurrentPage(state, { pageId }) {
     ...state,
     current: pageId,
     selection: [],
+    pageSelection: state.pageSelection.includes(pageId)
+      ? state.pageSelection
+      : [],
   };
 }
 
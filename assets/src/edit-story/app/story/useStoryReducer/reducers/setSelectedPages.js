@@ -0,0 +1,64 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { intersect } from './utils';
+
+/**
+ * Set selected pages to the given list of ids.
+ *
+ * If given list is not a list, do nothing.
+ *
+ * Ids not matching an existing page are ignored, and the resulting selection
+ * is kept in page order without duplicates.
+ *
+ * If the new selection matches the current page selection, nothing happens.
+ *
+ * An empty list clears the page selection, leaving only the current page selected.
+ *
+ * Current page, element selection and pages are unchanged.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {Array.<string>} payload.pageIds List of ids of pages to select
+ * @return {Object} New state
+ */
+function setSelectedPages(state, { pageIds }) {
+  if (!Array.isArray(pageIds)) {
+    return state;
+  }
+
+  const newPageSelection = state.pages
+    .map(({ id }) => id)
+    .filter((id) => pageIds.includes(id));
+
+  const isSimilar =
+    newPageSelection.length === state.pageSelection.length &&
+    intersect(state.pageSelection, newPageSelection).length ===
+      newPageSelection.length;
+  if (isSimilar) {
+    return state;
+  }
+
+  return {
+    ...state,
+    pageSelection: newPageSelection,
+  };
+}
+
+export default setSelectedPages;
@@ -0,0 +1,77 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedPageIds } from './utils';
+
+/**
+ * Toggle page id in page selection.
+ *
+ * If the page is selected, it's removed from the page selection. If not, it's added.
+ *
+ * If the page selection is empty, the current page counts as selected, so
+ * toggling another page will select both the current page and the given page.
+ *
+ * If the given id doesn't match an existing page, nothing happens.
+ * The last selected page can't be toggled off.
+ *
+ * If the current page is toggled off, the first remaining selected page becomes
+ * the current page and element selection is cleared. Otherwise current page and
+ * element selection are unchanged.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {string} payload.pageId Id of page to toggle in page selection
+ * @return {Object} New state
+ */
+function togglePage(state, { pageId }) {
+  if (!state.pages.some(({ id }) => id === pageId)) {
+    return state;
+  }
+
+  const selectedPageIds = getSelectedPageIds(state);
+  const wasSelected = selectedPageIds.includes(pageId);
+
+  if (wasSelected && selectedPageIds.length === 1) {
+    return state;
+  }
+
+  const toggledPageIds = wasSelected
+    ? selectedPageIds.filter((id) => id !== pageId)
+    : [...selectedPageIds, pageId];
+
+  const newPageSelection = state.pages
+    .map(({ id }) => id)
+    .filter((id) => toggledPageIds.includes(id));
+
+  if (pageId === state.current) {
+    return {
+      ...state,
+      current: newPageSelection[0],
+      selection: [],
+      pageSelection: newPageSelection,
+    };
+  }
+
+  return {
+    ...state,
+    pageSelection: newPageSelection,
+  };
+}
+
+export default togglePage;
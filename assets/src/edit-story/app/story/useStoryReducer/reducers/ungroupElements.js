@@ -0,0 +1,76 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { objectWithout } from './utils';
+
+/**
+ * Dissolve the given group on the current page.
+ *
+ * If group id is `null`, dissolve all groups that currently selected elements belong to.
+ *
+ * Elements keep their position in the element order, they just stop being members of a group.
+ *
+ * If no element on the current page belongs to the group(s), state is unchanged.
+ *
+ * Selection and current page is unchanged.
+ *
+ * @param {Object} state Current state
+ * @param {Object} payload Action payload
+ * @param {string} payload.groupId Id of the group to dissolve
+ * @return {Object} New state
+ */
+function ungroupElements(state, { groupId }) {
+  const pageIndex = state.pages.findIndex(({ id }) => id === state.current);
+  const page = state.pages[pageIndex];
+
+  const groupIds =
+    groupId === null
+      ? page.elements
+          .filter(({ id }) => state.selection.includes(id))
+          .map((element) => element.groupId)
+          .filter(Boolean)
+      : [groupId];
+
+  const isInGroup = (element) =>
+    Boolean(element.groupId) && groupIds.includes(element.groupId);
+
+  if (!page.elements.some(isInGroup)) {
+    return state;
+  }
+
+  const newElements = page.elements.map((element) =>
+    isInGroup(element) ? objectWithout(element, ['groupId']) : element
+  );
+
+  const newPages = [
+    ...state.pages.slice(0, pageIndex),
+    {
+      ...page,
+      elements: newElements,
+    },
+    ...state.pages.slice(pageIndex + 1),
+  ];
+
+  return {
+    ...state,
+    pages: newPages,
+  };
+}
+
+export default ungroupElements;
@@ -96,3 +96,88 @@ export function updateElementWithUpdater(element, properties, pageIndex) {
   }
   return { ...element, ...allowedProperties };
 }
+
+/**
+ * Find the range of contiguous elements sharing a group with the element at
+ * the given index. For ungrouped elements, the range is just that element.
+ *
+ * @param {Array.<Object>} elements List of elements
+ * @param {number} index Index of element to find range for
+ * @return {Object} Object with inclusive `start` and `end` indices
+ */
+export function getGroupRange(elements, index) {
+  const { groupId } = elements[index];
+  let start = index;
+  let end = index;
+  if (!groupId) {
+    return { start, end };
+  }
+  while (start > 0 && elements[start - 1].groupId === groupId) {
+    start--;
+  }
+  while (end < elements.length - 1 && elements[end + 1].groupId === groupId) {
+    end++;
+  }
+  return { start, end };
+}
+
+/**
+ * Adjust an insertion index so that inserting at it doesn't split a group.
+ *
+ * If the index falls inside a group, it will be moved to the end of that
+ * group, or to the start of it if `preferStart` is true.
+ *
+ * @param {Array.<Object>} elements List of elements to insert into
+ * @param {number} index Desired insertion index
+ * @param {boolean} preferStart Whether to snap to the start of a group
+ * @return {number} Insertion index not splitting any group
+ */
+export function snapToGroupBoundary(elements, index, preferStart = false) {
+  const before = elements[index - 1];
+  const after = elements[index];
+  if (!before?.groupId || before.groupId !== after?.groupId) {
+    return index;
+  }
+  const { start, end } = getGroupRange(elements, index);
+  return preferStart ? start : end + 1;
+}
+
+/**
+ * Remove group id from all elements that are the only remaining member of
+ * their group.
+ *
+ * @param {Array.<Object>} elements List of elements
+ * @return {Array.<Object>} List of elements without single-member groups
+ */
+export function ungroupOrphans(elements) {
+  const groupSizes = elements.reduce((sizes, { groupId }) => {
+    if (groupId) {
+      sizes[groupId] = (sizes[groupId] || 0) + 1;
+    }
+    return sizes;
+  }, {});
+  const hasOrphans = Object.values(groupSizes).some((size) => size < 2);
+  if (!hasOrphans) {
+    return elements;
+  }
+  return elements.map((element) =>
+    element.groupId && groupSizes[element.groupId] < 2
+      ? objectWithout(element, ['groupId'])
+      : element
+  );
+}
+
+/**
+ * Get ids of the selected pages in page order.
+ *
+ * If no pages are explicitly selected, the current page is the selection.
+ *
+ * @param {Object} state Current state
+ * @return {Array.<string>} List of selected page ids
+ */
+export function getSelectedPageIds(state) {
+  if (state.pageSelection.length > 0) {
+    return state.pageSelection;
+  }
+  return state.current ? [state.current] : [];
+}
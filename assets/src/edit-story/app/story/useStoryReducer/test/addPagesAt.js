@@ -0,0 +1,99 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('addPagesAt', () => {
+  it('should insert the pages at the given position', () => {
+    const { restore, addPagesAt } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = addPagesAt({
+      pages: [{ id: 'a' }, { id: 'b' }],
+      position: 1,
+    });
+
+    expect(getPageIds(result)).toStrictEqual(['111', 'a', 'b', '222', '333']);
+  });
+
+  it('should insert the pages after the selected pages if no position given', () => {
+    const { restore, addPagesAt } = setupReducer();
+
+    restore({ ...getInitialState(), pageSelection: ['111', '222'] });
+
+    const result = addPagesAt({
+      pages: [{ id: 'a' }, { id: 'b' }],
+      position: null,
+    });
+
+    expect(getPageIds(result)).toStrictEqual(['111', '222', 'a', 'b', '333']);
+  });
+
+  it('should make the new pages current and selected', () => {
+    const { restore, addPagesAt } = setupReducer();
+
+    restore({ ...getInitialState(), selection: ['e1'] });
+
+    const result = addPagesAt({
+      pages: [{ id: 'a' }, { id: 'b' }],
+      position: 3,
+    });
+
+    expect(result.current).toBe('a');
+    expect(result.pageSelection).toStrictEqual(['a', 'b']);
+    expect(result.selection).toStrictEqual([]);
+  });
+
+  it('should ensure new pages have elements and background', () => {
+    const { restore, addPagesAt } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = addPagesAt({ pages: [{ id: 'a' }], position: 0 });
+
+    expect(result.pages[0]).toStrictEqual({
+      id: 'a',
+      elements: [],
+      backgroundElementId: null,
+      backgroundOverlay: 'none',
+    });
+  });
+
+  it('should do nothing if no pages are given', () => {
+    const { restore, addPagesAt } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = addPagesAt({ pages: [], position: 0 });
+
+    expect(result).toBe(initialState);
+  });
+});
+
+function getPageIds({ pages }) {
+  return pages.map(({ id }) => id);
+}
+
+function getInitialState() {
+  return {
+    pages: [{ id: '111' }, { id: '222' }, { id: '333' }],
+    current: '111',
+  };
+}
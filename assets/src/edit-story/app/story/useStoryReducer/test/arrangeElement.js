@@ -223,8 +223,91 @@ describe('arrangeElement', () => {
       ]);
     });
   });
+
+  describe('when there are grouped elements', () => {
+    it('should move the whole group when moving a group member', () => {
+      const { restore, arrangeElement } = setupReducer();
+
+      restore(getGroupedState());
+
+      const result = arrangeElement({
+        elementId: '345',
+        position: LAYER_DIRECTIONS.FRONT,
+      });
+
+      expect(getElementIdsFromCurrentPage(result)).toStrictEqual([
+        '123',
+        '456',
+        '234',
+        '345',
+      ]);
+    });
+
+    it('should step over an entire group when moving forward', () => {
+      const { restore, arrangeElement } = setupReducer();
+
+      restore(getGroupedState());
+
+      const result = arrangeElement({
+        elementId: '123',
+        position: LAYER_DIRECTIONS.FORWARD,
+      });
+
+      expect(getElementIdsFromCurrentPage(result)).toStrictEqual([
+        '234',
+        '345',
+        '123',
+        '456',
+      ]);
+    });
+
+    it('should step over an entire group when moving backward', () => {
+      const { restore, arrangeElement } = setupReducer();
+
+      restore(getGroupedState());
+
+      const result = arrangeElement({
+        elementId: '456',
+        position: LAYER_DIRECTIONS.BACKWARD,
+      });
+
+      expect(getElementIdsFromCurrentPage(result)).toStrictEqual([
+        '123',
+        '456',
+        '234',
+        '345',
+      ]);
+    });
+
+    it('should not split a group when moving to a position inside it', () => {
+      const { restore, arrangeElement } = setupReducer();
+
+      restore(getGroupedState());
+
+      // Position 2 would put the element between the two group members.
+      const result = arrangeElement({ elementId: '123', position: 2 });
+
+      expect(getElementIdsFromCurrentPage(result)).toStrictEqual([
+        '234',
+        '345',
+        '123',
+        '456',
+      ]);
+    });
+  });
 });
 
+function getGroupedState() {
+  return getInitialState({
+    elements: [
+      { id: '123' },
+      { id: '234', groupId: 'g1' },
+      { id: '345', groupId: 'g1' },
+      { id: '456' },
+    ],
+  });
+}
+
 function getElementIdsFromCurrentPage({ pages, current }) {
   return pages.find(({ id }) => id === current).elements.map(({ id }) => id);
 }
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('arrangePagesById', () => {
+  it('should move the pages together to the given position', () => {
+    const { restore, arrangePagesById } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = arrangePagesById({ pageIds: ['111', '333'], position: 2 });
+
+    expect(getPageIds(result)).toStrictEqual(['222', '444', '111', '333']);
+  });
+
+  it('should keep the relative order of the moved pages', () => {
+    const { restore, arrangePagesById } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = arrangePagesById({ pageIds: ['444', '222'], position: 0 });
+
+    expect(getPageIds(result)).toStrictEqual(['222', '444', '111', '333']);
+  });
+
+  it('should keep the position within bounds', () => {
+    const { restore, arrangePagesById } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = arrangePagesById({ pageIds: ['111', '222'], position: 10 });
+
+    expect(getPageIds(result)).toStrictEqual(['333', '444', '111', '222']);
+  });
+
+  it('should do nothing if pages are already at the position', () => {
+    const { restore, arrangePagesById } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = arrangePagesById({ pageIds: ['222', '333'], position: 1 });
+
+    expect(result).toBe(initialState);
+  });
+
+  it('should move the selected pages if no pages are given', () => {
+    const { restore, arrangeSelectedPages } = setupReducer();
+
+    restore({ ...getInitialState(), pageSelection: ['333', '444'] });
+
+    const result = arrangeSelectedPages({ position: 0 });
+
+    expect(getPageIds(result)).toStrictEqual(['333', '444', '111', '222']);
+    expect(result.pageSelection).toStrictEqual(['333', '444']);
+  });
+});
+
+function getPageIds({ pages }) {
+  return pages.map(({ id }) => id);
+}
+
+function getInitialState() {
+  return {
+    pages: [{ id: '111' }, { id: '222' }, { id: '333' }, { id: '444' }],
+    current: '111',
+  };
+}
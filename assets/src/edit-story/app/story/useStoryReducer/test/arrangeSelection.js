@@ -17,6 +17,7 @@
 /**
  * Internal dependencies
  */
+import { LAYER_DIRECTIONS } from '../../../../constants';
 import { OverlayType } from '../../../../utils/backgroundOverlay';
 import { setupReducer } from './_utils';
 
@@ -55,6 +56,28 @@ describe('arrangeSelection', () => {
 
     expect(result).toStrictEqual(initialState);
   });
+
+  it('should arrange a selected group as a whole', () => {
+    const { restore, arrangeSelection } = setupReducer();
+
+    const initialState = getInitialState(['234', '345']);
+    initialState.pages[0].elements = [
+      { id: '123' },
+      { id: '234', groupId: 'g1' },
+      { id: '345', groupId: 'g1' },
+      { id: '456' },
+    ];
+    restore(initialState);
+
+    const result = arrangeSelection({ position: LAYER_DIRECTIONS.BACK });
+
+    expect(getElementIdsFromCurrentPage(result)).toStrictEqual([
+      '234',
+      '345',
+      '123',
+      '456',
+    ]);
+  });
 });
 
 function getElementIdsFromCurrentPage({ pages, current }) {
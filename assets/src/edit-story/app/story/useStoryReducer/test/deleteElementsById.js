@@ -60,6 +60,33 @@ describe('deleteElementsById', () => {
     });
   });
 
+  it('should ungroup the last remaining member of a group', () => {
+    const { restore, deleteElementsById } = setupReducer();
+
+    // Set an initial state with a current page and a group of two elements
+    const initialState = restore({
+      pages: [
+        {
+          id: '111',
+          elements: [
+            { id: '123', groupId: 'g1' },
+            { id: '456', groupId: 'g1' },
+            { id: '789' },
+          ],
+        },
+      ],
+      current: '111',
+      selection: [],
+    });
+
+    const result = deleteElementsById({ elementIds: ['456'] });
+
+    expect(result).toStrictEqual({
+      ...initialState,
+      pages: [{ id: '111', elements: [{ id: '123' }, { id: '789' }] }],
+    });
+  });
+
   it('should do nothing if no elements', () => {
     const { restore, deleteElementsById } = setupReducer();
 
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('deletePagesById', () => {
+  it('should delete the given pages', () => {
+    const { restore, deletePagesById } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = deletePagesById({ pageIds: ['222', '444'] });
+
+    expect(getPageIds(result)).toStrictEqual(['111', '333']);
+    expect(result.current).toBe('111');
+  });
+
+  it('should move current page to the next remaining page', () => {
+    const { restore, deletePagesById } = setupReducer();
+
+    restore({ ...getInitialState(), current: '222' });
+
+    const result = deletePagesById({ pageIds: ['222', '333'] });
+
+    expect(result.current).toBe('444');
+  });
+
+  it('should move current page to the last remaining page if no next page', () => {
+    const { restore, deletePagesById } = setupReducer();
+
+    restore({ ...getInitialState(), current: '333' });
+
+    const result = deletePagesById({ pageIds: ['333', '444'] });
+
+    expect(result.current).toBe('222');
+  });
+
+  it('should clear element and page selection', () => {
+    const { restore, deletePagesById } = setupReducer();
+
+    restore({
+      ...getInitialState(),
+      selection: ['e1'],
+      pageSelection: ['111', '222'],
+    });
+
+    const result = deletePagesById({ pageIds: ['222'] });
+
+    expect(result.selection).toStrictEqual([]);
+    expect(result.pageSelection).toStrictEqual([]);
+  });
+
+  it('should not delete all pages', () => {
+    const { restore, deletePagesById } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = deletePagesById({ pageIds: ['111', '222', '333', '444'] });
+
+    expect(result).toBe(initialState);
+  });
+
+  it('should do nothing if only unknown pages are given', () => {
+    const { restore, deletePagesById } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = deletePagesById({ pageIds: ['000'] });
+
+    expect(result).toBe(initialState);
+  });
+
+  it('should delete the selected pages if no pages are given', () => {
+    const { restore, deleteSelectedPages } = setupReducer();
+
+    restore({ ...getInitialState(), pageSelection: ['111', '333'] });
+
+    const result = deleteSelectedPages();
+
+    expect(getPageIds(result)).toStrictEqual(['222', '444']);
+    expect(result.current).toBe('222');
+  });
+
+  it('should delete the current page if no pages are selected', () => {
+    const { restore, deleteSelectedPages } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = deleteSelectedPages();
+
+    expect(getPageIds(result)).toStrictEqual(['222', '333', '444']);
+  });
+});
+
+function getPageIds({ pages }) {
+  return pages.map(({ id }) => id);
+}
+
+function getInitialState() {
+  return {
+    pages: [{ id: '111' }, { id: '222' }, { id: '333' }, { id: '444' }],
+    current: '111',
+  };
+}
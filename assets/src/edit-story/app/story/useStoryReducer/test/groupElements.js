@@ -0,0 +1,205 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('groupElements', () => {
+  it('should assign the group id to the given elements', () => {
+    const { restore, groupElements } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = groupElements({ elementIds: ['234', '456'], groupId: 'g1' });
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '123' },
+      { id: '345' },
+      { id: '234', groupId: 'g1' },
+      { id: '456', groupId: 'g1' },
+    ]);
+  });
+
+  it('should keep grouped elements together at the top-most member position', () => {
+    const { restore, groupElements } = setupReducer();
+
+    restore(
+      getInitialState({
+        elements: [
+          { id: '123' },
+          { id: '234' },
+          { id: '345' },
+          { id: '456' },
+          { id: '567' },
+        ],
+      })
+    );
+
+    const result = groupElements({ elementIds: ['123', '345'], groupId: 'g1' });
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '234' },
+      { id: '123', groupId: 'g1' },
+      { id: '345', groupId: 'g1' },
+      { id: '456' },
+      { id: '567' },
+    ]);
+  });
+
+  it('should select the group members', () => {
+    const { restore, groupElements } = setupReducer();
+
+    restore(getInitialState({ selection: ['123'] }));
+
+    const result = groupElements({ elementIds: ['345', '234'], groupId: 'g1' });
+
+    expect(result.selection).toStrictEqual(['234', '345']);
+  });
+
+  it('should group the current selection when no elements are given', () => {
+    const { restore, groupSelection } = setupReducer();
+
+    restore(getInitialState({ selection: ['234', '345'] }));
+
+    const result = groupSelection({ groupId: 'g1' });
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '123' },
+      { id: '234', groupId: 'g1' },
+      { id: '345', groupId: 'g1' },
+      { id: '456' },
+    ]);
+  });
+
+  it('should generate a group id if none is given', () => {
+    const { restore, groupSelection } = setupReducer();
+
+    restore(getInitialState({ selection: ['234', '345'] }));
+
+    const result = groupSelection();
+    const [, first, second] = getElementsFromCurrentPage(result);
+
+    expect(first.groupId).toStrictEqual(expect.any(String));
+    expect(second.groupId).toBe(first.groupId);
+  });
+
+  it('should do nothing if less than two elements are given', () => {
+    const { restore, groupElements } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = groupElements({ elementIds: ['234', '000'], groupId: 'g1' });
+
+    expect(result).toStrictEqual(initialState);
+  });
+
+  it('should not include the background element in the group', () => {
+    const { restore, groupElements } = setupReducer();
+
+    const initialState = restore(
+      getInitialState({ backgroundElementId: '123' })
+    );
+
+    const result = groupElements({ elementIds: ['123', '234'], groupId: 'g1' });
+
+    expect(result).toStrictEqual(initialState);
+  });
+
+  it('should do nothing if the elements already form the same group', () => {
+    const { restore, groupElements } = setupReducer();
+
+    const initialState = restore(
+      getInitialState({
+        elements: [
+          { id: '123' },
+          { id: '234', groupId: 'g1' },
+          { id: '345', groupId: 'g1' },
+        ],
+      })
+    );
+
+    const result = groupElements({ elementIds: ['234', '345'], groupId: 'g2' });
+
+    expect(result).toStrictEqual(initialState);
+  });
+
+  it('should ungroup elements left alone in their old group', () => {
+    const { restore, groupElements } = setupReducer();
+
+    restore(
+      getInitialState({
+        elements: [
+          { id: '123', groupId: 'g1' },
+          { id: '234', groupId: 'g1' },
+          { id: '345' },
+        ],
+      })
+    );
+
+    const result = groupElements({ elementIds: ['234', '345'], groupId: 'g2' });
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '123' },
+      { id: '234', groupId: 'g2' },
+      { id: '345', groupId: 'g2' },
+    ]);
+  });
+
+  it('should not split another group when placing the new group', () => {
+    const { restore, groupElements } = setupReducer();
+
+    restore(
+      getInitialState({
+        elements: [
+          { id: '123' },
+          { id: '234', groupId: 'g1' },
+          { id: '345', groupId: 'g1' },
+          { id: '456', groupId: 'g1' },
+        ],
+      })
+    );
+
+    const result = groupElements({ elementIds: ['123', '345'], groupId: 'g2' });
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '234', groupId: 'g1' },
+      { id: '456', groupId: 'g1' },
+      { id: '123', groupId: 'g2' },
+      { id: '345', groupId: 'g2' },
+    ]);
+  });
+});
+
+function getElementsFromCurrentPage({ pages, current }) {
+  return pages.find(({ id }) => id === current).elements;
+}
+
+function getInitialState({ selection = [], ...extraProps } = {}) {
+  return {
+    pages: [
+      {
+        backgroundElementId: null,
+        id: '111',
+        elements: [{ id: '123' }, { id: '234' }, { id: '345' }, { id: '456' }],
+        ...extraProps,
+      },
+    ],
+    current: '111',
+    selection,
+  };
+}
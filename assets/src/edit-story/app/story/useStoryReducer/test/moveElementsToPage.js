@@ -0,0 +1,162 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('moveElementsToPage', () => {
+  it('should move the elements on top of the other page', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = moveElementsToPage({
+      elementIds: ['234', '345'],
+      pageId: '222',
+    });
+
+    expect(result.pages[0].elements).toStrictEqual([
+      { id: '123', isBackground: true },
+    ]);
+    expect(result.pages[1].elements).toStrictEqual([
+      { id: '456', isBackground: true },
+      { id: '234', x: 10, y: 20 },
+      { id: '345', x: 30, y: 40 },
+    ]);
+    expect(result.current).toStrictEqual('111');
+  });
+
+  it('should remove moved elements from the selection', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    restore(getInitialState({ selection: ['234', '345'] }));
+
+    const result = moveElementsToPage({ elementIds: ['234'], pageId: '222' });
+
+    expect(result.selection).toStrictEqual(['345']);
+  });
+
+  it('should copy the elements with new ids', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    restore(getInitialState({ selection: ['234'] }));
+
+    const result = moveElementsToPage({
+      elementIds: ['234'],
+      pageId: '222',
+      copy: true,
+    });
+
+    expect(result.pages[0].elements).toHaveLength(3);
+    const [, copy] = result.pages[1].elements;
+    expect(copy).toStrictEqual({ id: expect.any(String), x: 10, y: 20 });
+    expect(copy.id).not.toStrictEqual('234');
+    expect(result.selection).toStrictEqual(['234']);
+  });
+
+  it('should give copied groups a new group id', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    restore(
+      getInitialState({
+        elements: [
+          { id: '123', isBackground: true },
+          { id: '234', groupId: 'g1' },
+          { id: '345', groupId: 'g1' },
+        ],
+      })
+    );
+
+    const result = moveElementsToPage({
+      elementIds: ['234', '345'],
+      pageId: '222',
+      copy: true,
+    });
+
+    const [, first, second] = result.pages[1].elements;
+    expect(first.groupId).toStrictEqual(first.id);
+    expect(second.groupId).toStrictEqual(first.id);
+  });
+
+  it('should ungroup members left alone by the move', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    restore(
+      getInitialState({
+        elements: [
+          { id: '123', isBackground: true },
+          { id: '234', groupId: 'g1' },
+          { id: '345', groupId: 'g1' },
+        ],
+      })
+    );
+
+    const result = moveElementsToPage({ elementIds: ['234'], pageId: '222' });
+
+    expect(result.pages[0].elements).toStrictEqual([
+      { id: '123', isBackground: true },
+      { id: '345' },
+    ]);
+    expect(result.pages[1].elements[1]).toStrictEqual({ id: '234' });
+  });
+
+  it('should not move the background element', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = moveElementsToPage({ elementIds: ['123'], pageId: '222' });
+
+    expect(result).toStrictEqual(initialState);
+  });
+
+  it('should do nothing when moving to the current or an unknown page', () => {
+    const { restore, moveElementsToPage } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    expect(
+      moveElementsToPage({ elementIds: ['234'], pageId: '111' })
+    ).toStrictEqual(initialState);
+    expect(
+      moveElementsToPage({ elementIds: ['234'], pageId: '999' })
+    ).toStrictEqual(initialState);
+  });
+});
+
+function getInitialState({
+  elements = [
+    { id: '123', isBackground: true },
+    { id: '234', x: 10, y: 20 },
+    { id: '345', x: 30, y: 40 },
+  ],
+  selection = [],
+} = {}) {
+  return {
+    pages: [
+      { id: '111', backgroundElementId: '123', elements },
+      {
+        id: '222',
+        backgroundElementId: '456',
+        elements: [{ id: '456', isBackground: true }],
+      },
+    ],
+    current: '111',
+    selection,
+  };
+}
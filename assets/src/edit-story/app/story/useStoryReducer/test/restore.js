@@ -32,6 +32,7 @@ describe('restore', () => {
     expect(result).toStrictEqual({
       pages,
       selection: [],
+      pageSelection: [],
       current: '123',
       story: {},
       capabilities: {},
@@ -96,6 +97,7 @@ describe('restore', () => {
     expect(result).toStrictEqual({
       pages: [],
       selection: [],
+      pageSelection: [],
       current: null,
       story: {},
       capabilities: {},
@@ -112,6 +114,7 @@ describe('restore', () => {
     expect(result).toStrictEqual({
       pages: [],
       selection: [],
+      pageSelection: [],
       current: null,
       story: {},
       capabilities: {},
@@ -146,6 +149,7 @@ describe('restore', () => {
     expect(result).toStrictEqual({
       pages,
       selection: [],
+      pageSelection: [],
       current: '123',
       story: {},
       capabilities: {},
@@ -0,0 +1,74 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('setSelectedPagesById', () => {
+  it('should select the given pages in page order', () => {
+    const { restore, setSelectedPagesById } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = setSelectedPagesById({ pageIds: ['333', '111'] });
+
+    expect(result.pageSelection).toStrictEqual(['111', '333']);
+  });
+
+  it('should ignore unknown and duplicate page ids', () => {
+    const { restore, setSelectedPagesById } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = setSelectedPagesById({
+      pageIds: ['222', '000', '222'],
+    });
+
+    expect(result.pageSelection).toStrictEqual(['222']);
+  });
+
+  it('should do nothing if the selection is unchanged', () => {
+    const { restore, setSelectedPagesById } = setupReducer();
+
+    const initialState = restore({
+      ...getInitialState(),
+      pageSelection: ['111', '222'],
+    });
+
+    const result = setSelectedPagesById({ pageIds: ['222', '111'] });
+
+    expect(result).toBe(initialState);
+  });
+
+  it('should clear the page selection', () => {
+    const { restore, clearPageSelection } = setupReducer();
+
+    restore({ ...getInitialState(), pageSelection: ['111', '222'] });
+
+    const result = clearPageSelection();
+
+    expect(result.pageSelection).toStrictEqual([]);
+  });
+});
+
+function getInitialState() {
+  return {
+    pages: [{ id: '111' }, { id: '222' }, { id: '333' }],
+    current: '111',
+  };
+}
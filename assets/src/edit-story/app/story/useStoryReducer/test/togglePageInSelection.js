@@ -0,0 +1,80 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('togglePageInSelection', () => {
+  it('should select both the current and the toggled page', () => {
+    const { restore, togglePageInSelection } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = togglePageInSelection({ pageId: '333' });
+
+    expect(result.pageSelection).toStrictEqual(['111', '333']);
+  });
+
+  it('should remove a selected page from the selection', () => {
+    const { restore, togglePageInSelection } = setupReducer();
+
+    restore({ ...getInitialState(), pageSelection: ['111', '222', '333'] });
+
+    const result = togglePageInSelection({ pageId: '222' });
+
+    expect(result.pageSelection).toStrictEqual(['111', '333']);
+  });
+
+  it('should move current page if it is removed from the selection', () => {
+    const { restore, togglePageInSelection } = setupReducer();
+
+    restore({ ...getInitialState(), pageSelection: ['111', '222', '333'] });
+
+    const result = togglePageInSelection({ pageId: '111' });
+
+    expect(result.current).toBe('222');
+    expect(result.pageSelection).toStrictEqual(['222', '333']);
+  });
+
+  it('should not remove the last selected page', () => {
+    const { restore, togglePageInSelection } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = togglePageInSelection({ pageId: '111' });
+
+    expect(result).toBe(initialState);
+  });
+
+  it('should do nothing for an unknown page', () => {
+    const { restore, togglePageInSelection } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = togglePageInSelection({ pageId: '000' });
+
+    expect(result).toBe(initialState);
+  });
+});
+
+function getInitialState() {
+  return {
+    pages: [{ id: '111' }, { id: '222' }, { id: '333' }],
+    current: '111',
+  };
+}
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { setupReducer } from './_utils';
+
+describe('ungroupElements', () => {
+  it('should remove the group id from all group members', () => {
+    const { restore, ungroupElements } = setupReducer();
+
+    restore(getInitialState());
+
+    const result = ungroupElements({ groupId: 'g1' });
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '123' },
+      { id: '234' },
+      { id: '345' },
+      { id: '456', groupId: 'g2' },
+      { id: '567', groupId: 'g2' },
+    ]);
+  });
+
+  it('should ungroup all groups of the current selection', () => {
+    const { restore, ungroupSelection } = setupReducer();
+
+    restore(getInitialState({ selection: ['234', '567'] }));
+
+    const result = ungroupSelection();
+
+    expect(getElementsFromCurrentPage(result)).toStrictEqual([
+      { id: '123' },
+      { id: '234' },
+      { id: '345' },
+      { id: '456' },
+      { id: '567' },
+    ]);
+    expect(result.selection).toStrictEqual(['234', '567']);
+  });
+
+  it('should do nothing if the group does not exist', () => {
+    const { restore, ungroupElements } = setupReducer();
+
+    const initialState = restore(getInitialState());
+
+    const result = ungroupElements({ groupId: 'g3' });
+
+    expect(result).toStrictEqual(initialState);
+  });
+
+  it('should do nothing if no selected element is grouped', () => {
+    const { restore, ungroupSelection } = setupReducer();
+
+    const initialState = restore(getInitialState({ selection: ['123'] }));
+
+    const result = ungroupSelection();
+
+    expect(result).toStrictEqual(initialState);
+  });
+});
+
+function getElementsFromCurrentPage({ pages, current }) {
+  return pages.find(({ id }) => id === current).elements;
+}
+
+function getInitialState({ selection = [] } = {}) {
+  return {
+    pages: [
+      {
+        backgroundElementId: null,
+        id: '111',
+        elements: [
+          { id: '123' },
+          { id: '234', groupId: 'g1' },
+          { id: '345', groupId: 'g1' },
+          { id: '456', groupId: 'g2' },
+          { id: '567', groupId: 'g2' },
+        ],
+      },
+    ],
+    current: '111',
+    selection,
+  };
+}
@@ -19,6 +19,13 @@ export const ADD_PAGE = 'ADD_PAGE';
 export const UPDATE_PAGE = 'UPDATE_PAGE';
 export const DELETE_PAGE = 'DELETE_PAGE';
 export const ARRANGE_PAGE = 'ARRANGE_PAGE';
+export const ADD_PAGES = 'ADD_PAGES';
+export const DELETE_PAGES = 'DELETE_PAGES';
+export const ARRANGE_PAGES = 'ARRANGE_PAGES';
+
+// Manipulate list of selected pages.
+export const SET_SELECTED_PAGES = 'SET_SELECTED_PAGES';
+export const TOGGLE_PAGE_IN_SELECTION = 'TOGGLE_PAGE_IN_SELECTION';
 
 // Manipulate elements on a page.
 export const DELETE_ELEMENTS = 'DELETE_ELEMENTS';
@@ -28,6 +35,9 @@ export const UPDATE_VIDEO_ELEMENTS_BY_VIDEO_ID =
   'UPDATE_VIDEO_ELEMENTS_BY_VIDEO_ID';
 export const SET_BACKGROUND_ELEMENT = 'SET_BACKGROUND_ELEMENT';
 export const ARRANGE_ELEMENT = 'ARRANGE_ELEMENT';
+export const GROUP_ELEMENTS = 'GROUP_ELEMENTS';
+export const UNGROUP_ELEMENTS = 'UNGROUP_ELEMENTS';
+export const MOVE_ELEMENTS_TO_PAGE = 'MOVE_ELEMENTS_TO_PAGE';
 
 // Manipulate current page.
 export const SET_CURRENT_PAGE = 'SET_CURRENT_PAGE';
@@ -29,6 +29,7 @@ const INITIAL_STATE = {
   pages: [],
   current: null,
   selection: [],
+  pageSelection: [],
   story: {},
   capabilities: {},
 };
@@ -45,6 +46,8 @@ const INITIAL_STATE = {
  * - A page can only have non-duplicated element ids, however two different pages can have the same element id.
  * - If a page has non-empty background element, it will be the id of the first element in the elements array.
  * - If selection has multiple elements, it can never include the background element.
+ * - Page selection is always a unique array of existing page ids, in page order.
+ * - An empty page selection means that only the current page is selected.
  *
  * Invariants *not* kept by the system:
  * - New pages and objects aren't checked for id's and id's aren't validated for type.
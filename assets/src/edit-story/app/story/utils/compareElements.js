@@ -0,0 +1,51 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export const ELEMENT_ADDED = 'added';
+export const ELEMENT_REMOVED = 'removed';
+export const ELEMENT_CHANGED = 'changed';
+
+/**
+ * Compare the elements of two versions of a page.
+ *
+ * @param {Array} elements Original elements.
+ * @param {Array} otherElements Other version of the elements.
+ * @return {Object<string, string>} Status of each element that differs, by id.
+ */
+function compareElements(elements, otherElements) {
+  const elementsById = new Map(
+    elements.map((element) => [element.id, element])
+  );
+  const otherIds = new Set(otherElements.map(({ id }) => id));
+
+  const changes = {};
+  otherElements.forEach((element) => {
+    const originalElement = elementsById.get(element.id);
+    if (!originalElement) {
+      changes[element.id] = ELEMENT_ADDED;
+    } else if (JSON.stringify(originalElement) !== JSON.stringify(element)) {
+      changes[element.id] = ELEMENT_CHANGED;
+    }
+  });
+  elements.forEach(({ id }) => {
+    if (!otherIds.has(id)) {
+      changes[id] = ELEMENT_REMOVED;
+    }
+  });
+  return changes;
+}
+
+export default compareElements;
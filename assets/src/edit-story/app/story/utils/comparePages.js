@@ -0,0 +1,66 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export const PAGE_ADDED = 'added';
+export const PAGE_REMOVED = 'removed';
+export const PAGE_CHANGED = 'changed';
+export const PAGE_MOVED = 'moved';
+
+/**
+ * Compare two versions of the pages of a story, such as the saved pages and
+ * those of a local draft.
+ *
+ * @param {Array} pages Original pages.
+ * @param {Array} otherPages Other version of the pages.
+ * @return {Array<Object>} Pages that differ, with `pageNumber` as in the
+ * other version (or in the original if removed) and `status`.
+ */
+function comparePages(pages, otherPages) {
+  const pagesById = new Map(pages.map((page) => [page.id, page]));
+  const otherIds = new Set(otherPages.map(({ id }) => id));
+  // Only compare the order of pages that weren't added or removed.
+  const originalOrder = pages
+    .map(({ id }) => id)
+    .filter((id) => otherIds.has(id));
+  const otherOrder = otherPages
+    .map(({ id }) => id)
+    .filter((id) => pagesById.has(id));
+
+  const changes = otherPages
+    .map((page, index) => {
+      const originalPage = pagesById.get(page.id);
+      if (!originalPage) {
+        return { id: page.id, pageNumber: index + 1, status: PAGE_ADDED };
+      }
+      if (JSON.stringify(originalPage) !== JSON.stringify(page)) {
+        return { id: page.id, pageNumber: index + 1, status: PAGE_CHANGED };
+      }
+      if (originalOrder.indexOf(page.id) !== otherOrder.indexOf(page.id)) {
+        return { id: page.id, pageNumber: index + 1, status: PAGE_MOVED };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  pages.forEach(({ id }, index) => {
+    if (!otherIds.has(id)) {
+      changes.push({ id, pageNumber: index + 1, status: PAGE_REMOVED });
+    }
+  });
+  return changes;
+}
+
+export default comparePages;
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export const SAVE_IDLE = 'idle';
+export const SAVE_SAVING = 'saving';
+export const SAVE_RETRYING = 'retrying';
+export const SAVE_OFFLINE = 'offline';
+export const SAVE_FAILED = 'failed';
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+const MAX_RETRIES = 6;
+
+/**
+ * Check whether a failed request is worth retrying.
+ *
+ * `apiFetch` rejects with `fetch_error` if the request didn't get through at
+ * all, and with `invalid_json` if a proxy or the server answered with an
+ * error page instead.
+ *
+ * @param {Object} error Error the request was rejected with.
+ * @return {boolean} Whether the error is transient.
+ */
+export function isTransientError(error) {
+  if (['fetch_error', 'invalid_json'].includes(error?.code)) {
+    return true;
+  }
+  const status = error?.data?.status;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Create a queue that runs saves one at a time.
+ *
+ * Saves queued while another one runs are collapsed into one with the latest
+ * request, keeping the properties of all of them. Transient failures are
+ * retried with exponential backoff, and saving pauses while the browser is
+ * offline.
+ *
+ * @param {Object} options Options.
+ * @param {Function} options.save Function to save a request, returning a promise.
+ * @param {Function} options.onStatusChange Called with the new status of the queue.
+ * @return {Object} Queue with `enqueue`, `retry` and `destroy` functions.
+ */
+function createSaveQueue({ save, onStatusChange }) {
+  let pending = null;
+  let isRunning = false;
+  let attempt = 0;
+  let retryTimeout = null;
+  let status = SAVE_IDLE;
+
+  const setStatus = (newStatus) => {
+    if (newStatus !== status) {
+      status = newStatus;
+      onStatusChange(newStatus);
+    }
+  };
+
+  // Later requests win, but keep properties such as a new status.
+  const collapse = (request, newRequest) =>
+    newRequest
+      ? { ...newRequest, props: { ...request.props, ...newRequest.props } }
+      : request;
+
+  const run = () => {
+    if (isRunning || !pending || retryTimeout) {
+      return;
+    }
+    if (!window.navigator.onLine) {
+      setStatus(SAVE_OFFLINE);
+      return;
+    }
+
+    const request = pending;
+    pending = null;
+    isRunning = true;
+    setStatus(SAVE_SAVING);
+    save(request).then(
+      () => {
+        isRunning = false;
+        attempt = 0;
+        setStatus(SAVE_IDLE);
+        run();
+      },
+      (error) => {
+        isRunning = false;
+        pending = collapse(request, pending);
+        if (!isTransientError(error) || attempt >= MAX_RETRIES) {
+          attempt = 0;
+          setStatus(SAVE_FAILED);
+          return;
+        }
+        if (!window.navigator.onLine) {
+          setStatus(SAVE_OFFLINE);
+          return;
+        }
+        const delay = Math.min(
+          RETRY_BASE_DELAY * 2 ** attempt,
+          RETRY_MAX_DELAY
+        );
+        attempt++;
+        setStatus(SAVE_RETRYING);
+        retryTimeout = setTimeout(() => {
+          retryTimeout = null;
+          run();
+        }, delay);
+      }
+    );
+  };
+
+  const handleOnline = () => run();
+  window.addEventListener('online', handleOnline);
+
+  return {
+    enqueue(request) {
+      pending = collapse(pending || request, request);
+      // A failed save isn't retried until asked to, but a new one is tried.
+      if (status === SAVE_FAILED) {
+        setStatus(SAVE_IDLE);
+      }
+      run();
+    },
+    retry() {
+      clearTimeout(retryTimeout);
+      retryTimeout = null;
+      attempt = 0;
+      run();
+    },
+    destroy() {
+      clearTimeout(retryTimeout);
+      window.removeEventListener('online', handleOnline);
+    },
+  };
+}
+
+export default createSaveQueue;
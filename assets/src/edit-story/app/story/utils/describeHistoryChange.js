@@ -0,0 +1,309 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/*
+ * Labels for changed elements, by the properties that changed. The first
+ * entry that covers all changed properties is used.
+ */
+const ELEMENT_CHANGES = [
+  {
+    keys: ['x', 'y'],
+    getLabel: (count) =>
+      sprintf(
+        /* translators: %d: number of elements */
+        _n('Moved %d element', 'Moved %d elements', count, 'web-stories'),
+        count
+      ),
+  },
+  {
+    keys: ['x', 'y', 'width', 'height'],
+    getLabel: (count) =>
+      sprintf(
+        /* translators: %d: number of elements */
+        _n('Resized %d element', 'Resized %d elements', count, 'web-stories'),
+        count
+      ),
+  },
+  {
+    keys: ['rotationAngle'],
+    getLabel: (count) =>
+      sprintf(
+        /* translators: %d: number of elements */
+        _n('Rotated %d element', 'Rotated %d elements', count, 'web-stories'),
+        count
+      ),
+  },
+  {
+    keys: ['content'],
+    getLabel: () => __('Edited text', 'web-stories'),
+  },
+  {
+    keys: [
+      'fontFamily',
+      'fontFallback',
+      'fontSize',
+      'fontStyle',
+      'fontWeight',
+      'content',
+    ],
+    getLabel: () => __('Changed font', 'web-stories'),
+  },
+  {
+    keys: ['color', 'backgroundColor', 'backgroundTextMode'],
+    getLabel: () => __('Changed color', 'web-stories'),
+  },
+];
+
+function getChangedKeys(oldElement, newElement) {
+  const keys = new Set([
+    ...Object.keys(oldElement),
+    ...Object.keys(newElement),
+  ]);
+  return [...keys].filter((key) => oldElement[key] !== newElement[key]);
+}
+
+function getIndexesById(list) {
+  return new Map(list.map(({ id }, index) => [id, index]));
+}
+
+function getPageNumbers(indexes) {
+  return indexes.map((index) => index + 1);
+}
+
+function describePageChanges(oldPages, newPages) {
+  const oldIndexes = getIndexesById(oldPages);
+  const addedIds = new Set();
+  const deletedIds = new Set();
+  const changes = {
+    pages: [],
+    added: 0,
+    deleted: 0,
+    moved: 0,
+    changed: 0,
+    changedKeys: new Set(),
+    isBackgroundChanged: false,
+    isOrderChanged: false,
+  };
+
+  newPages.forEach((page, pageIndex) => {
+    const oldPage = oldPages[oldIndexes.get(page.id)];
+    if (page === oldPage) {
+      return;
+    }
+    changes.pages.push(pageIndex);
+
+    const oldElementIndexes = getIndexesById(oldPage.elements);
+    const newElementIndexes = getIndexesById(page.elements);
+    const keptIds = page.elements
+      .map(({ id }) => id)
+      .filter((id) => oldElementIndexes.has(id));
+    const oldKeptIds = oldPage.elements
+      .map(({ id }) => id)
+      .filter((id) => newElementIndexes.has(id));
+
+    changes.added += page.elements.length - keptIds.length;
+    changes.deleted += oldPage.elements.length - keptIds.length;
+    page.elements
+      .filter(({ id }) => !oldElementIndexes.has(id))
+      .forEach(({ id }) => addedIds.add(id));
+    oldPage.elements
+      .filter(({ id }) => !newElementIndexes.has(id))
+      .forEach(({ id }) => deletedIds.add(id));
+    changes.isBackgroundChanged =
+      changes.isBackgroundChanged ||
+      page.backgroundElementId !== oldPage.backgroundElementId;
+    changes.isOrderChanged =
+      changes.isOrderChanged ||
+      keptIds.some((id, index) => oldKeptIds[index] !== id);
+
+    page.elements.forEach((element) => {
+      const oldElement = oldPage.elements[oldElementIndexes.get(element.id)];
+      if (!oldElement || oldElement === element) {
+        return;
+      }
+      changes.changed++;
+      getChangedKeys(oldElement, element).forEach((key) =>
+        changes.changedKeys.add(key)
+      );
+    });
+  });
+
+  // Elements deleted from one page and added to another have been moved.
+  changes.moved = [...addedIds].filter((id) => deletedIds.has(id)).length;
+
+  return changes;
+}
+
+function getElementChangesLabel({
+  added,
+  deleted,
+  moved,
+  changed,
+  changedKeys,
+  isBackgroundChanged,
+  isOrderChanged,
+}) {
+  if (moved > 0) {
+    return sprintf(
+      /* translators: %d: number of elements */
+      _n(
+        'Moved %d element to another page',
+        'Moved %d elements to another page',
+        moved,
+        'web-stories'
+      ),
+      moved
+    );
+  }
+  if (added > 0) {
+    return sprintf(
+      /* translators: %d: number of elements */
+      _n('Added %d element', 'Added %d elements', added, 'web-stories'),
+      added
+    );
+  }
+  if (deleted > 0) {
+    return sprintf(
+      /* translators: %d: number of elements */
+      _n('Deleted %d element', 'Deleted %d elements', deleted, 'web-stories'),
+      deleted
+    );
+  }
+  if (isBackgroundChanged) {
+    return __('Changed page background', 'web-stories');
+  }
+  if (changed > 0) {
+    const match = ELEMENT_CHANGES.find(({ keys }) =>
+      [...changedKeys].every((key) => keys.includes(key))
+    );
+    return match
+      ? match.getLabel(changed)
+      : sprintf(
+          /* translators: %d: number of elements */
+          _n(
+            'Changed %d element',
+            'Changed %d elements',
+            changed,
+            'web-stories'
+          ),
+          changed
+        );
+  }
+  if (isOrderChanged) {
+    return __('Changed layer order', 'web-stories');
+  }
+  return __('Changed page', 'web-stories');
+}
+
+/**
+ * Describe the change between two consecutive history entries.
+ *
+ * The label is derived from what actually changed in the story, so it works
+ * for any action that updates the story state.
+ *
+ * @param {?Object} prev Previous entry, with `pages` and `story`.
+ * @param {Object} next New entry, with `pages` and `story`.
+ * @return {{label: string, pages: Array<number>}} Label for the change and the
+ * numbers of the pages it touched.
+ */
+function describeHistoryChange(prev, next) {
+  if (!prev || prev.pages.length === 0) {
+    return { label: __('Opened story', 'web-stories'), pages: [] };
+  }
+
+  const { pages: oldPages } = prev;
+  const { pages: newPages } = next;
+  if (oldPages === newPages) {
+    return { label: __('Changed story details', 'web-stories'), pages: [] };
+  }
+
+  const oldIndexes = getIndexesById(oldPages);
+  const addedPages = newPages
+    .map(({ id }, index) => (oldIndexes.has(id) ? null : index))
+    .filter((index) => index !== null);
+  if (addedPages.length > 0) {
+    return {
+      label:
+        addedPages.length === 1
+          ? sprintf(
+              /* translators: %d: page number */
+              __('Added page %d', 'web-stories'),
+              addedPages[0] + 1
+            )
+          : sprintf(
+              /* translators: %d: number of pages */
+              _n(
+                'Added %d page',
+                'Added %d pages',
+                addedPages.length,
+                'web-stories'
+              ),
+              addedPages.length
+            ),
+      pages: getPageNumbers(addedPages),
+    };
+  }
+
+  const newIndexes = getIndexesById(newPages);
+  const deletedPages = oldPages
+    .map(({ id }, index) => (newIndexes.has(id) ? null : index))
+    .filter((index) => index !== null);
+  if (deletedPages.length > 0) {
+    return {
+      label:
+        deletedPages.length === 1
+          ? sprintf(
+              /* translators: %d: page number */
+              __('Deleted page %d', 'web-stories'),
+              deletedPages[0] + 1
+            )
+          : sprintf(
+              /* translators: %d: number of pages */
+              _n(
+                'Deleted %d page',
+                'Deleted %d pages',
+                deletedPages.length,
+                'web-stories'
+              ),
+              deletedPages.length
+            ),
+      pages: getPageNumbers(deletedPages),
+    };
+  }
+
+  const movedPages = newPages
+    .map(({ id }, index) => (oldIndexes.get(id) === index ? null : index))
+    .filter((index) => index !== null);
+  if (movedPages.length > 0) {
+    return {
+      label: __('Reordered pages', 'web-stories'),
+      pages: getPageNumbers(movedPages),
+    };
+  }
+
+  const changes = describePageChanges(oldPages, newPages);
+  return {
+    label: getElementChangesLabel(changes),
+    pages: getPageNumbers(changes.pages),
+  };
+}
+
+export default describeHistoryChange;
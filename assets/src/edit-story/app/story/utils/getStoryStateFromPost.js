@@ -0,0 +1,133 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { createPage } from '../../../elements';
+import { migrate } from '../../../migration';
+import validateStoryData from '../../../utils/validateStoryData';
+
+/**
+ * Get the permission by checking for fields in the REST API.
+ *
+ * @param {Object} post Current post object.
+ * @param {Object} post._links Embed links
+ * @param {string} field Requested field.
+ * @return {boolean} If user has capability, defaults to false.
+ */
+const getPerm = (post, field) => {
+  return Boolean(post?._links?.[field]);
+};
+
+/**
+ * Get the editor state of a story from its post object in the REST API.
+ *
+ * @param {number} storyId Story post id.
+ * @param {Object} post Story post object.
+ * @return {{state: Object, issues: Array<Object>}} State to `restore`, and
+ * issues found when validating the story data.
+ */
+function getStoryStateFromPost(storyId, post) {
+  const {
+    title: { raw: title },
+    status,
+    author,
+    slug,
+    date,
+    modified,
+    excerpt: { raw: excerpt },
+    link,
+    story_data: storyDataRaw,
+    featured_media: featuredMedia,
+    featured_media_url: featuredMediaUrl,
+    publisher_logo_url: publisherLogoUrl,
+    permalink_template: permalinkTemplate,
+    style_presets: stylePresets,
+    password,
+  } = post;
+
+  const [prefix, suffix] = permalinkTemplate.split(/%(?:postname|pagename)%/);
+  // If either of these is undefined, the placeholder was not found in settings.
+  const foundSettings = prefix !== undefined && suffix !== undefined;
+  const permalinkConfig = foundSettings
+    ? {
+        prefix,
+        suffix,
+      }
+    : null;
+  const statusFormat = status === 'auto-draft' ? 'draft' : status;
+
+  // Validate and repair the migrated data, so broken content can't
+  // crash the editor. Content that can't be repaired is kept aside
+  // in the quarantine and saved with the story.
+  const { storyData, issues, quarantine } = validateStoryData(
+    storyDataRaw && migrate(storyDataRaw, storyDataRaw.version || 0)
+  );
+
+  // If there are no pages, create empty page.
+  const pages = storyData?.pages?.length > 0 ? storyData.pages : [createPage()];
+
+  // Initialize color presets, if missing.
+  if (!stylePresets.fillColors) {
+    stylePresets.fillColors = [];
+  }
+  if (!stylePresets.textColors) {
+    stylePresets.textColors = [];
+  }
+
+  // Set story-global variables.
+  const story = {
+    storyId,
+    title,
+    status: statusFormat,
+    author,
+    date,
+    modified,
+    excerpt,
+    slug,
+    link,
+    featuredMedia,
+    featuredMediaUrl,
+    permalinkConfig,
+    publisherLogoUrl,
+    password,
+    stylePresets,
+    autoAdvance: storyData?.autoAdvance,
+    defaultPageDuration: storyData?.defaultPageDuration,
+    guides: storyData?.guides,
+    backgroundAudio: storyData?.backgroundAudio,
+    quarantine: [...(storyData?.quarantine || []), ...quarantine],
+  };
+
+  const hasPublishAction = getPerm(post, 'wp:action-publish');
+  const hasAssignAuthorAction = getPerm(post, 'wp:action-assign-author');
+
+  const capabilities = { hasPublishAction, hasAssignAuthorAction };
+
+  return {
+    state: {
+      pages,
+      story,
+      selection: [],
+      current: null, // will be set to first page by `restore`
+      capabilities,
+    },
+    issues,
+  };
+}
+
+export default getStoryStateFromPost;
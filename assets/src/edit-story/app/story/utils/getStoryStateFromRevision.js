@@ -0,0 +1,56 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { migrate } from '../../../migration';
+import validateStoryData from '../../../utils/validateStoryData';
+
+/**
+ * Get the parts of the editor state kept in a revision of a story.
+ *
+ * Revisions saved before story data was kept in them have no pages.
+ *
+ * @param {Object} revision Revision object in the REST API.
+ * @return {{story: Object, pages: Array}} Story properties and pages of the
+ * revision.
+ */
+function getStoryStateFromRevision(revision) {
+  const {
+    title: { raw: title },
+    excerpt: { raw: excerpt },
+    story_data: storyDataRaw,
+  } = revision;
+
+  const { storyData } = validateStoryData(
+    storyDataRaw && migrate(storyDataRaw, storyDataRaw.version || 0)
+  );
+
+  return {
+    story: {
+      title,
+      excerpt,
+      autoAdvance: storyData?.autoAdvance,
+      defaultPageDuration: storyData?.defaultPageDuration,
+      guides: storyData?.guides,
+      backgroundAudio: storyData?.backgroundAudio,
+    },
+    pages: storyData?.pages || [],
+  };
+}
+
+export default getStoryStateFromRevision;
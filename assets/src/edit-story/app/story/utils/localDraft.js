@@ -0,0 +1,141 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import objectPick from '../../../utils/objectPick';
+import validateStoryData from '../../../utils/validateStoryData';
+import { DATA_VERSION, migrate } from '../../../migration';
+
+const STORAGE_PREFIX = 'web_stories_draft_';
+
+// Story properties the user can edit, and which a draft can thus restore.
+// The password is left out, as it must never end up in the browser storage.
+export const DRAFT_STORY_PROPS = [
+  'title',
+  'excerpt',
+  'slug',
+  'featuredMedia',
+  'featuredMediaUrl',
+  'stylePresets',
+  'autoAdvance',
+  'defaultPageDuration',
+  'guides',
+  'backgroundAudio',
+];
+
+function getStorageKey(storyId) {
+  return `${STORAGE_PREFIX}${storyId}`;
+}
+
+/**
+ * Store a local draft of a story in the browser storage.
+ *
+ * Storage can be full or unavailable, in which case nothing is stored.
+ *
+ * @param {number} storyId Story post id.
+ * @param {Object} story Story-global properties.
+ * @param {Array} pages Array of all pages.
+ * @return {boolean} Whether the draft was stored.
+ */
+export function saveLocalDraft(storyId, story, pages) {
+  const draft = {
+    version: DATA_VERSION,
+    modified: story.modified,
+    savedAt: Date.now(),
+    story: objectPick(story, DRAFT_STORY_PROPS),
+    pages,
+  };
+  try {
+    window.localStorage.setItem(getStorageKey(storyId), JSON.stringify(draft));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the local draft of a story, migrated to the current data version
+ * and validated like the saved story.
+ *
+ * @param {number} storyId Story post id.
+ * @return {?Object} Draft, or null if there is none or it can't be read.
+ */
+export function getLocalDraft(storyId) {
+  try {
+    const draft = JSON.parse(
+      window.localStorage.getItem(getStorageKey(storyId))
+    );
+    if (!draft || !Array.isArray(draft.pages)) {
+      return null;
+    }
+    const { storyData } = validateStoryData(
+      migrate({ pages: draft.pages }, draft.version || 0)
+    );
+    if (storyData.pages.length === 0) {
+      return null;
+    }
+    return { ...draft, pages: storyData.pages };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remove the local draft of a story.
+ *
+ * @param {number} storyId Story post id.
+ */
+export function deleteLocalDraft(storyId) {
+  try {
+    window.localStorage.removeItem(getStorageKey(storyId));
+  } catch (e) {
+    // Nothing to remove if storage is unavailable.
+  }
+}
+
+/**
+ * Check whether a draft has changes that are newer than the saved story.
+ *
+ * A draft based on the saved version of the story is always newer. Otherwise
+ * the story has been saved since, so compare the time of both.
+ *
+ * @param {Object} draft Local draft.
+ * @param {string} modified Modification date of the saved story.
+ * @param {string} modifiedGmt Modification date of the saved story in GMT.
+ * @return {boolean} Whether the draft is newer.
+ */
+export function isLocalDraftNewer(draft, modified, modifiedGmt) {
+  if (draft.modified === modified) {
+    return true;
+  }
+  return draft.savedAt > Date.parse(`${modifiedGmt}Z`);
+}
+
+/**
+ * Check whether a draft changes any story-global properties.
+ *
+ * @param {Object} story Saved story-global properties.
+ * @param {Object} draft Local draft.
+ * @return {boolean} Whether the draft changes the story.
+ */
+export function isLocalDraftStoryChanged(story, draft) {
+  return DRAFT_STORY_PROPS.some(
+    (prop) =>
+      JSON.stringify(story[prop]) !== JSON.stringify(draft.story?.[prop])
+  );
+}
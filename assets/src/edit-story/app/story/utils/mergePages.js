@@ -0,0 +1,50 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Merge two versions of the pages of a story page by page.
+ *
+ * The result keeps the order of `pages`, with pages only in `theirPages`
+ * inserted after the page preceding them there.
+ *
+ * @param {Array} pages Own pages.
+ * @param {Array} theirPages Other version of the pages.
+ * @param {Array<string>} theirPageIds Ids of pages to use the other version
+ * of. If a page is missing in that version, it's removed.
+ * @return {Array} Merged pages.
+ */
+function mergePages(pages, theirPages, theirPageIds) {
+  const pagesById = new Map(pages.map((page) => [page.id, page]));
+  const theirPagesById = new Map(theirPages.map((page) => [page.id, page]));
+
+  const ids = pages.map(({ id }) => id);
+  theirPages.forEach(({ id }, index) => {
+    if (pagesById.has(id)) {
+      return;
+    }
+    const previousIndex =
+      index > 0 ? ids.indexOf(theirPages[index - 1].id) : -1;
+    ids.splice(previousIndex + 1, 0, id);
+  });
+
+  return ids
+    .map((id) =>
+      theirPageIds.includes(id) ? theirPagesById.get(id) : pagesById.get(id)
+    )
+    .filter(Boolean);
+}
+
+export default mergePages;
@@ -0,0 +1,51 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import compareElements, {
+  ELEMENT_ADDED,
+  ELEMENT_REMOVED,
+  ELEMENT_CHANGED,
+} from '../compareElements';
+
+describe('compareElements', () => {
+  it('should list added, removed and changed elements by id', () => {
+    const elements = [
+      { id: 'e1', x: 0 },
+      { id: 'e2', x: 0 },
+      { id: 'e3', x: 0 },
+    ];
+    const otherElements = [
+      { id: 'e1', x: 0 },
+      { id: 'e2', x: 10 },
+      { id: 'e4', x: 0 },
+    ];
+
+    expect(compareElements(elements, otherElements)).toStrictEqual({
+      e2: ELEMENT_CHANGED,
+      e3: ELEMENT_REMOVED,
+      e4: ELEMENT_ADDED,
+    });
+  });
+
+  it('should list no changes for the same elements', () => {
+    const elements = [{ id: 'e1' }, { id: 'e2' }];
+
+    expect(compareElements(elements, [...elements])).toStrictEqual({});
+  });
+});
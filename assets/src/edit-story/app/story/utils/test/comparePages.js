@@ -0,0 +1,55 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import comparePages, {
+  PAGE_ADDED,
+  PAGE_REMOVED,
+  PAGE_CHANGED,
+  PAGE_MOVED,
+} from '../comparePages';
+
+function getPage(id, elements = []) {
+  return { id, elements };
+}
+
+describe('comparePages', () => {
+  it('should list added, removed, changed and moved pages', () => {
+    const pages = [getPage('p1'), getPage('p2'), getPage('p3'), getPage('p4')];
+    const otherPages = [
+      getPage('p1', [{ id: 'e1' }]),
+      getPage('p3'),
+      getPage('p2'),
+      getPage('p5'),
+    ];
+
+    expect(comparePages(pages, otherPages)).toStrictEqual([
+      { id: 'p1', pageNumber: 1, status: PAGE_CHANGED },
+      { id: 'p3', pageNumber: 2, status: PAGE_MOVED },
+      { id: 'p2', pageNumber: 3, status: PAGE_MOVED },
+      { id: 'p5', pageNumber: 4, status: PAGE_ADDED },
+      { id: 'p4', pageNumber: 4, status: PAGE_REMOVED },
+    ]);
+  });
+
+  it('should list no changes for the same pages', () => {
+    const pages = [getPage('p1'), getPage('p2')];
+
+    expect(comparePages(pages, [...pages])).toStrictEqual([]);
+  });
+});
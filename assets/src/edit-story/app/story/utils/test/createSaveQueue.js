@@ -0,0 +1,162 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import createSaveQueue, {
+  isTransientError,
+  SAVE_IDLE,
+  SAVE_SAVING,
+  SAVE_RETRYING,
+  SAVE_OFFLINE,
+  SAVE_FAILED,
+} from '../createSaveQueue';
+
+const NETWORK_ERROR = { code: 'fetch_error' };
+const SERVER_ERROR = { code: 'internal_error', data: { status: 500 } };
+const FORBIDDEN_ERROR = { code: 'rest_forbidden', data: { status: 403 } };
+
+// Let promise callbacks run, with the real `setImmediate` as timers are faked.
+const flushPromises = () =>
+  new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+function setupQueue(results = []) {
+  const save = jest.fn(() => {
+    const error = results.shift();
+    return error ? Promise.reject(error) : Promise.resolve();
+  });
+  const onStatusChange = jest.fn();
+  const queue = createSaveQueue({ save, onStatusChange });
+  return { queue, save, onStatusChange };
+}
+
+describe('isTransientError', () => {
+  it('should treat network and server errors as transient', () => {
+    expect(isTransientError(NETWORK_ERROR)).toBe(true);
+    expect(isTransientError(SERVER_ERROR)).toBe(true);
+    expect(isTransientError({ data: { status: 429 } })).toBe(true);
+    expect(isTransientError(FORBIDDEN_ERROR)).toBe(false);
+    expect(isTransientError(undefined)).toBe(false);
+  });
+});
+
+describe('createSaveQueue', () => {
+  let onLine;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onLine = true;
+    jest
+      .spyOn(window.navigator, 'onLine', 'get')
+      .mockImplementation(() => onLine);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should save requests', async () => {
+    const { queue, save, onStatusChange } = setupQueue();
+
+    queue.enqueue({ pages: [1], props: {} });
+    await flushPromises();
+
+    expect(save).toHaveBeenCalledWith({ pages: [1], props: {} });
+    expect(onStatusChange).toHaveBeenCalledTimes(2);
+    expect(onStatusChange).toHaveBeenNthCalledWith(1, SAVE_SAVING);
+    expect(onStatusChange).toHaveBeenNthCalledWith(2, SAVE_IDLE);
+    queue.destroy();
+  });
+
+  it('should collapse requests queued while saving', async () => {
+    const { queue, save } = setupQueue();
+
+    queue.enqueue({ pages: [1], props: {} });
+    queue.enqueue({ pages: [2], props: { status: 'publish' } });
+    queue.enqueue({ pages: [3], props: {} });
+    await flushPromises();
+    await flushPromises();
+
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(save).toHaveBeenLastCalledWith({
+      pages: [3],
+      props: { status: 'publish' },
+    });
+    queue.destroy();
+  });
+
+  it('should retry transient failures with backoff', async () => {
+    const { queue, save, onStatusChange } = setupQueue([
+      NETWORK_ERROR,
+      SERVER_ERROR,
+    ]);
+
+    queue.enqueue({ pages: [1], props: {} });
+    await flushPromises();
+
+    expect(onStatusChange).toHaveBeenLastCalledWith(SAVE_RETRYING);
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(save).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1000);
+
+    expect(save).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(save).toHaveBeenCalledTimes(3);
+    expect(onStatusChange).toHaveBeenLastCalledWith(SAVE_IDLE);
+    queue.destroy();
+  });
+
+  it('should fail on other errors until retried', async () => {
+    const { queue, save, onStatusChange } = setupQueue([FORBIDDEN_ERROR]);
+
+    queue.enqueue({ pages: [1], props: {} });
+    await flushPromises();
+
+    expect(onStatusChange).toHaveBeenLastCalledWith(SAVE_FAILED);
+    jest.runAllTimers();
+
+    expect(save).toHaveBeenCalledTimes(1);
+    queue.retry();
+    await flushPromises();
+
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(onStatusChange).toHaveBeenLastCalledWith(SAVE_IDLE);
+    queue.destroy();
+  });
+
+  it('should wait while offline', async () => {
+    const { queue, save, onStatusChange } = setupQueue();
+    onLine = false;
+
+    queue.enqueue({ pages: [1], props: {} });
+
+    expect(save).not.toHaveBeenCalled();
+    expect(onStatusChange).toHaveBeenLastCalledWith(SAVE_OFFLINE);
+    onLine = true;
+    window.dispatchEvent(new window.Event('online'));
+    await flushPromises();
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(onStatusChange).toHaveBeenLastCalledWith(SAVE_IDLE);
+    queue.destroy();
+  });
+});
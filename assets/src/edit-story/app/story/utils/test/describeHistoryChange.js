@@ -0,0 +1,139 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import describeHistoryChange from '../describeHistoryChange';
+
+const TEXT = { id: 't1', type: 'text', x: 10, y: 10, content: 'Hello' };
+const SHAPE = { id: 's1', type: 'shape', x: 50, y: 50 };
+
+function getEntry(pages) {
+  return { story: {}, pages };
+}
+
+describe('describeHistoryChange', () => {
+  const page1 = { id: 'p1', elements: [TEXT, SHAPE] };
+  const page2 = { id: 'p2', elements: [] };
+  const prev = getEntry([page1, page2]);
+
+  it('should describe the first entry as opening the story', () => {
+    expect(describeHistoryChange(null, prev)).toStrictEqual({
+      label: 'Opened story',
+      pages: [],
+    });
+  });
+
+  it('should describe story changes', () => {
+    const next = { ...prev, story: { title: 'New' } };
+
+    expect(describeHistoryChange(prev, next).label).toBe(
+      'Changed story details'
+    );
+  });
+
+  it('should describe added and deleted pages', () => {
+    const page3 = { id: 'p3', elements: [] };
+
+    expect(
+      describeHistoryChange(prev, getEntry([page1, page2, page3]))
+    ).toStrictEqual({ label: 'Added page 3', pages: [3] });
+    expect(describeHistoryChange(prev, getEntry([page2]))).toStrictEqual({
+      label: 'Deleted page 1',
+      pages: [1],
+    });
+    expect(describeHistoryChange(prev, getEntry([])).label).toBe(
+      'Deleted 2 pages'
+    );
+  });
+
+  it('should describe reordered pages', () => {
+    expect(
+      describeHistoryChange(prev, getEntry([page2, page1]))
+    ).toStrictEqual({ label: 'Reordered pages', pages: [1, 2] });
+  });
+
+  it('should describe moved elements', () => {
+    const next = getEntry([
+      {
+        ...page1,
+        elements: [
+          { ...TEXT, x: 20 },
+          { ...SHAPE, y: 0 },
+        ],
+      },
+      page2,
+    ]);
+
+    expect(describeHistoryChange(prev, next)).toStrictEqual({
+      label: 'Moved 2 elements',
+      pages: [1],
+    });
+  });
+
+  it('should describe font changes', () => {
+    const next = getEntry([
+      { ...page1, elements: [{ ...TEXT, fontFamily: 'Roboto' }, SHAPE] },
+      page2,
+    ]);
+
+    expect(describeHistoryChange(prev, next).label).toBe('Changed font');
+  });
+
+  it('should describe other element changes', () => {
+    const next = getEntry([
+      { ...page1, elements: [TEXT, { ...SHAPE, opacity: 50, x: 0 }] },
+      page2,
+    ]);
+
+    expect(describeHistoryChange(prev, next).label).toBe('Changed 1 element');
+  });
+
+  it('should describe added and deleted elements', () => {
+    const added = getEntry([
+      page1,
+      { ...page2, elements: [{ id: 'e1', type: 'text' }] },
+    ]);
+    const deleted = getEntry([{ ...page1, elements: [SHAPE] }, page2]);
+
+    expect(describeHistoryChange(prev, added)).toStrictEqual({
+      label: 'Added 1 element',
+      pages: [2],
+    });
+    expect(describeHistoryChange(prev, deleted).label).toBe(
+      'Deleted 1 element'
+    );
+  });
+
+  it('should describe elements moved to another page', () => {
+    const next = getEntry([
+      { ...page1, elements: [SHAPE] },
+      { ...page2, elements: [TEXT] },
+    ]);
+
+    expect(describeHistoryChange(prev, next)).toStrictEqual({
+      label: 'Moved 1 element to another page',
+      pages: [1, 2],
+    });
+  });
+
+  it('should describe changed layer order', () => {
+    const next = getEntry([{ ...page1, elements: [SHAPE, TEXT] }, page2]);
+
+    expect(describeHistoryChange(prev, next).label).toBe('Changed layer order');
+  });
+});
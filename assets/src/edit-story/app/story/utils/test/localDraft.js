@@ -0,0 +1,118 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  saveLocalDraft,
+  getLocalDraft,
+  deleteLocalDraft,
+  isLocalDraftNewer,
+  isLocalDraftStoryChanged,
+} from '../localDraft';
+
+const STORY = {
+  storyId: 1,
+  title: 'Story',
+  status: 'draft',
+  modified: '2020-05-01T10:00:00',
+};
+
+function getPage(id, elements = []) {
+  return { id, backgroundOverlay: 'none', elements };
+}
+
+describe('localDraft', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('should store and read a draft by story id', () => {
+    const pages = [getPage('p1')];
+
+    saveLocalDraft(1, STORY, pages);
+
+    expect(getLocalDraft(1)).toMatchObject({
+      modified: STORY.modified,
+      story: { title: 'Story' },
+      pages,
+    });
+    expect(getLocalDraft(1).story).not.toHaveProperty('status');
+    expect(getLocalDraft(2)).toBeNull();
+
+    deleteLocalDraft(1);
+
+    expect(getLocalDraft(1)).toBeNull();
+  });
+
+  it('should not store the password', () => {
+    saveLocalDraft(1, { ...STORY, password: 'secret' }, [getPage('p1')]);
+
+    expect(window.localStorage.getItem('web_stories_draft_1')).not.toContain(
+      'secret'
+    );
+  });
+
+  it('should ignore unreadable drafts', () => {
+    window.localStorage.setItem('web_stories_draft_1', '{broken');
+
+    expect(getLocalDraft(1)).toBeNull();
+  });
+
+  it('should not fail if storage is full', () => {
+    jest
+      .spyOn(Object.getPrototypeOf(window.localStorage), 'setItem')
+      .mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+
+    expect(saveLocalDraft(1, STORY, [getPage('p1')])).toBe(false);
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('isLocalDraftNewer', () => {
+  it('should consider a draft of the saved version newer', () => {
+    const draft = { modified: STORY.modified, savedAt: 0 };
+
+    expect(isLocalDraftNewer(draft, STORY.modified, STORY.modified)).toBe(true);
+  });
+
+  it('should compare the time of drafts of other versions', () => {
+    const savedAt = Date.parse('2020-05-02T10:00:00Z');
+    const draft = { modified: STORY.modified, savedAt };
+
+    expect(
+      isLocalDraftNewer(draft, '2020-05-01T12:00:00', '2020-05-01T10:00:00')
+    ).toBe(true);
+    expect(
+      isLocalDraftNewer(draft, '2020-05-03T12:00:00', '2020-05-03T10:00:00')
+    ).toBe(false);
+  });
+});
+
+describe('isLocalDraftStoryChanged', () => {
+  it('should only compare editable properties', () => {
+    const draft = { story: { title: 'Story' } };
+
+    expect(isLocalDraftStoryChanged(STORY, draft)).toBe(false);
+    expect(isLocalDraftStoryChanged({ ...STORY, title: 'New' }, draft)).toBe(
+      true
+    );
+  });
+});
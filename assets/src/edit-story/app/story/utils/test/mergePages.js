@@ -0,0 +1,53 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import mergePages from '../mergePages';
+
+function getPage(id, version = 'mine') {
+  return { id, version, elements: [] };
+}
+
+describe('mergePages', () => {
+  const pages = [getPage('p1'), getPage('p2'), getPage('p3')];
+  const theirPages = [
+    getPage('p1', 'theirs'),
+    getPage('p4', 'theirs'),
+    getPage('p3', 'theirs'),
+  ];
+
+  it('should keep own pages by default', () => {
+    expect(mergePages(pages, theirPages, [])).toStrictEqual(pages);
+  });
+
+  it('should use the other version of chosen pages', () => {
+    expect(mergePages(pages, theirPages, ['p1', 'p4'])).toStrictEqual([
+      getPage('p1', 'theirs'),
+      getPage('p4', 'theirs'),
+      getPage('p2'),
+      getPage('p3'),
+    ]);
+  });
+
+  it('should remove pages missing in the chosen version', () => {
+    expect(mergePages(pages, theirPages, ['p2', 'p3'])).toStrictEqual([
+      getPage('p1'),
+      getPage('p3', 'theirs'),
+    ]);
+  });
+});
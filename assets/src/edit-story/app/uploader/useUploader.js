@@ -44,10 +44,15 @@ function useUploader(refreshLibrary = true) {
     maxUpload,
     allowedMimeTypes: {
       image: allowedImageMimeTypes,
+      audio: allowedAudioMimeTypes = [],
       video: allowedVideoMimeTypes,
     },
   } = useConfig();
-  const allowedMimeTypes = [...allowedImageMimeTypes, ...allowedVideoMimeTypes];
+  const allowedMimeTypes = [
+    ...allowedImageMimeTypes,
+    ...allowedAudioMimeTypes,
+    ...allowedVideoMimeTypes,
+  ];
 
   const bytesToMB = (bytes) => Math.round(bytes / Math.pow(1024, 2), 2);
 
@@ -17,7 +17,7 @@
 /**
  * External dependencies
  */
-import styled from 'styled-components';
+import styled, { css } from 'styled-components';
 import { useRef } from 'react';
 
 /**
@@ -27,10 +27,14 @@ import EditLayer from './editLayer';
 import DisplayLayer from './displayLayer';
 import FramesLayer from './framesLayer';
 import NavLayer from './navLayer';
+import RulersLayer from './rulers';
+import SafeZonesLayer from './safeZones';
 import SelectionCanvas from './selectionCanvas';
 import { useLayoutParams, useLayoutParamsCssVars } from './layout';
 import CanvasUploadDropTarget from './canvasUploadDropTarget';
 import CanvasElementDropzone from './canvasElementDropzone';
+import { useZoomGestures } from './zoom';
+import ContextMenu from './contextMenu';
 
 const Background = styled.div`
   background-color: ${({ theme }) => theme.colors.bg.v1};
@@ -38,6 +42,16 @@ const Background = styled.div`
   height: 100%;
   position: relative;
   user-select: none;
+
+  ${({ canDrag, isPanning }) =>
+    canDrag &&
+    css`
+      cursor: ${isPanning ? 'grabbing' : 'grab'};
+
+      * {
+        cursor: inherit !important;
+      }
+    `}
 `;
 
 function CanvasLayout() {
@@ -45,19 +59,28 @@ function CanvasLayout() {
 
   useLayoutParams(backgroundRef);
   const layoutParamsCss = useLayoutParamsCssVars();
+  const { canDrag, isPanning } = useZoomGestures(backgroundRef);
 
   return (
-    <Background ref={backgroundRef} style={layoutParamsCss}>
+    <Background
+      ref={backgroundRef}
+      style={layoutParamsCss}
+      canDrag={canDrag}
+      isPanning={isPanning}
+    >
       <CanvasUploadDropTarget>
         <CanvasElementDropzone>
           <SelectionCanvas>
             <DisplayLayer />
             <NavLayer />
+            <SafeZonesLayer />
             <FramesLayer />
+            <RulersLayer />
           </SelectionCanvas>
           <EditLayer />
         </CanvasElementDropzone>
       </CanvasUploadDropTarget>
+      <ContextMenu />
     </Background>
   );
 }
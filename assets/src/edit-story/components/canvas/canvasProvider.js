@@ -18,7 +18,7 @@
  * External dependencies
  */
 import PropTypes from 'prop-types';
-import { useCallback, useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
 /**
  * Internal dependencies
@@ -29,19 +29,38 @@ import {
   DEFAULT_EDITOR_PAGE_HEIGHT,
 } from '../../constants';
 import { UnitsProvider } from '../../units';
+import { expandToGroups, getGroupMemberIds } from '../../utils/elementGroups';
 import useEditingElement from './useEditingElement';
 import useCanvasSelectionCopyPaste from './useCanvasSelectionCopyPaste';
 import Context from './context';
+import {
+  ZOOM_FIT,
+  clampPan,
+  clampZoom,
+  getPageOffset,
+  getPanAroundPoint,
+  getZoomLayout,
+} from './zoom/utils';
 
 function CanvasProvider({ children }) {
   const [lastSelectionEvent, setLastSelectionEvent] = useState(null);
   const lastSelectedElementId = useRef(null);
 
-  const [pageSize, setPageSize] = useState({
+  const [fitPageSize, setFitPageSize] = useState({
+    width: DEFAULT_EDITOR_PAGE_WIDTH,
+    height: DEFAULT_EDITOR_PAGE_HEIGHT,
+  });
+  const [viewportSize, setViewportSize] = useState({
     width: DEFAULT_EDITOR_PAGE_WIDTH,
     height: DEFAULT_EDITOR_PAGE_HEIGHT,
   });
+  const [zoomSetting, setZoomSetting] = useState(ZOOM_FIT);
+  const [unclampedPan, setPan] = useState({ x: 0, y: 0 });
+  const [isPanMode, setIsPanMode] = useState(false);
   const [pageContainer, setPageContainer] = useState(null);
+  const [showRulers, setShowRulers] = useState(false);
+  const [showSafeZones, setShowSafeZones] = useState(false);
+  const [showCtaZone, setShowCtaZone] = useState(false);
 
   const {
     nodesById,
@@ -71,10 +90,21 @@ function CanvasProvider({ children }) {
         return;
       }
       lastSelectedElementId.current = elId;
-      if (evt.shiftKey) {
+      // Grouped elements are always selected together with their group.
+      const memberIds = currentPage
+        ? getGroupMemberIds(currentPage.elements, elId)
+        : [elId];
+      if (evt.shiftKey && memberIds.length === 1) {
         toggleElementInSelection({ elementId: elId });
+      } else if (evt.shiftKey) {
+        const isGroupSelected = selectedElementIds.includes(elId);
+        setSelectedElementsById({
+          elementIds: isGroupSelected
+            ? selectedElementIds.filter((id) => !memberIds.includes(id))
+            : [...selectedElementIds, ...memberIds],
+        });
       } else {
-        setSelectedElementsById({ elementIds: [elId] });
+        setSelectedElementsById({ elementIds: memberIds });
       }
       evt.currentTarget.focus();
       if (currentPage?.backgroundElementId !== elId) {
@@ -97,6 +127,7 @@ function CanvasProvider({ children }) {
     [
       editingElement,
       currentPage,
+      selectedElementIds,
       clearEditing,
       toggleElementInSelection,
       setSelectedElementsById,
@@ -106,13 +137,18 @@ function CanvasProvider({ children }) {
   const selectIntersection = useCallback(
     ({ x: lx, y: ly, width: lw, height: lh }) => {
       const newSelectedElementIds = currentPage.elements
-        .filter(({ x, y, width, height }) => {
+        .filter(({ x, y, width, height, isLocked, isHidden }) => {
+          if (isLocked || isHidden) {
+            return false;
+          }
           return (
             x <= lx + lw && lx <= x + width && y <= ly + lh && ly <= y + height
           );
         })
         .map(({ id }) => id);
-      setSelectedElementsById({ elementIds: newSelectedElementIds });
+      setSelectedElementsById({
+        elementIds: expandToGroups(currentPage.elements, newSelectedElementIds),
+      });
     },
     [currentPage, setSelectedElementsById]
   );
@@ -134,7 +170,60 @@ function CanvasProvider({ children }) {
     }
   }, [editingElement, selectedElementIds, clearEditing]);
 
-  useCanvasSelectionCopyPaste(pageContainer);
+  const {
+    hasCopiedElements,
+    copySelection,
+    cutSelection,
+    pasteCopiedElements,
+    duplicateSelection,
+  } = useCanvasSelectionCopyPaste(pageContainer);
+  const [copiedStyle, setCopiedStyle] = useState(null);
+  const [contextMenuPosition, setContextMenuPosition] = useState(null);
+  // Page thumbnail that the selection is being dragged onto, if any.
+  const [pageDropTargetId, setPageDropTargetId] = useState(null);
+
+  const { zoom, pageSize, areaSize } = useMemo(
+    () => getZoomLayout({ zoomSetting, fitSize: fitPageSize, viewportSize }),
+    [zoomSetting, fitPageSize, viewportSize]
+  );
+  const pan = useMemo(() => clampPan(unclampedPan, pageSize, areaSize), [
+    unclampedPan,
+    pageSize,
+    areaSize,
+  ]);
+
+  // Zoom around a point relative to the page, or around the middle of what's
+  // visible of it.
+  const setZoom = useCallback(
+    (newZoomSetting, point = null) => {
+      if (newZoomSetting === ZOOM_FIT) {
+        setZoomSetting(ZOOM_FIT);
+        setPan({ x: 0, y: 0 });
+        return;
+      }
+      const newZoom = clampZoom(newZoomSetting);
+      const { pageSize: newPageSize, areaSize: newAreaSize } = getZoomLayout({
+        zoomSetting: newZoom,
+        fitSize: fitPageSize,
+        viewportSize,
+      });
+      const offset = getPageOffset(pan, pageSize, areaSize);
+      setZoomSetting(newZoom);
+      setPan(
+        getPanAroundPoint({
+          point: point || {
+            x: areaSize.width / 2 - offset.x,
+            y: areaSize.height / 2 - offset.y,
+          },
+          pan,
+          pageSize,
+          newPageSize,
+          newAreaSize,
+        })
+      );
+    },
+    [fitPageSize, viewportSize, pan, pageSize, areaSize]
+  );
 
   const state = {
     state: {
@@ -145,6 +234,18 @@ function CanvasProvider({ children }) {
       isEditing: Boolean(editingElement),
       lastSelectionEvent,
       pageSize,
+      areaSize,
+      zoom,
+      zoomSetting,
+      pan,
+      isPanMode,
+      showRulers,
+      showSafeZones,
+      showCtaZone,
+      hasCopiedElements,
+      copiedStyle,
+      contextMenuPosition,
+      pageDropTargetId,
     },
     actions: {
       setPageContainer,
@@ -154,7 +255,21 @@ function CanvasProvider({ children }) {
       clearEditing,
       handleSelectElement,
       selectIntersection,
-      setPageSize,
+      setFitPageSize,
+      setViewportSize,
+      setZoom,
+      setPan,
+      setIsPanMode,
+      setShowRulers,
+      setShowSafeZones,
+      setShowCtaZone,
+      copySelection,
+      cutSelection,
+      pasteCopiedElements,
+      duplicateSelection,
+      setCopiedStyle,
+      setContextMenuPosition,
+      setPageDropTargetId,
     },
   };
 
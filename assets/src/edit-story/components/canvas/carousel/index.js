@@ -38,8 +38,12 @@ import {
   Plain,
 } from '../../button';
 import Modal from '../../modal';
+import { useKeyboard } from '../../keyboard';
 import GridView from '../gridview';
 import DraggablePage from '../draggablePage';
+import usePageSelectionClick from '../usePageSelectionClick';
+import usePageSelectionCopyPaste from '../usePageSelectionCopyPaste';
+import useCombinedRefs from '../../../utils/useCombinedRefs';
 import useResizeEffect from '../../../utils/useResizeEffect';
 import {
   COMPACT_CAROUSEL_BREAKPOINT,
@@ -162,19 +166,23 @@ function calculatePageThumbSize(carouselSize) {
 
 function Carousel() {
   const {
-    state: { pages, currentPageIndex, currentPageId },
-    actions: { setCurrentPage },
+    state: { pages, currentPageIndex, currentPageId, selectedPageIds },
   } = useStory();
+  const handleClickPage = usePageSelectionClick();
   const { isRTL } = useConfig();
+  const { openDialog: openShortcutsDialog } = useKeyboard();
   const [hasHorizontalOverflow, setHasHorizontalOverflow] = useState(false);
   const [scrollPercentage, setScrollPercentage] = useState(0);
   const [isGridViewOpen, setIsGridViewOpen] = useState(false);
   const listRef = useRef(null);
+  const [listNode, setListNode] = useState(null);
   const pageRefs = useRef([]);
 
   const [carouselSize, setCarouselSize] = useState({});
   const isCompact = carouselSize.height < COMPACT_CAROUSEL_BREAKPOINT;
 
+  usePageSelectionCopyPaste(listNode);
+
   const openModal = useCallback(() => setIsGridViewOpen(true), []);
   const closeModal = useCallback(() => setIsGridViewOpen(false), []);
 
@@ -221,8 +229,6 @@ function Carousel() {
     };
   }, [hasHorizontalOverflow]);
 
-  const handleClickPage = (page) => () => setCurrentPage({ pageId: page.id });
-
   const scrollBy = useCallback(
     (offset) => {
       if (isRTL) {
@@ -273,7 +279,7 @@ function Carousel() {
           />
         </NavArea>
         <List
-          ref={listRef}
+          ref={useCombinedRefs(listRef, setListNode)}
           hasHorizontalOverflow={hasHorizontalOverflow}
           aria-label={__('Pages List', 'web-stories')}
         >
@@ -295,6 +301,7 @@ function Carousel() {
                       : sprintf(__('Go to page %s', 'web-stories'), index + 1)
                   }
                   isActive={isCurrentPage}
+                  isSelected={selectedPageIds.includes(page.id)}
                   pageIndex={index}
                   ref={(el) => {
                     pageRefs.current[page.id] = el;
@@ -321,6 +328,7 @@ function Carousel() {
               <KeyboardShortcutsButton
                 width="24"
                 height="24"
+                onClick={openShortcutsDialog}
                 aria-label={__('Keyboard Shortcuts', 'web-stories')}
               />
             </OverflowButtons>
@@ -0,0 +1,117 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { rgba } from 'polished';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import StoryPropTypes from '../../../types';
+import { isValidUrl, withProtocol } from '../../../utils/url';
+import { createLink, getLinkFromElement, inferLinkType } from '../../link';
+import Dialog from '../../dialog';
+import { Plain } from '../../button';
+
+const Input = styled.input`
+  width: 360px;
+  margin-bottom: 8px;
+  padding: 6px 8px;
+  border: 1px solid ${({ theme }) => rgba(theme.colors.bg.v0, 0.3)};
+  border-radius: 4px;
+  font-size: 16px;
+`;
+
+function AddLinkDialog({ element, onClose }) {
+  const {
+    state: { currentPage },
+    actions: { updateElementById },
+  } = useStory();
+  const [url, setUrl] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    setUrl(element ? getLinkFromElement(element)?.url || '' : '');
+  }, [element]);
+
+  const urlWithProtocol = withProtocol(url.trim());
+  const isValid = Boolean(url.trim()) && isValidUrl(urlWithProtocol);
+
+  const handleSubmit = (evt) => {
+    evt.preventDefault();
+    if (!isValid) {
+      return;
+    }
+    updateElementById({
+      elementId: element.id,
+      properties: {
+        link: createLink({
+          ...getLinkFromElement(element),
+          url: urlWithProtocol,
+          type: inferLinkType(element, currentPage),
+        }),
+      },
+    });
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={Boolean(element)}
+      onClose={onClose}
+      onAfterOpen={() => inputRef.current?.focus()}
+      title={__('Add link', 'web-stories')}
+      contentLabel={__('Add link', 'web-stories')}
+      actions={
+        <>
+          <Plain onClick={onClose}>{__('Cancel', 'web-stories')}</Plain>
+          <Plain onClick={handleSubmit} isDisabled={!isValid}>
+            {__('Add link', 'web-stories')}
+          </Plain>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit}>
+        <Input
+          ref={inputRef}
+          type="text"
+          value={url}
+          onChange={(evt) => setUrl(evt.target.value)}
+          placeholder={__('Web address', 'web-stories')}
+          aria-label={__('Web address', 'web-stories')}
+        />
+      </form>
+    </Dialog>
+  );
+}
+
+AddLinkDialog.propTypes = {
+  element: StoryPropTypes.element,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default AddLinkDialog;
@@ -0,0 +1,208 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { getDefinitionForType } from '../../../elements';
+import { LAYER_DIRECTIONS } from '../../../constants';
+import { getSelectedGroupId } from '../../../utils/elementGroups';
+import { useKeyboard, getKeyCombos } from '../../keyboard';
+import useCanvas from '../useCanvas';
+import Menu from './menu';
+import AddLinkDialog from './addLinkDialog';
+import { getElementStyle, getStyleForElement } from './utils';
+
+// Rendered outside of the selection canvas, so that clicks in the menu and
+// the dialog don't reach it through the portals.
+function ContextMenu() {
+  const {
+    state: { currentPage, selectedElements, selectedElementIds },
+    actions: {
+      arrangeSelection,
+      deleteSelectedElements,
+      setBackgroundElement,
+      updateElementById,
+      updateSelectedElements,
+    },
+  } = useStory();
+  const {
+    state: { hasCopiedElements, copiedStyle, contextMenuPosition: position },
+    actions: {
+      setContextMenuPosition,
+      copySelection,
+      cutSelection,
+      pasteCopiedElements,
+      duplicateSelection,
+      setCopiedStyle,
+    },
+  } = useCanvas();
+  const { keys } = useKeyboard();
+  const [linkElement, setLinkElement] = useState(null);
+  const closeLinkDialog = useCallback(() => setLinkElement(null), []);
+  const closeMenu = useCallback(() => setContextMenuPosition(null), [
+    setContextMenuPosition,
+  ]);
+
+  if (!currentPage) {
+    return null;
+  }
+
+  const selectedElement =
+    selectedElements.length === 1 ? selectedElements[0] : null;
+  const hasBackground = selectedElementIds.includes(
+    currentPage.backgroundElementId
+  );
+  // The background element can't be copied or removed like other elements.
+  const canEdit = selectedElements.length > 0 && !hasBackground;
+  const canArrange =
+    !hasBackground &&
+    (Boolean(selectedElement) ||
+      Boolean(getSelectedGroupId(currentPage.elements, selectedElementIds)));
+  const isMedia =
+    Boolean(selectedElement) &&
+    getDefinitionForType(selectedElement.type).isMedia;
+
+  const getShortcut = (name) => getKeyCombos(keys, name)[0];
+
+  const arrange = (direction) => ({
+    disabled: !canArrange,
+    onClick: () => arrangeSelection({ position: direction }),
+  });
+
+  const setAsBackground = (isBackground) => {
+    updateElementById({
+      elementId: selectedElement.id,
+      properties: { isBackground, opacity: 100, overlay: null },
+    });
+    setBackgroundElement({
+      elementId: isBackground ? selectedElement.id : null,
+    });
+  };
+
+  const items = [
+    {
+      label: __('Cut', 'web-stories'),
+      shortcut: getShortcut('cut'),
+      disabled: !canEdit,
+      onClick: cutSelection,
+    },
+    {
+      label: __('Copy', 'web-stories'),
+      shortcut: getShortcut('copy'),
+      disabled: !canEdit,
+      onClick: copySelection,
+    },
+    {
+      label: __('Paste', 'web-stories'),
+      shortcut: getShortcut('paste'),
+      disabled: !hasCopiedElements,
+      onClick: pasteCopiedElements,
+    },
+    {
+      label: __('Duplicate', 'web-stories'),
+      disabled: !canEdit,
+      onClick: duplicateSelection,
+    },
+    {
+      label: __('Delete', 'web-stories'),
+      shortcut: getShortcut('delete'),
+      disabled: !canEdit,
+      onClick: deleteSelectedElements,
+    },
+    null,
+    {
+      label: __('Bring to front', 'web-stories'),
+      shortcut: getShortcut('bringToFront'),
+      ...arrange(LAYER_DIRECTIONS.FRONT),
+    },
+    {
+      label: __('Bring forward', 'web-stories'),
+      shortcut: getShortcut('bringForward'),
+      ...arrange(LAYER_DIRECTIONS.FORWARD),
+    },
+    {
+      label: __('Send backward', 'web-stories'),
+      shortcut: getShortcut('sendBackward'),
+      ...arrange(LAYER_DIRECTIONS.BACKWARD),
+    },
+    {
+      label: __('Send to back', 'web-stories'),
+      shortcut: getShortcut('sendToBack'),
+      ...arrange(LAYER_DIRECTIONS.BACK),
+    },
+    null,
+    hasBackground
+      ? {
+          label: __('Remove as background', 'web-stories'),
+          // The default background isn't media and can't be removed.
+          disabled: !isMedia,
+          onClick: () => setAsBackground(false),
+        }
+      : {
+          label: __('Set as background', 'web-stories'),
+          disabled: !isMedia,
+          onClick: () => setAsBackground(true),
+        },
+    {
+      label: __('Add link', 'web-stories'),
+      disabled: !canEdit || !selectedElement || selectedElement.isFill,
+      onClick: () => setLinkElement(selectedElement),
+    },
+    null,
+    {
+      label: __('Copy style', 'web-stories'),
+      disabled: !selectedElement,
+      onClick: () => setCopiedStyle(getElementStyle(selectedElement)),
+    },
+    {
+      label: __('Paste style', 'web-stories'),
+      disabled: !copiedStyle || selectedElements.length === 0,
+      onClick: () =>
+        updateSelectedElements({
+          properties: (element) => getStyleForElement(copiedStyle, element),
+        }),
+    },
+  ];
+
+  return (
+    <>
+      {position && (
+        <Menu
+          key={`${position.x}-${position.y}`}
+          position={position}
+          items={items}
+          onClose={closeMenu}
+          label={__('Element actions', 'web-stories')}
+        />
+      )}
+      <AddLinkDialog element={linkElement} onClose={closeLinkDialog} />
+    </>
+  );
+}
+
+export default ContextMenu;
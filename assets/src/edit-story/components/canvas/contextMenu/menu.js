@@ -0,0 +1,197 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { rgba } from 'polished';
+import { createPortal } from 'react-dom';
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useKeyDownEffect, prettifyShortcut } from '../../keyboard';
+import useFocusOut from '../../../utils/useFocusOut';
+
+const MENU_MARGIN = 8;
+
+const List = styled.ul.attrs(({ x, y }) => ({
+  style: { left: `${x}px`, top: `${y}px` },
+}))`
+  position: fixed;
+  z-index: 2147483646;
+  min-width: 220px;
+  margin: 0;
+  padding: 6px 0;
+  list-style: none;
+  border-radius: 4px;
+  background-color: ${({ theme }) => theme.colors.bg.v3};
+  box-shadow: 0px 6px 10px ${({ theme }) => rgba(theme.colors.bg.v0, 0.3)};
+`;
+
+const Separator = styled.li`
+  height: 1px;
+  margin: 6px 0;
+  background-color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.1)};
+`;
+
+const Item = styled.button.attrs({ role: 'menuitem' })`
+  display: flex;
+  justify-content: space-between;
+  width: 100%;
+  padding: 4px 16px;
+  border: 0;
+  background: transparent;
+  cursor: pointer;
+  text-align: left;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  line-height: 24px;
+
+  &:hover,
+  &:focus {
+    outline: none;
+    background-color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.1)};
+  }
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.3;
+    background: transparent;
+  }
+`;
+
+const Shortcut = styled.span`
+  margin-left: 24px;
+  color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.54)};
+`;
+
+function getEnabledItems(list) {
+  return Array.from(list.querySelectorAll('[role="menuitem"]')).filter(
+    (node) => !node.disabled
+  );
+}
+
+/**
+ * A menu shown where the user right-clicked, closing again when an item is
+ * chosen, or when the focus or a click goes elsewhere.
+ *
+ * @param {Object} props Component props.
+ * @param {Object} props.position Client coordinates to show the menu at.
+ * @param {Array} props.items Menu items, or `null` for separators.
+ * @param {Function} props.onClose Called when the menu should be closed.
+ * @param {string} props.label Accessible name of the menu.
+ * @return {Object} Menu.
+ */
+function Menu({ position, items, onClose, label }) {
+  const listRef = useRef(null);
+  const [offset, setOffset] = useState(position);
+
+  // Keep the menu within the window.
+  useLayoutEffect(() => {
+    const { width, height } = listRef.current.getBoundingClientRect();
+    setOffset({
+      x: Math.max(
+        0,
+        Math.min(position.x, window.innerWidth - width - MENU_MARGIN)
+      ),
+      y: Math.max(
+        0,
+        Math.min(position.y, window.innerHeight - height - MENU_MARGIN)
+      ),
+    });
+  }, [position]);
+
+  useEffect(() => {
+    const [firstItem] = getEnabledItems(listRef.current);
+    if (firstItem) {
+      firstItem.focus();
+    }
+  }, []);
+
+  useFocusOut(listRef, onClose, [onClose]);
+  useKeyDownEffect(listRef, 'esc', onClose, [onClose]);
+  useKeyDownEffect(
+    listRef,
+    ['up', 'down'],
+    ({ key }) => {
+      const nodes = getEnabledItems(listRef.current);
+      if (!nodes.length) {
+        return;
+      }
+      const index = nodes.indexOf(document.activeElement);
+      const dir = key === 'ArrowUp' ? -1 : 1;
+      nodes[(index + dir + nodes.length) % nodes.length].focus();
+    },
+    []
+  );
+
+  return createPortal(
+    <List
+      ref={listRef}
+      role="menu"
+      aria-label={label}
+      x={offset.x}
+      y={offset.y}
+      onContextMenu={(evt) => evt.preventDefault()}
+    >
+      {items.map((item, index) =>
+        item ? (
+          <li key={item.label} role="none">
+            <Item
+              disabled={item.disabled}
+              onClick={() => {
+                onClose();
+                item.onClick();
+              }}
+            >
+              {item.label}
+              {item.shortcut && (
+                <Shortcut>{prettifyShortcut(item.shortcut)}</Shortcut>
+              )}
+            </Item>
+          </li>
+        ) : (
+          <Separator key={`separator-${index}`} role="separator" />
+        )
+      )}
+    </List>,
+    document.body
+  );
+}
+
+Menu.propTypes = {
+  position: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+  }).isRequired,
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      shortcut: PropTypes.string,
+      disabled: PropTypes.bool,
+      onClick: PropTypes.func.isRequired,
+    })
+  ).isRequired,
+  onClose: PropTypes.func.isRequired,
+  label: PropTypes.string.isRequired,
+};
+
+export default Menu;
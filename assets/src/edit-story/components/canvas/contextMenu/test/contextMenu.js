@@ -0,0 +1,132 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { render, fireEvent } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import StoryContext from '../../../../app/story/context';
+import CanvasContext from '../../context';
+import theme from '../../../../theme';
+import ContextMenu from '../';
+
+const BACKGROUND = { id: 'bg', type: 'shape', isBackground: true };
+const TEXT = { id: 't1', type: 'text', x: 10, y: 10, color: 'red' };
+
+function setupMenu({ selectedElements, copiedStyle = null }) {
+  const storyContextValue = {
+    state: {
+      currentPage: {
+        id: 'p1',
+        backgroundElementId: BACKGROUND.id,
+        elements: [BACKGROUND, TEXT],
+      },
+      selectedElements,
+      selectedElementIds: selectedElements.map(({ id }) => id),
+    },
+    actions: {
+      arrangeSelection: jest.fn(),
+      deleteSelectedElements: jest.fn(),
+      setBackgroundElement: jest.fn(),
+      updateElementById: jest.fn(),
+      updateSelectedElements: jest.fn(),
+    },
+  };
+  const canvasContextValue = {
+    state: {
+      contextMenuPosition: { x: 10, y: 10 },
+      hasCopiedElements: false,
+      copiedStyle,
+    },
+    actions: {
+      setContextMenuPosition: jest.fn(),
+      copySelection: jest.fn(),
+      cutSelection: jest.fn(),
+      pasteCopiedElements: jest.fn(),
+      duplicateSelection: jest.fn(),
+      setCopiedStyle: jest.fn(),
+    },
+  };
+  const { getByRole } = render(
+    <ThemeProvider theme={theme}>
+      <StoryContext.Provider value={storyContextValue}>
+        <CanvasContext.Provider value={canvasContextValue}>
+          <ContextMenu />
+        </CanvasContext.Provider>
+      </StoryContext.Provider>
+    </ThemeProvider>
+  );
+  const getItem = (name) => getByRole('menuitem', { name });
+  return {
+    getItem,
+    storyActions: storyContextValue.actions,
+    canvasActions: canvasContextValue.actions,
+  };
+}
+
+describe('ContextMenu', () => {
+  it('should enable element actions for a selected element', () => {
+    const { getItem } = setupMenu({ selectedElements: [TEXT] });
+
+    expect(getItem(/Cut/)).toBeEnabled();
+    expect(getItem(/Duplicate/)).toBeEnabled();
+    expect(getItem(/Bring to front/)).toBeEnabled();
+    expect(getItem(/Add link/)).toBeEnabled();
+    expect(getItem(/Set as background/)).toBeDisabled();
+    expect(getItem(/^Paste(?! style)/)).toBeDisabled();
+    expect(getItem(/Paste style/)).toBeDisabled();
+  });
+
+  it('should disable element actions for the background', () => {
+    const { getItem } = setupMenu({ selectedElements: [BACKGROUND] });
+
+    expect(getItem(/Cut/)).toBeDisabled();
+    expect(getItem(/Delete/)).toBeDisabled();
+    expect(getItem(/Send to back/)).toBeDisabled();
+    expect(getItem(/Remove as background/)).toBeDisabled();
+    expect(getItem(/Copy style/)).toBeEnabled();
+  });
+
+  it('should run the action and close the menu', () => {
+    const { getItem, storyActions, canvasActions } = setupMenu({
+      selectedElements: [TEXT],
+    });
+
+    fireEvent.click(getItem(/Delete/));
+
+    expect(storyActions.deleteSelectedElements).toHaveBeenCalledWith();
+    expect(canvasActions.setContextMenuPosition).toHaveBeenCalledWith(null);
+  });
+
+  it('should paste the copied style', () => {
+    const { getItem, storyActions } = setupMenu({
+      selectedElements: [TEXT],
+      copiedStyle: { opacity: 50, color: 'blue' },
+    });
+
+    fireEvent.click(getItem(/Paste style/));
+
+    const { properties } = storyActions.updateSelectedElements.mock.calls[0][0];
+
+    expect(properties(TEXT)).toStrictEqual({ opacity: 50, color: 'blue' });
+    expect(properties(BACKGROUND)).toStrictEqual({ opacity: 50 });
+  });
+});
@@ -0,0 +1,64 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getElementStyle, getStyleForElement } from '../utils';
+
+describe('getElementStyle', () => {
+  it('should only pick the style of the element', () => {
+    const element = {
+      id: '1',
+      type: 'text',
+      x: 10,
+      content: 'Hello',
+      color: 'red',
+      fontSize: 20,
+      opacity: 80,
+    };
+
+    expect(getElementStyle(element)).toStrictEqual({
+      color: 'red',
+      fontSize: 20,
+      opacity: 80,
+    });
+  });
+
+  it('should pick the shared style of unknown types', () => {
+    const element = { id: '1', type: 'image', opacity: 50, scale: 120 };
+
+    expect(getElementStyle(element)).toStrictEqual({ opacity: 50 });
+  });
+});
+
+describe('getStyleForElement', () => {
+  const style = { backgroundColor: 'blue', color: 'red', opacity: 80 };
+
+  it('should apply the whole style to elements of the same type', () => {
+    expect(getStyleForElement(style, { type: 'text' })).toStrictEqual(style);
+  });
+
+  it('should only apply the properties an element supports', () => {
+    expect(getStyleForElement(style, { type: 'shape' })).toStrictEqual({
+      backgroundColor: 'blue',
+      opacity: 80,
+    });
+    expect(getStyleForElement(style, { type: 'video' })).toStrictEqual({
+      opacity: 80,
+    });
+  });
+});
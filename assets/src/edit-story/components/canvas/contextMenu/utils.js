@@ -0,0 +1,76 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import objectPick from '../../../utils/objectPick';
+
+const SHARED_STYLE_PROPS = ['opacity'];
+
+// Properties that make up the look of an element, rather than its content,
+// size or position.
+const STYLE_PROPS = {
+  text: [
+    'backgroundColor',
+    'backgroundTextMode',
+    'bold',
+    'color',
+    'fontFallback',
+    'fontFamily',
+    'fontSize',
+    'fontStyle',
+    'fontWeight',
+    'letterSpacing',
+    'lineHeight',
+    'padding',
+    'textAlign',
+    'textDecoration',
+  ],
+  shape: ['backgroundColor'],
+};
+
+function pickStyle(source, type) {
+  const props = [...SHARED_STYLE_PROPS, ...(STYLE_PROPS[type] || [])];
+  return objectPick(
+    source,
+    props.filter((prop) => source[prop] !== undefined)
+  );
+}
+
+/**
+ * Get the style of an element, to apply it to other elements later.
+ *
+ * @param {Object} element Element to copy the style of.
+ * @return {Object} Style of the element.
+ */
+export function getElementStyle(element) {
+  return pickStyle(element, element.type);
+}
+
+/**
+ * Get the properties of a copied style that apply to an element.
+ *
+ * Elements of other types only get the properties they share, e.g. a shape
+ * only gets the background color and opacity of a text.
+ *
+ * @param {Object} style Copied style.
+ * @param {Object} element Element to apply the style to.
+ * @return {Object} Properties to update the element with.
+ */
+export function getStyleForElement(style, element) {
+  return pickStyle(style, element.type);
+}
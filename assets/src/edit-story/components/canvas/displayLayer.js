@@ -54,7 +54,7 @@ function DisplayLayer() {
       <DisplayPageArea ref={setPageContainer}>
         {currentPage &&
           currentPage.elements.map(({ id, ...rest }) => {
-            if (editingElement === id) {
+            if (editingElement === id || rest.isHidden) {
               return null;
             }
             return (
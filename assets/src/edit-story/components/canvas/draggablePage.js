@@ -26,12 +26,15 @@ import { forwardRef, useCallback } from 'react';
 import DropZone from '../dropzone';
 import { useStory } from '../../app/story';
 import PagePreview from './pagepreview';
+import useCanvas from './useCanvas';
+import { PAGE_DROP_TARGET_ATTRIBUTE } from './usePageDropTarget';
 
 function DraggablePageWithRef(
   {
     pageIndex,
     onClick,
     isActive,
+    isSelected,
     ariaLabel,
     width,
     height,
@@ -41,9 +44,13 @@ function DraggablePageWithRef(
   ref
 ) {
   const {
-    state: { pages },
-    actions: { setCurrentPage, arrangePage },
+    state: { pages, selectedPageIds },
+    actions: { setCurrentPage, arrangePage, arrangePagesById },
   } = useStory();
+  const {
+    state: { pageDropTargetId },
+  } = useCanvas();
+  const pageId = pages[pageIndex]?.id;
 
   const getArrangeIndex = (sourceIndex, dstIndex, position) => {
     // If the dropped element is before the dropzone index then we have to deduct
@@ -71,12 +78,24 @@ function DraggablePageWithRef(
     if (!droppedEl || 'page' !== droppedEl.type) {
       return;
     }
+    const droppedPageId = pages[droppedEl.index].id;
+    // When dragging one of several selected pages, move all of them as a block.
+    if (selectedPageIds.length > 1 && selectedPageIds.includes(droppedPageId)) {
+      const insertionIndex = 'left' === position.x ? pageIndex : pageIndex + 1;
+      const selectedBefore = pages
+        .slice(0, insertionIndex)
+        .filter(({ id }) => selectedPageIds.includes(id)).length;
+      arrangePagesById({
+        pageIds: selectedPageIds,
+        position: insertionIndex - selectedBefore,
+      });
+      return;
+    }
     const arrangedIndex = getArrangeIndex(droppedEl.index, pageIndex, position);
     // Do nothing if the index didn't change.
     if (droppedEl.index !== arrangedIndex) {
-      const pageId = pages[droppedEl.index].id;
-      arrangePage({ pageId, position: arrangedIndex });
-      setCurrentPage({ pageId });
+      arrangePage({ pageId: droppedPageId, position: arrangedIndex });
+      setCurrentPage({ pageId: droppedPageId });
     }
   };
 
@@ -92,6 +111,9 @@ function DraggablePageWithRef(
         onClick={onClick}
         onDragStart={onDragStart}
         isActive={isActive}
+        isSelected={isSelected}
+        isDropTarget={Boolean(pageId) && pageId === pageDropTargetId}
+        {...{ [PAGE_DROP_TARGET_ATTRIBUTE]: pageId }}
         aria-label={ariaLabel}
         role={role}
         width={width}
@@ -108,6 +130,7 @@ DraggablePage.propTypes = {
   pageIndex: PropTypes.number,
   onClick: PropTypes.func.isRequired,
   isActive: PropTypes.bool,
+  isSelected: PropTypes.bool,
   ariaLabel: PropTypes.string.isRequired,
   width: PropTypes.number.isRequired,
   height: PropTypes.number.isRequired,
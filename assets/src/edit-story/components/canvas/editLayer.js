@@ -72,9 +72,12 @@ function EditLayerForElement({ element }) {
   const {
     actions: { clearEditing },
   } = useCanvas();
-  useKeyDownEffect(ref, { key: 'esc', editable: true }, () => clearEditing(), [
-    clearEditing,
-  ]);
+  useKeyDownEffect(
+    ref,
+    { key: 'cancel', editable: true },
+    () => clearEditing(),
+    [clearEditing]
+  );
 
   return (
     <LayerWithGrayout ref={ref} grayout={editModeGrayout} pointerEvents="none">
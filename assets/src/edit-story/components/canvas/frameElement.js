@@ -61,7 +61,7 @@ const EmptyFrame = styled.div`
 `;
 
 function FrameElement({ element }) {
-  const { id, type } = element;
+  const { id, type, isLocked } = element;
   const { Frame, isMaskable } = getDefinitionForType(type);
   const elementRef = useRef();
 
@@ -91,6 +91,10 @@ function FrameElement({ element }) {
       data-element-id={id}
       {...box}
       onMouseDown={(evt) => {
+        // Locked elements let the event through to the selection canvas.
+        if (isLocked) {
+          return;
+        }
         if (!isSelected) {
           handleSelectElement(id, evt);
         }
@@ -99,11 +103,11 @@ function FrameElement({ element }) {
         }
       }}
       onFocus={(evt) => {
-        if (!isSelected) {
+        if (!isSelected && !isLocked) {
           handleSelectElement(id, evt);
         }
       }}
-      tabIndex="0"
+      tabIndex={isLocked ? -1 : 0}
       aria-labelledby={`layer-${id}`}
       hasMask={isMaskable}
     >
@@ -18,7 +18,7 @@
  * External dependencies
  */
 import styled from 'styled-components';
-import { useRef } from 'react';
+import { useCallback, useRef } from 'react';
 import { rgba } from 'polished';
 
 /**
@@ -32,10 +32,12 @@ import { __ } from '@wordpress/i18n';
 import { useStory, useDropTargets } from '../../app';
 import withOverlay from '../overlay/withOverlay';
 import { LinkGuidelines } from '../link';
+import { PageAttachmentIndicator } from '../pageAttachment';
 import { Layer, PageArea } from './layout';
 import FrameElement from './frameElement';
 import Selection from './selection';
 import useCanvasKeys from './useCanvasKeys';
+import useCanvas from './useCanvas';
 
 const FramesPageArea = withOverlay(
   styled(PageArea).attrs({
@@ -78,6 +80,18 @@ function FramesLayer() {
   const ref = useRef(null);
   useCanvasKeys(ref);
 
+  // Elements are selected on mousedown, before the menu is opened.
+  const {
+    actions: { setContextMenuPosition },
+  } = useCanvas();
+  const handleContextMenu = useCallback(
+    (evt) => {
+      evt.preventDefault();
+      setContextMenuPosition({ x: evt.clientX, y: evt.clientY });
+    },
+    [setContextMenuPosition]
+  );
+
   return (
     <Layer
       ref={ref}
@@ -86,10 +100,15 @@ function FramesLayer() {
       // there's no selection, but it's not reacheable by keyboard
       // otherwise.
       tabIndex="-1"
+      onContextMenu={handleContextMenu}
     >
       <FramesPageArea>
         {currentPage &&
           currentPage.elements.map(({ id, ...rest }) => {
+            // Hidden elements can't be interacted with on the canvas.
+            if (rest.isHidden) {
+              return null;
+            }
             return <FrameElement key={id} element={{ id, ...rest }} />;
           })}
         <Selection />
@@ -103,6 +122,7 @@ function FramesLayer() {
             </FrameSidebar>
           )}
         <LinkGuidelines />
+        <PageAttachmentIndicator />
       </FramesPageArea>
     </Layer>
   );
@@ -19,18 +19,22 @@
  */
 import styled from 'styled-components';
 import PropTypes from 'prop-types';
-import { useState } from 'react';
+import { useCallback, useState } from 'react';
 
 /**
  * WordPress dependencies
  */
-import { __, sprintf } from '@wordpress/i18n';
+import { __, _n, sprintf } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
  */
 import { useStory } from '../../../app/story';
+import { createPage } from '../../../elements';
 import DraggablePage from '../draggablePage';
+import usePageSelectionClick from '../usePageSelectionClick';
+import usePageSelectionCopyPaste from '../usePageSelectionCopyPaste';
+import { Plain } from '../../button';
 import RangeInput from '../../rangeInput';
 import { ReactComponent as RectangleIcon } from '../../../icons/rectangle.svg';
 import { PAGE_WIDTH, PAGE_HEIGHT } from '../../../constants';
@@ -98,6 +102,22 @@ const Space = styled.div`
   flex: 0 0 20px;
 `;
 
+const BulkActions = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  margin: -55px auto 35px auto;
+  min-height: 20px;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body1.family};
+  font-size: ${({ theme }) => theme.fonts.body1.size};
+`;
+
+const BulkActionButton = styled(Plain)`
+  margin-left: 10px;
+  color: ${({ theme }) => theme.colors.fg.v1};
+`;
+
 function ThumbnailSizeControl({ value, onChange }) {
   const max = 3;
   const min = 1;
@@ -158,16 +178,66 @@ ThumbnailSizeControl.propTypes = {
   onChange: PropTypes.func.isRequired,
 };
 
+function BulkPageActions() {
+  const {
+    state: { pages, selectedPageIds },
+    actions: { deleteSelectedPages, addPagesAt, clearPageSelection },
+  } = useStory();
+
+  const handleDuplicatePages = useCallback(
+    () =>
+      addPagesAt({
+        pages: pages
+          .filter(({ id }) => selectedPageIds.includes(id))
+          .map((page) => createPage(page)),
+        position: null,
+      }),
+    [addPagesAt, pages, selectedPageIds]
+  );
+
+  if (selectedPageIds.length < 2) {
+    return <BulkActions />;
+  }
+
+  return (
+    <BulkActions>
+      {sprintf(
+        /* translators: %d: Number of selected pages. */
+        _n(
+          '%d page selected',
+          '%d pages selected',
+          selectedPageIds.length,
+          'web-stories'
+        ),
+        selectedPageIds.length
+      )}
+      <BulkActionButton onClick={handleDuplicatePages}>
+        {__('Duplicate', 'web-stories')}
+      </BulkActionButton>
+      <BulkActionButton onClick={() => deleteSelectedPages()}>
+        {__('Delete', 'web-stories')}
+      </BulkActionButton>
+      <BulkActionButton onClick={() => clearPageSelection()}>
+        {__('Clear selection', 'web-stories')}
+      </BulkActionButton>
+    </BulkActions>
+  );
+}
+
 function GridView() {
   const {
-    state: { pages, currentPageIndex },
+    state: { pages, currentPageIndex, selectedPageIds },
   } = useStory();
   const [zoomLevel, setZoomLevel] = useState(2);
+  const handleClickPage = usePageSelectionClick();
+  const [container, setContainer] = useState(null);
+  usePageSelectionCopyPaste(container);
 
   return (
     <>
       <ThumbnailSizeControl value={zoomLevel} onChange={setZoomLevel} />
-      <Wrapper scale={zoomLevel}>
+      <BulkPageActions />
+      <Wrapper ref={setContainer} scale={zoomLevel}>
         {pages.map((page, index) => {
           const isCurrentPage = index === currentPageIndex;
 
@@ -182,7 +252,9 @@ function GridView() {
                     )
                   : sprintf(__('Page %s', 'web-stories'), index + 1)
               }
+              onClick={handleClickPage(page)}
               isActive={isCurrentPage}
+              isSelected={selectedPageIds.includes(page.id)}
               pageIndex={index}
               width={zoomLevel * PREVIEW_WIDTH + THUMB_FRAME_WIDTH}
               height={zoomLevel * PREVIEW_HEIGHT + THUMB_FRAME_HEIGHT}
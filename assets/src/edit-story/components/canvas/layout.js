@@ -31,6 +31,7 @@ import {
 import pointerEventsCss from '../../utils/pointerEventsCss';
 import useResizeEffect from '../../utils/useResizeEffect';
 import useCanvas from './useCanvas';
+import { getPageOffset } from './zoom/utils';
 
 /**
  * @file See https://user-images.githubusercontent.com/726049/72654503-bfffe780-3944-11ea-912c-fc54d68b6100.png
@@ -38,6 +39,8 @@ import useCanvas from './useCanvas';
  */
 
 const MENU_HEIGHT = 48;
+// See the row above the page in Layer's `grid` CSS below.
+const MIN_PAGE_MARGIN = 16;
 
 export const CAROUSEL_VERTICAL_PADDING = 24;
 export const COMPACT_CAROUSEL_VERTICAL_PADDING = 32;
@@ -70,6 +73,10 @@ const ALLOWED_PAGE_SIZES = [
   SMALL_EDITOR_PAGE_SIZE,
 ];
 
+// Size of the area the (possibly zoomed) page is shown in.
+const PAGE_AREA_WIDTH = 'var(--page-area-width-px)';
+const PAGE_AREA_HEIGHT = 'var(--page-area-height-px)';
+
 // @todo: the menu height is not responsive
 const Layer = styled.div`
   ${pointerEventsCss}
@@ -84,14 +91,14 @@ const Layer = styled.div`
   grid:
     'head      head      head      head      head    ' ${HEADER_HEIGHT}px
     '.         .         .         .         .       ' minmax(16px, 1fr)
-    '.         prev      page      next      .       ' var(--page-height-px)
+    '.         prev      page      next      .       ' ${PAGE_AREA_HEIGHT}
     '.         .         menu      .         .       ' ${MENU_HEIGHT}px
     '.         .         .         .         .       ' 1fr
     'carousel  carousel  carousel  carousel  carousel' minmax(
       ${MIN_CAROUSEL_HEIGHT}px,
       ${MAX_CAROUSEL_HEIGHT}px
     )
-    / 1fr ${PAGE_NAV_WIDTH}px var(--page-width-px) ${PAGE_NAV_WIDTH}px 1fr;
+    / 1fr ${PAGE_NAV_WIDTH}px ${PAGE_AREA_WIDTH} ${PAGE_NAV_WIDTH}px 1fr;
 `;
 
 const Area = styled.div`
@@ -106,8 +113,15 @@ const Area = styled.div`
 `;
 
 // Page area is not `overflow:hidden` by default to allow different clipping
-// mechanisms.
-const PageArea = styled(Area).attrs({ area: 'page', overflowAllowed: true })``;
+// mechanisms. When zoomed in, the page can be larger than its grid area, and
+// is then panned within it and clipped to it.
+const PageArea = styled(Area).attrs({ area: 'page', overflowAllowed: true })`
+  width: var(--page-width-px);
+  height: var(--page-height-px);
+  left: var(--page-offset-x-px);
+  top: var(--page-offset-y-px);
+  clip-path: var(--page-clip);
+`;
 
 const HeadArea = styled(Area).attrs({ area: 'head', overflowAllowed: false })``;
 
@@ -133,7 +147,7 @@ const CarouselArea = styled(Area).attrs({
  */
 function useLayoutParams(containerRef) {
   const {
-    actions: { setPageSize },
+    actions: { setFitPageSize, setViewportSize },
   } = useCanvas();
 
   useResizeEffect(containerRef, ({ width, height }) => {
@@ -143,6 +157,9 @@ function useLayoutParams(containerRef) {
     const maxHeight =
       height - HEADER_HEIGHT - MENU_HEIGHT - MIN_CAROUSEL_HEIGHT;
 
+    // A zoomed page is shown in as much of that as possible.
+    setViewportSize({ width: maxWidth, height: maxHeight - MIN_PAGE_MARGIN });
+
     // Find the first size that fits within the [maxWidth, maxHeight].
     let bestSize = ALLOWED_PAGE_SIZES[ALLOWED_PAGE_SIZES.length - 1];
     for (let i = 0; i < ALLOWED_PAGE_SIZES.length; i++) {
@@ -152,17 +169,33 @@ function useLayoutParams(containerRef) {
         break;
       }
     }
-    setPageSize({ width: bestSize[0], height: bestSize[1] });
+    setFitPageSize({ width: bestSize[0], height: bestSize[1] });
   });
 }
 
 function useLayoutParamsCssVars() {
   const {
-    state: { pageSize },
+    state: { pageSize, areaSize, pan },
   } = useCanvas();
+  const offset = getPageOffset(pan, pageSize, areaSize);
+  const isClipped =
+    pageSize.width > areaSize.width || pageSize.height > areaSize.height;
+  // Clip the page to its area, in the page's own coordinates.
+  const insets = [
+    -offset.y,
+    pageSize.width - areaSize.width + offset.x,
+    pageSize.height - areaSize.height + offset.y,
+    -offset.x,
+  ];
+  const clip = isClipped ? `inset(${insets.join('px ')}px)` : 'none';
   return {
+    '--page-area-width-px': `${areaSize.width}px`,
+    '--page-area-height-px': `${areaSize.height}px`,
     '--page-width-px': `${pageSize.width}px`,
     '--page-height-px': `${pageSize.height}px`,
+    '--page-offset-x-px': `${offset.x}px`,
+    '--page-offset-y-px': `${offset.y}px`,
+    '--page-clip': clip,
   };
 }
 
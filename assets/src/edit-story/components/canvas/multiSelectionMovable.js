@@ -30,7 +30,10 @@ import { useTransform } from '../transform';
 import { useUnits } from '../../units';
 import { getDefinitionForType } from '../../elements';
 import { useGlobalKeyDownEffect, useGlobalKeyUpEffect } from '../keyboard';
+import { getSelectedGroupId } from '../../utils/elementGroups';
 import useCanvas from './useCanvas';
+import { useGuidelines } from './rulers';
+import usePageDropTarget from './usePageDropTarget';
 
 const CORNER_HANDLES = ['nw', 'ne', 'sw', 'se'];
 
@@ -38,6 +41,7 @@ function MultiSelectionMovable({ selectedElements }) {
   const moveable = useRef();
 
   const {
+    state: { currentPage },
     actions: { updateElementsById },
   } = useStory();
   const {
@@ -49,6 +53,7 @@ function MultiSelectionMovable({ selectedElements }) {
   const {
     actions: { editorToDataX, editorToDataY, dataToEditorY },
   } = useUnits();
+  const guidelines = useGuidelines();
   const {
     actions: { pushTransform },
   } = useTransform();
@@ -56,6 +61,8 @@ function MultiSelectionMovable({ selectedElements }) {
     state: { draggingResource },
   } = useDropTargets();
 
+  const { updatePageDropTarget, dropOnPage } = usePageDropTarget();
+
   const [isDragging, setIsDragging] = useState(false);
   const [canSnap, setCanSnap] = useState(true);
   const [throttleRotation, setThrottleRotation] = useState(false);
@@ -146,8 +153,18 @@ function MultiSelectionMovable({ selectedElements }) {
     });
   };
 
+  // A single group is transformed as one unit, keeping its proportions.
+  const isGroup = Boolean(
+    currentPage &&
+      getSelectedGroupId(
+        currentPage.elements,
+        selectedElements.map(({ id }) => id)
+      )
+  );
+
   // Update elements once the event has ended.
   const onGroupEventEnd = ({ targets, isRotate, isResize }) => {
+    const propertiesById = {};
     targets.forEach((target, i) => {
       // Update position in all cases.
       const frame = frames[i];
@@ -174,7 +191,12 @@ function MultiSelectionMovable({ selectedElements }) {
           );
         }
       }
-      updateElementsById({ elementIds: [element.id], properties });
+      propertiesById[element.id] = properties;
+    });
+    // Update all elements at once, so the transformation is a single change.
+    updateElementsById({
+      elementIds: Object.keys(propertiesById),
+      properties: ({ id }) => propertiesById[id],
     });
     resetMoveable();
   };
@@ -190,7 +212,8 @@ function MultiSelectionMovable({ selectedElements }) {
       draggable={true}
       resizable={!hideHandles}
       rotatable={!hideHandles}
-      onDragGroup={({ events }) => {
+      onDragGroup={({ events, clientX, clientY }) => {
+        updatePageDropTarget(clientX, clientY);
         events.forEach(({ target, beforeTranslate }, i) => {
           const sFrame = frames[i];
           const { element } = targetList[i];
@@ -204,8 +227,12 @@ function MultiSelectionMovable({ selectedElements }) {
         }
         onGroupEventStart({ events, isDrag: true });
       }}
-      onDragGroupEnd={({ targets }) => {
+      onDragGroupEnd={({ targets, inputEvent }) => {
         setIsDragging(false);
+        if (dropOnPage(inputEvent)) {
+          resetMoveable();
+          return;
+        }
         onGroupEventEnd({ targets });
       }}
       onRotateGroupStart={({ events }) => {
@@ -263,14 +290,21 @@ function MultiSelectionMovable({ selectedElements }) {
       onResizeGroupEnd={({ targets }) => {
         onGroupEventEnd({ targets, isResize: true });
       }}
+      keepRatio={isGroup}
       renderDirections={CORNER_HANDLES}
       snappable={canSnap}
       snapElement={canSnap}
       snapHorizontal={canSnap}
       snapVertical={canSnap}
       snapCenter={canSnap}
-      horizontalGuidelines={canSnap ? [0, canvasHeight / 2, canvasHeight] : []}
-      verticalGuidelines={canSnap ? [0, canvasWidth / 2, canvasWidth] : []}
+      horizontalGuidelines={
+        canSnap
+          ? [0, canvasHeight / 2, canvasHeight, ...guidelines.horizontal]
+          : []
+      }
+      verticalGuidelines={
+        canSnap ? [0, canvasWidth / 2, canvasWidth, ...guidelines.vertical] : []
+      }
       elementGuidelines={otherNodes}
       snapGap={canSnap}
       isDisplaySnapDigit={false}
@@ -23,7 +23,7 @@ import { useCallback } from 'react';
 /**
  * WordPress dependencies
  */
-import { __, sprintf } from '@wordpress/i18n';
+import { __, _n, _x, sprintf } from '@wordpress/i18n';
 
 /**
  * Internal dependencies
@@ -36,8 +36,14 @@ import { ReactComponent as LeftArrow } from '../../../icons/undo_icon.svg';
 import { ReactComponent as RightArrow } from '../../../icons/redo_icon.svg';
 import { ReactComponent as Add } from '../../../icons/add_page.svg';
 import { ReactComponent as Layout } from '../../../icons/layout_helper.svg';
+import { ReactComponent as Fullbleed } from '../../../icons/fullbleed.svg';
+import { ReactComponent as Links } from '../../../icons/links.svg';
 import { ReactComponent as Text } from '../../../icons/text_helper.svg';
+import { ReactComponent as ZoomIn } from '../../../icons/zoom_in.svg';
+import { ReactComponent as ZoomOut } from '../../../icons/zoom_out.svg';
 import WithTooltip from '../../tooltip';
+import useCanvas from '../useCanvas';
+import { ZOOM_FIT, MIN_ZOOM, MAX_ZOOM, getNextZoom } from '../zoom';
 
 const HEIGHT = 28;
 
@@ -82,6 +88,19 @@ const Space = styled.div`
   width: ${({ isDouble }) => (isDouble ? 20 : 10)}px;
 `;
 
+const ZoomLevel = styled.button`
+  cursor: pointer;
+  background: transparent;
+  border: 0;
+  padding: 0;
+  width: 40px;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  line-height: 24px;
+  text-align: center;
+`;
+
 const Icon = styled.button`
   cursor: pointer;
   background: transparent;
@@ -97,6 +116,10 @@ const Icon = styled.button`
 	pointer-events: none;
 	`}
 
+  &[aria-pressed='true'] {
+    color: ${({ theme }) => theme.colors.action};
+  }
+
   svg {
     width: 28px;
     height: 28px;
@@ -110,28 +133,77 @@ function PageMenu() {
     actions: { undo, redo },
   } = useHistory();
   const {
-    state: { currentPageNumber, currentPage },
-    actions: { deleteCurrentPage, addPage },
+    state: { pages, currentPageNumber, currentPage, selectedPageIds },
+    actions: { deleteCurrentPage, deleteSelectedPages, addPage, addPagesAt },
   } = useStory();
+  const hasMultiplePagesSelected = selectedPageIds.length > 1;
   const { isRTL } = useConfig();
+  const {
+    state: { showRulers, showSafeZones, showCtaZone, zoom, zoomSetting },
+    actions: { setShowRulers, setShowSafeZones, setShowCtaZone, setZoom },
+  } = useCanvas();
 
-  const handleDeletePage = useCallback(() => deleteCurrentPage(), [
-    deleteCurrentPage,
-  ]);
+  const handleDeletePage = useCallback(
+    () =>
+      hasMultiplePagesSelected ? deleteSelectedPages() : deleteCurrentPage(),
+    [hasMultiplePagesSelected, deleteSelectedPages, deleteCurrentPage]
+  );
 
   const handleAddPage = useCallback(() => addPage({ page: createPage() }), [
     addPage,
   ]);
 
-  const handleDuplicatePage = useCallback(
-    () => addPage({ page: createPage(currentPage) }),
-    [addPage, currentPage]
-  );
+  const handleDuplicatePage = useCallback(() => {
+    if (!hasMultiplePagesSelected) {
+      addPage({ page: createPage(currentPage) });
+      return;
+    }
+    addPagesAt({
+      pages: pages
+        .filter(({ id }) => selectedPageIds.includes(id))
+        .map((page) => createPage(page)),
+      position: null,
+    });
+  }, [
+    hasMultiplePagesSelected,
+    addPage,
+    addPagesAt,
+    currentPage,
+    pages,
+    selectedPageIds,
+  ]);
 
   const handleUndo = useCallback(() => undo(), [undo]);
 
   const handleRedo = useCallback(() => redo(), [redo]);
 
+  const handleToggleRulers = useCallback(
+    () => setShowRulers((value) => !value),
+    [setShowRulers]
+  );
+
+  const handleToggleSafeZones = useCallback(
+    () => setShowSafeZones((value) => !value),
+    [setShowSafeZones]
+  );
+
+  const handleToggleCtaZone = useCallback(
+    () => setShowCtaZone((value) => !value),
+    [setShowCtaZone]
+  );
+
+  const handleZoomOut = useCallback(() => setZoom(getNextZoom(zoom, -1)), [
+    setZoom,
+    zoom,
+  ]);
+
+  const handleZoomIn = useCallback(() => setZoom(getNextZoom(zoom, 1)), [
+    setZoom,
+    zoom,
+  ]);
+
+  const handleZoomToFit = useCallback(() => setZoom(ZOOM_FIT), [setZoom]);
+
   if (!currentPage) {
     return null;
   }
@@ -141,14 +213,32 @@ function PageMenu() {
       <Box>
         <Options>
           <PageCount>
-            {sprintf(
-              /* translators: %s: Page number. */
-              __('Page %s', 'web-stories'),
-              currentPageNumber
-            )}
+            {hasMultiplePagesSelected
+              ? sprintf(
+                  /* translators: %d: Number of selected pages. */
+                  _n(
+                    '%d page',
+                    '%d pages',
+                    selectedPageIds.length,
+                    'web-stories'
+                  ),
+                  selectedPageIds.length
+                )
+              : sprintf(
+                  /* translators: %s: Page number. */
+                  __('Page %s', 'web-stories'),
+                  currentPageNumber
+                )}
           </PageCount>
           <Space />
-          <WithTooltip title={__('Delete page', 'web-stories')} shortcut="del">
+          <WithTooltip
+            title={
+              hasMultiplePagesSelected
+                ? __('Delete selected pages', 'web-stories')
+                : __('Delete page', 'web-stories')
+            }
+            shortcut="del"
+          >
             <Icon
               onClick={handleDeletePage}
               aria-label={__('Delete Page', 'web-stories')}
@@ -157,7 +247,13 @@ function PageMenu() {
             </Icon>
           </WithTooltip>
           <Space />
-          <WithTooltip title={__('Duplicate page', 'web-stories')}>
+          <WithTooltip
+            title={
+              hasMultiplePagesSelected
+                ? __('Duplicate selected pages', 'web-stories')
+                : __('Duplicate page', 'web-stories')
+            }
+          >
             <Icon
               onClick={handleDuplicatePage}
               aria-label={__('Dupliccate Page', 'web-stories')}
@@ -198,13 +294,92 @@ function PageMenu() {
           </WithTooltip>
         </Options>
         <Options>
-          <Icon disabled>
-            <Layout />
-          </Icon>
+          <WithTooltip
+            title={
+              showRulers
+                ? __('Hide rulers and guides', 'web-stories')
+                : __('Show rulers and guides', 'web-stories')
+            }
+          >
+            <Icon
+              onClick={handleToggleRulers}
+              aria-pressed={showRulers}
+              aria-label={__('Rulers and guides', 'web-stories')}
+            >
+              <Layout />
+            </Icon>
+          </WithTooltip>
+          <Space />
+          <WithTooltip
+            title={
+              showSafeZones
+                ? __('Hide device safe zones', 'web-stories')
+                : __('Show device safe zones', 'web-stories')
+            }
+          >
+            <Icon
+              onClick={handleToggleSafeZones}
+              aria-pressed={showSafeZones}
+              aria-label={__('Device safe zones', 'web-stories')}
+            >
+              <Fullbleed />
+            </Icon>
+          </WithTooltip>
+          <Space />
+          <WithTooltip
+            title={
+              showCtaZone
+                ? __('Hide one-tap link area', 'web-stories')
+                : __('Show one-tap link area', 'web-stories')
+            }
+          >
+            <Icon
+              onClick={handleToggleCtaZone}
+              aria-pressed={showCtaZone}
+              aria-label={__('One-tap link area', 'web-stories')}
+            >
+              <Links />
+            </Icon>
+          </WithTooltip>
           <Space isDouble />
           <Icon disabled>
             <Text />
           </Icon>
+          <Space />
+          <Divider />
+          <Space />
+          <WithTooltip title={__('Zoom out', 'web-stories')}>
+            <Icon
+              disabled={zoom <= MIN_ZOOM}
+              onClick={handleZoomOut}
+              aria-label={__('Zoom out', 'web-stories')}
+            >
+              <ZoomOut />
+            </Icon>
+          </WithTooltip>
+          <WithTooltip title={__('Fit to screen', 'web-stories')}>
+            <ZoomLevel
+              onClick={handleZoomToFit}
+              aria-label={__('Fit to screen', 'web-stories')}
+            >
+              {zoomSetting === ZOOM_FIT
+                ? _x('Fit', 'Zoom level that fits the page', 'web-stories')
+                : sprintf(
+                    /* translators: %d: zoom level in percent. */
+                    __('%d%%', 'web-stories'),
+                    Math.round(zoom * 100)
+                  )}
+            </ZoomLevel>
+          </WithTooltip>
+          <WithTooltip title={__('Zoom in', 'web-stories')}>
+            <Icon
+              disabled={zoom >= MAX_ZOOM}
+              onClick={handleZoomIn}
+              aria-label={__('Zoom in', 'web-stories')}
+            >
+              <ZoomIn />
+            </Icon>
+          </WithTooltip>
         </Options>
       </Box>
     </Wrapper>
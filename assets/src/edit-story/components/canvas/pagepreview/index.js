@@ -26,7 +26,8 @@ import PropTypes from 'prop-types';
  */
 import useStory from '../../../app/story/useStory';
 import { TransformProvider } from '../../transform';
-import { UnitsProvider } from '../../../units';
+import { UnitsProvider, useUnits } from '../../../units';
+import StoryPropTypes from '../../../types';
 import DisplayElement from '../displayElement';
 
 const THUMB_INDICATOR_HEIGHT = 6;
@@ -35,22 +36,36 @@ const THUMB_INDICATOR_GAP = 4;
 export const THUMB_FRAME_HEIGHT = THUMB_INDICATOR_HEIGHT + THUMB_INDICATOR_GAP;
 export const THUMB_FRAME_WIDTH = 0;
 
+function getIndicatorColor({ isActive, isSelected, theme }) {
+  if (isActive) {
+    return theme.colors.selection;
+  }
+  if (isSelected) {
+    return rgba(theme.colors.selection, 0.6);
+  }
+  return theme.colors.bg.v1;
+}
+
 const Page = styled.button`
   display: block;
   cursor: pointer;
   padding: ${THUMB_INDICATOR_GAP}px 0 0 0;
   border: 0;
-  border-top: ${THUMB_INDICATOR_HEIGHT}px solid
-    ${({ isActive, theme }) =>
-      isActive ? theme.colors.selection : theme.colors.bg.v1};
+  border-top: ${THUMB_INDICATOR_HEIGHT}px solid ${getIndicatorColor};
   height: ${({ height }) => height}px;
   background-color: transparent;
   width: ${({ width }) => width}px;
   flex: none;
   transition: width 0.2s ease, height 0.2s ease;
   outline: 0;
-  ${({ isActive, theme }) =>
+  ${({ isDropTarget, theme }) =>
+    isDropTarget &&
+    css`
+      box-shadow: 0 0 0 2px ${theme.colors.selection};
+    `}
+  ${({ isActive, isSelected, theme }) =>
     !isActive &&
+    !isSelected &&
     css`
       &:hover,
       &:focus {
@@ -73,11 +88,47 @@ const PreviewWrapper = styled.div`
   background-position: 0 0, 0 4px, 4px -4px, -4px 0px;
 `;
 
-function PagePreview({ index, forwardedRef, ...props }) {
+const Highlight = styled.div.attrs(
+  ({ box: { x, y, width, height, rotationAngle } }) => ({
+    style: {
+      left: x,
+      top: y,
+      width,
+      height,
+      transform: `rotate(${rotationAngle}deg)`,
+    },
+  })
+)`
+  position: absolute;
+  pointer-events: none;
+  border: 2px solid ${({ color }) => color};
+  background-color: ${({ color }) => rgba(color, 0.2)};
+`;
+
+function ElementHighlight({ element, color }) {
+  const {
+    actions: { getBox },
+  } = useUnits();
+  return <Highlight box={getBox(element)} color={color} />;
+}
+
+ElementHighlight.propTypes = {
+  element: PropTypes.object.isRequired,
+  color: PropTypes.string.isRequired,
+};
+
+function PagePreview({
+  index,
+  page: pageProp,
+  highlights,
+  forwardedRef,
+  ...props
+}) {
   const {
     state: { pages },
   } = useStory();
-  const page = pages[index];
+  // A given page is shown instead of the story's, e.g. one of a revision.
+  const page = pageProp || pages[index];
   const { width: thumbWidth, height: thumbHeight } = props;
   const width = thumbWidth - THUMB_FRAME_WIDTH;
   const height = thumbHeight - THUMB_FRAME_HEIGHT;
@@ -94,6 +145,16 @@ function PagePreview({ index, forwardedRef, ...props }) {
                 page={page}
               />
             ))}
+            {highlights &&
+              page.elements
+                .filter(({ id }) => highlights[id])
+                .map((element) => (
+                  <ElementHighlight
+                    key={element.id}
+                    element={element}
+                    color={highlights[element.id]}
+                  />
+                ))}
           </PreviewWrapper>
         </Page>
       </TransformProvider>
@@ -102,8 +163,11 @@ function PagePreview({ index, forwardedRef, ...props }) {
 }
 
 PagePreview.propTypes = {
-  index: PropTypes.number.isRequired,
+  index: PropTypes.number,
+  page: StoryPropTypes.page,
+  highlights: PropTypes.objectOf(PropTypes.string),
   forwardedRef: PropTypes.object,
+  isDropTarget: PropTypes.bool,
   width: PropTypes.number.isRequired,
   height: PropTypes.number.isRequired,
 };
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled, { css } from 'styled-components';
+import { rgba } from 'polished';
+
+/**
+ * Internal dependencies
+ */
+import { useUnits } from '../../../units';
+import { PAGE_HEIGHT, PAGE_WIDTH } from '../../../constants';
+import { getRulerTicks } from './utils';
+
+export const RULER_SIZE = 16;
+
+const Bar = styled.div`
+  position: absolute;
+  pointer-events: initial;
+  overflow: hidden;
+  background-color: ${({ theme }) => theme.colors.bg.v3};
+  cursor: ${({ isVertical }) => (isVertical ? 'col-resize' : 'row-resize')};
+  ${({ isVertical }) =>
+    isVertical
+      ? css`
+          top: 0;
+          bottom: 0;
+          left: -${RULER_SIZE}px;
+          width: ${RULER_SIZE}px;
+        `
+      : css`
+          left: 0;
+          right: 0;
+          top: -${RULER_SIZE}px;
+          height: ${RULER_SIZE}px;
+        `}
+`;
+
+const Tick = styled.div.attrs(({ isVertical, offset, size }) => ({
+  style: isVertical
+    ? { top: offset, right: 0, width: size, height: 1 }
+    : { left: offset, bottom: 0, width: 1, height: size },
+}))`
+  position: absolute;
+  background-color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.54)};
+`;
+
+const Label = styled.span.attrs(({ isVertical, offset }) => ({
+  style: isVertical ? { top: offset + 2 } : { left: offset + 2 },
+}))`
+  position: absolute;
+  top: 0;
+  left: 0;
+  color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.54)};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: 9px;
+  line-height: 10px;
+`;
+
+function Ruler({ isVertical, onMouseDown }) {
+  const {
+    actions: { dataToEditorX, dataToEditorY },
+  } = useUnits();
+  const toEditor = isVertical ? dataToEditorY : dataToEditorX;
+  const ticks = getRulerTicks(isVertical ? PAGE_HEIGHT : PAGE_WIDTH);
+
+  return (
+    <Bar isVertical={isVertical} onMouseDown={onMouseDown}>
+      {ticks.map(({ position, isMajor }) => (
+        <Tick
+          key={position}
+          isVertical={isVertical}
+          offset={toEditor(position)}
+          size={isMajor ? RULER_SIZE / 2 : RULER_SIZE / 4}
+        />
+      ))}
+      {ticks
+        .filter(({ isLabelled }) => isLabelled)
+        .map(({ position }) => (
+          <Label
+            key={position}
+            isVertical={isVertical}
+            offset={toEditor(position)}
+          >
+            {position}
+          </Label>
+        ))}
+    </Bar>
+  );
+}
+
+Ruler.propTypes = {
+  isVertical: PropTypes.bool,
+  onMouseDown: PropTypes.func.isRequired,
+};
+
+export default Ruler;
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { useRef } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { useUnits } from '../../../units';
+import { Layer, PageArea } from '../layout';
+import useCanvas from '../useCanvas';
+import Ruler from './ruler';
+import useGuideDrag from './useGuideDrag';
+import { EMPTY_GUIDES, GUIDE_HORIZONTAL, GUIDE_VERTICAL } from './utils';
+
+const GUIDE_HANDLE_SIZE = 5;
+
+// The line is drawn in the middle of a wider handle that's easier to grab.
+const Guide = styled.div.attrs(({ isHorizontal, offset }) => ({
+  style: isHorizontal
+    ? {
+        top: offset - Math.floor(GUIDE_HANDLE_SIZE / 2),
+        left: 0,
+        width: '100%',
+        height: GUIDE_HANDLE_SIZE,
+      }
+    : {
+        left: offset - Math.floor(GUIDE_HANDLE_SIZE / 2),
+        top: 0,
+        width: GUIDE_HANDLE_SIZE,
+        height: '100%',
+      },
+}))`
+  position: absolute;
+  z-index: 1;
+  pointer-events: ${({ isDragging }) => (isDragging ? 'none' : 'initial')};
+  cursor: ${({ isHorizontal }) => (isHorizontal ? 'row-resize' : 'col-resize')};
+
+  &::after {
+    content: '';
+    position: absolute;
+    background-color: ${({ theme }) => theme.colors.action};
+    ${({ isHorizontal }) =>
+      isHorizontal
+        ? 'left: 0; right: 0; top: 50%; height: 1px;'
+        : 'top: 0; bottom: 0; left: 50%; width: 1px;'}
+  }
+`;
+
+function RulersLayer() {
+  const {
+    state: {
+      story: { guides = EMPTY_GUIDES },
+    },
+  } = useStory();
+  const {
+    state: { showRulers },
+  } = useCanvas();
+  const {
+    actions: { dataToEditorX, dataToEditorY },
+  } = useUnits();
+  const areaRef = useRef(null);
+  const { drag, startDrag } = useGuideDrag(areaRef);
+
+  if (!showRulers) {
+    return null;
+  }
+
+  const toEditor = (orientation, position) =>
+    orientation === GUIDE_HORIZONTAL
+      ? dataToEditorY(position)
+      : dataToEditorX(position);
+
+  return (
+    <Layer pointerEvents="none" onMouseDown={(evt) => evt.stopPropagation()}>
+      <PageArea ref={areaRef}>
+        <Ruler onMouseDown={(evt) => startDrag(evt, GUIDE_HORIZONTAL)} />
+        <Ruler
+          isVertical
+          onMouseDown={(evt) => startDrag(evt, GUIDE_VERTICAL)}
+        />
+        {[GUIDE_HORIZONTAL, GUIDE_VERTICAL].map((orientation) =>
+          guides[orientation].map((position, index) => {
+            // The guide being dragged is drawn where it's dragged to.
+            if (drag?.orientation === orientation && drag.index === index) {
+              return null;
+            }
+            return (
+              <Guide
+                key={`${orientation}-${index}`}
+                isHorizontal={orientation === GUIDE_HORIZONTAL}
+                offset={toEditor(orientation, position)}
+                onMouseDown={(evt) => startDrag(evt, orientation, index)}
+              />
+            );
+          })
+        )}
+        {drag && drag.position !== null && (
+          <Guide
+            isDragging
+            isHorizontal={drag.orientation === GUIDE_HORIZONTAL}
+            offset={toEditor(drag.orientation, drag.position)}
+          />
+        )}
+      </PageArea>
+    </Layer>
+  );
+}
+
+export default RulersLayer;
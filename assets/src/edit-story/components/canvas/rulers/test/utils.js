@@ -0,0 +1,87 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  GUIDE_HORIZONTAL,
+  GUIDE_VERTICAL,
+  getRulerTicks,
+  getGuidePosition,
+  moveGuide,
+} from '../utils';
+
+describe('getRulerTicks', () => {
+  it('should mark major and labelled ticks', () => {
+    const ticks = getRulerTicks(100);
+
+    expect(ticks).toHaveLength(11);
+    expect(ticks[0]).toStrictEqual({
+      position: 0,
+      isMajor: true,
+      isLabelled: true,
+    });
+    expect(ticks[1]).toStrictEqual({
+      position: 10,
+      isMajor: false,
+      isLabelled: false,
+    });
+    expect(ticks[5]).toStrictEqual({
+      position: 50,
+      isMajor: true,
+      isLabelled: false,
+    });
+  });
+});
+
+describe('getGuidePosition', () => {
+  it('should only return positions on the page', () => {
+    expect(getGuidePosition(0, 440)).toBe(0);
+    expect(getGuidePosition(220, 440)).toBe(220);
+    expect(getGuidePosition(-1, 440)).toBeNull();
+    expect(getGuidePosition(441, 440)).toBeNull();
+  });
+});
+
+describe('moveGuide', () => {
+  const guides = { [GUIDE_HORIZONTAL]: [100, 200], [GUIDE_VERTICAL]: [50] };
+
+  it('should add a guide', () => {
+    expect(moveGuide(guides, GUIDE_VERTICAL, null, 80)).toStrictEqual({
+      [GUIDE_HORIZONTAL]: [100, 200],
+      [GUIDE_VERTICAL]: [50, 80],
+    });
+  });
+
+  it('should not add a guide dragged off the page', () => {
+    expect(moveGuide(guides, GUIDE_VERTICAL, null, null)).toStrictEqual(guides);
+  });
+
+  it('should move a guide', () => {
+    expect(moveGuide(guides, GUIDE_HORIZONTAL, 1, 300)).toStrictEqual({
+      [GUIDE_HORIZONTAL]: [100, 300],
+      [GUIDE_VERTICAL]: [50],
+    });
+  });
+
+  it('should remove a guide dragged off the page', () => {
+    expect(moveGuide(guides, GUIDE_HORIZONTAL, 0, null)).toStrictEqual({
+      [GUIDE_HORIZONTAL]: [200],
+      [GUIDE_VERTICAL]: [50],
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { useUnits } from '../../../units';
+import { PAGE_HEIGHT, PAGE_WIDTH } from '../../../constants';
+import {
+  EMPTY_GUIDES,
+  GUIDE_HORIZONTAL,
+  getGuidePosition,
+  moveGuide,
+} from './utils';
+
+/**
+ * Drag guides out of the rulers, along the page and off it again.
+ *
+ * @param {Object} areaRef Ref to the page area the guides are positioned in.
+ * @return {Object} The guide being dragged, if any, and a mousedown handler
+ * to start dragging.
+ */
+function useGuideDrag(areaRef) {
+  const {
+    state: {
+      story: { guides = EMPTY_GUIDES },
+    },
+    actions: { updateStory },
+  } = useStory();
+  const {
+    actions: { editorToDataX, editorToDataY },
+  } = useUnits();
+  const [drag, setDrag] = useState(null);
+
+  const startDrag = useCallback(
+    (evt, orientation, index = null) => {
+      evt.preventDefault();
+      evt.stopPropagation();
+
+      const getPosition = ({ clientX, clientY }) => {
+        const { left, top } = areaRef.current.getBoundingClientRect();
+        return orientation === GUIDE_HORIZONTAL
+          ? getGuidePosition(editorToDataY(clientY - top), PAGE_HEIGHT)
+          : getGuidePosition(editorToDataX(clientX - left), PAGE_WIDTH);
+      };
+
+      const doc = evt.target.ownerDocument;
+      const handleMove = (moveEvt) =>
+        setDrag({ orientation, index, position: getPosition(moveEvt) });
+      const handleUp = (upEvt) => {
+        doc.removeEventListener('mousemove', handleMove);
+        setDrag(null);
+        const position = getPosition(upEvt);
+        const isUnchanged =
+          index === null
+            ? position === null
+            : guides[orientation][index] === position;
+        if (!isUnchanged) {
+          updateStory({
+            properties: {
+              guides: moveGuide(guides, orientation, index, position),
+            },
+          });
+        }
+      };
+
+      setDrag({ orientation, index, position: getPosition(evt) });
+      doc.addEventListener('mousemove', handleMove);
+      doc.addEventListener('mouseup', handleUp, { once: true });
+    },
+    [areaRef, guides, editorToDataX, editorToDataY, updateStory]
+  );
+
+  return { drag, startDrag };
+}
+
+export default useGuideDrag;
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useMemo } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { useUnits } from '../../../units';
+import useCanvas from '../useCanvas';
+import { EMPTY_GUIDES } from './utils';
+
+/**
+ * Get the user-defined guides that elements should snap to.
+ *
+ * Guides are only used while they're shown with the rulers.
+ *
+ * @return {{horizontal: Array<number>, vertical: Array<number>}} Positions of
+ * the guides in the editor space.
+ */
+function useGuidelines() {
+  const {
+    state: {
+      story: { guides = EMPTY_GUIDES },
+    },
+  } = useStory();
+  const {
+    state: { showRulers },
+  } = useCanvas();
+  const {
+    actions: { dataToEditorX, dataToEditorY },
+  } = useUnits();
+
+  return useMemo(
+    () =>
+      showRulers
+        ? {
+            horizontal: guides.horizontal.map(dataToEditorY),
+            vertical: guides.vertical.map(dataToEditorX),
+          }
+        : EMPTY_GUIDES,
+    [showRulers, guides, dataToEditorX, dataToEditorY]
+  );
+}
+
+export default useGuidelines;
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export const GUIDE_HORIZONTAL = 'horizontal';
+export const GUIDE_VERTICAL = 'vertical';
+
+export const EMPTY_GUIDES = { [GUIDE_HORIZONTAL]: [], [GUIDE_VERTICAL]: [] };
+
+// Ruler ticks, in data pixels.
+const TICK_STEP = 10;
+const MAJOR_TICK_STEP = 50;
+const LABEL_STEP = 100;
+
+/**
+ * Get the ticks of a ruler along one dimension of the page.
+ *
+ * @param {number} length Length of the page in data pixels.
+ * @return {Array<{position: number, isMajor: boolean, isLabelled: boolean}>}
+ * Ticks, with their position in data pixels.
+ */
+export function getRulerTicks(length) {
+  const ticks = [];
+  for (let position = 0; position <= length; position += TICK_STEP) {
+    ticks.push({
+      position,
+      isMajor: position % MAJOR_TICK_STEP === 0,
+      isLabelled: position % LABEL_STEP === 0,
+    });
+  }
+  return ticks;
+}
+
+/**
+ * Get the position of a guide dragged to the given offset.
+ *
+ * @param {number} offset Offset from the page edge in data pixels.
+ * @param {number} length Length of the page in data pixels.
+ * @return {?number} Position of the guide, or null if it was dragged off the
+ * page.
+ */
+export function getGuidePosition(offset, length) {
+  return offset < 0 || offset > length ? null : offset;
+}
+
+/**
+ * Add, move or remove a guide.
+ *
+ * @param {Object} guides Current guides, by orientation.
+ * @param {string} orientation Orientation of the guide.
+ * @param {?number} index Index of the guide to move, or null to add one.
+ * @param {?number} position New position of the guide, or null to remove it.
+ * @return {Object} New guides.
+ */
+export function moveGuide(guides, orientation, index, position) {
+  const positions = [...guides[orientation]];
+  if (index === null) {
+    if (position !== null) {
+      positions.push(position);
+    }
+  } else if (position === null) {
+    positions.splice(index, 1);
+  } else {
+    positions[index] = position;
+  }
+  return { ...guides, [orientation]: positions };
+}
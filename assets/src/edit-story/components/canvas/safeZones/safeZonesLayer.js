@@ -0,0 +1,149 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { rgba } from 'polished';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { useUnits } from '../../../units';
+import { Layer, PageArea } from '../layout';
+import useCanvas from '../useCanvas';
+import {
+  DEVICE_RATIOS,
+  getViewportCrop,
+  getSafeArea,
+  getCtaZone,
+  isOutsideArea,
+} from './utils';
+
+const Zone = styled.div.attrs(({ box: { x, y, width, height } }) => ({
+  style: { left: x, top: y, width, height },
+}))`
+  position: absolute;
+`;
+
+const Clip = styled.div`
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  overflow: hidden;
+`;
+
+const Crop = styled(Zone)`
+  border: 1px dashed ${({ theme }) => rgba(theme.colors.fg.v1, 0.7)};
+`;
+
+const CtaZone = styled(Zone)`
+  background-color: ${({ theme }) => rgba(theme.colors.action, 0.2)};
+  border-top: 1px dashed ${({ theme }) => theme.colors.action};
+`;
+
+const Label = styled.span`
+  position: absolute;
+  top: 2px;
+  left: 4px;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: 11px;
+  line-height: 14px;
+  text-shadow: 0 0 2px ${({ theme }) => theme.colors.bg.v0};
+  white-space: nowrap;
+`;
+
+const Highlight = styled.div.attrs(
+  ({ box: { x, y, width, height, rotationAngle } }) => ({
+    style: {
+      left: x,
+      top: y,
+      width,
+      height,
+      transform: `rotate(${rotationAngle}deg)`,
+    },
+  })
+)`
+  position: absolute;
+  outline: 2px solid ${({ theme }) => theme.colors.warning};
+`;
+
+function SafeZonesLayer() {
+  const {
+    state: { currentPage },
+  } = useStory();
+  const {
+    state: { showSafeZones, showCtaZone },
+  } = useCanvas();
+  const {
+    actions: { dataToEditorX, dataToEditorY, getBox },
+  } = useUnits();
+
+  if (!currentPage || (!showSafeZones && !showCtaZone)) {
+    return null;
+  }
+
+  const toEditor = ({ x, y, width, height }) => ({
+    x: dataToEditorX(x),
+    y: dataToEditorY(y),
+    width: dataToEditorX(width),
+    height: dataToEditorY(height),
+  });
+
+  // Only elements sticking out of the page are cut off on devices, the
+  // device crops just show what remains visible of fullbleed backgrounds.
+  const safeArea = getSafeArea();
+  const outsideElements = showSafeZones
+    ? currentPage.elements.filter(
+        (element) => !element.isHidden && isOutsideArea(element, safeArea)
+      )
+    : [];
+
+  return (
+    <Layer pointerEvents="none">
+      <PageArea>
+        <Clip>
+          {showSafeZones &&
+            DEVICE_RATIOS.map(({ label, ratio }) => (
+              <Crop key={label} box={toEditor(getViewportCrop(ratio))}>
+                <Label>{label}</Label>
+              </Crop>
+            ))}
+          {showCtaZone && (
+            <CtaZone box={toEditor(getCtaZone())}>
+              <Label>{__('One-tap link area', 'web-stories')}</Label>
+            </CtaZone>
+          )}
+        </Clip>
+        {outsideElements.map((element) => (
+          <Highlight key={element.id} box={getBox(element)} />
+        ))}
+      </PageArea>
+    </Layer>
+  );
+}
+
+export default SafeZonesLayer;
@@ -0,0 +1,117 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  getViewportCrop,
+  getSafeArea,
+  getCtaZone,
+  getBoundingBox,
+  isOutsideArea,
+} from '../utils';
+
+describe('getViewportCrop', () => {
+  it('should crop the sides for viewports narrower than the page', () => {
+    const crop = getViewportCrop(9 / 16);
+
+    expect(crop.x).toBeCloseTo(34.375);
+    expect(crop.y).toStrictEqual(0);
+    expect(crop.width).toBeCloseTo(371.25);
+    expect(crop.height).toStrictEqual(660);
+  });
+
+  it('should crop top and bottom for viewports wider than the page', () => {
+    const crop = getViewportCrop(3 / 4);
+
+    expect(crop.x).toStrictEqual(0);
+    expect(crop.y).toBeCloseTo(36.667);
+    expect(crop.width).toStrictEqual(440);
+    expect(crop.height).toBeCloseTo(586.667);
+  });
+});
+
+describe('getSafeArea', () => {
+  it('should return the whole page', () => {
+    expect(getSafeArea()).toStrictEqual({
+      x: 0,
+      y: 0,
+      width: 440,
+      height: 660,
+    });
+  });
+});
+
+describe('getCtaZone', () => {
+  it('should return the bottom 20% of the page', () => {
+    expect(getCtaZone()).toStrictEqual({
+      x: 0,
+      y: 528,
+      width: 440,
+      height: 132,
+    });
+  });
+});
+
+describe('getBoundingBox', () => {
+  it('should return the box of rotated elements', () => {
+    const box = getBoundingBox({
+      x: 10,
+      y: 20,
+      width: 100,
+      height: 50,
+      rotationAngle: 90,
+    });
+
+    expect(box.x).toBeCloseTo(35);
+    expect(box.y).toBeCloseTo(-5);
+    expect(box.width).toBeCloseTo(50);
+    expect(box.height).toBeCloseTo(100);
+  });
+});
+
+describe('isOutsideArea', () => {
+  const area = { x: 50, y: 50, width: 300, height: 500 };
+
+  it('should detect elements sticking out of the area', () => {
+    const element = { x: 40, y: 100, width: 100, height: 100 };
+
+    expect(isOutsideArea(element, area)).toBe(true);
+    expect(isOutsideArea({ ...element, x: 60 }, area)).toBe(false);
+  });
+
+  it('should take the rotation into account', () => {
+    const element = { x: 100, y: 60, width: 100, height: 20 };
+
+    expect(isOutsideArea(element, area)).toBe(false);
+    expect(isOutsideArea({ ...element, rotationAngle: 90 }, area)).toBe(true);
+  });
+
+  it('should not flag elements inside the page but outside device crops', () => {
+    const element = { x: 5, y: 5, width: 430, height: 100 };
+
+    expect(isOutsideArea(element, getSafeArea())).toBe(false);
+    expect(isOutsideArea({ ...element, x: -5 }, getSafeArea())).toBe(true);
+  });
+
+  it('should ignore backgrounds', () => {
+    const element = { x: 0, y: 0, width: 440, height: 660 };
+
+    expect(isOutsideArea({ ...element, isBackground: true }, area)).toBe(false);
+    expect(isOutsideArea({ ...element, isFill: true }, area)).toBe(false);
+  });
+});
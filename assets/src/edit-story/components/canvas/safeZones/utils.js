@@ -0,0 +1,118 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { PAGE_WIDTH, PAGE_HEIGHT, CTA_ZONE_PERCENT } from '../../../constants';
+
+// Aspect ratios (width / height) of common device viewports. They only
+// matter for fullbleed backgrounds, all other elements are placed in a
+// letterboxed layer with the page's aspect ratio and are never cropped.
+export const DEVICE_RATIOS = [
+  { label: '9:16', ratio: 9 / 16 },
+  { label: '9:19.5', ratio: 9 / 19.5 },
+  { label: '3:4', ratio: 3 / 4 },
+];
+
+/**
+ * Get the part of the page a fullbleed background is cropped to on a device.
+ *
+ * Fullbleed backgrounds cover the whole viewport, so a viewport narrower than
+ * the page crops their sides, and a wider one their top and bottom.
+ *
+ * @param {number} ratio Aspect ratio of the viewport.
+ * @return {{x: number, y: number, width: number, height: number}} Visible
+ * area, in data pixels.
+ */
+export function getViewportCrop(ratio) {
+  if (ratio < PAGE_WIDTH / PAGE_HEIGHT) {
+    const width = PAGE_HEIGHT * ratio;
+    return { x: (PAGE_WIDTH - width) / 2, y: 0, width, height: PAGE_HEIGHT };
+  }
+  const height = PAGE_WIDTH / ratio;
+  return { x: 0, y: (PAGE_HEIGHT - height) / 2, width: PAGE_WIDTH, height };
+}
+
+/**
+ * Get the safe area of the page, which is shown in full on every device.
+ *
+ * @return {{x: number, y: number, width: number, height: number}} Safe area,
+ * in data pixels.
+ */
+export function getSafeArea() {
+  return { x: 0, y: 0, width: PAGE_WIDTH, height: PAGE_HEIGHT };
+}
+
+/**
+ * Get the area at the bottom of the page that is reserved for one-tap links
+ * and page attachments.
+ *
+ * @return {{x: number, y: number, width: number, height: number}} CTA zone,
+ * in data pixels.
+ */
+export function getCtaZone() {
+  const height = PAGE_HEIGHT * CTA_ZONE_PERCENT;
+  return { x: 0, y: PAGE_HEIGHT - height, width: PAGE_WIDTH, height };
+}
+
+/**
+ * Get the axis-aligned bounding box of a possibly rotated element.
+ *
+ * @param {Object} element Element with position, size and rotation.
+ * @return {{x: number, y: number, width: number, height: number}} Bounding
+ * box.
+ */
+export function getBoundingBox({ x, y, width, height, rotationAngle = 0 }) {
+  const radians = (rotationAngle * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const boundingWidth = width * cos + height * sin;
+  const boundingHeight = width * sin + height * cos;
+  return {
+    x: x + (width - boundingWidth) / 2,
+    y: y + (height - boundingHeight) / 2,
+    width: boundingWidth,
+    height: boundingHeight,
+  };
+}
+
+// Ignore rounding errors in the bounding box of rotated elements.
+const TOLERANCE = 0.01;
+
+/**
+ * Check whether an element is at least partly outside of the given area.
+ *
+ * Backgrounds and elements filling the page are never considered outside,
+ * as they are meant to be cropped.
+ *
+ * @param {Object} element Element to check.
+ * @param {{x: number, y: number, width: number, height: number}} area Area
+ * in data pixels.
+ * @return {boolean} Whether the element sticks out of the area.
+ */
+export function isOutsideArea(element, area) {
+  if (element.isBackground || element.isFill) {
+    return false;
+  }
+  const box = getBoundingBox(element);
+  return (
+    box.x < area.x - TOLERANCE ||
+    box.y < area.y - TOLERANCE ||
+    box.x + box.width > area.x + area.width + TOLERANCE ||
+    box.y + box.height > area.y + area.height + TOLERANCE
+  );
+}
@@ -24,7 +24,7 @@ import MultiSelectionMovable from './multiSelectionMovable';
 
 function Selection() {
   const {
-    state: { selectedElements },
+    state: { selectedElements: allSelectedElements },
   } = useStory();
   const {
     state: { editingElement, lastSelectionEvent, nodesById },
@@ -35,6 +35,12 @@ function Selection() {
     return null;
   }
 
+  // Locked and hidden elements can be selected from the layers panel,
+  // but can't be moved.
+  const selectedElements = allSelectedElements.filter(
+    ({ isLocked, isHidden }) => !isLocked && !isHidden
+  );
+
   // No selection.
   if (selectedElements.length === 0) {
     return null;
@@ -102,7 +102,8 @@ function SelectionCanvas({ children }) {
 
   const onMouseDown = (evt) => {
     // Selecting the background element should be handeled at the frameElement level
-    if (!nodesById[currentPage.backgroundElementId].contains(evt.target)) {
+    const backgroundNode = nodesById[currentPage.backgroundElementId];
+    if (!backgroundNode?.contains(evt.target)) {
       if (selectedElements.length) {
         clearSelection();
       }
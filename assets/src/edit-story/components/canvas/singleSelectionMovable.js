@@ -32,6 +32,8 @@ import { getDefinitionForType } from '../../elements';
 import { useGlobalKeyDownEffect, useGlobalKeyUpEffect } from '../keyboard';
 import useBatchingCallback from '../../utils/useBatchingCallback';
 import useCanvas from './useCanvas';
+import { useGuidelines } from './rulers';
+import usePageDropTarget from './usePageDropTarget';
 
 const EMPTY_HANDLES = [];
 const VERTICAL_HANDLES = ['n', 's'];
@@ -57,6 +59,7 @@ function SingleSelectionMovable({ selectedElement, targetEl, pushEvent }) {
   const {
     actions: { getBox, editorToDataX, editorToDataY, dataToEditorY },
   } = useUnits();
+  const guidelines = useGuidelines();
   const {
     actions: { pushTransform },
   } = useTransform();
@@ -64,6 +67,7 @@ function SingleSelectionMovable({ selectedElement, targetEl, pushEvent }) {
     state: { activeDropTargetId, draggingResource },
     actions: { handleDrag, handleDrop, setDraggingResource, isDropSource },
   } = useDropTargets();
+  const { updatePageDropTarget, dropOnPage } = usePageDropTarget();
 
   const otherNodes = Object.values(
     objectWithout(nodesById, [selectedElement.id])
@@ -192,6 +196,7 @@ function SingleSelectionMovable({ selectedElement, targetEl, pushEvent }) {
         }
         frame.translate = beforeTranslate;
         setTransformStyle(target);
+        updatePageDropTarget(clientX, clientY);
         if (isDropSource(selectedElement.type)) {
           handleDrag(
             selectedElement.resource,
@@ -205,7 +210,11 @@ function SingleSelectionMovable({ selectedElement, targetEl, pushEvent }) {
       onDragStart={({ set }) => {
         set(frame.translate);
       }}
-      onDragEnd={({ target }) => {
+      onDragEnd={({ target, inputEvent }) => {
+        if (dropOnPage(inputEvent)) {
+          resetDragging(target);
+          return;
+        }
         // When dragging finishes, set the new properties based on the original + what moved meanwhile.
         const [deltaX, deltaY] = frame.translate;
         if (deltaX !== 0 || deltaY !== 0) {
@@ -304,10 +313,14 @@ function SingleSelectionMovable({ selectedElement, targetEl, pushEvent }) {
       snappable={canSnap}
       snapCenter={canSnap}
       horizontalGuidelines={
-        canSnap && actionsEnabled ? [0, canvasHeight / 2, canvasHeight] : []
+        canSnap && actionsEnabled
+          ? [0, canvasHeight / 2, canvasHeight, ...guidelines.horizontal]
+          : []
       }
       verticalGuidelines={
-        canSnap && actionsEnabled ? [0, canvasWidth / 2, canvasWidth] : []
+        canSnap && actionsEnabled
+          ? [0, canvasWidth / 2, canvasWidth, ...guidelines.vertical]
+          : []
       }
       elementGuidelines={canSnap && actionsEnabled ? otherNodes : []}
       snapGap={canSnap}
@@ -138,4 +138,28 @@ describe('FrameElement selection', () => {
     fireEvent.mouseDown(wrapper, { shiftKey: true });
     expect(toggleElementInSelection).toHaveBeenCalledWith({ elementId: '1' });
   });
+
+  it('should not select locked element on mousedown or focus', () => {
+    const element = {
+      id: '1',
+      type: 'text',
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 80,
+      rotationAngle: 0,
+      fontSize: 20,
+      content: 'hello world',
+      color: createSolid(255, 255, 255),
+      isLocked: true,
+    };
+    const { container } = render(
+      <TestFrameElement storyContext={storyContext} element={element} />
+    );
+
+    const wrapper = container.querySelector('[data-element-id="1"]');
+    fireEvent.mouseDown(wrapper);
+    fireEvent.focus(wrapper);
+    expect(setSelectedElementsById).not.toHaveBeenCalled();
+  });
 });
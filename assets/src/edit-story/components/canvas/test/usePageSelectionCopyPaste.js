@@ -0,0 +1,102 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { renderHook } from '@testing-library/react-hooks';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import usePageSelectionCopyPaste from '../usePageSelectionCopyPaste';
+
+jest.mock('../../../app', () => ({ useStory: jest.fn() }));
+
+function fireClipboardEvent(target, type) {
+  const evt = new window.Event(type, { bubbles: true, cancelable: true });
+  evt.clipboardData = { types: [], setData: jest.fn() };
+  target.dispatchEvent(evt);
+  return evt;
+}
+
+describe('usePageSelectionCopyPaste', () => {
+  let container;
+  let button;
+  let deleteSelectedPages;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    button = document.createElement('button');
+    container.appendChild(button);
+    document.body.appendChild(container);
+
+    deleteSelectedPages = jest.fn();
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  function setupStory({ hasPageSelection }) {
+    useStory.mockReturnValue({
+      state: {
+        pages: [{ id: 'p1', elements: [] }],
+        selectedPageIds: ['p1'],
+        hasPageSelection,
+      },
+      actions: { addPagesAt: jest.fn(), deleteSelectedPages },
+    });
+  }
+
+  it('should not cut the current page if nothing is focused', () => {
+    setupStory({ hasPageSelection: false });
+    renderHook(() => usePageSelectionCopyPaste(container));
+
+    const evt = fireClipboardEvent(document.body, 'cut');
+
+    expect(deleteSelectedPages).not.toHaveBeenCalled();
+    expect(evt.clipboardData.setData).not.toHaveBeenCalled();
+  });
+
+  it('should cut the current page if the focus is in the list', () => {
+    setupStory({ hasPageSelection: false });
+    renderHook(() => usePageSelectionCopyPaste(container));
+
+    button.focus();
+    const evt = fireClipboardEvent(button, 'cut');
+
+    expect(deleteSelectedPages).toHaveBeenCalledTimes(1);
+    expect(evt.clipboardData.setData).toHaveBeenCalledWith(
+      'text/html',
+      expect.any(String)
+    );
+  });
+
+  it('should copy the selected pages if nothing is focused', () => {
+    setupStory({ hasPageSelection: true });
+    renderHook(() => usePageSelectionCopyPaste(container));
+
+    const evt = fireClipboardEvent(document.body, 'copy');
+
+    expect(evt.clipboardData.setData).toHaveBeenCalledWith(
+      'text/html',
+      expect.any(String)
+    );
+    expect(deleteSelectedPages).not.toHaveBeenCalled();
+  });
+});
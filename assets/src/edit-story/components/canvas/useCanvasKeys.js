@@ -17,14 +17,15 @@
 /**
  * External dependencies
  */
-import { useEffect } from 'react';
+import { useCallback, useEffect } from 'react';
 
 /**
  * Internal dependencies
  */
-import { useKeyDownEffect } from '../keyboard';
+import { useKeyDownEffect, useKeyUpEffect } from '../keyboard';
 import { useStory } from '../../app';
 import { LAYER_DIRECTIONS } from '../../constants';
+import useCanvas from './useCanvas';
 
 const MOVE_COARSE_STEP = 10;
 
@@ -37,9 +38,14 @@ function useCanvasKeys(ref) {
       arrangeSelection,
       clearSelection,
       deleteSelectedElements,
+      groupSelection,
+      ungroupSelection,
       updateSelectedElements,
     },
   } = useStory();
+  const {
+    actions: { setIsPanMode },
+  } = useCanvas();
 
   // Return focus back to the canvas when another section loses the focus.
   useEffect(() => {
@@ -70,54 +76,87 @@ function useCanvasKeys(ref) {
   useKeyDownEffect(ref, 'delete', () => deleteSelectedElements(), [
     deleteSelectedElements,
   ]);
-  useKeyDownEffect(ref, 'esc', () => clearSelection(), [clearSelection]);
+  useKeyDownEffect(ref, 'cancel', () => clearSelection(), [clearSelection]);
+  useKeyDownEffect(ref, 'group', () => groupSelection(), [groupSelection]);
+  useKeyDownEffect(ref, 'ungroup', () => ungroupSelection(), [
+    ungroupSelection,
+  ]);
 
-  // Position (x/y) key handler.
+  // Hold space to pan the canvas.
   useKeyDownEffect(
     ref,
-    { key: ['up', 'down', 'left', 'right'], shift: true },
-    ({ key, shiftKey }) => {
-      const dirX = getArrowDir(key, 'ArrowRight', 'ArrowLeft');
-      const dirY = getArrowDir(key, 'ArrowDown', 'ArrowUp');
+    { key: 'pan', repeat: false },
+    () => setIsPanMode(true),
+    [setIsPanMode]
+  );
+  useKeyUpEffect(ref, 'pan', () => setIsPanMode(false), [setIsPanMode]);
+
+  // Position (x/y) key handlers. With shift, elements move by 1px only.
+  const moveSelection = useCallback(
+    (dirX, dirY, { shiftKey }) => {
       const delta = shiftKey ? 1 : MOVE_COARSE_STEP;
       updateSelectedElements({
-        properties: ({ x, y }) => ({
-          x: x + delta * dirX,
-          y: y + delta * dirY,
-        }),
+        properties: ({ x, y, isLocked }) =>
+          isLocked
+            ? {}
+            : {
+                x: x + delta * dirX,
+                y: y + delta * dirY,
+              },
       });
     },
     [updateSelectedElements]
   );
+  useKeyDownEffect(
+    ref,
+    { key: 'moveUp', shift: true },
+    (evt) => moveSelection(0, -1, evt),
+    [moveSelection]
+  );
+  useKeyDownEffect(
+    ref,
+    { key: 'moveDown', shift: true },
+    (evt) => moveSelection(0, 1, evt),
+    [moveSelection]
+  );
+  useKeyDownEffect(
+    ref,
+    { key: 'moveLeft', shift: true },
+    (evt) => moveSelection(-1, 0, evt),
+    [moveSelection]
+  );
+  useKeyDownEffect(
+    ref,
+    { key: 'moveRight', shift: true },
+    (evt) => moveSelection(1, 0, evt),
+    [moveSelection]
+  );
 
   // Layer up/down.
   useKeyDownEffect(
     ref,
-    { key: ['mod+up', 'mod+down'], shift: true },
-    ({ key, shiftKey }) =>
-      arrangeSelection({ position: getLayerDirection(key, shiftKey) }),
+    'bringToFront',
+    () => arrangeSelection({ position: LAYER_DIRECTIONS.FRONT }),
+    [arrangeSelection]
+  );
+  useKeyDownEffect(
+    ref,
+    'bringForward',
+    () => arrangeSelection({ position: LAYER_DIRECTIONS.FORWARD }),
+    [arrangeSelection]
+  );
+  useKeyDownEffect(
+    ref,
+    'sendBackward',
+    () => arrangeSelection({ position: LAYER_DIRECTIONS.BACKWARD }),
+    [arrangeSelection]
+  );
+  useKeyDownEffect(
+    ref,
+    'sendToBack',
+    () => arrangeSelection({ position: LAYER_DIRECTIONS.BACK }),
     [arrangeSelection]
   );
-}
-
-function getArrowDir(key, pos, neg) {
-  if (key === pos) {
-    return 1;
-  }
-  if (key === neg) {
-    return -1;
-  }
-  return 0;
-}
-
-function getLayerDirection(key, shift) {
-  if (key === 'ArrowUp') {
-    return shift ? LAYER_DIRECTIONS.FRONT : LAYER_DIRECTIONS.FORWARD;
-  }
-  if (key === 'ArrowDown') {
-    return shift ? LAYER_DIRECTIONS.BACK : LAYER_DIRECTIONS.BACKWARD;
-  }
-  return null;
 }
 
 export default useCanvasKeys;
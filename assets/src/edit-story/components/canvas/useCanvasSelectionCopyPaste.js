@@ -18,7 +18,7 @@
  * External dependencies
  */
 import { v4 as uuidv4 } from 'uuid';
-import { useCallback } from 'react';
+import { useCallback, useState } from 'react';
 import { renderToStaticMarkup } from 'react-dom/server';
 
 /**
@@ -33,22 +33,91 @@ import { useStory } from '../../app';
 import { useUploader } from '../../app/uploader';
 import { useSnackbar } from '../../app/snackbar';
 import useClipboardHandlers from '../../utils/useClipboardHandlers';
+import { useRegisteredKeyNames } from '../keyboard';
 import { getDefinitionForType } from '../../elements';
-
-const DOUBLE_DASH_ESCAPE = '_DOUBLEDASH_';
+import {
+  serializeClipboardPayload,
+  getClipboardPayload,
+} from '../../utils/clipboardPayload';
 
 /**
  * @param {?Element} container
+ * @return {Object} Actions to copy, cut and paste elements from a menu.
  */
 function useCanvasSelectionCopyPaste(container) {
   const {
     state: { currentPage, selectedElements },
-    actions: { addElement, deleteSelectedElements },
+    actions: { addElements, deleteSelectedElements },
   } = useStory();
 
   const { uploadFile, isValidType } = useUploader();
   const { showSnackbar } = useSnackbar();
 
+  // Elements copied last in the editor. Browsers don't let the context menu
+  // read the clipboard, so it can only paste these.
+  const [copiedPayload, setCopiedPayload] = useState(null);
+
+  const getPayload = useCallback(() => {
+    // Keep the page order, so grouped elements stay next to each other.
+    const elementIds = currentPage.elements.map(({ id }) => id);
+    const orderedElements = [...selectedElements].sort(
+      (a, b) => elementIds.indexOf(a.id) - elementIds.indexOf(b.id)
+    );
+
+    return {
+      sentinel: 'story-elements',
+      // @todo: Ensure that there's no unserializable data here. The easiest
+      // would be to keep all serializable data together and all non-serializable
+      // in a separate property.
+      items: orderedElements.map((element) => ({
+        ...element,
+        basedOn: element.id,
+        id: undefined,
+      })),
+    };
+  }, [currentPage, selectedElements]);
+
+  const pastePayload = useCallback(
+    (payload) => {
+      // Pasted groups get new ids, so they don't merge with the originals.
+      // Groups with just one pasted member are dropped.
+      const groupSizes = payload.items.reduce((sizes, { groupId }) => {
+        if (groupId) {
+          sizes[groupId] = (sizes[groupId] || 0) + 1;
+        }
+        return sizes;
+      }, {});
+      const newGroupIds = {};
+      Object.keys(groupSizes)
+        .filter((groupId) => groupSizes[groupId] > 1)
+        .forEach((groupId) => (newGroupIds[groupId] = uuidv4()));
+
+      const elements = payload.items.map(
+        ({ x, y, basedOn, groupId, ...rest }) => {
+          currentPage.elements.forEach((element) => {
+            if (element.id === basedOn || element.basedOn === basedOn) {
+              x = Math.max(x, element.x + 60);
+              y = Math.max(y, element.y + 60);
+            }
+          });
+          const element = {
+            ...rest,
+            basedOn,
+            id: uuidv4(),
+            x,
+            y,
+          };
+          if (newGroupIds[groupId]) {
+            element.groupId = newGroupIds[groupId];
+          }
+          return element;
+        }
+      );
+      addElements({ elements });
+    },
+    [addElements, currentPage]
+  );
+
   const copyCutHandler = useCallback(
     (evt) => {
       const { type: eventType, clipboardData } = evt;
@@ -57,21 +126,7 @@ function useCanvasSelectionCopyPaste(container) {
         return;
       }
 
-      const payload = {
-        sentinel: 'story-elements',
-        // @todo: Ensure that there's no unserializable data here. The easiest
-        // would be to keep all serializable data together and all non-serializable
-        // in a separate property.
-        items: selectedElements.map((element) => ({
-          ...element,
-          basedOn: element.id,
-          id: undefined,
-        })),
-      };
-      const serializedPayload = JSON.stringify(payload).replace(
-        /\-\-/g,
-        DOUBLE_DASH_ESCAPE
-      );
+      const payload = getPayload();
 
       const textContent = selectedElements
         .map(({ type, ...rest }) => {
@@ -96,8 +151,9 @@ function useCanvasSelectionCopyPaste(container) {
       clipboardData.setData('text/plain', textContent);
       clipboardData.setData(
         'text/html',
-        `<!-- ${serializedPayload} -->${htmlContent}`
+        `${serializeClipboardPayload(payload)}${htmlContent}`
       );
+      setCopiedPayload(payload);
 
       if (eventType === 'cut') {
         deleteSelectedElements();
@@ -105,7 +161,7 @@ function useCanvasSelectionCopyPaste(container) {
 
       evt.preventDefault();
     },
-    [deleteSelectedElements, selectedElements]
+    [deleteSelectedElements, getPayload, selectedElements]
   );
 
   const pasteHandler = useCallback(
@@ -113,38 +169,13 @@ function useCanvasSelectionCopyPaste(container) {
       const { clipboardData } = evt;
 
       try {
-        const html = clipboardData.getData('text/html');
-        if (html) {
-          const template = document.createElement('template');
-          template.innerHTML = html;
-          for (let n = template.content.firstChild; n; n = n.nextSibling) {
-            if (n.nodeType !== /* COMMENT */ 8) {
-              continue;
-            }
-            const payload = JSON.parse(
-              n.nodeValue.replace(new RegExp(DOUBLE_DASH_ESCAPE, 'g'), '--')
-            );
-            if (payload.sentinel !== 'story-elements') {
-              continue;
-            }
-            payload.items.forEach(({ x, y, basedOn, ...rest }) => {
-              currentPage.elements.forEach((element) => {
-                if (element.id === basedOn || element.basedOn === basedOn) {
-                  x = Math.max(x, element.x + 60);
-                  y = Math.max(y, element.y + 60);
-                }
-              });
-              const element = {
-                ...rest,
-                basedOn,
-                id: uuidv4(),
-                x,
-                y,
-              };
-              addElement({ element });
-            });
-            evt.preventDefault();
-          }
+        const payload = getClipboardPayload(
+          clipboardData.getData('text/html'),
+          'story-elements'
+        );
+        if (payload) {
+          pastePayload(payload);
+          evt.preventDefault();
         }
         const { items } = clipboardData;
         /**
@@ -172,12 +203,57 @@ function useCanvasSelectionCopyPaste(container) {
         // Ignore.
       }
     },
-    [addElement, currentPage, isValidType, showSnackbar, uploadFile]
+    [isValidType, pastePayload, showSnackbar, uploadFile]
   );
 
   useClipboardHandlers(container, copyCutHandler, pasteHandler);
+  // The browser handles the clipboard shortcuts, list them all the same.
+  useRegisteredKeyNames(['cut', 'copy', 'paste']);
+
+  // Copying from a menu has to go through a copy event to put the elements
+  // in the clipboard.
+  const copyFromMenu = useCallback(
+    (eventType) => {
+      const handler = (evt) => {
+        evt.stopImmediatePropagation();
+        copyCutHandler({
+          type: eventType,
+          clipboardData: evt.clipboardData,
+          preventDefault: () => evt.preventDefault(),
+        });
+      };
+      document.addEventListener('copy', handler, true);
+      try {
+        document.execCommand('copy');
+      } finally {
+        document.removeEventListener('copy', handler, true);
+      }
+    },
+    [copyCutHandler]
+  );
+
+  const copySelection = useCallback(() => copyFromMenu('copy'), [copyFromMenu]);
+  const cutSelection = useCallback(() => copyFromMenu('cut'), [copyFromMenu]);
+
+  const pasteCopiedElements = useCallback(() => {
+    if (copiedPayload) {
+      pastePayload(copiedPayload);
+    }
+  }, [copiedPayload, pastePayload]);
+
+  const duplicateSelection = useCallback(() => {
+    if (selectedElements.length > 0) {
+      pastePayload(getPayload());
+    }
+  }, [selectedElements, getPayload, pastePayload]);
 
-  // @todo: return copy/cut/pasteAction that can be used in the context menus.
+  return {
+    hasCopiedElements: Boolean(copiedPayload),
+    copySelection,
+    cutSelection,
+    pasteCopiedElements,
+    duplicateSelection,
+  };
 }
 
 export default useCanvasSelectionCopyPaste;
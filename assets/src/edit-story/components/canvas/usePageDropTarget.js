@@ -0,0 +1,93 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import useCanvas from './useCanvas';
+
+// Set on page thumbnails in the carousel and the grid view.
+export const PAGE_DROP_TARGET_ATTRIBUTE = 'data-page-drop-target';
+
+function getPageIdFromPoint(x, y) {
+  const node = document
+    .elementsFromPoint(x, y)
+    .find((el) => el.hasAttribute(PAGE_DROP_TARGET_ATTRIBUTE));
+  return node ? node.getAttribute(PAGE_DROP_TARGET_ATTRIBUTE) : null;
+}
+
+/**
+ * Lets the selection be dragged onto a page thumbnail to move it, or copy it
+ * with the alt key, to that page.
+ *
+ * @return {Object} Handlers to call while dragging and when dropping.
+ */
+function usePageDropTarget() {
+  const {
+    state: { currentPage, selectedElementIds },
+    actions: { moveElementsToPage },
+  } = useStory();
+  const {
+    state: { pageDropTargetId },
+    actions: { setPageDropTargetId },
+  } = useCanvas();
+
+  const currentPageId = currentPage?.id;
+  const updatePageDropTarget = useCallback(
+    (clientX, clientY) => {
+      const pageId = getPageIdFromPoint(clientX, clientY);
+      setPageDropTargetId(pageId !== currentPageId ? pageId : null);
+    },
+    [currentPageId, setPageDropTargetId]
+  );
+
+  /**
+   * Drop the selection on the page thumbnail under the cursor, if any.
+   *
+   * @param {?Event} inputEvent Event that ended the drag.
+   * @return {boolean} Whether the selection has been dropped on a page.
+   */
+  const dropOnPage = useCallback(
+    (inputEvent) => {
+      if (!pageDropTargetId) {
+        return false;
+      }
+      moveElementsToPage({
+        elementIds: selectedElementIds,
+        pageId: pageDropTargetId,
+        copy: Boolean(inputEvent?.altKey),
+      });
+      setPageDropTargetId(null);
+      return true;
+    },
+    [
+      moveElementsToPage,
+      pageDropTargetId,
+      selectedElementIds,
+      setPageDropTargetId,
+    ]
+  );
+
+  return { updatePageDropTarget, dropOnPage };
+}
+
+export default usePageDropTarget;
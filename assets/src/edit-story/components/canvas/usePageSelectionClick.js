@@ -0,0 +1,73 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app/story';
+
+/**
+ * Returns a click handler factory for page thumbnails.
+ *
+ * A plain click makes the page current and clears the page selection.
+ * Shift+click selects the range of pages from the current page to the clicked page.
+ * Ctrl/Cmd+click toggles the clicked page in the page selection.
+ *
+ * @return {Function} Function returning a click handler for the given page.
+ */
+function usePageSelectionClick() {
+  const {
+    state: { pages, currentPageIndex },
+    actions: {
+      setCurrentPage,
+      clearPageSelection,
+      setSelectedPagesById,
+      togglePageInSelection,
+    },
+  } = useStory();
+
+  return useCallback(
+    (page) => (evt) => {
+      if (evt.shiftKey) {
+        const index = pages.findIndex(({ id }) => id === page.id);
+        const start = Math.min(index, currentPageIndex);
+        const end = Math.max(index, currentPageIndex);
+        const pageIds = pages.slice(start, end + 1).map(({ id }) => id);
+        setSelectedPagesById({ pageIds });
+      } else if (evt.metaKey || evt.ctrlKey) {
+        togglePageInSelection({ pageId: page.id });
+      } else {
+        setCurrentPage({ pageId: page.id });
+        clearPageSelection();
+      }
+    },
+    [
+      pages,
+      currentPageIndex,
+      setCurrentPage,
+      clearPageSelection,
+      setSelectedPagesById,
+      togglePageInSelection,
+    ]
+  );
+}
+
+export default usePageSelectionClick;
@@ -0,0 +1,137 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import useClipboardHandlers from '../../utils/useClipboardHandlers';
+import { useRegisteredKeyNames } from '../keyboard';
+import {
+  serializeClipboardPayload,
+  getClipboardPayload,
+} from '../../utils/clipboardPayload';
+import regeneratePageIds from '../../utils/regeneratePageIds';
+import { getDefinitionForType } from '../../elements';
+import { migrate, DATA_VERSION } from '../../migration';
+
+/**
+ * Copy, cut and paste whole pages, including their backgrounds and overlays.
+ *
+ * Pages are stored in a `story-pages` payload together with the data version
+ * they were copied with, so pages copied from a story with an older data
+ * version are migrated before being pasted.
+ *
+ * The handlers are registered on the document, so pages are only copied or
+ * cut if the user selected pages, or if the focus is in the pages list.
+ * Otherwise the current page would be copied or even deleted when nothing
+ * is focused.
+ *
+ * @param {?Element} container
+ */
+function usePageSelectionCopyPaste(container) {
+  const {
+    state: { pages, selectedPageIds, hasPageSelection },
+    actions: { addPagesAt, deleteSelectedPages },
+  } = useStory();
+
+  const copyCutHandler = useCallback(
+    (evt) => {
+      const { type: eventType, clipboardData } = evt;
+
+      const isFocusInList = container?.contains(document.activeElement);
+      if (!hasPageSelection && !isFocusInList) {
+        return;
+      }
+
+      const selectedPages = pages.filter(({ id }) =>
+        selectedPageIds.includes(id)
+      );
+      if (selectedPages.length === 0) {
+        return;
+      }
+
+      const payload = {
+        sentinel: 'story-pages',
+        version: DATA_VERSION,
+        items: selectedPages,
+      };
+
+      const textContent = selectedPages
+        .map(({ elements }) =>
+          elements
+            .map(({ type, ...rest }) => {
+              const { TextContent } = getDefinitionForType(type);
+              return TextContent ? TextContent({ ...rest }) : null;
+            })
+            .filter(Boolean)
+            .join('\n')
+        )
+        .join('\n\n');
+
+      clipboardData.setData('text/plain', textContent);
+      clipboardData.setData('text/html', serializeClipboardPayload(payload));
+
+      if (eventType === 'cut') {
+        deleteSelectedPages();
+      }
+
+      evt.preventDefault();
+    },
+    [container, deleteSelectedPages, hasPageSelection, pages, selectedPageIds]
+  );
+
+  const pasteHandler = useCallback(
+    (evt) => {
+      const { clipboardData } = evt;
+
+      try {
+        const payload = getClipboardPayload(
+          clipboardData.getData('text/html'),
+          'story-pages'
+        );
+        if (!payload) {
+          return;
+        }
+        const { pages: migratedPages } = migrate(
+          { pages: payload.items },
+          payload.version || 1
+        );
+        addPagesAt({
+          pages: migratedPages.map(regeneratePageIds),
+          position: null,
+        });
+        evt.preventDefault();
+      } catch (e) {
+        // Ignore.
+      }
+    },
+    [addPagesAt]
+  );
+
+  useClipboardHandlers(container, copyCutHandler, pasteHandler, {
+    allowButtons: true,
+  });
+  // The browser handles the clipboard shortcuts, list them all the same.
+  useRegisteredKeyNames(['cut', 'copy', 'paste']);
+}
+
+export default usePageSelectionCopyPaste;
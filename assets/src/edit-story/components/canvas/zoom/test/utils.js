@@ -0,0 +1,147 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  ZOOM_FIT,
+  clampZoom,
+  getNextZoom,
+  getZoomLayout,
+  clampPan,
+  getPageOffset,
+  getPanAroundPoint,
+} from '../utils';
+
+const FIT_SIZE = { width: 280, height: 420 };
+const VIEWPORT_SIZE = { width: 800, height: 600 };
+
+describe('clampZoom', () => {
+  it('should keep the zoom between 50% and 400%', () => {
+    expect(clampZoom(0.1)).toBe(0.5);
+    expect(clampZoom(1.25)).toBe(1.25);
+    expect(clampZoom(10)).toBe(4);
+  });
+});
+
+describe('getNextZoom', () => {
+  it('should step through the zoom levels', () => {
+    expect(getNextZoom(1, 1)).toBe(1.5);
+    expect(getNextZoom(1, -1)).toBe(0.75);
+    expect(getNextZoom(1.2, 1)).toBe(1.5);
+    expect(getNextZoom(1.2, -1)).toBe(1);
+  });
+
+  it('should stop at the first and last level', () => {
+    expect(getNextZoom(4, 1)).toBe(4);
+    expect(getNextZoom(0.5, -1)).toBe(0.5);
+  });
+});
+
+describe('getZoomLayout', () => {
+  it('should use the fitted size', () => {
+    expect(
+      getZoomLayout({
+        zoomSetting: ZOOM_FIT,
+        fitSize: FIT_SIZE,
+        viewportSize: VIEWPORT_SIZE,
+      })
+    ).toStrictEqual({
+      zoom: 280 / 440,
+      pageSize: FIT_SIZE,
+      areaSize: FIT_SIZE,
+    });
+  });
+
+  it('should grow the area up to the viewport', () => {
+    expect(
+      getZoomLayout({
+        zoomSetting: 1,
+        fitSize: FIT_SIZE,
+        viewportSize: VIEWPORT_SIZE,
+      })
+    ).toStrictEqual({
+      zoom: 1,
+      pageSize: { width: 440, height: 660 },
+      areaSize: { width: 440, height: 600 },
+    });
+  });
+
+  it('should not shrink the area below the fitted size', () => {
+    expect(
+      getZoomLayout({
+        zoomSetting: 0.5,
+        fitSize: FIT_SIZE,
+        viewportSize: VIEWPORT_SIZE,
+      }).areaSize
+    ).toStrictEqual(FIT_SIZE);
+  });
+});
+
+describe('clampPan', () => {
+  it('should keep the page covering the area', () => {
+    const pageSize = { width: 880, height: 1320 };
+    const pan = clampPan({ x: 500, y: -500 }, pageSize, VIEWPORT_SIZE);
+
+    expect(pan).toStrictEqual({ x: 40, y: -360 });
+  });
+
+  it('should not pan pages smaller than the area', () => {
+    expect(clampPan({ x: 10, y: 10 }, FIT_SIZE, VIEWPORT_SIZE)).toStrictEqual({
+      x: 0,
+      y: 0,
+    });
+  });
+});
+
+describe('getPageOffset', () => {
+  it('should center the page and add the panning', () => {
+    const pageSize = { width: 880, height: 1320 };
+    const offset = getPageOffset({ x: 10, y: 0 }, pageSize, VIEWPORT_SIZE);
+
+    expect(offset).toStrictEqual({ x: -30, y: -360 });
+  });
+});
+
+describe('getPanAroundPoint', () => {
+  it('should keep the point in place', () => {
+    const pageSize = { width: 880, height: 1320 };
+    const newPageSize = { width: 1760, height: 2640 };
+
+    // The center of the page stays centered.
+    expect(
+      getPanAroundPoint({
+        point: { x: 440, y: 660 },
+        pan: { x: 0, y: 0 },
+        pageSize,
+        newPageSize,
+        newAreaSize: VIEWPORT_SIZE,
+      })
+    ).toStrictEqual({ x: 0, y: 0 });
+
+    // A point 100px left of the center moves the page right by 100px.
+    expect(
+      getPanAroundPoint({
+        point: { x: 340, y: 660 },
+        pan: { x: 0, y: 0 },
+        pageSize,
+        newPageSize,
+        newAreaSize: VIEWPORT_SIZE,
+      })
+    ).toStrictEqual({ x: 100, y: 0 });
+  });
+});
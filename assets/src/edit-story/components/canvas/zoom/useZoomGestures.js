@@ -0,0 +1,180 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useEffect, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import useCanvas from '../useCanvas';
+import { ZOOM_FIT, getPageOffset } from './utils';
+
+const LINE_HEIGHT = 16;
+// Wheel distance that doubles or halves the zoom.
+const WHEEL_ZOOM_DISTANCE = 100;
+// Mouse wheels scroll much further per step than trackpads.
+const MAX_WHEEL_ZOOM_DELTA = 50;
+
+function getWheelDelta({ deltaX, deltaY, deltaMode }) {
+  const factor = deltaMode === /* DOM_DELTA_LINE */ 1 ? LINE_HEIGHT : 1;
+  return { x: deltaX * factor, y: deltaY * factor };
+}
+
+/**
+ * Zoom the canvas with ctrl+scroll and pinching, and pan it by scrolling or
+ * by dragging it while space is held.
+ *
+ * Trackpads report pinching as scrolling with the ctrl key, except in Safari,
+ * which has its own gesture events.
+ *
+ * @param {!{current: ?Element}} containerRef Ref to the canvas.
+ * @return {Object} Whether the canvas can be dragged, and whether it is.
+ */
+function useZoomGestures(containerRef) {
+  const {
+    state: {
+      pageContainer,
+      pageSize,
+      areaSize,
+      zoom,
+      zoomSetting,
+      pan,
+      isPanMode,
+    },
+    actions: { setZoom, setPan, setIsPanMode },
+  } = useCanvas();
+  const [isPanning, setIsPanning] = useState(false);
+  const canDrag = isPanMode && zoomSetting !== ZOOM_FIT;
+
+  useEffect(() => {
+    const node = containerRef.current;
+    if (!node || !pageContainer) {
+      return undefined;
+    }
+
+    const getPointOnPage = ({ clientX, clientY }) => {
+      const { left, top } = pageContainer.getBoundingClientRect();
+      return { x: clientX - left, y: clientY - top };
+    };
+
+    // Only scrolling over the visible part of the page pans it.
+    const isOverPage = (evt) => {
+      const { x, y } = getPointOnPage(evt);
+      const offset = getPageOffset(pan, pageSize, areaSize);
+      return (
+        x >= -offset.x &&
+        x <= areaSize.width - offset.x &&
+        y >= -offset.y &&
+        y <= areaSize.height - offset.y
+      );
+    };
+
+    const handleWheel = (evt) => {
+      const delta = getWheelDelta(evt);
+      if (evt.ctrlKey || evt.metaKey) {
+        evt.preventDefault();
+        const distance = Math.max(
+          -MAX_WHEEL_ZOOM_DELTA,
+          Math.min(MAX_WHEEL_ZOOM_DELTA, delta.y)
+        );
+        setZoom(
+          zoom * 2 ** (-distance / WHEEL_ZOOM_DISTANCE),
+          getPointOnPage(evt)
+        );
+        return;
+      }
+      if (zoomSetting !== ZOOM_FIT && isOverPage(evt)) {
+        evt.preventDefault();
+        setPan({ x: pan.x - delta.x, y: pan.y - delta.y });
+      }
+    };
+
+    let gestureStartZoom = zoom;
+    const handleGestureStart = (evt) => {
+      evt.preventDefault();
+      gestureStartZoom = zoom;
+    };
+    const handleGestureChange = (evt) => {
+      evt.preventDefault();
+      setZoom(gestureStartZoom * evt.scale, getPointOnPage(evt));
+    };
+
+    node.addEventListener('wheel', handleWheel, { passive: false });
+    node.addEventListener('gesturestart', handleGestureStart);
+    node.addEventListener('gesturechange', handleGestureChange);
+    return () => {
+      node.removeEventListener('wheel', handleWheel);
+      node.removeEventListener('gesturestart', handleGestureStart);
+      node.removeEventListener('gesturechange', handleGestureChange);
+    };
+  }, [
+    containerRef,
+    pageContainer,
+    pageSize,
+    areaSize,
+    zoom,
+    zoomSetting,
+    pan,
+    setZoom,
+    setPan,
+  ]);
+
+  // Drag the page while space is held. The drag is caught before it reaches
+  // the page so it doesn't select or move elements.
+  useEffect(() => {
+    const node = containerRef.current;
+    if (!node || !canDrag) {
+      return undefined;
+    }
+
+    const doc = node.ownerDocument;
+    const handleMouseDown = (evt) => {
+      evt.preventDefault();
+      evt.stopPropagation();
+      const start = { x: evt.clientX, y: evt.clientY };
+      const startPan = pan;
+      const handleMove = ({ clientX, clientY }) =>
+        setPan({
+          x: startPan.x + clientX - start.x,
+          y: startPan.y + clientY - start.y,
+        });
+      const handleUp = () => {
+        doc.removeEventListener('mousemove', handleMove);
+        setIsPanning(false);
+      };
+      setIsPanning(true);
+      doc.addEventListener('mousemove', handleMove);
+      doc.addEventListener('mouseup', handleUp, { once: true });
+    };
+
+    // Space is released while the focus is elsewhere.
+    const handleBlur = () => setIsPanMode(false);
+
+    node.addEventListener('mousedown', handleMouseDown, true);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      node.removeEventListener('mousedown', handleMouseDown, true);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [containerRef, canDrag, pan, setPan, setIsPanMode]);
+
+  return { canDrag, isPanning };
+}
+
+export default useZoomGestures;
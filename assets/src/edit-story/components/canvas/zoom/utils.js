@@ -0,0 +1,153 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { PAGE_WIDTH, PAGE_HEIGHT } from '../../../constants';
+
+export const ZOOM_FIT = 'fit';
+export const ZOOM_LEVELS = [0.5, 0.75, 1, 1.5, 2, 3, 4];
+export const MIN_ZOOM = ZOOM_LEVELS[0];
+export const MAX_ZOOM = ZOOM_LEVELS[ZOOM_LEVELS.length - 1];
+
+// Zooming by gestures doesn't land exactly on a level.
+const EPSILON = 0.01;
+
+export function clampZoom(zoom) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+/**
+ * Get the zoom level following the given zoom.
+ *
+ * @param {number} zoom Current zoom.
+ * @param {number} direction Positive to zoom in, negative to zoom out.
+ * @return {number} Next zoom level.
+ */
+export function getNextZoom(zoom, direction) {
+  if (direction > 0) {
+    return ZOOM_LEVELS.find((level) => level > zoom + EPSILON) ?? MAX_ZOOM;
+  }
+  return (
+    [...ZOOM_LEVELS].reverse().find((level) => level < zoom - EPSILON) ??
+    MIN_ZOOM
+  );
+}
+
+/**
+ * Get the size of the page at the given zoom, and of the area it's shown in.
+ *
+ * The area is as large as the page when it's fitted, and grows up to the
+ * size of the viewport as the page gets larger.
+ *
+ * @param {Object} params Parameters.
+ * @param {string|number} params.zoomSetting Zoom, or `ZOOM_FIT`.
+ * @param {Object} params.fitSize Size of the page when fitted.
+ * @param {Object} params.viewportSize Largest size of the area.
+ * @return {Object} The zoom, `pageSize` and `areaSize`.
+ */
+export function getZoomLayout({ zoomSetting, fitSize, viewportSize }) {
+  if (zoomSetting === ZOOM_FIT) {
+    return {
+      zoom: fitSize.width / PAGE_WIDTH,
+      pageSize: fitSize,
+      areaSize: fitSize,
+    };
+  }
+  const pageSize = {
+    width: Math.round(PAGE_WIDTH * zoomSetting),
+    height: Math.round(PAGE_HEIGHT * zoomSetting),
+  };
+  const getAreaLength = (prop) =>
+    Math.max(
+      fitSize[prop],
+      Math.min(pageSize[prop], Math.floor(viewportSize[prop]))
+    );
+  return {
+    zoom: zoomSetting,
+    pageSize,
+    areaSize: {
+      width: getAreaLength('width'),
+      height: getAreaLength('height'),
+    },
+  };
+}
+
+/**
+ * Limit panning so that the page always covers its area.
+ *
+ * @param {Object} pan Offset of the page from the center of the area.
+ * @param {Object} pageSize Size of the page.
+ * @param {Object} areaSize Size of the area.
+ * @return {Object} Panning within the limits.
+ */
+export function clampPan({ x, y }, pageSize, areaSize) {
+  const clamp = (value, prop) => {
+    const max = Math.max(0, (pageSize[prop] - areaSize[prop]) / 2);
+    return Math.min(max, Math.max(-max, value));
+  };
+  return { x: clamp(x, 'width'), y: clamp(y, 'height') };
+}
+
+/**
+ * Get the offset of the page within its area.
+ *
+ * @param {Object} pan Offset of the page from the center of the area.
+ * @param {Object} pageSize Size of the page.
+ * @param {Object} areaSize Size of the area.
+ * @return {Object} Offset of the top left corner of the page.
+ */
+export function getPageOffset(pan, pageSize, areaSize) {
+  return {
+    x: Math.round((areaSize.width - pageSize.width) / 2 + pan.x),
+    y: Math.round((areaSize.height - pageSize.height) / 2 + pan.y),
+  };
+}
+
+/**
+ * Get the panning that keeps a point of the page in place while zooming.
+ *
+ * The area is assumed to stay centered where it is, even if it grows.
+ *
+ * @param {Object} params Parameters.
+ * @param {Object} params.point Point relative to the top left of the page.
+ * @param {Object} params.pan Current panning.
+ * @param {Object} params.pageSize Current size of the page.
+ * @param {Object} params.newPageSize Size of the page after zooming.
+ * @param {Object} params.newAreaSize Size of the area after zooming.
+ * @return {Object} New panning.
+ */
+export function getPanAroundPoint({
+  point,
+  pan,
+  pageSize,
+  newPageSize,
+  newAreaSize,
+}) {
+  const getPan = (axis, prop) => {
+    const fraction = point[axis] / pageSize[prop];
+    const distanceFromCenter = point[axis] - pageSize[prop] / 2 + pan[axis];
+    return (
+      distanceFromCenter - fraction * newPageSize[prop] + newPageSize[prop] / 2
+    );
+  };
+  return clampPan(
+    { x: getPan('x', 'width'), y: getPan('y', 'height') },
+    newPageSize,
+    newAreaSize
+  );
+}
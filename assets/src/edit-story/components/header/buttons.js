@@ -18,7 +18,7 @@
  * External dependencies
  */
 import styled from 'styled-components';
-import { useCallback } from 'react';
+import { useCallback, useRef, useState } from 'react';
 
 /**
  * WordPress dependencies
@@ -29,8 +29,20 @@ import { __ } from '@wordpress/i18n';
  * Internal dependencies
  */
 import addQueryArgs from '../../utils/addQueryArgs';
-import { useStory, useMedia } from '../../app';
+import { useStory, useMedia, useAPI, useSnackbar, useConfig } from '../../app';
 import useRefreshPostEditURL from '../../utils/useRefreshPostEditURL';
+import {
+  createStoryExport,
+  downloadStoryExport,
+  getImportNotice,
+  importStory,
+  readFileAsText,
+} from '../../../shared/storyExport';
+import {
+  SAVE_RETRYING,
+  SAVE_OFFLINE,
+  SAVE_FAILED,
+} from '../../app/story/utils/createSaveQueue';
 import { Outline, Primary } from '../button';
 import CircularProgress from '../circularProgress';
 
@@ -49,6 +61,13 @@ const Space = styled.div`
   width: 6px;
 `;
 
+const HiddenFileInput = styled.input.attrs({
+  type: 'file',
+  accept: 'application/json,.json',
+})`
+  display: none;
+`;
+
 function PreviewButton() {
   const {
     state: {
@@ -71,6 +90,85 @@ function PreviewButton() {
   );
 }
 
+function ExportButton() {
+  const {
+    state: { story, pages },
+  } = useStory();
+
+  const handleExport = useCallback(
+    () => downloadStoryExport(createStoryExport(story, pages)),
+    [story, pages]
+  );
+
+  return (
+    <Outline onClick={handleExport}>{__('Export', 'web-stories')}</Outline>
+  );
+}
+
+function ImportButton() {
+  const {
+    actions: { saveStoryById, getMediaById },
+  } = useAPI();
+  const {
+    actions: { leaveEditor },
+  } = useStory();
+  const { metadata } = useConfig();
+  const { showSnackbar } = useSnackbar();
+  const [isImporting, setIsImporting] = useState(false);
+  const inputRef = useRef();
+
+  const handleFileChange = useCallback(
+    async (evt) => {
+      const [file] = evt.target.files;
+      evt.target.value = '';
+      if (!file) {
+        return;
+      }
+      setIsImporting(true);
+      try {
+        const contents = await readFileAsText(file);
+        const { post, unresolvedMedia, issues } = await importStory(contents, {
+          saveStoryById,
+          getMediaById,
+          metadata,
+        });
+        const postEditURL = addQueryArgs('post.php', {
+          post: post.id,
+          action: 'edit',
+        });
+        showSnackbar({
+          ...getImportNotice({ unresolvedMedia, issues }),
+          buttonlabel: __('Open', 'web-stories'),
+          buttonCallback: () => leaveEditor(postEditURL),
+          timeout:
+            unresolvedMedia.length > 0 || issues.length > 0 ? 30000 : 10000,
+        });
+      } catch (e) {
+        showSnackbar({
+          message: e.isUserError
+            ? e.message
+            : __('Failed to import the story', 'web-stories'),
+        });
+      } finally {
+        setIsImporting(false);
+      }
+    },
+    [saveStoryById, getMediaById, metadata, showSnackbar, leaveEditor]
+  );
+
+  return (
+    <>
+      <HiddenFileInput ref={inputRef} onChange={handleFileChange} />
+      <Outline
+        onClick={() => inputRef.current.click()}
+        isDisabled={isImporting}
+      >
+        {__('Import', 'web-stories')}
+      </Outline>
+    </>
+  );
+}
+
 function Publish() {
   const {
     state: {
@@ -163,15 +261,37 @@ function Update() {
   );
 }
 
+const StatusText = styled.span`
+  display: flex;
+  align-items: center;
+  margin-right: 6px;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  line-height: ${({ theme }) => theme.fonts.body2.lineHeight};
+`;
+
+const SAVE_STATUS_TEXTS = {
+  [SAVE_RETRYING]: __('Saving failed, retrying...', 'web-stories'),
+  [SAVE_OFFLINE]: __('Waiting for network...', 'web-stories'),
+  [SAVE_FAILED]: __('Failed to save', 'web-stories'),
+};
+
 function Loading() {
   const {
     state: {
-      meta: { isSaving },
+      meta: { isSaving, saveStatus },
     },
+    actions: { retrySave },
   } = useStory();
   return (
     <>
       {isSaving && <CircularProgress size={30} />}
+      {SAVE_STATUS_TEXTS[saveStatus] && (
+        <StatusText role="status">{SAVE_STATUS_TEXTS[saveStatus]}</StatusText>
+      )}
+      {saveStatus === SAVE_FAILED && (
+        <Outline onClick={retrySave}>{__('Retry', 'web-stories')}</Outline>
+      )}
       <Space />
     </>
   );
@@ -188,6 +308,10 @@ function Buttons() {
     <ButtonList>
       <List>
         <Loading />
+        <ImportButton />
+        <Space />
+        <ExportButton />
+        <Space />
         {isDraft && <Update />}
         {!isDraft && <SwitchToDraft />}
         <Space />
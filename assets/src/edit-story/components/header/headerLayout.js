@@ -24,6 +24,7 @@ import styled from 'styled-components';
  */
 import Buttons from './buttons';
 import Title from './title';
+import UnsavedChanges from './unsavedChanges';
 
 const Background = styled.header`
   display: flex;
@@ -34,6 +35,8 @@ const Background = styled.header`
 
 const Head = styled.div`
   flex: 1 1 auto;
+  display: flex;
+  align-items: center;
   padding: 1em;
 `;
 
@@ -46,6 +49,7 @@ function HeaderLayout() {
     <Background>
       <Head>
         <Title />
+        <UnsavedChanges />
       </Head>
       <ButtonCell>
         <Buttons />
@@ -29,13 +29,14 @@ import theme from '../../../theme';
 
 function setupButtons(extraStoryProps, extraMetaProps) {
   const saveStory = jest.fn();
+  const retrySave = jest.fn();
 
   const storyContextValue = {
     state: {
       meta: { isSaving: false, ...extraMetaProps },
       story: { status: 'draft', storyId: 123, date: null, ...extraStoryProps },
     },
-    actions: { saveStory },
+    actions: { saveStory, retrySave },
   };
   const { getByText, container } = render(
     <ThemeProvider theme={theme}>
@@ -48,6 +49,7 @@ function setupButtons(extraStoryProps, extraMetaProps) {
     container,
     getByText,
     saveStory,
+    retrySave,
   };
 }
 
@@ -105,6 +107,19 @@ describe('buttons', () => {
     expect(getByRole(container, 'progressbar')).toBeInTheDocument();
   });
 
+  it('should display the status of saves waiting for network', () => {
+    const { getByText } = setupButtons({}, { saveStatus: 'offline' });
+    expect(getByText('Waiting for network...')).toBeInTheDocument();
+  });
+
+  it('should allow to retry failed saves', () => {
+    const { getByText, retrySave } = setupButtons({}, { saveStatus: 'failed' });
+    expect(getByText('Failed to save')).toBeInTheDocument();
+
+    fireEvent.click(getByText('Retry'));
+    expect(retrySave).toHaveBeenCalledTimes(1);
+  });
+
   it('should open preview when clicking on Preview', () => {
     const { getByText } = setupButtons({ link: 'https://example.com' });
     const previewButton = getByText('Preview');
@@ -0,0 +1,56 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { render } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import StoryContext from '../../../app/story/context';
+import UnsavedChanges from '../unsavedChanges';
+import theme from '../../../theme';
+
+function setupIndicator(hasUnsavedChanges) {
+  const storyContextValue = {
+    state: { meta: { hasUnsavedChanges } },
+    actions: {},
+  };
+  return render(
+    <ThemeProvider theme={theme}>
+      <StoryContext.Provider value={storyContextValue}>
+        <UnsavedChanges />
+      </StoryContext.Provider>
+    </ThemeProvider>
+  );
+}
+
+describe('UnsavedChanges', () => {
+  it('should show that the story is saved', () => {
+    const { getByRole } = setupIndicator(false);
+
+    expect(getByRole('status')).toHaveTextContent('Saved');
+  });
+
+  it('should show that the story has unsaved changes', () => {
+    const { getByRole } = setupIndicator(true);
+
+    expect(getByRole('status')).toHaveTextContent('Unsaved changes');
+  });
+});
@@ -0,0 +1,71 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app/story';
+import { Row } from '../../form';
+import Note from '../../panels/shared/note';
+import { SimplePanel } from '../../panels/panel';
+import { AudioInput } from '../../panels/backgroundAudio';
+
+function BackgroundAudioPanel() {
+  const {
+    state: {
+      story: { backgroundAudio = null },
+    },
+    actions: { updateStory },
+  } = useStory();
+
+  const updateBackgroundAudio = useCallback(
+    (value) => updateStory({ properties: { backgroundAudio: value } }),
+    [updateStory]
+  );
+
+  return (
+    <SimplePanel
+      name="storyBackgroundAudio"
+      title={__('Story background audio', 'web-stories')}
+    >
+      <Row>
+        <Note>
+          {__(
+            'Plays throughout the story, along with any page background audio.',
+            'web-stories'
+          )}
+        </Note>
+      </Row>
+      <AudioInput
+        value={backgroundAudio}
+        onChange={updateBackgroundAudio}
+        title={__('Choose story background audio', 'web-stories')}
+      />
+    </SimplePanel>
+  );
+}
+
+export default BackgroundAudioPanel;
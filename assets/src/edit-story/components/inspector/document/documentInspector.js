@@ -21,6 +21,8 @@ import PublishPanel from './publish';
 import SlugPanel from './slug';
 import StatusPanel from './status';
 import PageAdvancement from './pageAdvancement';
+import BackgroundAudio from './backgroundAudio';
+import RevisionsPanel from './revisions';
 
 function DocumentInspector() {
   return (
@@ -29,6 +31,8 @@ function DocumentInspector() {
       <PublishPanel />
       <SlugPanel />
       <PageAdvancement />
+      <BackgroundAudio />
+      <RevisionsPanel />
     </>
   );
 }
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback, useEffect, useState } from 'react';
+import styled from 'styled-components';
+import { rgba } from 'polished';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../../app/story';
+import { useAPI } from '../../../../app/api';
+import { useConfig } from '../../../../app/config';
+import { useSnackbar } from '../../../../app/snackbar';
+import getStoryStateFromRevision from '../../../../app/story/utils/getStoryStateFromRevision';
+import { SimplePanel } from '../../../panels/panel';
+import Note from '../../../panels/shared/note';
+import useInspector from '../../useInspector';
+import { getReadableDate, getReadableTime, is12Hour } from '../publish/utils';
+import RevisionDialog from './revisionDialog';
+
+const List = styled.ol`
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+const RevisionButton = styled.button.attrs({ type: 'button' })`
+  display: flex;
+  flex-direction: column;
+  width: 100%;
+  padding: 6px 8px;
+  border: 0;
+  border-radius: 4px;
+  background: transparent;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  text-align: left;
+  cursor: pointer;
+
+  &:hover,
+  &:focus {
+    background: ${({ theme }) => rgba(theme.colors.action, 0.24)};
+    outline: none;
+  }
+
+  &:disabled {
+    cursor: wait;
+    opacity: 0.5;
+  }
+`;
+
+const Author = styled.span`
+  opacity: 0.54;
+  font-size: 12px;
+`;
+
+function RevisionsPanel() {
+  const {
+    state: {
+      story: { storyId, modified },
+    },
+    actions: { restoreRevision },
+  } = useStory();
+  const {
+    actions: { getStoryRevisions, getStoryRevisionById },
+  } = useAPI();
+  const {
+    state: { users },
+  } = useInspector();
+  const { timeFormat } = useConfig();
+  const { showSnackbar } = useSnackbar();
+
+  const [revisions, setRevisions] = useState(null);
+  const [loadingId, setLoadingId] = useState(null);
+  const [revision, setRevision] = useState(null);
+
+  // Saving adds a revision, so the list is reloaded whenever it's saved.
+  useEffect(() => {
+    if (!storyId) {
+      return undefined;
+    }
+    let isCurrent = true;
+    getStoryRevisions(storyId)
+      .then((data) => isCurrent && setRevisions(data))
+      .catch(() => isCurrent && setRevisions([]));
+    return () => {
+      isCurrent = false;
+    };
+  }, [storyId, modified, getStoryRevisions]);
+
+  const openRevision = useCallback(
+    ({ id, date }) => {
+      setLoadingId(id);
+      getStoryRevisionById(storyId, id)
+        .then((data) =>
+          setRevision({ id, date, ...getStoryStateFromRevision(data) })
+        )
+        .catch(() =>
+          showSnackbar({
+            message: __('Unable to load the revision.', 'web-stories'),
+          })
+        )
+        .finally(() => setLoadingId(null));
+    },
+    [storyId, getStoryRevisionById, showSnackbar]
+  );
+
+  const handleRestore = useCallback(
+    (pageIds) => {
+      restoreRevision(revision, pageIds);
+      setRevision(null);
+    },
+    [restoreRevision, revision]
+  );
+
+  const use12HourFormat = is12Hour(timeFormat);
+  const getDateLabel = (date) =>
+    `${getReadableDate(date, use12HourFormat)} ${getReadableTime(
+      date,
+      use12HourFormat
+    )}`;
+
+  return (
+    <SimplePanel name="revisions" title={__('Revisions', 'web-stories')}>
+      {revisions === null && <Note>{__('Loading...', 'web-stories')}</Note>}
+      {revisions?.length === 0 && (
+        <Note>{__('No revisions yet.', 'web-stories')}</Note>
+      )}
+      {revisions?.length > 0 && (
+        <List>
+          {revisions.map(({ id, author, date }) => {
+            const authorName = users.find(({ value }) => value === author)
+              ?.name;
+            return (
+              <li key={id}>
+                <RevisionButton
+                  disabled={loadingId !== null}
+                  onClick={() => openRevision({ id, date })}
+                >
+                  {getDateLabel(date)}
+                  {authorName && <Author>{authorName}</Author>}
+                </RevisionButton>
+              </li>
+            );
+          })}
+        </List>
+      )}
+      {revision && (
+        <RevisionDialog
+          title={getDateLabel(revision.date)}
+          revision={revision}
+          onRestore={handleRestore}
+          onClose={() => setRevision(null)}
+        />
+      )}
+    </SimplePanel>
+  );
+}
+
+export default RevisionsPanel;
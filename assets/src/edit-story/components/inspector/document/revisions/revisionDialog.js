@@ -0,0 +1,284 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { useCallback, useMemo, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../../app/story';
+import compareElements, {
+  ELEMENT_ADDED,
+  ELEMENT_REMOVED,
+  ELEMENT_CHANGED,
+} from '../../../../app/story/utils/compareElements';
+import mergePages from '../../../../app/story/utils/mergePages';
+import { useTheme } from '../../../../theme';
+import StoryPropTypes from '../../../../types';
+import PagePreview, {
+  THUMB_FRAME_HEIGHT,
+  THUMB_FRAME_WIDTH,
+} from '../../../canvas/pagepreview';
+import Dialog from '../../../dialog';
+import { Plain } from '../../../button';
+
+const THUMB_WIDTH = 90;
+const THUMB_HEIGHT = 135;
+
+const Row = styled.div`
+  display: flex;
+  align-items: flex-end;
+  margin-bottom: 16px;
+`;
+
+const Column = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  margin-right: 16px;
+  font-size: 12px;
+`;
+
+const Details = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-self: center;
+`;
+
+const MissingPage = styled.div`
+  width: ${THUMB_WIDTH}px;
+  height: ${THUMB_HEIGHT}px;
+  margin-top: ${THUMB_FRAME_HEIGHT}px;
+  border: 1px dashed currentColor;
+  opacity: 0.5;
+`;
+
+const Choice = styled.label`
+  display: flex;
+  align-items: center;
+
+  input {
+    margin: 0 8px 0 0;
+  }
+`;
+
+function getHighlights(changes, colors) {
+  return Object.fromEntries(
+    Object.entries(changes)
+      .filter(([, status]) => colors[status])
+      .map(([id, status]) => [id, colors[status]])
+  );
+}
+
+function getStatusLabel(revisionPage, currentPage, isChanged) {
+  if (!currentPage) {
+    return __('Only in the revision', 'web-stories');
+  }
+  if (!revisionPage) {
+    return __('Not in the revision', 'web-stories');
+  }
+  return isChanged
+    ? __('Changed', 'web-stories')
+    : __('Unchanged', 'web-stories');
+}
+
+function RevisionDialog({ title, revision, onRestore, onClose }) {
+  const {
+    state: { pages },
+  } = useStory();
+  const theme = useTheme();
+  const [pageIds, setPageIds] = useState([]);
+
+  // Pages of both versions, in the order restoring all of them would give.
+  const rows = useMemo(() => {
+    const revisionPagesById = new Map(
+      revision.pages.map((page) => [page.id, page])
+    );
+    const pagesById = new Map(pages.map((page) => [page.id, page]));
+    const revisionPageIds = revision.pages.map(({ id }) => id);
+    const ids = mergePages(pages, revision.pages, revisionPageIds).map(
+      ({ id }) => id
+    );
+    return ids.map((id) => {
+      const revisionPage = revisionPagesById.get(id);
+      const currentPage = pagesById.get(id);
+      return {
+        id,
+        revisionPage,
+        currentPage,
+        changes: compareElements(
+          revisionPage?.elements || [],
+          currentPage?.elements || []
+        ),
+        isChanged: JSON.stringify(revisionPage) !== JSON.stringify(currentPage),
+      };
+    });
+  }, [revision, pages]);
+
+  const highlightColors = {
+    revision: {
+      [ELEMENT_REMOVED]: theme.colors.danger,
+      [ELEMENT_CHANGED]: theme.colors.textHighlight,
+    },
+    current: {
+      [ELEMENT_ADDED]: theme.colors.success.v0,
+      [ELEMENT_CHANGED]: theme.colors.textHighlight,
+    },
+  };
+
+  const togglePage = useCallback(
+    (id) =>
+      setPageIds((ids) =>
+        ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]
+      ),
+    []
+  );
+
+  const thumbWidth = THUMB_WIDTH + THUMB_FRAME_WIDTH;
+  const thumbHeight = THUMB_HEIGHT + THUMB_FRAME_HEIGHT;
+
+  return (
+    <Dialog
+      open
+      onClose={onClose}
+      title={sprintf(
+        /* translators: %s: date and time of the revision. */
+        __('Revision from %s', 'web-stories'),
+        title
+      )}
+      contentLabel={__('Compare revision', 'web-stories')}
+      actions={
+        <>
+          <Plain onClick={onClose}>{__('Cancel', 'web-stories')}</Plain>
+          <Plain
+            onClick={() => onRestore(pageIds)}
+            isDisabled={pageIds.length === 0}
+          >
+            {__('Restore selected pages', 'web-stories')}
+          </Plain>
+          <Plain
+            onClick={() => onRestore(null)}
+            isDisabled={revision.pages.length === 0}
+          >
+            {__('Restore revision', 'web-stories')}
+          </Plain>
+        </>
+      }
+    >
+      {revision.pages.length === 0 ? (
+        <p>
+          {__(
+            'This revision was saved before pages were kept in revisions.',
+            'web-stories'
+          )}
+        </p>
+      ) : (
+        <>
+          <p>
+            {__(
+              'Elements are outlined in red if they were removed since the revision, in green if added and in yellow if changed.',
+              'web-stories'
+            )}
+          </p>
+          {rows.map(
+            ({ id, revisionPage, currentPage, changes, isChanged }, index) => (
+              <Row key={id}>
+                <Column>
+                  {__('Revision', 'web-stories')}
+                  {revisionPage ? (
+                    <PagePreview
+                      page={revisionPage}
+                      highlights={getHighlights(
+                        changes,
+                        highlightColors.revision
+                      )}
+                      isSelected={pageIds.includes(id)}
+                      onClick={() => isChanged && togglePage(id)}
+                      aria-label={__('Revision page', 'web-stories')}
+                      width={thumbWidth}
+                      height={thumbHeight}
+                    />
+                  ) : (
+                    <MissingPage />
+                  )}
+                </Column>
+                <Column>
+                  {__('Current', 'web-stories')}
+                  {currentPage ? (
+                    <PagePreview
+                      page={currentPage}
+                      highlights={getHighlights(
+                        changes,
+                        highlightColors.current
+                      )}
+                      tabIndex={-1}
+                      aria-hidden
+                      width={thumbWidth}
+                      height={thumbHeight}
+                    />
+                  ) : (
+                    <MissingPage />
+                  )}
+                </Column>
+                <Details>
+                  <strong>
+                    {sprintf(
+                      /* translators: %d: page number. */
+                      __('Page %d', 'web-stories'),
+                      index + 1
+                    )}
+                  </strong>
+                  {getStatusLabel(revisionPage, currentPage, isChanged)}
+                  {isChanged && (
+                    <Choice>
+                      <input
+                        type="checkbox"
+                        checked={pageIds.includes(id)}
+                        onChange={() => togglePage(id)}
+                      />
+                      {__('Restore this page', 'web-stories')}
+                    </Choice>
+                  )}
+                </Details>
+              </Row>
+            )
+          )}
+        </>
+      )}
+    </Dialog>
+  );
+}
+
+RevisionDialog.propTypes = {
+  title: PropTypes.string.isRequired,
+  revision: PropTypes.shape({
+    pages: PropTypes.arrayOf(StoryPropTypes.page).isRequired,
+  }).isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RevisionDialog;
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { render, fireEvent, wait } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import StoryContext from '../../../../app/story/context';
+import APIContext from '../../../../app/api/context';
+import InspectorContext from '../../../inspector/context';
+import theme from '../../../../theme';
+import RevisionsPanel from '../revisions';
+
+function setupPanel(revisions) {
+  const getStoryRevisions = jest.fn(() => Promise.resolve(revisions));
+  const getStoryRevisionById = jest.fn(() => new Promise(() => {}));
+  const storyContextValue = {
+    state: {
+      story: { storyId: 1, modified: '2020-01-02T10:00:00' },
+    },
+    actions: { restoreRevision: jest.fn() },
+  };
+  const apiContextValue = {
+    actions: { getStoryRevisions, getStoryRevisionById },
+  };
+  const inspectorContextValue = {
+    state: {
+      users: [{ value: 1, name: 'Author' }],
+    },
+  };
+  const { findByText } = render(
+    <ThemeProvider theme={theme}>
+      <StoryContext.Provider value={storyContextValue}>
+        <APIContext.Provider value={apiContextValue}>
+          <InspectorContext.Provider value={inspectorContextValue}>
+            <RevisionsPanel />
+          </InspectorContext.Provider>
+        </APIContext.Provider>
+      </StoryContext.Provider>
+    </ThemeProvider>
+  );
+  return { findByText, getStoryRevisions, getStoryRevisionById };
+}
+
+describe('RevisionsPanel', () => {
+  it('should list the revisions of the story', async () => {
+    const { findByText, getStoryRevisions } = setupPanel([
+      { id: 2, author: 1, date: '2020-01-02T10:00:00' },
+    ]);
+
+    expect(getStoryRevisions).toHaveBeenCalledWith(1);
+    expect(await findByText('01/02/2020 10:00AM')).toBeInTheDocument();
+    expect(await findByText('Author')).toBeInTheDocument();
+  });
+
+  it('should say if there are no revisions', async () => {
+    const { findByText } = setupPanel([]);
+
+    expect(await findByText('No revisions yet.')).toBeInTheDocument();
+  });
+
+  it('should load a revision when opening it', async () => {
+    const { findByText, getStoryRevisionById } = setupPanel([
+      { id: 2, author: 1, date: '2020-01-02T10:00:00' },
+    ]);
+
+    fireEvent.click(await findByText('01/02/2020 10:00AM'));
+
+    await wait(() => expect(getStoryRevisionById).toHaveBeenCalledWith(1, 2));
+  });
+});
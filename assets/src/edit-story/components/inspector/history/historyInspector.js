@@ -0,0 +1,109 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { rgba } from 'polished';
+
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useHistory } from '../../../app/history';
+import { SimplePanel } from '../../panels/panel';
+import Note from '../../panels/shared/note';
+
+const List = styled.ol`
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+const EntryButton = styled.button.attrs({ type: 'button' })`
+  display: flex;
+  flex-direction: column;
+  width: 100%;
+  padding: 6px 8px;
+  border: 0;
+  border-radius: 4px;
+  background: ${({ isCurrent, theme }) =>
+    isCurrent ? rgba(theme.colors.action, 0.14) : 'transparent'};
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  text-align: left;
+  cursor: pointer;
+  opacity: ${({ isUndone }) => (isUndone ? 0.5 : 1)};
+
+  &:hover,
+  &:focus {
+    background: ${({ theme }) => rgba(theme.colors.action, 0.24)};
+    outline: none;
+  }
+`;
+
+const Pages = styled.span`
+  opacity: 0.54;
+  font-size: 12px;
+`;
+
+function getPagesLabel(pages) {
+  return sprintf(
+    /* translators: %s: comma-separated list of page numbers */
+    _n('Page %s', 'Pages %s', pages.length, 'web-stories'),
+    pages.join(', ')
+  );
+}
+
+function HistoryInspector() {
+  const {
+    state: { entries, offset },
+    actions: { replay },
+  } = useHistory();
+
+  return (
+    <SimplePanel name="history" title={__('History', 'web-stories')}>
+      {entries.length === 0 ? (
+        <Note>{__('No changes yet.', 'web-stories')}</Note>
+      ) : (
+        <List>
+          {entries.map(({ label, pages = [] }, index) => (
+            // Entries don't have ids, and the position is what `replay` needs.
+            <li key={index}>
+              <EntryButton
+                isCurrent={index === offset}
+                isUndone={index < offset}
+                aria-current={index === offset ? 'step' : undefined}
+                onClick={() => replay(index - offset)}
+              >
+                {label}
+                {pages.length > 0 && <Pages>{getPagesLabel(pages)}</Pages>}
+              </EntryButton>
+            </li>
+          ))}
+        </List>
+      )}
+    </SimplePanel>
+  );
+}
+
+export default HistoryInspector;
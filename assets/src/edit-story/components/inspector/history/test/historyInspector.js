@@ -0,0 +1,90 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { fireEvent, render } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import HistoryContext from '../../../../app/history/context';
+import theme from '../../../../theme';
+import HistoryInspector from '../historyInspector';
+
+function setupPanel(entries, offset = 0) {
+  const replay = jest.fn();
+
+  const historyContextValue = {
+    state: { entries, offset },
+    actions: { replay },
+  };
+  const { getByText, queryByText } = render(
+    <ThemeProvider theme={theme}>
+      <HistoryContext.Provider value={historyContextValue}>
+        <HistoryInspector />
+      </HistoryContext.Provider>
+    </ThemeProvider>
+  );
+  return {
+    getByText,
+    queryByText,
+    replay,
+  };
+}
+
+describe('HistoryInspector', () => {
+  const entries = [
+    { label: 'Moved 2 elements', pages: [2] },
+    { label: 'Deleted page 4', pages: [4] },
+    { label: 'Opened story', pages: [] },
+  ];
+
+  it('should list entries with the pages they touched', () => {
+    const { getByText, queryByText } = setupPanel(entries);
+
+    expect(getByText('Moved 2 elements')).toBeInTheDocument();
+    expect(getByText('Page 2')).toBeInTheDocument();
+    expect(getByText('Page 4')).toBeInTheDocument();
+    expect(getByText('Opened story')).toBeInTheDocument();
+    expect(queryByText('No changes yet.')).not.toBeInTheDocument();
+  });
+
+  it('should mark the current entry', () => {
+    const { getByText } = setupPanel(entries, 1);
+
+    expect(getByText('Deleted page 4')).toHaveAttribute('aria-current', 'step');
+    expect(getByText('Moved 2 elements')).not.toHaveAttribute('aria-current');
+  });
+
+  it('should jump to an entry relative to the current offset', () => {
+    const { getByText, replay } = setupPanel(entries, 1);
+
+    fireEvent.click(getByText('Opened story'));
+    expect(replay).toHaveBeenCalledWith(1);
+
+    fireEvent.click(getByText('Moved 2 elements'));
+    expect(replay).toHaveBeenCalledWith(-1);
+  });
+
+  it('should render a note without entries', () => {
+    const { getByText } = setupPanel([]);
+
+    expect(getByText('No changes yet.')).toBeInTheDocument();
+  });
+});
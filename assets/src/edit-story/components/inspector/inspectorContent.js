@@ -25,6 +25,7 @@ import useInspector from './useInspector';
 import DesignInspector from './design';
 import DocumentInspector from './document';
 import PrepublishInspector from './prepublish';
+import HistoryInspector from './history';
 import { getTabId } from './utils';
 
 const InspectorWrapper = styled.div.attrs({ tabIndex: '0', role: 'tabpanel' })`
@@ -35,7 +36,7 @@ function Inspector() {
   const {
     state: { tab },
     data: {
-      tabs: { DESIGN, DOCUMENT, PREPUBLISH },
+      tabs: { DESIGN, DOCUMENT, PREPUBLISH, HISTORY },
     },
   } = useInspector();
 
@@ -43,6 +44,7 @@ function Inspector() {
     [DESIGN]: DesignInspector,
     [DOCUMENT]: DocumentInspector,
     [PREPUBLISH]: PrepublishInspector,
+    [HISTORY]: HistoryInspector,
   }[tab];
 
   return (
@@ -31,6 +31,7 @@ import Context from './context';
 const DESIGN = 'design';
 const DOCUMENT = 'document';
 const PREPUBLISH = 'prepublish';
+const HISTORY = 'history';
 
 function InspectorProvider({ children }) {
   const {
@@ -130,6 +131,7 @@ function InspectorProvider({ children }) {
         DESIGN,
         DOCUMENT,
         PREPUBLISH,
+        HISTORY,
       },
     },
   };
@@ -84,13 +84,14 @@ function InspectorTabs() {
     state: { tab },
     actions: { setTab },
     data: {
-      tabs: { DESIGN, DOCUMENT, PREPUBLISH },
+      tabs: { DESIGN, DOCUMENT, PREPUBLISH, HISTORY },
     },
   } = useInspector();
   const tabs = [
     [DESIGN, __('Design', 'web-stories')],
     [DOCUMENT, __('Document', 'web-stories')],
     [PREPUBLISH, __('Prepublish', 'web-stories')],
+    [HISTORY, __('History', 'web-stories')],
   ];
   return (
     <Tabs>
@@ -24,4 +24,8 @@ import { createContext } from 'react';
  */
 import keys from './keys';
 
-export default createContext({ keys });
+export default createContext({
+  keys,
+  registerKeyName: () => {},
+  unregisterKeyName: () => {},
+});
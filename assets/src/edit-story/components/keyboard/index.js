@@ -25,6 +25,15 @@ import { useContext, useEffect, createRef } from 'react';
  */
 import useBatchingCallback from '../../utils/useBatchingCallback';
 import Context from './context';
+import { isMacOS } from './utils';
+
+export { default as KeyboardProvider } from './keyboardProvider';
+export { KEY_DESCRIPTIONS, FIXED_KEY_NAMES } from './keys';
+export {
+  getKeyCombos,
+  findConflictingKey,
+  getShortcutFromEvent,
+} from './utils';
 
 const PROP = '__WEB_STORIES_MT__';
 const NON_EDITABLE_INPUT_TYPES = [
@@ -41,6 +50,14 @@ const NON_EDITABLE_INPUT_TYPES = [
 
 const globalRef = createRef();
 
+/**
+ * @return {Object} The keyboard context, with the key map and the actions
+ * to customize it.
+ */
+export function useKeyboard() {
+  return useContext(Context);
+}
+
 /**
  * See https://craig.is/killing/mice#keys for the supported key codes.
  *
@@ -59,6 +76,8 @@ function useKeyEffect(
 ) {
   const { keys } = useContext(Context);
   const batchingCallback = useBatchingCallback(callback, deps || []);
+  // Named keys are listed in the keyboard shortcuts dialog while bound.
+  useRegisteredKeyNames(getKeyNames(keys, keyNameOrSpec));
   useEffect(
     () => {
       const node =
@@ -87,6 +106,26 @@ function useKeyEffect(
   );
 }
 
+/**
+ * List named keys in the keyboard shortcuts dialog while the component is
+ * mounted. Key effects do this for their keys already, so this is only
+ * needed for keys that are handled otherwise, like the clipboard shortcuts.
+ *
+ * @param {Array<string>} keyNames
+ */
+export function useRegisteredKeyNames(keyNames) {
+  const { registerKeyName, unregisterKeyName } = useContext(Context);
+  const joinedKeyNames = keyNames.join(',');
+  useEffect(() => {
+    if (!joinedKeyNames) {
+      return undefined;
+    }
+    const names = joinedKeyNames.split(',');
+    names.forEach(registerKeyName);
+    return () => names.forEach(unregisterKeyName);
+  }, [joinedKeyNames, registerKeyName, unregisterKeyName]);
+}
+
 /**
  * @param {Node|{current: Node}} refOrNode
  * @param {string|Array|Object} keyNameOrSpec
@@ -200,6 +239,21 @@ function resolveKeySpec(keyDict, keyNameOrSpec) {
   return { key: allKeys, shift, repeat, editable };
 }
 
+/**
+ * @param {Object} keyDict
+ * @param {string|Object} keyNameOrSpec
+ * @return {Array<string>} The named keys of the spec.
+ */
+function getKeyNames(keyDict, keyNameOrSpec) {
+  const keyOrArray =
+    typeof keyNameOrSpec === 'string' || Array.isArray(keyNameOrSpec)
+      ? keyNameOrSpec
+      : keyNameOrSpec.key;
+  return []
+    .concat(keyOrArray)
+    .filter((key) => Object.prototype.hasOwnProperty.call(keyDict, key));
+}
+
 function addMods(keys, shift) {
   if (!shift) {
     return keys;
@@ -246,19 +300,17 @@ function isEditableTarget({ tagName, isContentEditable, type, readOnly }) {
  * @return {string} Prettified keyboard shortcut.
  */
 export function prettifyShortcut(shortcut) {
-  const { platform } = global.navigator;
-  const isMacOS =
-    platform.includes('Mac') || ['iPad', 'iPhone'].includes(platform);
+  const isMac = isMacOS();
 
   const replacementKeyMap = {
-    alt: isMacOS ? '⌥' : 'Alt',
-    ctrl: isMacOS ? '^' : 'Ctrl',
-    mod: isMacOS ? '⌘' : 'Ctrl',
+    alt: isMac ? '⌥' : 'Alt',
+    ctrl: isMac ? '^' : 'Ctrl',
+    mod: isMac ? '⌘' : 'Ctrl',
     cmd: '⌘',
-    shift: isMacOS ? '⇧' : 'Shift',
+    shift: isMac ? '⇧' : 'Shift',
   };
 
-  const delimiter = isMacOS ? '' : '+';
+  const delimiter = isMac ? '' : '+';
 
   return shortcut
     .toLowerCase()
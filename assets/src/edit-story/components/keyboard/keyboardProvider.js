@@ -0,0 +1,128 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import { useCallback, useMemo, useRef, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import { useConfig } from '../../app/config';
+import { useAPI } from '../../app/api';
+import objectPick from '../../utils/objectPick';
+import objectWithout from '../../utils/objectWithout';
+import Context from './context';
+import defaultKeys, { FIXED_KEY_NAMES } from './keys';
+
+export const USER_META_KEY = 'web_stories_keyboard_shortcuts';
+
+function KeyboardProvider({ children }) {
+  const { keyboardShortcuts } = useConfig();
+  const {
+    actions: { updateCurrentUser },
+  } = useAPI();
+  const [customKeys, setCustomKeys] = useState(() =>
+    // Ignore keys that have been removed since they were customized.
+    objectPick(
+      keyboardShortcuts,
+      Object.keys(keyboardShortcuts || {}).filter(
+        (name) => name in defaultKeys && !FIXED_KEY_NAMES.includes(name)
+      )
+    )
+  );
+  const keys = useMemo(() => ({ ...defaultKeys, ...customKeys }), [customKeys]);
+
+  // Kept in a ref, as bindings come and go with their components and the
+  // list is only needed when the shortcuts dialog is opened.
+  const registeredCounts = useRef({});
+  const registerKeyName = useCallback((name) => {
+    const counts = registeredCounts.current;
+    counts[name] = (counts[name] || 0) + 1;
+  }, []);
+  const unregisterKeyName = useCallback((name) => {
+    const counts = registeredCounts.current;
+    counts[name] -= 1;
+    if (!counts[name]) {
+      delete counts[name];
+    }
+  }, []);
+  const getRegisteredKeyNames = useCallback(
+    () =>
+      Object.keys(defaultKeys).filter((name) => registeredCounts.current[name]),
+    []
+  );
+
+  const saveCustomKeys = useCallback(
+    (newCustomKeys) => {
+      setCustomKeys(newCustomKeys);
+      return updateCurrentUser({ meta: { [USER_META_KEY]: newCustomKeys } });
+    },
+    [updateCurrentUser]
+  );
+
+  /**
+   * Assign a key combination to a named key, and store it for the user.
+   *
+   * @param {string} name Key name.
+   * @param {?string} key Key combination, or null to restore the default.
+   * @return {Promise} Resolves once the custom keys have been stored.
+   */
+  const setKey = useCallback(
+    (name, key) => {
+      const otherCustomKeys = objectWithout(customKeys, [name]);
+      return saveCustomKeys(
+        key && key !== defaultKeys[name]
+          ? { ...otherCustomKeys, [name]: key }
+          : otherCustomKeys
+      );
+    },
+    [customKeys, saveCustomKeys]
+  );
+
+  const resetKeys = useCallback(() => saveCustomKeys({}), [saveCustomKeys]);
+
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const openDialog = useCallback(() => setIsDialogOpen(true), []);
+  const closeDialog = useCallback(() => setIsDialogOpen(false), []);
+
+  const value = {
+    keys,
+    defaultKeys,
+    customKeys,
+    registerKeyName,
+    unregisterKeyName,
+    getRegisteredKeyNames,
+    setKey,
+    resetKeys,
+    isDialogOpen,
+    openDialog,
+    closeDialog,
+  };
+
+  return <Context.Provider value={value}>{children}</Context.Provider>;
+}
+
+KeyboardProvider.propTypes = {
+  children: PropTypes.oneOfType([
+    PropTypes.arrayOf(PropTypes.node),
+    PropTypes.node,
+  ]).isRequired,
+};
+
+export default KeyboardProvider;
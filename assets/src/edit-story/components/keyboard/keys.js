@@ -15,12 +15,58 @@
  */
 
 /**
- * See https://craig.is/killing/mice#keys for the supported key codes.
+ * WordPress dependencies
  */
+import { __ } from '@wordpress/i18n';
+
 const keys = {
   undo: 'mod+z',
   redo: 'shift+mod+z',
   delete: ['del', 'backspace'],
+  group: 'mod+g',
+  ungroup: 'shift+mod+g',
+  bringToFront: 'shift+mod+up',
+  bringForward: 'mod+up',
+  sendBackward: 'mod+down',
+  sendToBack: 'shift+mod+down',
+  moveUp: 'up',
+  moveDown: 'down',
+  moveLeft: 'left',
+  moveRight: 'right',
+  cancel: 'esc',
+  pan: 'space',
+  cut: 'mod+x',
+  copy: 'mod+c',
+  paste: 'mod+v',
+  shortcuts: '?',
+};
+
+// Clipboard shortcuts trigger the browser's clipboard events, which the
+// editor handles. They are listed and checked for conflicts, but can't be
+// rebound.
+export const FIXED_KEY_NAMES = ['cut', 'copy', 'paste'];
+
+// Shown for the named keys in the keyboard shortcuts dialog.
+export const KEY_DESCRIPTIONS = {
+  undo: __('Undo', 'web-stories'),
+  redo: __('Redo', 'web-stories'),
+  delete: __('Delete selected elements', 'web-stories'),
+  group: __('Group selected elements', 'web-stories'),
+  ungroup: __('Ungroup selected elements', 'web-stories'),
+  bringToFront: __('Bring to front', 'web-stories'),
+  bringForward: __('Bring forward', 'web-stories'),
+  sendBackward: __('Send backward', 'web-stories'),
+  sendToBack: __('Send to back', 'web-stories'),
+  moveUp: __('Move selected elements up', 'web-stories'),
+  moveDown: __('Move selected elements down', 'web-stories'),
+  moveLeft: __('Move selected elements left', 'web-stories'),
+  moveRight: __('Move selected elements right', 'web-stories'),
+  cancel: __('Stop editing or clear selection', 'web-stories'),
+  pan: __('Hold to pan the canvas', 'web-stories'),
+  cut: __('Cut', 'web-stories'),
+  copy: __('Copy', 'web-stories'),
+  paste: __('Paste', 'web-stories'),
+  shortcuts: __('Show keyboard shortcuts', 'web-stories'),
 };
 
 export default keys;
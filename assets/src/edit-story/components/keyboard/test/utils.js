@@ -0,0 +1,97 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  findConflictingKey,
+  getKeyCombos,
+  getShortcutFromEvent,
+  normalizeShortcut,
+} from '../utils';
+import defaultKeys from '../keys';
+
+const KEYS = {
+  undo: 'mod+z',
+  redo: 'shift+mod+z',
+  delete: ['del', 'backspace'],
+};
+
+describe('getKeyCombos', () => {
+  it('should return all combinations of a key', () => {
+    expect(getKeyCombos(KEYS, 'undo')).toStrictEqual(['mod+z']);
+    expect(getKeyCombos(KEYS, 'delete')).toStrictEqual(['del', 'backspace']);
+    expect(getKeyCombos(KEYS, 'unknown')).toStrictEqual([]);
+  });
+});
+
+describe('normalizeShortcut', () => {
+  it('should order the modifiers', () => {
+    expect(normalizeShortcut('mod+shift+z')).toStrictEqual('shift+mod+z');
+    expect(normalizeShortcut('Shift+Mod+Z')).toStrictEqual('shift+mod+z');
+    expect(normalizeShortcut('?')).toStrictEqual('?');
+  });
+});
+
+describe('findConflictingKey', () => {
+  it('should find other keys using the combination', () => {
+    expect(findConflictingKey(KEYS, 'undo', 'mod+shift+z')).toStrictEqual(
+      'redo'
+    );
+    expect(findConflictingKey(KEYS, 'undo', 'backspace')).toStrictEqual(
+      'delete'
+    );
+  });
+
+  it('should find conflicts with canvas and clipboard shortcuts', () => {
+    expect(findConflictingKey(defaultKeys, 'undo', 'mod+x')).toStrictEqual(
+      'cut'
+    );
+    expect(findConflictingKey(defaultKeys, 'undo', 'space')).toStrictEqual(
+      'pan'
+    );
+    expect(findConflictingKey(defaultKeys, 'undo', 'left')).toStrictEqual(
+      'moveLeft'
+    );
+  });
+
+  it('should ignore the key itself', () => {
+    expect(findConflictingKey(KEYS, 'undo', 'mod+z')).toBeNull();
+    expect(findConflictingKey(KEYS, 'undo', 'mod+y')).toBeNull();
+  });
+});
+
+describe('getShortcutFromEvent', () => {
+  it('should ignore modifier keys on their own', () => {
+    expect(getShortcutFromEvent({ key: 'Shift', shiftKey: true })).toBeNull();
+  });
+
+  it('should map keys and modifiers to key specs', () => {
+    const redoEvent = { key: 'Z', ctrlKey: true, shiftKey: true };
+    const arrowEvent = { key: 'ArrowUp', altKey: true };
+
+    expect(getShortcutFromEvent(redoEvent)).toStrictEqual('shift+mod+z');
+    expect(getShortcutFromEvent(arrowEvent)).toStrictEqual('alt+up');
+    expect(getShortcutFromEvent({ key: ' ' })).toStrictEqual('space');
+  });
+
+  it('should not add shift to shifted characters', () => {
+    expect(getShortcutFromEvent({ key: '?', shiftKey: true })).toStrictEqual(
+      '?'
+    );
+  });
+});
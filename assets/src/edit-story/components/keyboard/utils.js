@@ -0,0 +1,118 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'mod', 'meta'];
+
+const KEY_NAMES = {
+  ' ': 'space',
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  Backspace: 'backspace',
+  Delete: 'del',
+  Enter: 'enter',
+  Escape: 'esc',
+  Tab: 'tab',
+  Home: 'home',
+  End: 'end',
+  PageUp: 'pageup',
+  PageDown: 'pagedown',
+};
+
+/**
+ * @return {boolean} Whether the editor runs on macOS or iOS.
+ */
+export function isMacOS() {
+  const { platform } = global.navigator;
+  return platform.includes('Mac') || ['iPad', 'iPhone'].includes(platform);
+}
+
+/**
+ * Get the key combinations of a named key, which can have several.
+ *
+ * @param {Object} keys Key map.
+ * @param {string} name Key name.
+ * @return {Array<string>} Key combinations.
+ */
+export function getKeyCombos(keys, name) {
+  return [].concat(keys[name] || []);
+}
+
+/**
+ * Bring a key combination to a canonical form, so that e.g. 'mod+shift+z'
+ * and 'shift+mod+z' compare equal.
+ *
+ * @param {string} combo Key combination, e.g. 'shift+mod+z'.
+ * @return {string} Normalized key combination.
+ */
+export function normalizeShortcut(combo) {
+  const parts = combo.toLowerCase().split('+');
+  const modifiers = parts.filter((part) => MODIFIERS.includes(part));
+  const others = parts.filter((part) => !MODIFIERS.includes(part));
+  modifiers.sort((a, b) => MODIFIERS.indexOf(a) - MODIFIERS.indexOf(b));
+  return [...modifiers, ...others].join('+');
+}
+
+/**
+ * Find another named key that already uses a key combination.
+ *
+ * @param {Object} keys Key map.
+ * @param {string} name Name of the key to assign the combination to.
+ * @param {string} combo Key combination.
+ * @return {?string} Name of the conflicting key, if any.
+ */
+export function findConflictingKey(keys, name, combo) {
+  const normalized = normalizeShortcut(combo);
+  return (
+    Object.keys(keys).find(
+      (otherName) =>
+        otherName !== name &&
+        getKeyCombos(keys, otherName).some(
+          (otherCombo) => normalizeShortcut(otherCombo) === normalized
+        )
+    ) || null
+  );
+}
+
+/**
+ * Get the key combination of a keyboard event, as used by key specs.
+ *
+ * @param {KeyboardEvent} evt Keyboard event.
+ * @return {?string} Key combination, or null if only modifiers are pressed.
+ */
+export function getShortcutFromEvent({
+  key,
+  ctrlKey,
+  altKey,
+  shiftKey,
+  metaKey,
+}) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
+    return null;
+  }
+  const isMac = isMacOS();
+  const isCharacter = key.length === 1 && key !== ' ';
+  const modifiers = [
+    isMac && ctrlKey && 'ctrl',
+    altKey && 'alt',
+    // Shift is part of characters like '?' already.
+    shiftKey && (!isCharacter || /[a-z]/i.test(key)) && 'shift',
+    (isMac ? metaKey : ctrlKey) && 'mod',
+  ].filter(Boolean);
+  const keyName = KEY_NAMES[key] || key.toLowerCase();
+  return [...modifiers, keyName].join('+');
+}
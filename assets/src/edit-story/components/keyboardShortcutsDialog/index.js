@@ -0,0 +1,253 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { rgba } from 'polished';
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import {
+  FIXED_KEY_NAMES,
+  KEY_DESCRIPTIONS,
+  findConflictingKey,
+  getKeyCombos,
+  getShortcutFromEvent,
+  prettifyShortcut,
+  useGlobalKeyDownEffect,
+  useKeyboard,
+} from '../keyboard';
+import Dialog from '../dialog';
+import { Plain } from '../button';
+
+const Table = styled.table`
+  width: 480px;
+  border-collapse: collapse;
+`;
+
+const Row = styled.tr`
+  border-bottom: 1px solid ${({ theme }) => rgba(theme.colors.bg.v0, 0.1)};
+`;
+
+const Cell = styled.td`
+  padding: 4px 0;
+  text-align: ${({ align }) => align || 'left'};
+`;
+
+const ShortcutButton = styled.button`
+  min-width: 120px;
+  padding: 2px 8px;
+  border: 1px solid ${({ theme }) => rgba(theme.colors.bg.v0, 0.2)};
+  border-radius: 4px;
+  background: transparent;
+  color: ${({ theme }) => theme.colors.bg.v0};
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const FixedShortcut = styled.span`
+  display: inline-block;
+  min-width: 120px;
+  padding: 2px 8px;
+  font-size: 14px;
+  text-align: center;
+`;
+
+const RecordInput = styled.input`
+  width: 120px;
+  padding: 2px 8px;
+  border: 1px solid ${({ theme }) => theme.colors.action};
+  border-radius: 4px;
+  font-size: 14px;
+`;
+
+const ResetButton = styled.button`
+  margin-left: 8px;
+  padding: 0;
+  border: 0;
+  background: transparent;
+  color: ${({ theme }) => theme.colors.action};
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const ErrorMessage = styled.p`
+  margin: 8px 0 0;
+  color: ${({ theme }) => theme.colors.warning};
+`;
+
+function KeyboardShortcutsDialog() {
+  const {
+    keys,
+    customKeys,
+    getRegisteredKeyNames,
+    setKey,
+    resetKeys,
+    isDialogOpen,
+    openDialog,
+    closeDialog,
+  } = useKeyboard();
+  const [keyNames, setKeyNames] = useState([]);
+  const [recordingName, setRecordingName] = useState(null);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useGlobalKeyDownEffect('shortcuts', () => openDialog(), [openDialog]);
+
+  useEffect(() => {
+    if (isDialogOpen) {
+      setKeyNames(getRegisteredKeyNames());
+    } else {
+      setRecordingName(null);
+      setError(null);
+    }
+  }, [isDialogOpen, getRegisteredKeyNames]);
+
+  useEffect(() => {
+    if (recordingName && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [recordingName]);
+
+  const save = useCallback((promise) => {
+    setError(null);
+    promise.catch(() =>
+      setError(__('The keyboard shortcuts could not be saved.', 'web-stories'))
+    );
+  }, []);
+
+  // Focused inputs don't trigger other shortcuts, so any combination can be
+  // recorded here.
+  const handleRecordKeyDown = (evt) => {
+    if (evt.key === 'Tab') {
+      return;
+    }
+    evt.preventDefault();
+    evt.stopPropagation();
+    if (evt.key === 'Escape') {
+      setRecordingName(null);
+      return;
+    }
+    const combo = getShortcutFromEvent(evt);
+    if (!combo) {
+      return;
+    }
+    const conflictingName = findConflictingKey(keys, recordingName, combo);
+    if (conflictingName) {
+      setError(
+        sprintf(
+          /* translators: 1: keyboard shortcut, 2: shortcut description. */
+          __('%1$s is already used for "%2$s".', 'web-stories'),
+          prettifyShortcut(combo),
+          KEY_DESCRIPTIONS[conflictingName] || conflictingName
+        )
+      );
+      return;
+    }
+    setRecordingName(null);
+    save(setKey(recordingName, combo));
+  };
+
+  return (
+    <Dialog
+      open={isDialogOpen}
+      onClose={closeDialog}
+      title={__('Keyboard shortcuts', 'web-stories')}
+      contentLabel={__('Keyboard shortcuts', 'web-stories')}
+      actions={
+        <>
+          <Plain
+            onClick={() => save(resetKeys())}
+            isDisabled={Object.keys(customKeys).length === 0}
+          >
+            {__('Reset all', 'web-stories')}
+          </Plain>
+          <Plain onClick={closeDialog}>{__('Close', 'web-stories')}</Plain>
+        </>
+      }
+    >
+      <Table>
+        <tbody>
+          {keyNames.map((name) => {
+            const description = KEY_DESCRIPTIONS[name] || name;
+            const shortcut = getKeyCombos(keys, name)
+              .map(prettifyShortcut)
+              .join(' / ');
+            let control;
+            if (FIXED_KEY_NAMES.includes(name)) {
+              control = <FixedShortcut>{shortcut}</FixedShortcut>;
+            } else if (recordingName === name) {
+              control = (
+                <RecordInput
+                  ref={inputRef}
+                  readOnly
+                  value=""
+                  placeholder={__('Press keys', 'web-stories')}
+                  aria-label={sprintf(
+                    /* translators: %s: shortcut description. */
+                    __('New shortcut for "%s"', 'web-stories'),
+                    description
+                  )}
+                  onKeyDown={handleRecordKeyDown}
+                  onBlur={() => setRecordingName(null)}
+                />
+              );
+            } else {
+              control = (
+                <ShortcutButton
+                  onClick={() => setRecordingName(name)}
+                  aria-label={sprintf(
+                    /* translators: 1: shortcut description, 2: keyboard shortcut. */
+                    __('Change shortcut for "%1$s": %2$s', 'web-stories'),
+                    description,
+                    shortcut
+                  )}
+                >
+                  {shortcut}
+                </ShortcutButton>
+              );
+            }
+            return (
+              <Row key={name}>
+                <Cell>{description}</Cell>
+                <Cell align="right">
+                  {control}
+                  {customKeys[name] && (
+                    <ResetButton onClick={() => save(setKey(name, null))}>
+                      {__('Reset', 'web-stories')}
+                    </ResetButton>
+                  )}
+                </Cell>
+              </Row>
+            );
+          })}
+        </tbody>
+      </Table>
+      {error && <ErrorMessage role="alert">{error}</ErrorMessage>}
+    </Dialog>
+  );
+}
+
+export default KeyboardShortcutsDialog;
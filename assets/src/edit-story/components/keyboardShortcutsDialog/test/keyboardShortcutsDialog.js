@@ -0,0 +1,126 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { render, fireEvent } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import KeyboardContext from '../../keyboard/context';
+import theme from '../../../theme';
+import KeyboardShortcutsDialog from '../';
+
+function setupDialog({ customKeys = {} } = {}) {
+  const keys = {
+    undo: 'mod+z',
+    redo: 'shift+mod+z',
+    copy: 'mod+c',
+    ...customKeys,
+  };
+  const keyboardContextValue = {
+    keys,
+    customKeys,
+    registerKeyName: jest.fn(),
+    unregisterKeyName: jest.fn(),
+    getRegisteredKeyNames: () => ['undo', 'redo', 'copy'],
+    setKey: jest.fn(() => Promise.resolve()),
+    resetKeys: jest.fn(() => Promise.resolve()),
+    isDialogOpen: true,
+    openDialog: jest.fn(),
+    closeDialog: jest.fn(),
+  };
+  const queries = render(
+    <ThemeProvider theme={theme}>
+      <KeyboardContext.Provider value={keyboardContextValue}>
+        <KeyboardShortcutsDialog />
+      </KeyboardContext.Provider>
+    </ThemeProvider>
+  );
+  return { ...queries, ...keyboardContextValue };
+}
+
+describe('KeyboardShortcutsDialog', () => {
+  it('should list the registered shortcuts', () => {
+    const { getByRole } = setupDialog();
+
+    const undoButton = getByRole('button', { name: /"Undo": Ctrl\+Z/ });
+    const redoButton = getByRole('button', { name: /"Redo": Shift\+Ctrl\+Z/ });
+
+    expect(undoButton).toBeInTheDocument();
+    expect(redoButton).toBeInTheDocument();
+  });
+
+  it('should assign a recorded shortcut', () => {
+    const { getByRole, getByLabelText, setKey } = setupDialog();
+
+    fireEvent.click(getByRole('button', { name: /"Undo"/ }));
+    fireEvent.keyDown(getByLabelText('New shortcut for "Undo"'), {
+      key: 'y',
+      ctrlKey: true,
+    });
+
+    expect(setKey).toHaveBeenCalledWith('undo', 'mod+y');
+  });
+
+  it('should not assign a shortcut that is already used', () => {
+    const { getByRole, getByLabelText, setKey } = setupDialog();
+
+    fireEvent.click(getByRole('button', { name: /"Undo"/ }));
+    fireEvent.keyDown(getByLabelText('New shortcut for "Undo"'), {
+      key: 'Z',
+      ctrlKey: true,
+      shiftKey: true,
+    });
+
+    expect(setKey).not.toHaveBeenCalled();
+    expect(getByRole('alert')).toHaveTextContent('Shift+Ctrl+Z');
+  });
+
+  it('should list clipboard shortcuts without letting them be changed', () => {
+    const { getByText, queryByRole } = setupDialog();
+
+    expect(getByText('Copy')).toBeInTheDocument();
+    expect(getByText('Ctrl+C')).toBeInTheDocument();
+    expect(queryByRole('button', { name: /"Copy"/ })).not.toBeInTheDocument();
+  });
+
+  it('should not assign a clipboard shortcut', () => {
+    const { getByRole, getByLabelText, setKey } = setupDialog();
+
+    fireEvent.click(getByRole('button', { name: /"Undo"/ }));
+    fireEvent.keyDown(getByLabelText('New shortcut for "Undo"'), {
+      key: 'c',
+      ctrlKey: true,
+    });
+
+    expect(setKey).not.toHaveBeenCalled();
+    expect(getByRole('alert')).toHaveTextContent('"Copy"');
+  });
+
+  it('should reset customized shortcuts', () => {
+    const { getByRole, setKey } = setupDialog({
+      customKeys: { undo: 'mod+y' },
+    });
+
+    fireEvent.click(getByRole('button', { name: 'Reset' }));
+
+    expect(setKey).toHaveBeenCalledWith('undo', null);
+  });
+});
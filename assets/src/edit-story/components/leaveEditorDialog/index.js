@@ -0,0 +1,60 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import Dialog from '../dialog';
+import { Plain } from '../button';
+
+function LeaveEditorDialog() {
+  const {
+    state: {
+      meta: { isLeaveRequested },
+    },
+    actions: { confirmLeave, cancelLeave },
+  } = useStory();
+
+  return (
+    <Dialog
+      open={isLeaveRequested}
+      onClose={cancelLeave}
+      title={__('Leave without saving?', 'web-stories')}
+      contentLabel={__('Leave without saving', 'web-stories')}
+      actions={
+        <>
+          <Plain onClick={cancelLeave}>{__('Stay', 'web-stories')}</Plain>
+          <Plain onClick={confirmLeave}>{__('Leave', 'web-stories')}</Plain>
+        </>
+      }
+    >
+      <p>
+        {__(
+          'This story has unsaved changes, which will be lost if you leave the editor.',
+          'web-stories'
+        )}
+      </p>
+    </Dialog>
+  );
+}
+
+export default LeaveEditorDialog;
@@ -14,6 +14,12 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { rgba } from 'polished';
+
 /**
  * WordPress dependencies
  */
@@ -22,13 +28,70 @@ import { __ } from '@wordpress/i18n';
 /**
  * Internal dependencies
  */
+import { getDefinitionForType } from '../../../../elements';
+import { PAGE_WIDTH } from '../../../../constants';
+import useLibrary from '../../useLibrary';
+import { Section } from '../../common';
 import { Pane } from '../shared';
 import paneId from './paneId';
 
+// By default, the element should be 60% of the page.
+const DEFAULT_ELEMENT_WIDTH = PAGE_WIDTH * 0.6;
+
+const INTERACTIVE_TYPES = ['poll', 'quiz'];
+
+const SectionContent = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  margin: 0 -4px 16px;
+`;
+
+const ElementButton = styled.button`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  flex: 0 0 calc(50% - 8px);
+  margin: 0 4px;
+  padding: 12px 0;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  background-color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.1)};
+  font-family: ${({ theme }) => theme.fonts.label.family};
+  font-size: ${({ theme }) => theme.fonts.label.size};
+  line-height: ${({ theme }) => theme.fonts.label.lineHeight};
+
+  svg {
+    width: 28px;
+    height: 28px;
+  }
+`;
+
 function ElementsPane(props) {
+  const {
+    actions: { insertElement },
+  } = useLibrary();
   return (
     <Pane id={paneId} {...props}>
-      {__('Still empty', 'web-stories')}
+      <Section title={__('Interactive', 'web-stories')}>
+        <SectionContent>
+          {INTERACTIVE_TYPES.map((type) => {
+            const { name, LayerIcon } = getDefinitionForType(type);
+            return (
+              <ElementButton
+                key={type}
+                onClick={() =>
+                  insertElement(type, { width: DEFAULT_ELEMENT_WIDTH })
+                }
+              >
+                <LayerIcon />
+                {name}
+              </ElementButton>
+            );
+          })}
+        </SectionContent>
+      </Section>
     </Pane>
   );
 }
@@ -21,14 +21,16 @@ import { AnimationTab, AnimationPane } from './animation';
 import { MediaTab, MediaPane } from './media';
 import { ShapesTab, ShapesPane } from './shapes';
 import { TextTab, TextPane } from './text';
+import { ElementsTab, ElementsPane } from './elements';
 import { Tabs } from './shared';
 
-function getPanes({ ANIMATION, MEDIA, SHAPES, TEXT }) {
+function getPanes({ ANIMATION, ELEMENTS, MEDIA, SHAPES, TEXT }) {
   // Order here is important, as it denotes the actual visual order of elements.
   return [
     { Tab: MediaTab, Pane: MediaPane, id: MEDIA },
     { Tab: TextTab, Pane: TextPane, id: TEXT },
     { Tab: ShapesTab, Pane: ShapesPane, id: SHAPES },
+    { Tab: ElementsTab, Pane: ElementsPane, id: ELEMENTS },
     { Tab: AnimationTab, Pane: AnimationPane, id: ANIMATION },
   ];
 }
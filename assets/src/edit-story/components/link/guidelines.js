@@ -69,7 +69,7 @@ const Tip = styled.span`
 function LinkGuidelines({}) {
   const [linkType, setLinkType] = useState(LinkType.TWO_TAP);
   const {
-    state: { selectedElements, currentPageNumber },
+    state: { selectedElements, currentPage, currentPageNumber },
     actions: { updateElementById },
   } = useStory();
   const {
@@ -83,9 +83,14 @@ function LinkGuidelines({}) {
   /* eslint-disable react-hooks/exhaustive-deps */
   useEffect(() => {
     if (hasOneTapLinks) {
-      setLinkType(inferLinkType(selectedElement));
+      setLinkType(inferLinkType(selectedElement, currentPage));
     }
-  }, [hasOneTapLinks, selectedElement?.y, setLinkType]);
+  }, [
+    hasOneTapLinks,
+    selectedElement?.y,
+    currentPage?.attachment,
+    setLinkType,
+  ]);
   /* eslint-enable react-hooks/exhaustive-deps */
 
   useTransformHandler(selectedElement?.id, (transform) => {
@@ -95,10 +100,13 @@ function LinkGuidelines({}) {
     const translateY = transform?.translate?.[1];
     if (translateY) {
       setLinkType(
-        inferLinkType({
-          ...selectedElement,
-          y: selectedElement?.y + editorToDataY(translateY),
-        })
+        inferLinkType(
+          {
+            ...selectedElement,
+            y: selectedElement?.y + editorToDataY(translateY),
+          },
+          currentPage
+        )
       );
     }
   });
@@ -30,7 +30,11 @@ export function getLinkFromElement(element) {
   return element.link || null;
 }
 
-export function inferLinkType(selectedElement) {
+export function inferLinkType(selectedElement, page = null) {
+  // Pages with an attachment can't have one-tap links.
+  if (page?.attachment) {
+    return LinkType.TWO_TAP;
+  }
   const { y } = selectedElement;
   return y >= PAGE_HEIGHT * (1 - CTA_ZONE_PERCENT)
     ? LinkType.ONE_TAP
@@ -0,0 +1,116 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import {
+  PAGE_ADDED,
+  PAGE_REMOVED,
+  PAGE_CHANGED,
+  PAGE_MOVED,
+} from '../../app/story/utils/comparePages';
+import Dialog from '../dialog';
+import { Plain } from '../button';
+
+const List = styled.ul`
+  list-style: disc;
+  margin: 0 0 16px 20px;
+  padding: 0;
+`;
+
+function getChangeLabel(status, pageNumber) {
+  switch (status) {
+    case PAGE_ADDED:
+      /* translators: %d: page number. */
+      return sprintf(__('Page %d: added', 'web-stories'), pageNumber);
+    case PAGE_REMOVED:
+      /* translators: %d: page number. */
+      return sprintf(__('Page %d: removed', 'web-stories'), pageNumber);
+    case PAGE_CHANGED:
+      /* translators: %d: page number. */
+      return sprintf(__('Page %d: changed', 'web-stories'), pageNumber);
+    case PAGE_MOVED:
+      /* translators: %d: page number. */
+      return sprintf(__('Page %d: moved', 'web-stories'), pageNumber);
+    default:
+      return null;
+  }
+}
+
+function LocalDraftDialog() {
+  const {
+    state: { localDraft },
+    actions: { restoreLocalDraft, discardLocalDraft },
+  } = useStory();
+
+  if (!localDraft) {
+    return null;
+  }
+
+  const { changes, savedAt } = localDraft;
+  return (
+    <Dialog
+      open
+      onClose={discardLocalDraft}
+      title={__('Recover unsaved changes?', 'web-stories')}
+      contentLabel={__('Recover unsaved changes', 'web-stories')}
+      actions={
+        <>
+          <Plain onClick={discardLocalDraft}>
+            {__('Discard', 'web-stories')}
+          </Plain>
+          <Plain onClick={restoreLocalDraft}>
+            {__('Restore', 'web-stories')}
+          </Plain>
+        </>
+      }
+    >
+      <p>
+        {sprintf(
+          /* translators: %s: date and time. */
+          __(
+            'This browser has changes to this story from %s that were not saved.',
+            'web-stories'
+          ),
+          new Date(savedAt).toLocaleString()
+        )}
+      </p>
+      {changes.length > 0 ? (
+        <List>
+          {changes.map(({ id, pageNumber, status }) => (
+            <li key={id}>{getChangeLabel(status, pageNumber)}</li>
+          ))}
+        </List>
+      ) : (
+        <p>{__('Only the story settings were changed.', 'web-stories')}</p>
+      )}
+    </Dialog>
+  );
+}
+
+export default LocalDraftDialog;
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { LinkType } from '../link';
+
+export { default as PageAttachmentIndicator } from './indicator';
+
+export const AttachmentTheme = {
+  LIGHT: 'light',
+  DARK: 'dark',
+};
+
+export const AttachmentBlockType = {
+  TEXT: 'text',
+  IMAGE: 'image',
+};
+
+export function getDefaultCtaText() {
+  return __('Swipe up', 'web-stories');
+}
+
+export function createPageAttachment({
+  title = '',
+  ctaText = '',
+  theme = AttachmentTheme.LIGHT,
+  blocks = [createAttachmentBlock()],
+} = {}) {
+  return { title, ctaText, theme, blocks };
+}
+
+export function createAttachmentBlock({
+  type = AttachmentBlockType.TEXT,
+  ...rest
+} = {}) {
+  return type === AttachmentBlockType.IMAGE
+    ? { id: uuidv4(), type, src: '', alt: '', width: 0, height: 0, ...rest }
+    : { id: uuidv4(), type, content: '', ...rest };
+}
+
+/**
+ * Check whether a page has one-tap links.
+ *
+ * One-tap links are output in a CTA layer, which AMP doesn't allow on pages
+ * that also have an attachment.
+ *
+ * @param {Object} page Page to check.
+ * @return {boolean} Whether any visible element has a one-tap link.
+ */
+export function hasOneTapLinks({ elements }) {
+  return elements.some(
+    ({ link, isHidden }) => !isHidden && link?.type === LinkType.ONE_TAP
+  );
+}
@@ -0,0 +1,92 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { rgba } from 'polished';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import { AttachmentTheme, getDefaultCtaText } from '.';
+
+// Mimics the call to action that readers swipe up on.
+const Indicator = styled.div`
+  position: absolute;
+  bottom: 12px;
+  left: 50%;
+  transform: translateX(-50%);
+  max-width: 80%;
+  padding: 4px 16px 6px;
+  border-radius: 16px;
+  pointer-events: none;
+  z-index: 1;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: 12px;
+  line-height: 16px;
+  white-space: nowrap;
+  ${({ attachmentTheme, theme }) =>
+    attachmentTheme === AttachmentTheme.DARK
+      ? `
+        color: ${theme.colors.fg.v1};
+        background-color: ${rgba(theme.colors.bg.v0, 0.7)};
+      `
+      : `
+        color: ${theme.colors.fg.v0};
+        background-color: ${rgba(theme.colors.fg.v1, 0.85)};
+      `}
+
+  &::before {
+    content: '';
+    width: 8px;
+    height: 8px;
+    margin-top: 4px;
+    border-top: 2px solid currentColor;
+    border-left: 2px solid currentColor;
+    transform: rotate(45deg);
+  }
+`;
+
+const Text = styled.span`
+  overflow: hidden;
+  text-overflow: ellipsis;
+  max-width: 100%;
+`;
+
+function PageAttachmentIndicator() {
+  const {
+    state: { currentPage },
+  } = useStory();
+
+  const attachment = currentPage?.attachment;
+  if (!attachment) {
+    return null;
+  }
+
+  return (
+    <Indicator attachmentTheme={attachment.theme}>
+      <Text>{attachment.ctaText || getDefaultCtaText()}</Text>
+    </Indicator>
+  );
+}
+
+export default PageAttachmentIndicator;
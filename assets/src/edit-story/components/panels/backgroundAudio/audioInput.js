@@ -0,0 +1,162 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { rgba } from 'polished';
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import StoryPropTypes from '../../../types';
+import { ReactComponent as PlayIcon } from '../../../icons/play.svg';
+import { ReactComponent as PauseIcon } from '../../../icons/pause.svg';
+import { Button, Row } from '../../form';
+import { useMediaPicker } from '../../mediaPicker';
+import { getAudioFromMediaPicker } from './utils';
+
+const Audio = styled.audio`
+  display: none;
+`;
+
+const PlayButton = styled.button`
+  flex-shrink: 0;
+  width: 32px;
+  height: 32px;
+  padding: 8px;
+  margin-right: 8px;
+  border: none;
+  border-radius: 50%;
+  cursor: pointer;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  background: ${({ theme }) => rgba(theme.colors.fg.v1, 0.1)};
+
+  svg {
+    width: 100%;
+    height: 100%;
+    display: block;
+  }
+`;
+
+const FileName = styled.span`
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: ${({ theme }) => rgba(theme.colors.fg.v1, 0.86)};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+`;
+
+const Space = styled.div`
+  width: 8px;
+`;
+
+function AudioInput({ value, onChange, title }) {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const openMediaPicker = useMediaPicker({
+    title,
+    buttonInsertText: __('Choose audio', 'web-stories'),
+    onSelect: (mediaPickerEl) =>
+      onChange(getAudioFromMediaPicker(mediaPickerEl)),
+    type: 'audio',
+  });
+
+  const src = value?.src;
+  useEffect(() => setIsPlaying(false), [src]);
+
+  const togglePlay = useCallback(() => {
+    const audio = audioRef.current;
+    if (!audio) {
+      return;
+    }
+    if (isPlaying) {
+      audio.pause();
+      setIsPlaying(false);
+      return;
+    }
+    // Playing fails if the file can't be loaded, or autoplay is blocked.
+    Promise.resolve(audio.play())
+      .then(() => setIsPlaying(true))
+      .catch(() => setIsPlaying(false));
+  }, [isPlaying]);
+
+  return (
+    <>
+      {value && (
+        <Row>
+          <Audio
+            ref={audioRef}
+            src={src}
+            preload="none"
+            onEnded={() => setIsPlaying(false)}
+          />
+          <PlayButton
+            onClick={togglePlay}
+            aria-label={
+              isPlaying ? __('Pause', 'web-stories') : __('Play', 'web-stories')
+            }
+            aria-pressed={isPlaying}
+          >
+            {isPlaying ? <PauseIcon /> : <PlayIcon />}
+          </PlayButton>
+          <FileName title={value.title}>
+            {value.title ||
+              sprintf(
+                /* translators: %s: audio file mime type. */
+                __('Audio file (%s)', 'web-stories'),
+                value.mimeType
+              )}
+          </FileName>
+        </Row>
+      )}
+      <Row>
+        <Button onClick={openMediaPicker} fullWidth>
+          {value
+            ? __('Replace audio', 'web-stories')
+            : __('Choose audio', 'web-stories')}
+        </Button>
+        {value && (
+          <>
+            <Space />
+            <Button onClick={() => onChange(null)} fullWidth>
+              {__('Remove', 'web-stories')}
+            </Button>
+          </>
+        )}
+      </Row>
+    </>
+  );
+}
+
+AudioInput.propTypes = {
+  value: StoryPropTypes.audio,
+  onChange: PropTypes.func.isRequired,
+  title: PropTypes.string.isRequired,
+};
+
+export default AudioInput;
@@ -0,0 +1,75 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { useCallback } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { Row } from '../../form';
+import { SimplePanel } from '../panel';
+import Note from '../shared/note';
+import AudioInput from './audioInput';
+
+export { default as AudioInput } from './audioInput';
+
+function BackgroundAudioPanel() {
+  const {
+    state: { currentPage },
+    actions: { updateCurrentPageProperties },
+  } = useStory();
+
+  const updateBackgroundAudio = useCallback(
+    (value) => {
+      updateCurrentPageProperties({ properties: { backgroundAudio: value } });
+    },
+    [updateCurrentPageProperties]
+  );
+
+  return (
+    <SimplePanel
+      name="backgroundAudio"
+      title={__('Page background audio', 'web-stories')}
+    >
+      <Row>
+        <Note>
+          {__(
+            'Plays while this page is shown. With auto-advance, the page lasts as long as the audio.',
+            'web-stories'
+          )}
+        </Note>
+      </Row>
+      <AudioInput
+        value={currentPage.backgroundAudio || null}
+        onChange={updateBackgroundAudio}
+        title={__('Choose page background audio', 'web-stories')}
+      />
+    </SimplePanel>
+  );
+}
+
+BackgroundAudioPanel.propTypes = {};
+
+export default BackgroundAudioPanel;
@@ -0,0 +1,49 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Parse a formatted duration such as "1:05" or "1:02:03" into seconds.
+ *
+ * @param {?string} lengthFormatted Formatted duration.
+ * @return {?number} Duration in seconds, or null if it can't be parsed.
+ */
+export function parseLength(lengthFormatted) {
+  if (!lengthFormatted) {
+    return null;
+  }
+  const parts = String(lengthFormatted).split(':').map(Number);
+  if (parts.some((part) => isNaN(part))) {
+    return null;
+  }
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+/**
+ * Generates a background audio object from a WordPress media picker object.
+ *
+ * @param {Object} mediaPickerEl WP Media Picker object.
+ * @return {Object} Background audio, as stored on pages and stories.
+ */
+export function getAudioFromMediaPicker(mediaPickerEl) {
+  const { id, url, mime: mimeType, title, fileLength } = mediaPickerEl;
+  return {
+    id,
+    src: url,
+    mimeType,
+    title,
+    length: parseLength(fileLength),
+  };
+}
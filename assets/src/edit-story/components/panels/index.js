@@ -20,6 +20,8 @@
 import { elementTypes } from '../../elements';
 import BackgroundSizePositionPanel from './backgroundSizePosition';
 import BackgroundOverlayPanel from './backgroundOverlay';
+import BackgroundAudioPanel from './backgroundAudio';
+import PageAttachmentPanel from './pageAttachment';
 import ImageAccessibilityPanel from './imageAccessibility';
 import LinkPanel from './link';
 import LayerStylePanel from './layerStyle';
@@ -32,11 +34,15 @@ import NoSelectionPanel from './noSelection';
 import ElementAlignmentPanel from './alignment';
 import VideoOptionsPanel from './videoOptions';
 import StylePresetPanel from './stylePreset';
+import InteractiveOptionsPanel from './interactiveOptions';
+import InteractiveStylePanel from './interactiveStyle';
 export { default as LayerPanel } from './layer';
 
 const BACKGROUND_SIZE_POSITION = 'backgroundSizePosition';
 const BACKGROUND_DISPLAY = 'backgroundDisplay';
 const BACKGROUND_OVERLAY = 'backgroundOverlay';
+const BACKGROUND_AUDIO = 'backgroundAudio';
+const PAGE_ATTACHMENT = 'pageAttachment';
 const STYLE_PRESETS = 'stylePresets';
 const IMAGE_ACCESSIBILITY = 'imageAccessibility';
 const LAYER_STYLE = 'layerStyle';
@@ -48,6 +54,8 @@ const SHAPE_STYLE = 'shapeStyle';
 const VIDEO_OPTIONS = 'videoOptions';
 const VIDEO_ACCESSIBILITY = 'videoAccessibility';
 const ELEMENT_ALIGNMENT = 'elementAlignment';
+const INTERACTIVE_OPTIONS = 'interactiveOptions';
+const INTERACTIVE_STYLE = 'interactiveStyle';
 const NO_SELECTION = 'noselection';
 
 export const PanelTypes = {
@@ -56,6 +64,8 @@ export const PanelTypes = {
   BACKGROUND_SIZE_POSITION,
   BACKGROUND_DISPLAY,
   BACKGROUND_OVERLAY,
+  BACKGROUND_AUDIO,
+  PAGE_ATTACHMENT,
   SIZE_POSITION,
   SHAPE_STYLE,
   LAYER_STYLE,
@@ -65,6 +75,8 @@ export const PanelTypes = {
   VIDEO_OPTIONS,
   IMAGE_ACCESSIBILITY,
   VIDEO_ACCESSIBILITY,
+  INTERACTIVE_OPTIONS,
+  INTERACTIVE_STYLE,
 };
 
 const ALL = Object.values(PanelTypes);
@@ -85,6 +97,8 @@ export function getPanels(elements) {
     const panels = [
       { type: BACKGROUND_OVERLAY, Panel: BackgroundOverlayPanel },
       { type: BACKGROUND_DISPLAY, Panel: BackgroundDisplayPanel },
+      { type: BACKGROUND_AUDIO, Panel: BackgroundAudioPanel },
+      { type: PAGE_ATTACHMENT, Panel: PageAttachmentPanel },
     ];
     // If the selected element's type is video / image , display accessibility panel, too.
     if ('shape' === elements[0].type) {
@@ -134,6 +148,10 @@ export function getPanels(elements) {
         case BACKGROUND_OVERLAY:
           // Only display when isBackground.
           return null;
+        case BACKGROUND_AUDIO:
+        case PAGE_ATTACHMENT:
+          // Only display when isBackground.
+          return null;
         case SIZE_POSITION:
           return { type, Panel: SizePositionPanel };
         case LINK:
@@ -150,6 +168,10 @@ export function getPanels(elements) {
           return { type, Panel: ImageAccessibilityPanel };
         case ELEMENT_ALIGNMENT:
           return { type, Panel: ElementAlignmentPanel };
+        case INTERACTIVE_OPTIONS:
+          return { type, Panel: InteractiveOptionsPanel };
+        case INTERACTIVE_STYLE:
+          return { type, Panel: InteractiveStylePanel };
         default:
           throw new Error(`Unknown panel: ${type}`);
       }
@@ -0,0 +1,155 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Button, Label, RadioGroup, Row } from '../form';
+import {
+  MAX_OPTIONS,
+  MIN_OPTIONS,
+  createOption,
+  getInteractiveHeight,
+} from '../../elements/interactive/util';
+import { ExpandedTextInput } from './shared';
+import { SimplePanel } from './panel';
+
+const RemoveButton = styled(Button)`
+  margin-left: 8px;
+`;
+
+function getOptionLabel(index) {
+  return sprintf(
+    /* translators: %d: option number. */
+    __('Option %d', 'web-stories'),
+    index + 1
+  );
+}
+
+function InteractiveOptionsPanel({ selectedElements, pushUpdate }) {
+  // Options can't be edited for several elements at once.
+  if (selectedElements.length !== 1) {
+    return null;
+  }
+
+  const [{ type, prompt, options, correctOptionId }] = selectedElements;
+  const isQuiz = type === 'quiz';
+
+  // The element grows and shrinks with its options.
+  const updateOptions = (getOptions) =>
+    pushUpdate((element) => {
+      const newOptions = getOptions(element.options);
+      const isCorrectRemoved =
+        isQuiz && !newOptions.some(({ id }) => id === element.correctOptionId);
+      return {
+        options: newOptions,
+        height: getInteractiveHeight(newOptions.length, element.width),
+        ...(isCorrectRemoved && { correctOptionId: newOptions[0].id }),
+      };
+    }, true);
+
+  const setOptionText = (id, text) =>
+    pushUpdate(
+      (element) => ({
+        options: element.options.map((option) =>
+          option.id === id ? { ...option, text } : option
+        ),
+      }),
+      true
+    );
+
+  return (
+    <SimplePanel name="interactiveOptions" title={__('Options', 'web-stories')}>
+      <Row>
+        <Label>{__('Question', 'web-stories')}</Label>
+        <ExpandedTextInput
+          value={prompt}
+          onChange={(value) => pushUpdate({ prompt: value }, true)}
+          ariaLabel={__('Question', 'web-stories')}
+        />
+      </Row>
+      {options.map(({ id, text }, index) => (
+        <Row key={id}>
+          <ExpandedTextInput
+            value={text}
+            onChange={(value) => setOptionText(id, value)}
+            placeholder={getOptionLabel(index)}
+            ariaLabel={getOptionLabel(index)}
+          />
+          <RemoveButton
+            onClick={() =>
+              updateOptions((prevOptions) =>
+                prevOptions.filter((option) => option.id !== id)
+              )
+            }
+            disabled={options.length <= MIN_OPTIONS}
+            aria-label={sprintf(
+              /* translators: %d: option number. */
+              __('Remove option %d', 'web-stories'),
+              index + 1
+            )}
+          >
+            {__('Remove', 'web-stories')}
+          </RemoveButton>
+        </Row>
+      ))}
+      <Row>
+        <Button
+          onClick={() =>
+            updateOptions((prevOptions) => [...prevOptions, createOption()])
+          }
+          disabled={options.length >= MAX_OPTIONS}
+          fullWidth
+        >
+          {__('Add option', 'web-stories')}
+        </Button>
+      </Row>
+      {isQuiz && (
+        <>
+          <Row>
+            <Label>{__('Correct answer', 'web-stories')}</Label>
+          </Row>
+          <RadioGroup
+            value={correctOptionId}
+            onChange={(value) => pushUpdate({ correctOptionId: value }, true)}
+            options={options.map(({ id, text }, index) => ({
+              value: id,
+              name: text || getOptionLabel(index),
+            }))}
+          />
+        </>
+      )}
+    </SimplePanel>
+  );
+}
+
+InteractiveOptionsPanel.propTypes = {
+  selectedElements: PropTypes.array.isRequired,
+  pushUpdate: PropTypes.func.isRequired,
+};
+
+export default InteractiveOptionsPanel;
@@ -0,0 +1,95 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Color, Row, Switch } from '../form';
+import { InteractiveTheme } from '../../elements/interactive/util';
+import { SimplePanel } from './panel';
+import getCommonValue from './utils/getCommonValue';
+import getColorPickerActions from './utils/getColorPickerActions';
+
+function InteractiveStylePanel({ selectedElements, pushUpdate }) {
+  const theme = getCommonValue(selectedElements, 'theme');
+  const colors = [
+    {
+      property: 'promptColor',
+      label: __('Question color', 'web-stories'),
+    },
+    {
+      property: 'promptBackgroundColor',
+      label: __('Question background color', 'web-stories'),
+    },
+    {
+      property: 'accentColor',
+      label: __('Accent color', 'web-stories'),
+    },
+  ];
+
+  return (
+    <SimplePanel name="interactiveStyle" title={__('Colors', 'web-stories')}>
+      <Row>
+        <Switch
+          value={theme === InteractiveTheme.DARK}
+          onLabel={__('Dark', 'web-stories')}
+          offLabel={__('Light', 'web-stories')}
+          onChange={(value) =>
+            pushUpdate(
+              {
+                theme: value ? InteractiveTheme.DARK : InteractiveTheme.LIGHT,
+              },
+              true
+            )
+          }
+        />
+      </Row>
+      {colors.map(({ property, label }) => {
+        const value = getCommonValue(selectedElements, property);
+        return (
+          <Row key={property}>
+            <Color
+              value={value}
+              isMultiple={value === ''}
+              onChange={(newValue) =>
+                pushUpdate({ [property]: newValue }, true)
+              }
+              label={label}
+              colorPickerActions={getColorPickerActions}
+            />
+          </Row>
+        );
+      })}
+    </SimplePanel>
+  );
+}
+
+InteractiveStylePanel.propTypes = {
+  selectedElements: PropTypes.array.isRequired,
+  pushUpdate: PropTypes.func.isRequired,
+};
+
+export default InteractiveStylePanel;
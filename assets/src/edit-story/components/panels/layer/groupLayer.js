@@ -0,0 +1,140 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { rgba } from 'polished';
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import { ReactComponent as Arrow } from '../../../icons/arrow.svg';
+import StoryPropTypes from '../../../types';
+import { useStory } from '../../../app';
+import { LAYER_HEIGHT } from './constants';
+
+const GroupRow = styled.div.attrs({ role: 'option' })`
+  display: flex;
+  height: ${LAYER_HEIGHT}px;
+  width: 100%;
+  align-items: center;
+  user-select: none;
+
+  ${({ isSelected, theme }) =>
+    isSelected &&
+    `
+    background: ${rgba(theme.colors.action, 0.14)};
+  `}
+`;
+
+const ToggleButton = styled.button.attrs({ type: 'button', tabIndex: -1 })`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 52px;
+  height: 100%;
+  margin-left: 8px;
+  flex-shrink: 0;
+  border: 0;
+  padding: 0;
+  background: transparent;
+  cursor: pointer;
+
+  svg {
+    width: 28px;
+    height: 28px;
+    opacity: 0.5;
+    color: ${({ theme }) => theme.colors.fg.v1};
+    transition: transform 0.3s ease;
+    ${({ isCollapsed }) => isCollapsed && `transform: rotate(.5turn);`}
+  }
+`;
+
+const GroupButton = styled.button.attrs({ type: 'button', tabIndex: -1 })`
+  flex: 1;
+  height: 100%;
+  border: 0;
+  padding: 0;
+  background: transparent;
+  text-align: left;
+  color: ${({ theme }) => theme.colors.fg.v1};
+
+  &:active {
+    outline: none;
+  }
+`;
+
+function GroupLayer({ groupId, members, isCollapsed, onToggle }) {
+  const {
+    state: { selectedElementIds },
+    actions: { setSelectedElementsById },
+  } = useStory();
+
+  const memberIds = members.map(({ id }) => id);
+  const isSelected = memberIds.some((id) => selectedElementIds.includes(id));
+
+  const handleClick = (evt) => {
+    evt.preventDefault();
+    evt.stopPropagation();
+    setSelectedElementsById({ elementIds: memberIds });
+  };
+
+  return (
+    <GroupRow id={`layer-group-${groupId}`} isSelected={isSelected}>
+      <ToggleButton
+        isCollapsed={isCollapsed}
+        aria-expanded={!isCollapsed}
+        aria-label={
+          isCollapsed
+            ? __('Expand group', 'web-stories')
+            : __('Collapse group', 'web-stories')
+        }
+        onClick={onToggle}
+      >
+        <Arrow />
+      </ToggleButton>
+      <GroupButton onClick={handleClick}>
+        {sprintf(
+          /* translators: %d: number of elements in the group. */
+          _n(
+            'Group (%d element)',
+            'Group (%d elements)',
+            members.length,
+            'web-stories'
+          ),
+          members.length
+        )}
+      </GroupButton>
+    </GroupRow>
+  );
+}
+
+GroupLayer.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  members: PropTypes.arrayOf(StoryPropTypes.layer).isRequired,
+  isCollapsed: PropTypes.bool.isRequired,
+  onToggle: PropTypes.func.isRequired,
+};
+
+export default GroupLayer;
@@ -28,6 +28,9 @@ import { rgba } from 'polished';
  * Internal dependencies
  */
 import { ReactComponent as Locked } from '../../../icons/lock.svg';
+import { ReactComponent as Unlocked } from '../../../icons/unlock.svg';
+import { ReactComponent as Visible } from '../../../icons/visibility.svg';
+import { ReactComponent as Hidden } from '../../../icons/visibility_off.svg';
 
 /**
  * Internal dependencies
@@ -38,6 +41,20 @@ import { useStory } from '../../../app';
 import useLayerSelection from './useLayerSelection';
 import { LAYER_HEIGHT } from './constants';
 
+const LayerContainer = styled.div`
+  position: relative;
+  display: flex;
+  height: ${LAYER_HEIGHT}px;
+  width: 100%;
+  align-items: center;
+
+  ${({ isSelected, theme }) =>
+    isSelected &&
+    `
+    background: ${rgba(theme.colors.action, 0.14)};
+  `}
+`;
+
 const LayerButton = styled.button.attrs({
   type: 'button',
   tabIndex: -1,
@@ -47,23 +64,49 @@ const LayerButton = styled.button.attrs({
   border: 0;
   padding: 0;
   background: transparent;
-  height: ${LAYER_HEIGHT}px;
-  width: 100%;
+  height: 100%;
+  flex: 1;
+  min-width: 0;
   overflow: hidden;
   align-items: center;
   user-select: none;
-
-  ${({ isSelected, theme }) =>
-    isSelected &&
-    `
-    background: ${rgba(theme.colors.action, 0.14)};
-  `}
+  opacity: ${({ isHidden }) => (isHidden ? 0.5 : 1)};
 
   &:active {
     outline: none;
   }
 `;
 
+const LayerActions = styled.div`
+  display: flex;
+  flex-shrink: 0;
+  margin-right: 8px;
+`;
+
+const LayerAction = styled.button.attrs({ type: 'button', tabIndex: -1 })`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 24px;
+  height: 24px;
+  border: 0;
+  padding: 0;
+  background: transparent;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  cursor: pointer;
+  opacity: ${({ isActive }) => (isActive ? 1 : 0.3)};
+
+  &:hover,
+  &:focus {
+    opacity: 1;
+  }
+
+  svg {
+    width: 16px;
+    height: 16px;
+  }
+`;
+
 const LayerIconWrapper = styled.div`
   width: 52px;
   flex-shrink: 0;
@@ -107,36 +150,66 @@ function Layer({ layer }) {
   const { isSelected, handleClick } = useLayerSelection(layer);
   const {
     state: { currentPage },
+    actions: { updateElementById },
   } = useStory();
-  const isBackground = currentPage.backgroundElementId === layer.id;
+  const { id, isLocked, isHidden } = layer;
+  const isBackground = currentPage.backgroundElementId === id;
   const showPreview = !isBackground || layer.type !== 'shape';
 
+  // Keep the toggles from selecting the layer or starting to reorder it.
+  const stopPropagation = (evt) => evt.stopPropagation();
+  const toggleProperty = (property) => (evt) => {
+    evt.stopPropagation();
+    updateElementById({
+      elementId: id,
+      properties: { [property]: !layer[property] },
+    });
+  };
+
   return (
-    <LayerButton
-      id={`layer-${layer.id}`}
-      isSelected={isSelected}
-      onClick={handleClick}
-    >
-      <LayerIconWrapper>
-        {isBackground ? (
-          <LockedIcon aria-label={__('Background element', 'web-stories')} />
-        ) : (
-          <LayerIcon />
-        )}
-      </LayerIconWrapper>
-      <LayerDescription>
-        {showPreview && (
-          <LayerContentContainer>
-            <LayerContent element={layer} />
-          </LayerContentContainer>
-        )}
-        {isBackground && (
-          <BackgroundDescription>
-            {__('Background (locked)', 'web-stories')}
-          </BackgroundDescription>
-        )}
-      </LayerDescription>
-    </LayerButton>
+    <LayerContainer isSelected={isSelected}>
+      <LayerButton id={`layer-${id}`} isHidden={isHidden} onClick={handleClick}>
+        <LayerIconWrapper>
+          {isBackground ? (
+            <LockedIcon aria-label={__('Background element', 'web-stories')} />
+          ) : (
+            <LayerIcon />
+          )}
+        </LayerIconWrapper>
+        <LayerDescription>
+          {showPreview && (
+            <LayerContentContainer>
+              <LayerContent element={layer} />
+            </LayerContentContainer>
+          )}
+          {isBackground && (
+            <BackgroundDescription>
+              {__('Background (locked)', 'web-stories')}
+            </BackgroundDescription>
+          )}
+        </LayerDescription>
+      </LayerButton>
+      {!isBackground && (
+        <LayerActions onPointerDown={stopPropagation}>
+          <LayerAction
+            isActive={isLocked}
+            aria-pressed={Boolean(isLocked)}
+            aria-label={__('Lock element', 'web-stories')}
+            onClick={toggleProperty('isLocked')}
+          >
+            {isLocked ? <Locked /> : <Unlocked />}
+          </LayerAction>
+          <LayerAction
+            isActive={isHidden}
+            aria-pressed={Boolean(isHidden)}
+            aria-label={__('Hide element', 'web-stories')}
+            onClick={toggleProperty('isHidden')}
+          >
+            {isHidden ? <Hidden /> : <Visible />}
+          </LayerAction>
+        </LayerActions>
+      )}
+    </LayerContainer>
   );
 }
 
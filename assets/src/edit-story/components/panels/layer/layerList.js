@@ -18,7 +18,7 @@
  * External dependencies
  */
 import styled from 'styled-components';
-import { Fragment } from 'react';
+import { Fragment, useState } from 'react';
 import PropTypes from 'prop-types';
 
 /**
@@ -32,6 +32,7 @@ import {
 import { useStory } from '../../../app';
 import { LAYER_HEIGHT } from './constants';
 import Layer from './layer';
+import GroupLayer from './groupLayer';
 
 const LayerList = styled(Reorderable).attrs({ 'aria-orientation': 'vertical' })`
   flex-direction: column;
@@ -46,10 +47,47 @@ const LayerSeparator = styled(ReorderableSeparator)`
   padding: ${LAYER_HEIGHT / 2}px 0;
 `;
 
+const NestedLayer = styled(ReorderableItem)`
+  padding-left: 24px;
+`;
+
+/**
+ * Combine the layers of each group into a single item.
+ *
+ * Group members are always next to each other, so the group item is
+ * positioned by its bottom-most member.
+ *
+ * @param {Array.<Object>} layers List of layers, top-most first
+ * @return {Array.<Object>} List of layers and groups, top-most first
+ */
+function groupLayers(layers) {
+  return layers.reduce((items, layer) => {
+    if (!layer.groupId) {
+      return [...items, layer];
+    }
+    const lastItem = items[items.length - 1];
+    if (lastItem?.groupId === layer.groupId && lastItem.members) {
+      lastItem.members.push(layer);
+      lastItem.position = layer.position;
+      return items;
+    }
+    return [
+      ...items,
+      {
+        groupId: layer.groupId,
+        position: layer.position,
+        topPosition: layer.position,
+        members: [layer],
+      },
+    ];
+  }, []);
+}
+
 function LayerPanel({ layers }) {
   const {
     actions: { arrangeElement, setSelectedElementsById },
   } = useStory();
+  const [expandedGroups, setExpandedGroups] = useState([]);
 
   const numLayers = layers && layers.length;
 
@@ -57,30 +95,82 @@ function LayerPanel({ layers }) {
     return null;
   }
 
+  const items = groupLayers(layers);
+
+  const toggleGroup = (groupId) =>
+    setExpandedGroups((groupIds) =>
+      groupIds.includes(groupId)
+        ? groupIds.filter((id) => id !== groupId)
+        : [...groupIds, groupId]
+    );
+
+  const handlePositionChange = (oldPos, newPos) => {
+    const item = items.find(({ position }) => position === oldPos);
+    if (!item.members) {
+      arrangeElement({ elementId: item.id, position: newPos });
+      return;
+    }
+    // When moving a group up, the group takes up more than one position.
+    const groupSize = item.members.length;
+    arrangeElement({
+      elementId: item.members[0].id,
+      position: newPos > oldPos ? newPos - groupSize + 1 : newPos,
+    });
+  };
+
   return (
     <LayerList
-      onPositionChange={(oldPos, newPos) =>
-        arrangeElement({
-          elementId: layers.find((layer) => layer.position === oldPos).id,
-          position: newPos,
-        })
-      }
+      onPositionChange={handlePositionChange}
       getItemSize={() => LAYER_HEIGHT}
     >
-      {layers.map((layer) => (
-        <Fragment key={layer.id}>
-          <LayerSeparator position={layer.position + 1} />
-          <ReorderableItem
-            position={layer.position}
-            onStartReordering={() =>
-              setSelectedElementsById({ elementIds: [layer.id] })
-            }
-            disabled={layer.type === 'background'}
-          >
-            <Layer layer={layer} />
-          </ReorderableItem>
-        </Fragment>
-      ))}
+      {items.map((item) => {
+        if (!item.members) {
+          return (
+            <Fragment key={item.id}>
+              <LayerSeparator position={item.position + 1} />
+              <ReorderableItem
+                position={item.position}
+                onStartReordering={() =>
+                  setSelectedElementsById({ elementIds: [item.id] })
+                }
+                disabled={item.type === 'background'}
+              >
+                <Layer layer={item} />
+              </ReorderableItem>
+            </Fragment>
+          );
+        }
+
+        const { groupId, members, position, topPosition } = item;
+        const isCollapsed = !expandedGroups.includes(groupId);
+        return (
+          <Fragment key={groupId}>
+            <LayerSeparator position={topPosition + 1} />
+            <ReorderableItem
+              position={position}
+              onStartReordering={() =>
+                setSelectedElementsById({
+                  elementIds: members.map(({ id }) => id),
+                })
+              }
+            >
+              <GroupLayer
+                groupId={groupId}
+                members={members}
+                isCollapsed={isCollapsed}
+                onToggle={() => toggleGroup(groupId)}
+              />
+            </ReorderableItem>
+            {!isCollapsed &&
+              members.map((layer) => (
+                // Members can only be reordered together with their group.
+                <NestedLayer key={layer.id} position={layer.position} disabled>
+                  <Layer layer={layer} />
+                </NestedLayer>
+              ))}
+          </Fragment>
+        );
+      })}
     </LayerList>
   );
 }
@@ -39,6 +39,7 @@ import {
   LinkType,
 } from '../../link';
 import { useAPI } from '../../../app/api';
+import { useStory } from '../../../app/story';
 import { useSnackbar } from '../../../app/snackbar';
 import { isValidUrl, toAbsoluteUrl, withProtocol } from '../../../utils/url';
 import { SimplePanel } from '../panel';
@@ -48,22 +49,28 @@ import theme from '../../../theme';
 import useBatchingCallback from '../../../utils/useBatchingCallback';
 import { Plain } from '../../button';
 import { useCanvas } from '../../canvas';
+import { getContentLinks } from '../../richText';
 import LinkInfoDialog from './dialogContent';
+import InlineLinks from './inlineLinks';
 
 const BrandIconText = styled.span`
   margin-left: 12px;
 `;
 
-function LinkPanel({ selectedElements, pushUpdateForObject }) {
+function LinkPanel({ selectedElements, pushUpdate, pushUpdateForObject }) {
   const {
     actions: { clearEditing },
   } = useCanvas();
 
   const selectedElement = selectedElements[0];
   const { isFill } = selectedElement;
-  const inferredLinkType = useMemo(() => inferLinkType(selectedElement), [
-    selectedElement,
-  ]);
+  const {
+    state: { currentPage },
+  } = useStory();
+  const inferredLinkType = useMemo(
+    () => inferLinkType(selectedElement, currentPage),
+    [selectedElement, currentPage]
+  );
   const defaultLink = useMemo(
     () => createLink({ url: null, icon: null, desc: null }),
     []
@@ -72,7 +79,14 @@ function LinkPanel({ selectedElements, pushUpdateForObject }) {
     () => getLinkFromElement(selectedElement) || defaultLink,
     [selectedElement, defaultLink]
   );
-  const canLink = selectedElements.length === 1 && !isFill;
+  // Links in the text of an element can't be inside a link of the element.
+  const inlineLinks = useMemo(
+    () => getContentLinks(selectedElement.content || ''),
+    [selectedElement.content]
+  );
+  const hasInlineLinks =
+    selectedElements.length === 1 && inlineLinks.length > 0;
+  const canLink = selectedElements.length === 1 && !isFill && !hasInlineLinks;
 
   const [fetchingMetadata, setFetchingMetadata] = useState(false);
 
@@ -163,6 +177,28 @@ function LinkPanel({ selectedElements, pushUpdateForObject }) {
         </Note>
       </Row>
 
+      {Boolean(currentPage?.attachment) && (
+        <Row>
+          <Note>
+            {__(
+              'This page has an attachment, so its links are 2-tap links.',
+              'web-stories'
+            )}
+          </Note>
+        </Row>
+      )}
+
+      {hasInlineLinks && (
+        <Row>
+          <Note>
+            {__(
+              'Remove the links in the text to link the whole element.',
+              'web-stories'
+            )}
+          </Note>
+        </Row>
+      )}
+
       <Row>
         <ExpandedTextInput
           placeholder={__('Web address', 'web-stories')}
@@ -200,6 +236,13 @@ function LinkPanel({ selectedElements, pushUpdateForObject }) {
           </BrandIconText>
         </Row>
       )}
+      {hasInlineLinks && (
+        <InlineLinks
+          elementId={selectedElement.id}
+          links={inlineLinks}
+          pushUpdate={pushUpdate}
+        />
+      )}
       <Dialog
         open={infoDialogOpen}
         onClose={closeDialog}
@@ -223,6 +266,7 @@ function LinkPanel({ selectedElements, pushUpdateForObject }) {
 
 LinkPanel.propTypes = {
   selectedElements: PropTypes.array.isRequired,
+  pushUpdate: PropTypes.func.isRequired,
   pushUpdateForObject: PropTypes.func.isRequired,
 };
 
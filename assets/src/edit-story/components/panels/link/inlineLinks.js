@@ -0,0 +1,163 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { rgba } from 'polished';
+import { useEffect, useRef } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Media, Row } from '../../form';
+import { useAPI } from '../../../app/api';
+import { useStory } from '../../../app/story';
+import { toAbsoluteUrl } from '../../../utils/url';
+import { useRichText, updateContentLinks } from '../../richText';
+import { Note, ExpandedTextInput } from '../shared';
+
+const Url = styled.div`
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: 13px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  flex: 1;
+`;
+
+const Separator = styled.div`
+  border-top: 1px solid ${({ theme }) => rgba(theme.colors.fg.v1, 0.1)};
+  margin-bottom: 16px;
+`;
+
+function InlineLinks({ elementId, links, pushUpdate }) {
+  const {
+    state: { hasCurrentEditor },
+  } = useRichText();
+  const {
+    actions: { updateElementById },
+  } = useStory();
+  const {
+    actions: { getLinkMetadata },
+  } = useAPI();
+
+  // Fetch the details of links that have none yet, once per address.
+  const fetchedUrls = useRef(new Set());
+  useEffect(() => {
+    if (hasCurrentEditor) {
+      return;
+    }
+    links
+      .filter(({ desc, icon }) => !desc && !icon)
+      .filter(({ url }) => !fetchedUrls.current.has(url))
+      .forEach(({ url }) => {
+        fetchedUrls.current.add(url);
+        getLinkMetadata(url)
+          .then(({ title, image }) =>
+            updateElementById({
+              elementId,
+              properties: (el) => ({
+                content: updateContentLinks(el.content, url, {
+                  desc: title,
+                  icon: image ? toAbsoluteUrl(url, image) : null,
+                }),
+              }),
+            })
+          )
+          // Links without details are still valid two-tap links.
+          .catch(() => {});
+      });
+  }, [elementId, links, hasCurrentEditor, getLinkMetadata, updateElementById]);
+
+  const updateLink = (url, properties, submit) =>
+    pushUpdate(
+      (el) => ({ content: updateContentLinks(el.content, url, properties) }),
+      submit
+    );
+
+  if (links.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      <Separator />
+      <Row>
+        <Note>
+          {hasCurrentEditor
+            ? __('Finish editing the text to change its links.', 'web-stories')
+            : __('Links in the text are 2-tap links.', 'web-stories')}
+        </Note>
+      </Row>
+      {links.map(({ url, desc, icon }) => (
+        <div key={url}>
+          <Row>
+            <Url title={url}>{url}</Url>
+          </Row>
+          <Row>
+            <ExpandedTextInput
+              placeholder={__('Optional description', 'web-stories')}
+              disabled={hasCurrentEditor}
+              onChange={(value) => updateLink(url, { desc: value })}
+              value={desc || ''}
+            />
+          </Row>
+          <Row spaceBetween={false}>
+            <Media
+              value={icon || ''}
+              onChange={(image) =>
+                updateLink(
+                  url,
+                  { icon: image.sizes?.medium?.url || image.url },
+                  true
+                )
+              }
+              title={__('Select as link icon', 'web-stories')}
+              buttonInsertText={__('Select as link icon', 'web-stories')}
+              type={'image'}
+              size={60}
+              disabled={hasCurrentEditor}
+              circle
+            />
+          </Row>
+        </div>
+      ))}
+    </>
+  );
+}
+
+InlineLinks.propTypes = {
+  elementId: PropTypes.string.isRequired,
+  links: PropTypes.arrayOf(
+    PropTypes.shape({
+      url: PropTypes.string.isRequired,
+      desc: PropTypes.string,
+      icon: PropTypes.string,
+    })
+  ).isRequired,
+  pushUpdate: PropTypes.func.isRequired,
+};
+
+export default InlineLinks;
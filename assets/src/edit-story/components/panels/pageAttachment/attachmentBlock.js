@@ -0,0 +1,112 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { rgba } from 'polished';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { Button, Media, Row } from '../../form';
+import { ExpandedTextInput } from '../shared';
+import { AttachmentBlockType } from '../../pageAttachment';
+
+const Block = styled.div`
+  padding: 8px;
+  margin-bottom: 12px;
+  border-radius: 4px;
+  background-color: ${({ theme }) => rgba(theme.colors.bg.v0, 0.15)};
+`;
+
+const TextArea = styled.textarea`
+  width: 100%;
+  min-height: 80px;
+  padding: 6px;
+  border: none;
+  border-radius: 4px;
+  resize: vertical;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  background-color: ${({ theme }) => rgba(theme.colors.bg.v0, 0.3)};
+  font-family: ${({ theme }) => theme.fonts.body2.family};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  line-height: ${({ theme }) => theme.fonts.body2.lineHeight};
+`;
+
+function AttachmentBlock({ block, onChange, onRemove }) {
+  return (
+    <Block>
+      {block.type === AttachmentBlockType.IMAGE ? (
+        <>
+          <Row>
+            <Media
+              value={block.src}
+              onChange={(image) =>
+                onChange({
+                  src: image.url,
+                  width: image.width,
+                  height: image.height,
+                  alt: block.alt || image.alt || '',
+                })
+              }
+              title={__('Select attachment image', 'web-stories')}
+              buttonInsertText={__('Select image', 'web-stories')}
+              type="image"
+            />
+          </Row>
+          <Row>
+            <ExpandedTextInput
+              value={block.alt}
+              onChange={(value) => onChange({ alt: value })}
+              placeholder={__('Image description', 'web-stories')}
+              ariaLabel={__('Image description', 'web-stories')}
+            />
+          </Row>
+        </>
+      ) : (
+        <Row>
+          <TextArea
+            value={block.content}
+            onChange={(evt) => onChange({ content: evt.target.value })}
+            placeholder={__('Write something...', 'web-stories')}
+            aria-label={__('Attachment text', 'web-stories')}
+          />
+        </Row>
+      )}
+      <Button onClick={onRemove} fullWidth>
+        {block.type === AttachmentBlockType.IMAGE
+          ? __('Remove image', 'web-stories')
+          : __('Remove text', 'web-stories')}
+      </Button>
+    </Block>
+  );
+}
+
+AttachmentBlock.propTypes = {
+  block: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+export default AttachmentBlock;
@@ -0,0 +1,178 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { useCallback } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../../app';
+import { Button, Label, Row, Switch } from '../../form';
+import {
+  AttachmentBlockType,
+  AttachmentTheme,
+  createAttachmentBlock,
+  createPageAttachment,
+  getDefaultCtaText,
+  hasOneTapLinks,
+} from '../../pageAttachment';
+import { SimplePanel } from '../panel';
+import { ExpandedTextInput, Note } from '../shared';
+import AttachmentBlock from './attachmentBlock';
+
+const Space = styled.div`
+  width: 8px;
+`;
+
+function PageAttachmentPanel() {
+  const {
+    state: { currentPage },
+    actions: { updateCurrentPageProperties },
+  } = useStory();
+  const { attachment } = currentPage;
+
+  const setAttachment = useCallback(
+    (value) => {
+      updateCurrentPageProperties({ properties: { attachment: value } });
+    },
+    [updateCurrentPageProperties]
+  );
+
+  const updateAttachment = (properties) =>
+    setAttachment({ ...attachment, ...properties });
+
+  const updateBlock = (id, properties) =>
+    updateAttachment({
+      blocks: attachment.blocks.map((block) =>
+        block.id === id ? { ...block, ...properties } : block
+      ),
+    });
+
+  const removeBlock = (id) =>
+    updateAttachment({
+      blocks: attachment.blocks.filter((block) => block.id !== id),
+    });
+
+  const addBlock = (type) =>
+    updateAttachment({
+      blocks: [...attachment.blocks, createAttachmentBlock({ type })],
+    });
+
+  if (!attachment) {
+    const hasLinks = hasOneTapLinks(currentPage);
+    return (
+      <SimplePanel
+        name="pageAttachment"
+        title={__('Page attachment', 'web-stories')}
+      >
+        <Row>
+          <Note>
+            {hasLinks
+              ? __(
+                  'Remove the 1-tap links from this page to add an attachment.',
+                  'web-stories'
+                )
+              : __(
+                  'Readers swipe up to open an attachment with more content.',
+                  'web-stories'
+                )}
+          </Note>
+        </Row>
+        <Row>
+          <Button
+            onClick={() => setAttachment(createPageAttachment())}
+            disabled={hasLinks}
+            fullWidth
+          >
+            {__('Add attachment', 'web-stories')}
+          </Button>
+        </Row>
+      </SimplePanel>
+    );
+  }
+
+  return (
+    <SimplePanel
+      name="pageAttachment"
+      title={__('Page attachment', 'web-stories')}
+    >
+      <Row>
+        <Label>{__('Title', 'web-stories')}</Label>
+        <ExpandedTextInput
+          value={attachment.title}
+          onChange={(value) => updateAttachment({ title: value })}
+          ariaLabel={__('Attachment title', 'web-stories')}
+        />
+      </Row>
+      <Row>
+        <Label>{__('Call to action', 'web-stories')}</Label>
+        <ExpandedTextInput
+          value={attachment.ctaText}
+          onChange={(value) => updateAttachment({ ctaText: value })}
+          placeholder={getDefaultCtaText()}
+          ariaLabel={__('Call to action text', 'web-stories')}
+        />
+      </Row>
+      <Row>
+        <Switch
+          value={attachment.theme === AttachmentTheme.DARK}
+          onLabel={__('Dark', 'web-stories')}
+          offLabel={__('Light', 'web-stories')}
+          onChange={(value) =>
+            updateAttachment({
+              theme: value ? AttachmentTheme.DARK : AttachmentTheme.LIGHT,
+            })
+          }
+        />
+      </Row>
+      {attachment.blocks.map((block) => (
+        <AttachmentBlock
+          key={block.id}
+          block={block}
+          onChange={(properties) => updateBlock(block.id, properties)}
+          onRemove={() => removeBlock(block.id)}
+        />
+      ))}
+      <Row>
+        <Button onClick={() => addBlock(AttachmentBlockType.TEXT)} fullWidth>
+          {__('Add text', 'web-stories')}
+        </Button>
+        <Space />
+        <Button onClick={() => addBlock(AttachmentBlockType.IMAGE)} fullWidth>
+          {__('Add image', 'web-stories')}
+        </Button>
+      </Row>
+      <Row>
+        <Button onClick={() => setAttachment(null)} fullWidth>
+          {__('Remove attachment', 'web-stories')}
+        </Button>
+      </Row>
+    </SimplePanel>
+  );
+}
+
+PageAttachmentPanel.propTypes = {};
+
+export default PageAttachmentPanel;
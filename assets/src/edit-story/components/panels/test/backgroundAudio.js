@@ -0,0 +1,111 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { fireEvent, render, wait } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import StoryContext from '../../../app/story/context';
+import theme from '../../../theme';
+import BackgroundAudioPanel from '../backgroundAudio';
+
+jest.mock('../../mediaPicker', () => ({
+  useMediaPicker: ({ onSelect }) => () =>
+    onSelect({
+      id: 5,
+      url: 'https://example.com/audio.mp3',
+      mime: 'audio/mpeg',
+      title: 'Narration',
+      fileLength: '1:05',
+    }),
+}));
+
+const AUDIO = {
+  id: 5,
+  src: 'https://example.com/audio.mp3',
+  mimeType: 'audio/mpeg',
+  title: 'Narration',
+  length: 65,
+};
+
+function setupPanel(backgroundAudio) {
+  const updateCurrentPageProperties = jest.fn();
+  const storyContextValue = {
+    state: { currentPage: { id: '1', elements: [], backgroundAudio } },
+    actions: { updateCurrentPageProperties },
+  };
+  const queries = render(
+    <ThemeProvider theme={theme}>
+      <StoryContext.Provider value={storyContextValue}>
+        <BackgroundAudioPanel />
+      </StoryContext.Provider>
+    </ThemeProvider>
+  );
+  return { ...queries, updateCurrentPageProperties };
+}
+
+describe('Panels/BackgroundAudio', () => {
+  it('should set the chosen audio on the page', () => {
+    const { getByRole, updateCurrentPageProperties } = setupPanel();
+
+    fireEvent.click(getByRole('button', { name: 'Choose audio' }));
+
+    expect(updateCurrentPageProperties).toHaveBeenCalledWith({
+      properties: { backgroundAudio: AUDIO },
+    });
+  });
+
+  it('should remove the audio', () => {
+    const { getByText, getByRole, updateCurrentPageProperties } = setupPanel(
+      AUDIO
+    );
+
+    expect(getByText('Narration')).toBeInTheDocument();
+    fireEvent.click(getByRole('button', { name: 'Remove' }));
+
+    expect(updateCurrentPageProperties).toHaveBeenCalledWith({
+      properties: { backgroundAudio: null },
+    });
+  });
+
+  it('should preview the audio', async () => {
+    const play = jest
+      .spyOn(window.HTMLMediaElement.prototype, 'play')
+      .mockImplementation(() => Promise.resolve());
+    const pause = jest
+      .spyOn(window.HTMLMediaElement.prototype, 'pause')
+      .mockImplementation(() => {});
+    const { getByRole } = setupPanel(AUDIO);
+
+    fireEvent.click(getByRole('button', { name: 'Play' }));
+    await wait(() =>
+      expect(getByRole('button', { name: 'Pause' })).toBeInTheDocument()
+    );
+    fireEvent.click(getByRole('button', { name: 'Pause' }));
+
+    expect(play).toHaveBeenCalledTimes(1);
+    expect(pause).toHaveBeenCalledTimes(1);
+    expect(getByRole('button', { name: 'Play' })).toBeInTheDocument();
+
+    play.mockRestore();
+    pause.mockRestore();
+  });
+});
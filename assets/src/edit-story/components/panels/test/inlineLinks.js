@@ -0,0 +1,113 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { fireEvent, render, wait } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import StoryContext from '../../../app/story/context';
+import APIContext from '../../../app/api/context';
+import RichTextContext from '../../richText/context';
+import theme from '../../../theme';
+import InlineLinks from '../link/inlineLinks';
+
+function setupPanel({ links, metadata = {}, isEditing = false }) {
+  const updateElementById = jest.fn();
+  const getLinkMetadata = jest.fn(() => Promise.resolve(metadata));
+  const pushUpdate = jest.fn();
+  const storyContextValue = { state: {}, actions: { updateElementById } };
+  const apiContextValue = { actions: { getLinkMetadata } };
+  const richTextContextValue = {
+    state: { hasCurrentEditor: isEditing },
+    actions: {},
+  };
+  const queries = render(
+    <ThemeProvider theme={theme}>
+      <StoryContext.Provider value={storyContextValue}>
+        <APIContext.Provider value={apiContextValue}>
+          <RichTextContext.Provider value={richTextContextValue}>
+            <InlineLinks elementId="1" links={links} pushUpdate={pushUpdate} />
+          </RichTextContext.Provider>
+        </APIContext.Provider>
+      </StoryContext.Provider>
+    </ThemeProvider>
+  );
+  return { ...queries, updateElementById, getLinkMetadata, pushUpdate };
+}
+
+describe('Panels/Link/InlineLinks', () => {
+  beforeAll(() => {
+    // Needed by the icon picker.
+    window.wp = {
+      media: { controller: { Library: { prototype: { defaults: {} } } } },
+    };
+  });
+
+  afterAll(() => {
+    delete window.wp;
+  });
+
+  it('should fetch the details of new links', async () => {
+    const { getByText, getLinkMetadata, updateElementById } = setupPanel({
+      links: [{ url: 'https://a.com' }, { url: 'https://b.com', desc: 'B' }],
+      metadata: { title: 'A', image: '/a.png' },
+    });
+
+    expect(getByText('https://a.com')).toBeInTheDocument();
+    expect(getLinkMetadata).toHaveBeenCalledTimes(1);
+    expect(getLinkMetadata).toHaveBeenCalledWith('https://a.com');
+    await wait(() => expect(updateElementById).toHaveBeenCalledTimes(1));
+
+    const { elementId, properties } = updateElementById.mock.calls[0][0];
+    expect(elementId).toBe('1');
+    expect(
+      properties({ content: '<a href="https://a.com">A</a>' })
+    ).toStrictEqual({
+      content:
+        '<a href="https://a.com" data-tooltip-text="A" data-tooltip-icon="https://a.com/a.png">A</a>',
+    });
+  });
+
+  it('should update the description of a link', () => {
+    const { getByDisplayValue, pushUpdate } = setupPanel({
+      links: [{ url: 'https://b.com', desc: 'B' }],
+    });
+
+    fireEvent.change(getByDisplayValue('B'), { target: { value: 'Bee' } });
+
+    const [update] = pushUpdate.mock.calls[0];
+    expect(
+      update({ content: '<a href="https://b.com" data-tooltip-text="B">B</a>' })
+    ).toStrictEqual({
+      content: '<a href="https://b.com" data-tooltip-text="Bee">B</a>',
+    });
+  });
+
+  it('should not change links while the text is edited', () => {
+    const { getByDisplayValue, getLinkMetadata } = setupPanel({
+      links: [{ url: 'https://a.com' }, { url: 'https://b.com', desc: 'B' }],
+      isEditing: true,
+    });
+
+    expect(getByDisplayValue('B')).toBeDisabled();
+    expect(getLinkMetadata).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { fireEvent } from '@testing-library/react';
+
+/**
+ * Internal dependencies
+ */
+import InteractiveOptionsPanel from '../interactiveOptions';
+import { renderPanel } from './_utils';
+
+const POLL = {
+  id: '1',
+  type: 'poll',
+  width: 200,
+  height: 105,
+  prompt: 'Cats or dogs?',
+  options: [
+    { id: 'a', text: 'Cats' },
+    { id: 'b', text: 'Dogs' },
+  ],
+};
+
+const QUIZ = {
+  ...POLL,
+  type: 'quiz',
+  correctOptionId: 'a',
+};
+
+describe('Panels/InteractiveOptions', () => {
+  function getUpdate(pushUpdate, element) {
+    const [update] = pushUpdate.mock.calls[0];
+    return typeof update === 'function' ? update(element) : update;
+  }
+
+  it('should render the prompt and the options', () => {
+    const { getByLabelText } = renderPanel(InteractiveOptionsPanel, [POLL]);
+
+    expect(getByLabelText('Question')).toHaveValue('Cats or dogs?');
+    expect(getByLabelText('Option 1')).toHaveValue('Cats');
+    expect(getByLabelText('Option 2')).toHaveValue('Dogs');
+  });
+
+  it('should render nothing for several elements', () => {
+    const { container } = renderPanel(InteractiveOptionsPanel, [POLL, QUIZ]);
+
+    expect(container).toBeEmpty();
+  });
+
+  it('should add an option and grow the element', () => {
+    const { getByText, pushUpdate } = renderPanel(InteractiveOptionsPanel, [
+      POLL,
+    ]);
+
+    fireEvent.click(getByText('Add option'));
+
+    const { options, height } = getUpdate(pushUpdate, POLL);
+    expect(options).toHaveLength(3);
+    expect(options[2]).toStrictEqual({ id: expect.any(String), text: '' });
+    expect(height).toBeGreaterThan(POLL.height);
+  });
+
+  it('should not allow fewer than two options', () => {
+    const { getByLabelText } = renderPanel(InteractiveOptionsPanel, [POLL]);
+
+    expect(getByLabelText('Remove option 1')).toBeDisabled();
+  });
+
+  it('should not allow more than four options', () => {
+    const options = [
+      ...POLL.options,
+      { id: 'c', text: 'Birds' },
+      { id: 'd', text: 'Fish' },
+    ];
+    const { getByText } = renderPanel(InteractiveOptionsPanel, [
+      { ...POLL, options },
+    ]);
+
+    expect(getByText('Add option')).toBeDisabled();
+  });
+
+  it('should pick a new correct answer when removing the correct option', () => {
+    const quiz = { ...QUIZ, options: [...QUIZ.options, { id: 'c', text: '' }] };
+    const { getByLabelText, pushUpdate } = renderPanel(
+      InteractiveOptionsPanel,
+      [quiz]
+    );
+
+    fireEvent.click(getByLabelText('Remove option 1'));
+
+    const { options, correctOptionId } = getUpdate(pushUpdate, quiz);
+    expect(options.map(({ id }) => id)).toStrictEqual(['b', 'c']);
+    expect(correctOptionId).toBe('b');
+  });
+
+  it('should set the correct answer of a quiz', () => {
+    const { getByLabelText, pushUpdate } = renderPanel(
+      InteractiveOptionsPanel,
+      [QUIZ]
+    );
+
+    fireEvent.click(getByLabelText('Dogs'));
+
+    expect(pushUpdate).toHaveBeenCalledWith({ correctOptionId: 'b' }, true);
+  });
+});
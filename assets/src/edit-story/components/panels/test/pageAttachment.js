@@ -0,0 +1,124 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { fireEvent, render } from '@testing-library/react';
+import { ThemeProvider } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import StoryContext from '../../../app/story/context';
+import theme from '../../../theme';
+import PageAttachmentPanel from '../pageAttachment';
+
+const ATTACHMENT = {
+  title: 'More',
+  ctaText: '',
+  theme: 'light',
+  blocks: [{ id: 'b1', type: 'text', content: 'Hello' }],
+};
+
+function setupPanel({ attachment, elements = [] } = {}) {
+  const updateCurrentPageProperties = jest.fn();
+  const storyContextValue = {
+    state: { currentPage: { id: '1', elements, attachment } },
+    actions: { updateCurrentPageProperties },
+  };
+  const queries = render(
+    <ThemeProvider theme={theme}>
+      <StoryContext.Provider value={storyContextValue}>
+        <PageAttachmentPanel />
+      </StoryContext.Provider>
+    </ThemeProvider>
+  );
+  return { ...queries, updateCurrentPageProperties };
+}
+
+describe('Panels/PageAttachment', () => {
+  it('should add an attachment with a text block', () => {
+    const { getByRole, updateCurrentPageProperties } = setupPanel();
+
+    fireEvent.click(getByRole('button', { name: 'Add attachment' }));
+
+    expect(updateCurrentPageProperties).toHaveBeenCalledWith({
+      properties: {
+        attachment: {
+          title: '',
+          ctaText: '',
+          theme: 'light',
+          blocks: [{ id: expect.any(String), type: 'text', content: '' }],
+        },
+      },
+    });
+  });
+
+  it('should not add an attachment to pages with 1-tap links', () => {
+    const { getByRole } = setupPanel({
+      elements: [{ id: 'e1', link: { type: 1, url: 'https://example.com' } }],
+    });
+
+    expect(getByRole('button', { name: 'Add attachment' })).toBeDisabled();
+  });
+
+  it('should update the attachment', () => {
+    const { getByLabelText, updateCurrentPageProperties } = setupPanel({
+      attachment: ATTACHMENT,
+    });
+
+    fireEvent.change(getByLabelText('Attachment text'), {
+      target: { value: 'Bye' },
+    });
+
+    expect(updateCurrentPageProperties).toHaveBeenCalledWith({
+      properties: {
+        attachment: {
+          ...ATTACHMENT,
+          blocks: [{ id: 'b1', type: 'text', content: 'Bye' }],
+        },
+      },
+    });
+  });
+
+  it('should add and remove blocks', () => {
+    const { getByRole, updateCurrentPageProperties } = setupPanel({
+      attachment: ATTACHMENT,
+    });
+
+    fireEvent.click(getByRole('button', { name: 'Add image' }));
+    fireEvent.click(getByRole('button', { name: 'Remove text' }));
+
+    const [[added], [removed]] = updateCurrentPageProperties.mock.calls;
+    expect(added.properties.attachment.blocks[1]).toStrictEqual(
+      expect.objectContaining({ type: 'image', src: '' })
+    );
+    expect(removed.properties.attachment.blocks).toStrictEqual([]);
+  });
+
+  it('should remove the attachment', () => {
+    const { getByRole, updateCurrentPageProperties } = setupPanel({
+      attachment: ATTACHMENT,
+    });
+
+    fireEvent.click(getByRole('button', { name: 'Remove attachment' }));
+
+    expect(updateCurrentPageProperties).toHaveBeenCalledWith({
+      properties: { attachment: null },
+    });
+  });
+});
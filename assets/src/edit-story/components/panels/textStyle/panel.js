@@ -14,6 +14,11 @@
  * limitations under the License.
  */
 
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
 /**
  * WordPress dependencies
  */
@@ -27,12 +32,22 @@ import { calculateTextHeight } from '../../../utils/textMeasurements';
 import calcRotatedResizeOffset from '../../../utils/calcRotatedResizeOffset';
 import { SimplePanel } from '../panel';
 import { usePresubmitHandler } from '../../form';
+import {
+  useRichText,
+  FORMATTING_PROPERTIES,
+  getSelectionFormatting,
+} from '../../richText';
 import TextStyleControls from './textStyle';
 import ColorControls from './color';
 import PaddingControls from './padding';
 import FontControls from './font';
 
-function StylePanel(props) {
+function StylePanel({ selectedElements, pushUpdate, ...rest }) {
+  const {
+    state: { hasCurrentEditor, editorState },
+    actions: { formatSelection },
+  } = useRichText();
+
   // Update size and position if relevant values have changed.
   usePresubmitHandler((properties) => {
     const { width, height: oldHeight, rotationAngle, x, y } = properties;
@@ -51,6 +66,32 @@ function StylePanel(props) {
     };
   }, []);
 
+  // While editing text, show and change the formatting of the selected
+  // text instead of the whole element where possible.
+  const isEditingText = hasCurrentEditor && selectedElements.length === 1;
+  const pushTextUpdate = (update, submit) => {
+    const isFormatting =
+      typeof update === 'object' &&
+      Object.keys(update).every((key) => FORMATTING_PROPERTIES.includes(key));
+    if (isFormatting) {
+      formatSelection(update);
+    } else {
+      pushUpdate(update, submit);
+    }
+  };
+  const props = {
+    ...rest,
+    selectedElements: isEditingText
+      ? [
+          {
+            ...selectedElements[0],
+            ...getSelectionFormatting(editorState, selectedElements[0]),
+          },
+        ]
+      : selectedElements,
+    pushUpdate: isEditingText ? pushTextUpdate : pushUpdate,
+  };
+
   return (
     <SimplePanel name="style" title={__('Style', 'web-stories')}>
       <FontControls {...props} />
@@ -61,6 +102,9 @@ function StylePanel(props) {
   );
 }
 
-StylePanel.propTypes = {};
+StylePanel.propTypes = {
+  selectedElements: PropTypes.array.isRequired,
+  pushUpdate: PropTypes.func.isRequired,
+};
 
 export default StylePanel;
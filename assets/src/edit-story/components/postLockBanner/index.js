@@ -0,0 +1,83 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+
+const Banner = styled.div`
+  position: absolute;
+  top: 0;
+  left: 50%;
+  transform: translateX(-50%);
+  z-index: 3;
+  display: flex;
+  align-items: center;
+  padding: 8px 8px 8px 16px;
+  border-radius: 0 0 4px 4px;
+  background-color: ${({ theme }) => theme.colors.bg.v0};
+  color: ${({ theme }) => theme.colors.fg.v1};
+  font-size: ${({ theme }) => theme.fonts.body2.size};
+  line-height: ${({ theme }) => theme.fonts.body2.lineHeight};
+`;
+
+const TakeOverButton = styled.button`
+  background: transparent;
+  border: 0;
+  margin-left: 8px;
+  padding: 8px;
+  cursor: pointer;
+  color: ${({ theme }) => theme.colors.action};
+  font-size: inherit;
+  line-height: inherit;
+`;
+
+function PostLockBanner() {
+  const {
+    state: { postLockUser },
+    actions: { takeOverPostLock },
+  } = useStory();
+
+  if (!postLockUser) {
+    return null;
+  }
+
+  return (
+    <Banner role="status">
+      {sprintf(
+        /* translators: %s: user name. */
+        __('This story is currently being edited by %s.', 'web-stories'),
+        postLockUser.name
+      )}
+      <TakeOverButton onClick={takeOverPostLock}>
+        {__('Take over', 'web-stories')}
+      </TakeOverButton>
+    </Banner>
+  );
+}
+
+export default PostLockBanner;
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { parseToRgb, rgba } from 'polished';
+
+/**
+ * Internal dependencies
+ */
+import createSolid from '../../utils/createSolid';
+
+// Inline styles that draft-js supports out of the box.
+export const BOLD = 'BOLD';
+export const ITALIC = 'ITALIC';
+export const UNDERLINE = 'UNDERLINE';
+
+// Inline styles with a value are named `<prefix>-<value>`, e.g. the style
+// `CUSTOM-WEIGHT-600` gives the text a font weight of 600.
+export const COLOR = 'CUSTOM-COLOR';
+export const LETTERSPACING = 'CUSTOM-LETTERSPACING';
+export const WEIGHT = 'CUSTOM-WEIGHT';
+
+export function getPrefixStyle(prefix, value) {
+  return `${prefix}-${value}`;
+}
+
+export function isPrefixStyle(style, prefix) {
+  return style.startsWith(`${prefix}-`);
+}
+
+export function getPrefixStyleValue(style, prefix) {
+  return style.slice(prefix.length + 1);
+}
+
+function toHex(value) {
+  return Math.round(value).toString(16).padStart(2, '0');
+}
+
+/**
+ * Convert a solid pattern to the value of a color style.
+ *
+ * @param {Object} pattern Solid color pattern.
+ * @return {string} Color as `rrggbbaa`.
+ */
+export function colorToStyleValue({ color: { r, g, b, a = 1 } }) {
+  return [r, g, b, a * 255].map(toHex).join('');
+}
+
+/**
+ * Convert the value of a color style to a solid pattern.
+ *
+ * @param {string} value Color as `rrggbbaa`.
+ * @return {Object} Solid color pattern.
+ */
+export function styleValueToColor(value) {
+  const [r, g, b, a] = value.match(/../g).map((hex) => parseInt(hex, 16));
+  return createSolid(r, g, b, Number((a / 255).toFixed(2)));
+}
+
+/**
+ * Get the CSS for a set of inline styles.
+ *
+ * Only the custom styles are converted, as the ones supported by draft-js
+ * are rendered as their own tags.
+ *
+ * @param {Array<string>} styles Inline styles.
+ * @return {Object} CSS declarations as object.
+ */
+export function stylesToCSS(styles) {
+  const css = {};
+  styles.forEach((style) => {
+    if (isPrefixStyle(style, COLOR)) {
+      const {
+        color: { r, g, b, a = 1 },
+      } = styleValueToColor(getPrefixStyleValue(style, COLOR));
+      css.color = rgba(r, g, b, a);
+    } else if (isPrefixStyle(style, LETTERSPACING)) {
+      const value = getPrefixStyleValue(style, LETTERSPACING);
+      css.letterSpacing = `${Number(value) / 100}em`;
+    } else if (isPrefixStyle(style, WEIGHT)) {
+      css.fontWeight = Number(getPrefixStyleValue(style, WEIGHT));
+    }
+  });
+  return css;
+}
+
+/**
+ * Get the custom inline style matching the CSS of an element.
+ *
+ * @param {CSSStyleDeclaration} style Style of the element.
+ * @return {?string} Inline style, if any.
+ */
+export function cssToStyle({ color, letterSpacing, fontWeight }) {
+  if (color) {
+    const { red, green, blue, alpha } = parseToRgb(color);
+    return getPrefixStyle(
+      COLOR,
+      colorToStyleValue(createSolid(red, green, blue, alpha))
+    );
+  }
+  if (letterSpacing) {
+    const value = Math.round(parseFloat(letterSpacing) * 100);
+    return getPrefixStyle(LETTERSPACING, value);
+  }
+  if (fontWeight && !isNaN(parseInt(fontWeight))) {
+    return getPrefixStyle(WEIGHT, parseInt(fontWeight));
+  }
+  return null;
+}
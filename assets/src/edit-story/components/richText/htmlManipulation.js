@@ -0,0 +1,181 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { stateFromHTML } from 'draft-js-import-html';
+import { stateToHTML } from 'draft-js-export-html';
+
+/**
+ * Internal dependencies
+ */
+import { cssToStyle, stylesToCSS } from './customStyles';
+import { LINK } from './linkManipulation';
+
+function parseHTML(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template;
+}
+
+const CSS_PROPERTIES = ['color', 'letter-spacing', 'font-weight'];
+
+/**
+ * Split spans with several styles into nested spans with one style each,
+ * as every span can only be imported as a single inline style.
+ *
+ * @param {string} html HTML markup.
+ * @return {string} HTML markup with one style per span.
+ */
+function splitSpanStyles(html) {
+  const template = parseHTML(html);
+  template.content.querySelectorAll('span[style]').forEach((span) => {
+    const properties = CSS_PROPERTIES.filter((property) =>
+      span.style.getPropertyValue(property)
+    );
+    let inner = span;
+    properties.slice(1).forEach((property) => {
+      const nested = document.createElement('span');
+      nested.style.setProperty(property, span.style.getPropertyValue(property));
+      span.style.removeProperty(property);
+      nested.append(...inner.childNodes);
+      inner.append(nested);
+      inner = nested;
+    });
+  });
+  return template.innerHTML;
+}
+
+// Links are stored as two-tap links, with an optional tooltip.
+const LINK_ATTRIBUTES = {
+  url: 'href',
+  desc: 'data-tooltip-text',
+  icon: 'data-tooltip-icon',
+};
+
+function getLinkFromAnchor(anchor) {
+  const link = {};
+  Object.entries(LINK_ATTRIBUTES).forEach(([key, attribute]) => {
+    if (anchor.hasAttribute(attribute)) {
+      link[key] = anchor.getAttribute(attribute);
+    }
+  });
+  return link;
+}
+
+function customInlineFn(element, { Style, Entity }) {
+  if (element.tagName === 'A') {
+    return Entity(LINK, getLinkFromAnchor(element));
+  }
+  if (element.tagName !== 'SPAN') {
+    return null;
+  }
+  const style = cssToStyle(element.style);
+  return style ? Style(style) : null;
+}
+
+function entityStyleFn(entity) {
+  if (entity.getType() !== LINK) {
+    return null;
+  }
+  const link = entity.getData();
+  const attributes = {};
+  Object.entries(LINK_ATTRIBUTES).forEach(([key, attribute]) => {
+    if (link[key]) {
+      attributes[attribute] = link[key];
+    }
+  });
+  return { element: 'a', attributes };
+}
+
+function inlineStyleFn(styles) {
+  const css = stylesToCSS(styles);
+  if (Object.keys(css).length === 0) {
+    return null;
+  }
+  return { element: 'span', style: css };
+}
+
+/**
+ * Get the editor content for the HTML content of a text element.
+ *
+ * @param {string} html HTML content.
+ * @return {import('draft-js').ContentState} Editor content.
+ */
+export function importHTML(html) {
+  return stateFromHTML(splitSpanStyles(html), { customInlineFn });
+}
+
+/**
+ * Get the HTML content of a text element for the editor content.
+ *
+ * @param {import('draft-js').ContentState} content Editor content.
+ * @return {string} HTML content.
+ */
+export function exportHTML(content) {
+  return stateToHTML(content, {
+    defaultBlockTag: null,
+    inlineStyleFn,
+    entityStyleFn,
+  });
+}
+
+/**
+ * Get the links in the HTML content of a text element.
+ *
+ * @param {string} html HTML content.
+ * @return {Array<Object>} Links with `url` and optionally `desc` and `icon`,
+ * without duplicates.
+ */
+export function getContentLinks(html) {
+  const links = [];
+  const { content } = parseHTML(html);
+  content.querySelectorAll('a[href]').forEach((anchor) => {
+    const link = getLinkFromAnchor(anchor);
+    if (!links.some(({ url }) => url === link.url)) {
+      links.push(link);
+    }
+  });
+  return links;
+}
+
+/**
+ * Update every link to the given address in the HTML content of a text
+ * element.
+ *
+ * @param {string} html HTML content.
+ * @param {string} url Address of the links to update.
+ * @param {Object} properties New `desc` and `icon` of the links.
+ * @return {string} Updated HTML content.
+ */
+export function updateContentLinks(html, url, properties) {
+  const template = parseHTML(html);
+  template.content.querySelectorAll('a[href]').forEach((anchor) => {
+    if (anchor.getAttribute('href') !== url) {
+      return;
+    }
+    Object.entries(properties).forEach(([key, value]) => {
+      const attribute = LINK_ATTRIBUTES[key];
+      if (value) {
+        anchor.setAttribute(attribute, value);
+      } else {
+        anchor.removeAttribute(attribute);
+      }
+    });
+  });
+  return template.innerHTML;
+}
@@ -0,0 +1,44 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import { CompositeDecorator } from 'draft-js';
+
+/**
+ * Internal dependencies
+ */
+import { findLinkRanges } from './linkManipulation';
+
+function Link({ contentState, entityKey, children }) {
+  const { url } = contentState.getEntity(entityKey).getData();
+  return <a href={url}>{children}</a>;
+}
+
+Link.propTypes = {
+  contentState: PropTypes.object.isRequired,
+  entityKey: PropTypes.string.isRequired,
+  children: PropTypes.node,
+};
+
+// Renders linked text ranges in the editor the same way as in the output.
+const linkDecorator = new CompositeDecorator([
+  { strategy: findLinkRanges, component: Link },
+]);
+
+export default linkDecorator;
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { EditorState, RichUtils, SelectionState } from 'draft-js';
+
+export const LINK = 'LINK';
+
+function isLink(content, entityKey) {
+  return entityKey !== null && content.getEntity(entityKey).getType() === LINK;
+}
+
+/**
+ * Find the ranges of a block that are linked.
+ *
+ * Used as the strategy of the link decorator.
+ *
+ * @param {import('draft-js').ContentBlock} block Content block.
+ * @param {Function} callback Called with the start and end of every link.
+ * @param {import('draft-js').ContentState} content Editor content.
+ */
+export function findLinkRanges(block, callback, content) {
+  block.findEntityRanges(
+    (character) => isLink(content, character.getEntity()),
+    callback
+  );
+}
+
+function getLinkEntityKey(editorState) {
+  const selection = editorState.getSelection();
+  const content = editorState.getCurrentContent();
+  const block = content.getBlockForKey(selection.getStartKey());
+  // A collapsed selection is in a link if the character before it is.
+  const offset = selection.isCollapsed()
+    ? selection.getStartOffset() - 1
+    : selection.getStartOffset();
+  const entityKey = offset >= 0 ? block.getEntityAt(offset) : null;
+  return isLink(content, entityKey) ? entityKey : null;
+}
+
+/**
+ * Get the link at the start of the selection.
+ *
+ * @param {EditorState} editorState Editor state.
+ * @return {?Object} Link with `url` and optionally `desc` and `icon`.
+ */
+export function getSelectedLink(editorState) {
+  const entityKey = getLinkEntityKey(editorState);
+  return entityKey
+    ? editorState.getCurrentContent().getEntity(entityKey).getData()
+    : null;
+}
+
+function getLinkSelection(editorState, entityKey) {
+  const selection = editorState.getSelection();
+  const block = editorState
+    .getCurrentContent()
+    .getBlockForKey(selection.getStartKey());
+  const offset = selection.getStartOffset();
+  let linkSelection = selection;
+  block.findEntityRanges(
+    (character) => character.getEntity() === entityKey,
+    (start, end) => {
+      if (start < offset && end >= offset) {
+        linkSelection = SelectionState.createEmpty(block.getKey()).merge({
+          anchorOffset: start,
+          focusOffset: end,
+        });
+      }
+    }
+  );
+  return linkSelection;
+}
+
+/**
+ * Link the selected text, or change or remove the link the cursor is in.
+ *
+ * @param {EditorState} editorState Editor state.
+ * @param {?Object} link Link with `url` and optionally `desc` and `icon`, or
+ * `null` to remove the link.
+ * @return {EditorState} Updated editor state.
+ */
+export function setLink(editorState, link) {
+  let selection = editorState.getSelection();
+  if (selection.isCollapsed()) {
+    const entityKey = getLinkEntityKey(editorState);
+    if (!entityKey) {
+      return editorState;
+    }
+    selection = getLinkSelection(editorState, entityKey);
+  }
+  if (!link) {
+    return RichUtils.toggleLink(editorState, selection, null);
+  }
+  const content = editorState
+    .getCurrentContent()
+    .createEntity(LINK, 'MUTABLE', link);
+  const newState = EditorState.set(editorState, { currentContent: content });
+  return RichUtils.toggleLink(
+    newState,
+    selection,
+    content.getLastCreatedEntityKey()
+  );
+}
@@ -0,0 +1,70 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import { useCallback, useState } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import Context from './context';
+import { applyFormatting } from './styleManipulation';
+
+/**
+ * Shares the state of the text editor on the canvas, so that the inspector
+ * can show and change the formatting of the selected text.
+ */
+function RichTextProvider({ children }) {
+  // The editor currently being used, with its state and state setter.
+  const [editor, setEditor] = useState(null);
+
+  const clearEditor = useCallback(() => setEditor(null), []);
+
+  const formatSelection = useCallback(
+    (formatting) => {
+      if (editor) {
+        editor.setEditorState(applyFormatting(editor.editorState, formatting));
+      }
+    },
+    [editor]
+  );
+
+  const value = {
+    state: {
+      hasCurrentEditor: Boolean(editor),
+      editorState: editor?.editorState || null,
+    },
+    actions: {
+      setEditor,
+      clearEditor,
+      formatSelection,
+    },
+  };
+
+  return <Context.Provider value={value}>{children}</Context.Provider>;
+}
+
+RichTextProvider.propTypes = {
+  children: PropTypes.oneOfType([
+    PropTypes.arrayOf(PropTypes.node),
+    PropTypes.node,
+  ]).isRequired,
+};
+
+export default RichTextProvider;
@@ -0,0 +1,212 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { EditorState, Modifier } from 'draft-js';
+
+/**
+ * Internal dependencies
+ */
+import { MULTIPLE_VALUE } from '../form';
+import {
+  BOLD,
+  ITALIC,
+  UNDERLINE,
+  COLOR,
+  LETTERSPACING,
+  WEIGHT,
+  colorToStyleValue,
+  getPrefixStyle,
+  getPrefixStyleValue,
+  isPrefixStyle,
+  styleValueToColor,
+} from './customStyles';
+
+/**
+ * Get the inline styles of every selected character.
+ *
+ * For a collapsed selection, these are the styles that will be applied to
+ * newly typed text.
+ *
+ * @param {EditorState} editorState Editor state.
+ * @return {Array<import('draft-js').DraftInlineStyle>} Inline styles per character.
+ */
+function getSelectedStyles(editorState) {
+  const selection = editorState.getSelection();
+  if (selection.isCollapsed()) {
+    return [editorState.getCurrentInlineStyle()];
+  }
+  const content = editorState.getCurrentContent();
+  const startKey = selection.getStartKey();
+  const endKey = selection.getEndKey();
+  const styles = [];
+  let block = content.getBlockForKey(startKey);
+  while (block) {
+    const key = block.getKey();
+    const start = key === startKey ? selection.getStartOffset() : 0;
+    const end = key === endKey ? selection.getEndOffset() : block.getLength();
+    for (let offset = start; offset < end; offset++) {
+      styles.push(block.getInlineStyleAt(offset));
+    }
+    block = key === endKey ? null : content.getBlockAfter(key);
+  }
+  return styles;
+}
+
+function getCommonValue(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return values.every((value) => value === values[0])
+    ? values[0]
+    : MULTIPLE_VALUE;
+}
+
+function hasStyle(editorState, style) {
+  return getCommonValue(
+    getSelectedStyles(editorState).map((styles) => styles.has(style))
+  );
+}
+
+function getPrefixValue(editorState, prefix) {
+  return getCommonValue(
+    getSelectedStyles(editorState).map((styles) => {
+      const style = styles.find((s) => isPrefixStyle(s, prefix));
+      return style ? getPrefixStyleValue(style, prefix) : null;
+    })
+  );
+}
+
+function replaceStyles(editorState, shouldRemove, newStyle) {
+  const selection = editorState.getSelection();
+  if (selection.isCollapsed()) {
+    const styles = editorState.getCurrentInlineStyle().filterNot(shouldRemove);
+    return EditorState.setInlineStyleOverride(
+      editorState,
+      newStyle ? styles.add(newStyle) : styles
+    );
+  }
+
+  const oldStyles = new Set();
+  getSelectedStyles(editorState).forEach((styles) =>
+    styles.filter(shouldRemove).forEach((style) => oldStyles.add(style))
+  );
+  let content = editorState.getCurrentContent();
+  oldStyles.forEach((style) => {
+    content = Modifier.removeInlineStyle(content, selection, style);
+  });
+  if (newStyle) {
+    content = Modifier.applyInlineStyle(content, selection, newStyle);
+  }
+  return EditorState.push(editorState, content, 'change-inline-style');
+}
+
+function setStyle(editorState, style, isEnabled) {
+  return replaceStyles(
+    editorState,
+    (s) => s === style,
+    isEnabled ? style : null
+  );
+}
+
+function setPrefixValue(editorState, prefix, value) {
+  return replaceStyles(
+    editorState,
+    (s) => isPrefixStyle(s, prefix),
+    value === null ? null : getPrefixStyle(prefix, value)
+  );
+}
+
+// Bold and font weights exclude each other.
+const FORMATTERS = {
+  bold: (state, value) =>
+    setPrefixValue(setStyle(state, BOLD, value), WEIGHT, null),
+  fontStyle: (state, value) => setStyle(state, ITALIC, value === 'italic'),
+  textDecoration: (state, value) =>
+    setStyle(state, UNDERLINE, value === 'underline'),
+  color: (state, value) =>
+    setPrefixValue(state, COLOR, colorToStyleValue(value)),
+  letterSpacing: (state, value) =>
+    setPrefixValue(state, LETTERSPACING, Math.round(value * 100)),
+  fontWeight: (state, value) =>
+    setPrefixValue(setStyle(state, BOLD, false), WEIGHT, value),
+};
+
+export const FORMATTING_PROPERTIES = Object.keys(FORMATTERS);
+
+/**
+ * Apply text style properties to the selected text only.
+ *
+ * @param {EditorState} editorState Editor state.
+ * @param {Object} formatting Text element properties, e.g. `{ bold: true }`.
+ * @return {EditorState} Updated editor state.
+ */
+export function applyFormatting(editorState, formatting) {
+  return Object.entries(formatting).reduce(
+    (state, [property, value]) => FORMATTERS[property](state, value),
+    editorState
+  );
+}
+
+function mapValue(value, map, fallback) {
+  if (value === MULTIPLE_VALUE) {
+    return MULTIPLE_VALUE;
+  }
+  return value === null || value === false ? fallback : map(value);
+}
+
+/**
+ * Get the text style properties of the selected text.
+ *
+ * Where the selected text has no inline style, the property of the element
+ * applies.
+ *
+ * @param {EditorState} editorState Editor state.
+ * @param {Object} element Text element being edited.
+ * @return {Object} Text element properties for the selection.
+ */
+export function getSelectionFormatting(editorState, element) {
+  return {
+    bold: mapValue(hasStyle(editorState, BOLD), () => true, element.bold),
+    fontStyle: mapValue(
+      hasStyle(editorState, ITALIC),
+      () => 'italic',
+      element.fontStyle
+    ),
+    textDecoration: mapValue(
+      hasStyle(editorState, UNDERLINE),
+      () => 'underline',
+      element.textDecoration
+    ),
+    color: mapValue(
+      getPrefixValue(editorState, COLOR),
+      styleValueToColor,
+      element.color
+    ),
+    letterSpacing: mapValue(
+      getPrefixValue(editorState, LETTERSPACING),
+      (value) => Number(value) / 100,
+      element.letterSpacing
+    ),
+    fontWeight: mapValue(
+      getPrefixValue(editorState, WEIGHT),
+      Number,
+      element.fontWeight
+    ),
+  };
+}
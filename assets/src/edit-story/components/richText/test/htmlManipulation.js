@@ -0,0 +1,104 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  importHTML,
+  exportHTML,
+  getContentLinks,
+  updateContentLinks,
+} from '../htmlManipulation';
+
+function roundTrip(html) {
+  return exportHTML(importHTML(html));
+}
+
+describe('htmlManipulation', () => {
+  it('should keep plain text unchanged', () => {
+    expect(roundTrip('Hello World')).toBe('Hello World');
+  });
+
+  it('should keep bold, italic and underlined ranges', () => {
+    const html = 'Hello <strong>big</strong> <em>wide</em> <u>World</u>';
+
+    expect(roundTrip(html)).toBe(html);
+  });
+
+  it('should import and export colored ranges', () => {
+    const content = importHTML(
+      'Hello <span style="color: rgba(255, 0, 0, 0.5)">World</span>'
+    );
+
+    const block = content.getFirstBlock();
+    expect(block.getInlineStyleAt(0).toArray()).toStrictEqual([]);
+    expect(block.getInlineStyleAt(6).toArray()).toStrictEqual([
+      'CUSTOM-COLOR-ff000080',
+    ]);
+    expect(exportHTML(content)).toBe(
+      'Hello <span style="color: rgba(255,0,0,0.5)">World</span>'
+    );
+  });
+
+  it('should import ranges with several styles', () => {
+    const content = importHTML(
+      '<span style="letter-spacing: 0.2em; font-weight: 700">Hello</span>'
+    );
+
+    const styles = content.getFirstBlock().getInlineStyleAt(0);
+    expect(styles.toArray()).toStrictEqual([
+      'CUSTOM-LETTERSPACING-20',
+      'CUSTOM-WEIGHT-700',
+    ]);
+  });
+
+  it('should import and export links with their tooltip', () => {
+    const html =
+      'Read <a href="https://example.com" data-tooltip-text="Example">this</a>';
+    const content = importHTML(html);
+
+    const block = content.getFirstBlock();
+    const entity = content.getEntity(block.getEntityAt(5));
+    expect(entity.getType()).toBe('LINK');
+    expect(entity.getData()).toStrictEqual({
+      url: 'https://example.com',
+      desc: 'Example',
+    });
+    expect(exportHTML(content)).toBe(html);
+  });
+
+  it('should list the links in the content once', () => {
+    const html =
+      '<a href="https://a.com">A</a> <a href="https://b.com" data-tooltip-icon="https://b.com/b.png">B</a> <a href="https://a.com">C</a>';
+
+    expect(getContentLinks(html)).toStrictEqual([
+      { url: 'https://a.com' },
+      { url: 'https://b.com', icon: 'https://b.com/b.png' },
+    ]);
+  });
+
+  it('should update all links to an address', () => {
+    const html =
+      '<a href="https://a.com">A</a> <a href="https://b.com">B</a> <a href="https://a.com" data-tooltip-icon="https://a.com/a.png">C</a>';
+
+    expect(
+      updateContentLinks(html, 'https://a.com', { desc: 'A', icon: null })
+    ).toBe(
+      '<a href="https://a.com" data-tooltip-text="A">A</a> <a href="https://b.com">B</a> <a href="https://a.com" data-tooltip-text="A">C</a>'
+    );
+  });
+});
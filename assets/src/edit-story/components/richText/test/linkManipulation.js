@@ -0,0 +1,74 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { EditorState, SelectionState } from 'draft-js';
+
+/**
+ * Internal dependencies
+ */
+import { importHTML, exportHTML } from '../htmlManipulation';
+import { getSelectedLink, setLink } from '../linkManipulation';
+
+function createState(html, anchorOffset, focusOffset = anchorOffset) {
+  const state = EditorState.createWithContent(importHTML(html));
+  const blockKey = state.getCurrentContent().getFirstBlock().getKey();
+  const selection = new SelectionState({
+    anchorKey: blockKey,
+    anchorOffset,
+    focusKey: blockKey,
+    focusOffset,
+  });
+  return EditorState.forceSelection(state, selection);
+}
+
+describe('linkManipulation', () => {
+  it('should link the selected text', () => {
+    const state = setLink(createState('Read this report', 5, 9), {
+      url: 'https://example.com',
+    });
+
+    expect(exportHTML(state.getCurrentContent())).toBe(
+      'Read <a href="https://example.com">this</a> report'
+    );
+  });
+
+  it('should get the link the cursor is in', () => {
+    const html = 'Read <a href="https://example.com">this</a> report';
+
+    expect(getSelectedLink(createState(html, 7))).toStrictEqual({
+      url: 'https://example.com',
+    });
+    expect(getSelectedLink(createState(html, 2))).toBeNull();
+  });
+
+  it('should remove the whole link the cursor is in', () => {
+    const state = setLink(
+      createState('Read <a href="https://example.com">this</a> report', 7),
+      null
+    );
+
+    expect(exportHTML(state.getCurrentContent())).toBe('Read this report');
+  });
+
+  it('should do nothing without selected text or link', () => {
+    const state = createState('Read this report', 2);
+
+    expect(setLink(state, { url: 'https://example.com' })).toBe(state);
+  });
+});
@@ -0,0 +1,127 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { EditorState, SelectionState } from 'draft-js';
+
+/**
+ * Internal dependencies
+ */
+import { MULTIPLE_VALUE } from '../../form';
+import createSolid from '../../../utils/createSolid';
+import { importHTML } from '../htmlManipulation';
+import { applyFormatting, getSelectionFormatting } from '../styleManipulation';
+
+const ELEMENT = {
+  bold: false,
+  fontStyle: 'normal',
+  textDecoration: 'none',
+  color: createSolid(0, 0, 0),
+  letterSpacing: 0,
+  fontWeight: 400,
+};
+
+function createState(html, anchorOffset, focusOffset) {
+  const state = EditorState.createWithContent(importHTML(html));
+  const blockKey = state.getCurrentContent().getFirstBlock().getKey();
+  const selection = new SelectionState({
+    anchorKey: blockKey,
+    anchorOffset,
+    focusKey: blockKey,
+    focusOffset,
+  });
+  return EditorState.forceSelection(state, selection);
+}
+
+describe('styleManipulation', () => {
+  describe('getSelectionFormatting', () => {
+    it('should fall back to the element properties', () => {
+      const state = createState('Hello World', 0, 5);
+
+      expect(getSelectionFormatting(state, ELEMENT)).toStrictEqual(ELEMENT);
+    });
+
+    it('should return the formatting of the selected text', () => {
+      const state = createState(
+        'Hello <em><span style="color: rgba(255, 0, 0, 0.5)">World</span></em>',
+        6,
+        11
+      );
+
+      expect(getSelectionFormatting(state, ELEMENT)).toStrictEqual({
+        ...ELEMENT,
+        fontStyle: 'italic',
+        color: createSolid(255, 0, 0, 0.5),
+      });
+    });
+
+    it('should return multiple values for mixed formatting', () => {
+      const state = createState('Hello <strong>World</strong>', 0, 11);
+
+      expect(getSelectionFormatting(state, ELEMENT).bold).toBe(MULTIPLE_VALUE);
+    });
+  });
+
+  describe('applyFormatting', () => {
+    it('should only format the selected text', () => {
+      const state = applyFormatting(createState('Hello World', 6, 11), {
+        fontStyle: 'italic',
+        letterSpacing: 0.2,
+      });
+
+      const block = state.getCurrentContent().getFirstBlock();
+      expect(block.getInlineStyleAt(0).toArray()).toStrictEqual([]);
+      expect(block.getInlineStyleAt(6).toArray()).toStrictEqual([
+        'ITALIC',
+        'CUSTOM-LETTERSPACING-20',
+      ]);
+    });
+
+    it('should replace the previous value', () => {
+      const state = applyFormatting(
+        createState('<span style="font-weight: 300">Hello</span>', 0, 5),
+        { fontWeight: 600 }
+      );
+
+      const block = state.getCurrentContent().getFirstBlock();
+      expect(block.getInlineStyleAt(0).toArray()).toStrictEqual([
+        'CUSTOM-WEIGHT-600',
+      ]);
+    });
+
+    it('should remove font weights when making text bold', () => {
+      const state = applyFormatting(
+        createState('<span style="font-weight: 300">Hello</span>', 0, 5),
+        { bold: true }
+      );
+
+      expect(getSelectionFormatting(state, ELEMENT)).toMatchObject({
+        bold: true,
+        fontWeight: 400,
+      });
+    });
+
+    it('should format text typed at a collapsed selection', () => {
+      const state = applyFormatting(createState('Hello', 5, 5), {
+        bold: true,
+      });
+
+      expect(state.getInlineStyleOverride().toArray()).toStrictEqual(['BOLD']);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import comparePages, {
+  PAGE_ADDED,
+  PAGE_REMOVED,
+  PAGE_CHANGED,
+} from '../../app/story/utils/comparePages';
+import Dialog from '../dialog';
+import { Plain } from '../button';
+
+const List = styled.ul`
+  list-style: none;
+  margin: 0 0 16px;
+  padding: 0;
+`;
+
+const ListItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+const Choice = styled.label`
+  display: flex;
+  align-items: center;
+  margin-left: 24px;
+
+  input {
+    margin: 0 8px 0 0;
+  }
+`;
+
+const CONFLICT_STATUSES = [PAGE_ADDED, PAGE_REMOVED, PAGE_CHANGED];
+
+function getChangeLabel(status, pageNumber) {
+  switch (status) {
+    case PAGE_ADDED:
+      return sprintf(
+        /* translators: %d: page number. */
+        __('Page %d: only in your version', 'web-stories'),
+        pageNumber
+      );
+    case PAGE_REMOVED:
+      return sprintf(
+        /* translators: %d: page number. */
+        __('Page %d: only in the saved version', 'web-stories'),
+        pageNumber
+      );
+    case PAGE_CHANGED:
+      /* translators: %d: page number. */
+      return sprintf(__('Page %d: changed', 'web-stories'), pageNumber);
+    default:
+      return null;
+  }
+}
+
+function SaveConflictDialog() {
+  const {
+    state: { pages, saveConflict },
+    actions: {
+      dismissConflict,
+      overwriteConflict,
+      reloadConflict,
+      mergeConflict,
+    },
+  } = useStory();
+  const [isMerging, setIsMerging] = useState(false);
+  const [theirPageIds, setTheirPageIds] = useState([]);
+
+  useEffect(() => {
+    setIsMerging(false);
+    setTheirPageIds([]);
+  }, [saveConflict]);
+
+  // Pages that were moved only follow the order of the own version.
+  const changes = useMemo(
+    () =>
+      saveConflict
+        ? comparePages(saveConflict.state.pages, pages).filter(({ status }) =>
+            CONFLICT_STATUSES.includes(status)
+          )
+        : [],
+    [saveConflict, pages]
+  );
+
+  const toggleTheirPage = useCallback(
+    (id) =>
+      setTheirPageIds((ids) =>
+        ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]
+      ),
+    []
+  );
+
+  if (!saveConflict) {
+    return null;
+  }
+
+  const actions = isMerging ? (
+    <>
+      <Plain onClick={() => setIsMerging(false)}>
+        {__('Back', 'web-stories')}
+      </Plain>
+      <Plain onClick={() => mergeConflict(theirPageIds)}>
+        {__('Merge and save', 'web-stories')}
+      </Plain>
+    </>
+  ) : (
+    <>
+      <Plain onClick={dismissConflict}>{__('Cancel', 'web-stories')}</Plain>
+      <Plain onClick={reloadConflict}>
+        {__('Reload saved version', 'web-stories')}
+      </Plain>
+      <Plain onClick={() => setIsMerging(true)}>
+        {__('Merge', 'web-stories')}
+      </Plain>
+      <Plain onClick={overwriteConflict}>
+        {__('Overwrite', 'web-stories')}
+      </Plain>
+    </>
+  );
+
+  return (
+    <Dialog
+      open
+      onClose={dismissConflict}
+      title={__('This story was changed elsewhere', 'web-stories')}
+      contentLabel={__('Save conflict', 'web-stories')}
+      actions={actions}
+    >
+      {isMerging ? (
+        <>
+          <p>
+            {__(
+              'Your version of each page is kept, unless you choose the saved version instead.',
+              'web-stories'
+            )}
+          </p>
+          <List>
+            {changes.map(({ id, pageNumber, status }) => (
+              <ListItem key={id}>
+                {getChangeLabel(status, pageNumber)}
+                <Choice>
+                  <input
+                    type="checkbox"
+                    checked={theirPageIds.includes(id)}
+                    onChange={() => toggleTheirPage(id)}
+                  />
+                  {__('Use saved version', 'web-stories')}
+                </Choice>
+              </ListItem>
+            ))}
+          </List>
+        </>
+      ) : (
+        <p>
+          {__(
+            'Someone else saved this story after you opened it. You can overwrite their changes, reload their version and lose your changes, or merge both page by page.',
+            'web-stories'
+          )}
+        </p>
+      )}
+    </Dialog>
+  );
+}
+
+export default SaveConflictDialog;
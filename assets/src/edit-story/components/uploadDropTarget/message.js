@@ -65,11 +65,9 @@ const Icon = styled(UploadIcon)`
 `;
 
 function UploadDropTargetMessage({ message, ...rest }) {
-  const { allowedMimeTypes = {} } = useConfig();
-  const allowedFileTypes = Object.keys(allowedMimeTypes).reduce(
-    (acc, cur) => [...acc, ...allowedMimeTypes[cur]],
-    []
-  );
+  const { allowedMimeTypes: { image = [], video = [] } = {} } = useConfig();
+  // Audio files are chosen in the inspector as background audio instead.
+  const allowedFileTypes = [...image, ...video];
   return (
     <Container {...rest}>
       <Box>
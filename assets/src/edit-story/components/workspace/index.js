@@ -21,21 +21,24 @@ import Inspector from '../inspector';
 import Canvas from '../canvas';
 import { SidebarProvider } from '../sidebar';
 import CanvasProvider from '../canvas/canvasProvider';
+import { RichTextProvider } from '../richText';
 import { WorkspaceLayout, CanvasArea, InspectorArea } from './layout';
 
 function Workspace() {
   return (
     <CanvasProvider>
-      <SidebarProvider>
-        <WorkspaceLayout>
-          <CanvasArea>
-            <Canvas />
-          </CanvasArea>
-          <InspectorArea>
-            <Inspector />
-          </InspectorArea>
-        </WorkspaceLayout>
-      </SidebarProvider>
+      <RichTextProvider>
+        <SidebarProvider>
+          <WorkspaceLayout>
+            <CanvasArea>
+              <Canvas />
+            </CanvasArea>
+            <InspectorArea>
+              <Inspector />
+            </InspectorArea>
+          </WorkspaceLayout>
+        </SidebarProvider>
+      </RichTextProvider>
     </CanvasProvider>
   );
 }
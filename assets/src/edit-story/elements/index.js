@@ -31,6 +31,8 @@ import * as textElement from './text';
 import * as imageElement from './image';
 import * as shapeElement from './shape';
 import * as videoElement from './video';
+import * as pollElement from './poll';
+import * as quizElement from './quiz';
 
 export const createNewElement = (type, attributes = {}) => {
   const element = elementTypes.find((el) => el.type === type);
@@ -55,6 +57,8 @@ export const elementTypes = [
   { type: 'image', name: __('Image', 'web-stories'), ...imageElement },
   { type: 'shape', name: __('Shape', 'web-stories'), ...shapeElement },
   { type: 'video', name: __('Video', 'web-stories'), ...videoElement },
+  { type: 'poll', name: __('Poll', 'web-stories'), ...pollElement },
+  { type: 'quiz', name: __('Quiz', 'web-stories'), ...quizElement },
 ];
 
 export const getDefinitionForType = (type) =>
@@ -0,0 +1,90 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import { useRef } from 'react';
+
+/**
+ * Internal dependencies
+ */
+import StoryPropTypes from '../../types';
+import { useTransformHandler } from '../../components/transform';
+import {
+  Container,
+  Prompt,
+  Option,
+  OptionLetter,
+  OptionText,
+  getOptionLetter,
+} from './layout';
+import { InteractiveTheme, WIDTH_IN_EMS } from './util';
+
+function InteractiveDisplay({
+  element: {
+    id,
+    prompt,
+    options,
+    theme,
+    accentColor,
+    promptColor,
+    promptBackgroundColor,
+    correctOptionId,
+  },
+  box: { width },
+  hasLetters,
+}) {
+  const ref = useRef(null);
+  const isDark = theme === InteractiveTheme.DARK;
+
+  useTransformHandler(id, (transform) => {
+    const target = ref.current;
+    const resize = transform?.resize;
+    target.style.fontSize =
+      resize && resize[0] !== 0 ? `${resize[0] / WIDTH_IN_EMS}px` : '';
+  });
+
+  return (
+    <Container ref={ref} isDark={isDark} emSize={width / WIDTH_IN_EMS}>
+      <Prompt color={promptColor} backgroundColor={promptBackgroundColor}>
+        <OptionText>{prompt}</OptionText>
+      </Prompt>
+      {options.map((option, index) => (
+        <Option key={option.id} isDark={isDark}>
+          {hasLetters && (
+            <OptionLetter
+              isCorrect={option.id === correctOptionId}
+              accentColor={accentColor}
+            >
+              {getOptionLetter(index)}
+            </OptionLetter>
+          )}
+          <OptionText>{option.text}</OptionText>
+        </Option>
+      ))}
+    </Container>
+  );
+}
+
+InteractiveDisplay.propTypes = {
+  element: StoryPropTypes.elements.interactive.isRequired,
+  box: StoryPropTypes.box.isRequired,
+  hasLetters: PropTypes.bool,
+};
+
+export default InteractiveDisplay;
@@ -0,0 +1,164 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled from 'styled-components';
+import PropTypes from 'prop-types';
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { useStory } from '../../app';
+import StoryPropTypes from '../../types';
+import {
+  Container,
+  Prompt,
+  Option,
+  OptionLetter,
+  getOptionLetter,
+} from './layout';
+import { InteractiveTheme, WIDTH_IN_EMS } from './util';
+
+const Input = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 0;
+  border: none;
+  outline: none;
+  background: none;
+  color: inherit;
+  font: inherit;
+`;
+
+function InteractiveEdit({
+  element: {
+    id,
+    prompt,
+    options,
+    theme,
+    accentColor,
+    promptColor,
+    promptBackgroundColor,
+    correctOptionId,
+  },
+  box: { width },
+  hasLetters,
+}) {
+  const {
+    actions: { updateElementById },
+  } = useStory();
+  const [texts, setTexts] = useState(() => ({
+    prompt,
+    options: options.map(({ text }) => text),
+  }));
+  const promptRef = useRef(null);
+
+  // This is to allow the finalizing useEffect to *not* depend on the texts.
+  const lastKnownTexts = useRef(null);
+  const updateTexts = (newTexts) => {
+    lastKnownTexts.current = newTexts;
+    setTexts(newTexts);
+  };
+
+  const setPrompt = (text) => updateTexts({ ...texts, prompt: text });
+
+  const setOptionText = (index, text) =>
+    updateTexts({
+      ...texts,
+      options: texts.options.map((value, i) => (i === index ? text : value)),
+    });
+
+  // Update the element only once editing is done.
+  useEffect(
+    () => () => {
+      const newTexts = lastKnownTexts.current;
+      if (newTexts) {
+        updateElementById({
+          elementId: id,
+          properties: {
+            prompt: newTexts.prompt,
+            options: options.map((option, index) => ({
+              ...option,
+              text: newTexts.options[index],
+            })),
+          },
+        });
+      }
+    },
+    [id, options, updateElementById]
+  );
+
+  // Set focus when initially rendered.
+  useLayoutEffect(() => {
+    promptRef.current.focus();
+  }, []);
+
+  const isDark = theme === InteractiveTheme.DARK;
+  return (
+    <Container
+      isDark={isDark}
+      emSize={width / WIDTH_IN_EMS}
+      onClick={(evt) => evt.stopPropagation()}
+    >
+      <Prompt color={promptColor} backgroundColor={promptBackgroundColor}>
+        <Input
+          ref={promptRef}
+          value={texts.prompt}
+          onChange={(evt) => setPrompt(evt.target.value)}
+          placeholder={__('Ask a question', 'web-stories')}
+          aria-label={__('Question', 'web-stories')}
+        />
+      </Prompt>
+      {options.map((option, index) => (
+        <Option key={option.id} isDark={isDark}>
+          {hasLetters && (
+            <OptionLetter
+              isCorrect={option.id === correctOptionId}
+              accentColor={accentColor}
+            >
+              {getOptionLetter(index)}
+            </OptionLetter>
+          )}
+          <Input
+            value={texts.options[index]}
+            onChange={(evt) => setOptionText(index, evt.target.value)}
+            aria-label={sprintf(
+              /* translators: %d: option number. */
+              __('Option %d', 'web-stories'),
+              index + 1
+            )}
+          />
+        </Option>
+      ))}
+    </Container>
+  );
+}
+
+InteractiveEdit.propTypes = {
+  element: StoryPropTypes.elements.interactive.isRequired,
+  box: StoryPropTypes.box.isRequired,
+  hasLetters: PropTypes.bool,
+};
+
+export default InteractiveEdit;
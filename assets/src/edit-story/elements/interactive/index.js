@@ -0,0 +1,71 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { PanelTypes } from '../../components/panels';
+import createSolid from '../../utils/createSolid';
+import { getInteractiveHeight, InteractiveTheme } from './util';
+
+export {
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  InteractiveTheme,
+  createOption,
+  getInteractiveHeight,
+  getInteractiveAttributes,
+} from './util';
+
+export const INTERACTIVE_DEFAULT_ATTRIBUTES = {
+  prompt: '',
+  theme: InteractiveTheme.LIGHT,
+  accentColor: createSolid(0, 90, 240),
+  promptColor: createSolid(255, 255, 255),
+  promptBackgroundColor: createSolid(0, 90, 240),
+};
+
+export const hasEditMode = true;
+
+export const isMedia = false;
+
+export const canFlip = false;
+
+export const isMaskable = false;
+
+// The height always follows from the width and the number of options.
+export const resizeRules = {
+  vertical: false,
+  horizontal: true,
+  diagonal: true,
+};
+
+export function updateForResizeEvent(element, direction, newWidth) {
+  return {
+    height: getInteractiveHeight(
+      element.options.length,
+      newWidth || element.width
+    ),
+  };
+}
+
+export const INTERACTIVE_PANELS = [
+  PanelTypes.ELEMENT_ALIGNMENT,
+  PanelTypes.SIZE_POSITION,
+  PanelTypes.LAYER_STYLE,
+  PanelTypes.INTERACTIVE_OPTIONS,
+  PanelTypes.INTERACTIVE_STYLE,
+];
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import styled, { css } from 'styled-components';
+
+/**
+ * Internal dependencies
+ */
+import { elementFillContent, elementWithFontColor } from '../shared';
+import generatePatternStyles from '../../utils/generatePatternStyles';
+import convertToCSS from '../../utils/convertToCSS';
+import { OPTION_GAP, OPTION_HEIGHT, PADDING, PROMPT_HEIGHT } from './util';
+
+// All sizes are relative to the em size, which follows the element width.
+export const Container = styled.div`
+  ${elementFillContent}
+  font-size: ${({ emSize }) => emSize}px;
+  box-sizing: border-box;
+  display: flex;
+  flex-direction: column;
+  padding: ${PADDING}em;
+  border-radius: 0.75em;
+  overflow: hidden;
+  font-family: 'Roboto', sans-serif;
+  color: ${({ isDark }) => (isDark ? '#fff' : '#202125')};
+  background-color: ${({ isDark }) => (isDark ? '#202125' : '#fff')};
+`;
+
+const textLine = css`
+  box-sizing: border-box;
+  display: flex;
+  align-items: center;
+  flex-shrink: 0;
+  padding: 0 0.75em;
+  border-radius: 0.5em;
+  font-size: 1em;
+  overflow: hidden;
+`;
+
+export const Prompt = styled.div`
+  ${textLine}
+  ${elementWithFontColor}
+  height: ${PROMPT_HEIGHT}em;
+  font-weight: 700;
+  ${({ backgroundColor }) =>
+    convertToCSS(generatePatternStyles(backgroundColor))};
+`;
+
+export const Option = styled.div`
+  ${textLine}
+  height: ${OPTION_HEIGHT}em;
+  margin-top: ${OPTION_GAP}em;
+  border: 1px solid
+    ${({ isDark }) => (isDark ? 'rgba(255, 255, 255, 0.2)' : '#dadce0')};
+`;
+
+export const OptionLetter = styled.span`
+  flex-shrink: 0;
+  width: 1.5em;
+  height: 1.5em;
+  margin-right: 0.5em;
+  border-radius: 50%;
+  font-size: 0.85em;
+  line-height: 1.5em;
+  text-align: center;
+  border: 1px solid currentColor;
+  ${({ isCorrect, accentColor }) =>
+    isCorrect &&
+    css`
+      ${convertToCSS(generatePatternStyles(accentColor))};
+      border-color: transparent;
+      color: #fff;
+    `}
+`;
+
+export const OptionText = styled.span`
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+
+export function getOptionLetter(index) {
+  return String.fromCharCode('A'.charCodeAt(0) + index);
+}
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Internal dependencies
+ */
+import { dataPixels } from '../../units/dimensions';
+import generatePatternStyles from '../../utils/generatePatternStyles';
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 4;
+
+export const InteractiveTheme = {
+  LIGHT: 'light',
+  DARK: 'dark',
+};
+
+// Interactive elements are laid out in ems, and an em is a fixed fraction
+// of the element width, so that they scale as a whole when resized.
+export const WIDTH_IN_EMS = 20;
+export const PADDING = 0.75;
+export const PROMPT_HEIGHT = 3;
+export const OPTION_HEIGHT = 2.5;
+export const OPTION_GAP = 0.5;
+
+/**
+ * Get the height an interactive element needs to fit all its options.
+ *
+ * @param {number} optionCount Number of options.
+ * @param {number} width Width of the element.
+ * @return {number} Height of the element, in the same units as the width.
+ */
+export function getInteractiveHeight(optionCount, width) {
+  const ems =
+    2 * PADDING + PROMPT_HEIGHT + optionCount * (OPTION_HEIGHT + OPTION_GAP);
+  return dataPixels((width / WIDTH_IN_EMS) * ems);
+}
+
+export function createOption(text = '') {
+  return { id: uuidv4(), text };
+}
+
+function getColor(pattern) {
+  return generatePatternStyles(pattern, 'color').color;
+}
+
+/**
+ * Get the attributes shared by all AMP interactive components.
+ *
+ * @param {Object} element Poll or quiz element.
+ * @return {Object} Attributes for the AMP component.
+ */
+export function getInteractiveAttributes({
+  id,
+  prompt,
+  options,
+  theme,
+  accentColor,
+  promptColor,
+  promptBackgroundColor,
+}) {
+  const attributes = {
+    id: `interactive-${id}`,
+    'prompt-text': prompt || undefined,
+    theme,
+    style: {
+      '--interactive-accent-color': getColor(accentColor),
+      '--interactive-prompt-text-color': getColor(promptColor),
+      '--interactive-prompt-background': getColor(promptBackgroundColor),
+    },
+  };
+  options.forEach(({ text }, index) => {
+    attributes[`option-${index + 1}-text`] = text;
+  });
+  return attributes;
+}
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { renderToStaticMarkup } from 'react-dom/server';
+
+/**
+ * Internal dependencies
+ */
+import PollOutput from '../output';
+
+function renderViaString(...args) {
+  const html = renderToStaticMarkup(...args);
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div.firstElementChild;
+}
+
+describe('PollOutput', () => {
+  const element = {
+    id: '123',
+    type: 'poll',
+    x: 10,
+    y: 10,
+    width: 200,
+    height: 200,
+    rotationAngle: 0,
+    prompt: 'Cats or dogs?',
+    options: [
+      { id: 'a', text: 'Cats' },
+      { id: 'b', text: 'Dogs' },
+    ],
+    theme: 'dark',
+    accentColor: { color: { r: 255, g: 0, b: 0 } },
+    promptColor: { color: { r: 255, g: 255, b: 255 } },
+    promptBackgroundColor: { color: { r: 0, g: 0, b: 255 } },
+  };
+
+  it('should render an amp-story-interactive-poll with all options', () => {
+    const output = renderViaString(<PollOutput element={element} />);
+
+    expect(output.tagName).toBe('AMP-STORY-INTERACTIVE-POLL');
+    expect(output).toHaveAttribute('id', 'interactive-123');
+    expect(output).toHaveAttribute('prompt-text', 'Cats or dogs?');
+    expect(output).toHaveAttribute('theme', 'dark');
+    expect(output).toHaveAttribute('option-1-text', 'Cats');
+    expect(output).toHaveAttribute('option-2-text', 'Dogs');
+    expect(output).not.toHaveAttribute('option-3-text');
+  });
+
+  it('should pass the colors as custom properties', () => {
+    const output = renderViaString(<PollOutput element={element} />);
+
+    expect(output).toHaveAttribute(
+      'style',
+      expect.stringContaining('--interactive-accent-color:#f00')
+    );
+    expect(output).toHaveAttribute(
+      'style',
+      expect.stringContaining('--interactive-prompt-background:#00f')
+    );
+  });
+
+  it('should leave out an empty prompt', () => {
+    const output = renderViaString(
+      <PollOutput element={{ ...element, prompt: '' }} />
+    );
+
+    expect(output).not.toHaveAttribute('prompt-text');
+  });
+});
@@ -0,0 +1,60 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { SHARED_DEFAULT_ATTRIBUTES } from '../shared';
+import {
+  INTERACTIVE_DEFAULT_ATTRIBUTES,
+  INTERACTIVE_PANELS,
+  createOption,
+} from '../interactive';
+export { default as Display } from './display';
+export { default as Edit } from './edit';
+export { default as Frame } from './frame';
+export { default as Output } from './output';
+export { default as TextContent } from './textContent';
+export { default as LayerContent } from '../interactive/layer';
+export { default as LayerIcon } from './icon';
+export {
+  canFlip,
+  isMaskable,
+  isMedia,
+  hasEditMode,
+  resizeRules,
+  updateForResizeEvent,
+} from '../interactive';
+
+const defaultOptions = [
+  createOption(__('Yes', 'web-stories')),
+  createOption(__('No', 'web-stories')),
+];
+
+export const defaultAttributes = {
+  ...SHARED_DEFAULT_ATTRIBUTES,
+  ...INTERACTIVE_DEFAULT_ATTRIBUTES,
+  prompt: __('Do you know the answer?', 'web-stories'),
+  options: defaultOptions,
+  correctOptionId: defaultOptions[0].id,
+};
+
+export const panels = INTERACTIVE_PANELS;
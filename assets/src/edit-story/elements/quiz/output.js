@@ -0,0 +1,41 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import StoryPropTypes from '../../types';
+import { getInteractiveAttributes } from '../interactive/util';
+
+/**
+ * Returns AMP HTML for saving into post content for displaying in the FE.
+ */
+function QuizOutput({ element }) {
+  const { options, correctOptionId } = element;
+  const correctIndex = options.findIndex(({ id }) => id === correctOptionId);
+  const props = {
+    ...getInteractiveAttributes(element),
+    // The attribute only needs to be present to mark the correct option.
+    ...(correctIndex !== -1 && { [`option-${correctIndex + 1}-correct`]: '' }),
+  };
+  return <amp-story-interactive-quiz {...props} />;
+}
+
+QuizOutput.propTypes = {
+  element: StoryPropTypes.elements.quiz.isRequired,
+};
+
+export default QuizOutput;
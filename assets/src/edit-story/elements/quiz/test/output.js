@@ -0,0 +1,73 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { renderToStaticMarkup } from 'react-dom/server';
+
+/**
+ * Internal dependencies
+ */
+import QuizOutput from '../output';
+
+function renderViaString(...args) {
+  const html = renderToStaticMarkup(...args);
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div.firstElementChild;
+}
+
+describe('QuizOutput', () => {
+  const element = {
+    id: '123',
+    type: 'quiz',
+    x: 10,
+    y: 10,
+    width: 200,
+    height: 200,
+    rotationAngle: 0,
+    prompt: 'Which is a fruit?',
+    options: [
+      { id: 'a', text: 'Carrot' },
+      { id: 'b', text: 'Apple' },
+      { id: 'c', text: 'Potato' },
+    ],
+    correctOptionId: 'b',
+    theme: 'light',
+    accentColor: { color: { r: 255, g: 0, b: 0 } },
+    promptColor: { color: { r: 255, g: 255, b: 255 } },
+    promptBackgroundColor: { color: { r: 0, g: 0, b: 255 } },
+  };
+
+  it('should render an amp-story-interactive-quiz with all options', () => {
+    const output = renderViaString(<QuizOutput element={element} />);
+
+    expect(output.tagName).toBe('AMP-STORY-INTERACTIVE-QUIZ');
+    expect(output).toHaveAttribute('prompt-text', 'Which is a fruit?');
+    expect(output).toHaveAttribute('option-1-text', 'Carrot');
+    expect(output).toHaveAttribute('option-2-text', 'Apple');
+    expect(output).toHaveAttribute('option-3-text', 'Potato');
+  });
+
+  it('should only mark the correct option', () => {
+    const output = renderViaString(<QuizOutput element={element} />);
+
+    expect(output).toHaveAttribute('option-2-correct');
+    expect(output).not.toHaveAttribute('option-1-correct');
+    expect(output).not.toHaveAttribute('option-3-correct');
+  });
+});
@@ -85,6 +85,8 @@ export const SHARED_DEFAULT_ATTRIBUTES = {
     horizontal: false,
   },
   rotationAngle: 0,
+  isLocked: false,
+  isHidden: false,
 };
 
 export const elementWithFlip = css`
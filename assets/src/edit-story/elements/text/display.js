@@ -71,8 +71,10 @@ const Span = styled.span`
   position: relative;
 `;
 
+// The fill color is inherited and wins over the color of text ranges.
 const BackgroundSpan = styled(Span)`
   color: transparent;
+  -webkit-text-fill-color: transparent;
 `;
 
 const ForegroundSpan = styled(Span)`
@@ -19,8 +19,6 @@
  */
 import styled from 'styled-components';
 import { Editor, EditorState } from 'draft-js';
-import { stateFromHTML } from 'draft-js-import-html';
-import { stateToHTML } from 'draft-js-export-html';
 import {
   useMemo,
   useState,
@@ -35,6 +33,13 @@ import {
  */
 import { useStory, useFont } from '../../app';
 import { useCanvas } from '../../components/canvas';
+import {
+  useRichText,
+  importHTML,
+  exportHTML,
+  stylesToCSS,
+  linkDecorator,
+} from '../../components/richText';
 import { useUnits } from '../../units';
 import {
   elementFillContent,
@@ -56,6 +61,7 @@ import {
   generateParagraphTextStyle,
   getHighlightLineheight,
 } from './util';
+import TextToolbar from './toolbar';
 
 // Wrapper bounds the text editor within the element bounds. The resize
 // logic updates the height of this element to show the new height based
@@ -150,11 +156,14 @@ function TextEdit({
         return `<p>${draftMarkupToContent(s, bold)}</p>`;
       })
       .join('');
-    let state = EditorState.createWithContent(stateFromHTML(contentWithBreaks));
+    let state = EditorState.createWithContent(
+      importHTML(contentWithBreaks),
+      linkDecorator
+    );
     if (clearContent) {
       // If `clearContent` is specified, push the update to clear content so that
       // it can be undone.
-      state = EditorState.push(state, stateFromHTML(''), 'remove-range');
+      state = EditorState.push(state, importHTML(''), 'remove-range');
     }
     let selection;
     if (selectAll) {
@@ -189,6 +198,15 @@ function TextEdit({
   // Handle basic key commands such as bold, italic and underscore.
   const handleKeyCommand = getHandleKeyCommand(updateEditorState);
 
+  // Share the editor with the inspector, so that it can format the selection.
+  const {
+    actions: { setEditor, clearEditor },
+  } = useRichText();
+  useEffect(() => {
+    setEditor({ editorState, setEditorState: updateEditorState });
+  }, [editorState, updateEditorState, setEditor]);
+  useEffect(() => clearEditor, [clearEditor]);
+
   // Make sure to allow the user to click in the text box while working on the text.
   const onClick = (evt) => {
     const editor = editorRef.current;
@@ -208,9 +226,7 @@ function TextEdit({
       if (newState) {
         // Remember to trim any trailing non-breaking space.
         const properties = {
-          content: stateToHTML(lastKnownState.current, {
-            defaultBlockTag: null,
-          }).replace(/&nbsp;$/, ''),
+          content: exportHTML(lastKnownState.current).replace(/&nbsp;$/, ''),
         };
         // Recalculate the new height and offset.
         if (newHeight) {
@@ -251,12 +267,19 @@ function TextEdit({
 
   return (
     <Wrapper ref={wrapperRef} onClick={onClick}>
+      <TextToolbar
+        editorState={editorState}
+        setEditorState={updateEditorState}
+        canLink={!rest.link}
+        focusEditor={() => editorRef.current.focus()}
+      />
       <TextBox ref={textBoxRef} {...textProps}>
         <Editor
           ref={editorRef}
           onChange={updateEditorState}
           editorState={editorState}
           handleKeyCommand={handleKeyCommand}
+          customStyleFn={stylesToCSS}
         />
       </TextBox>
     </Wrapper>
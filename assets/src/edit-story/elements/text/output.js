@@ -121,9 +121,14 @@ export function TextOutputWithUnits({
     padding: `${paddingStyles.vertical} ${paddingStyles.horizontal}`,
   };
 
+  // The fill color is inherited and wins over the color of text ranges,
+  // which can't be overridden from here as they are inline styles too.
   const backgroundTextStyle = {
     ...textStyle,
     color: 'transparent',
+    /* stylelint-disable */
+    WebkitTextFillColor: 'transparent',
+    /* stylelint-enable */
   };
 
   const foregroundTextStyle = {
@@ -23,6 +23,7 @@ import { renderToStaticMarkup } from 'react-dom/server';
  * Internal dependencies
  */
 import TextOutput from '../output';
+import { BACKGROUND_TEXT_MODE } from '../../../constants';
 
 function renderViaString(...args) {
   // Render an element via string to test that Output templates do not use
@@ -139,6 +140,69 @@ describe('TextOutput', () => {
     expect(output.innerHTML).toBe('<strong>Content</strong>');
   });
 
+  it('should keep the formatting of text ranges', () => {
+    const content =
+      'Hello <span style="color: rgba(255, 0, 0, 1); font-weight: 700">World</span>';
+    const element = {
+      id: '123',
+      content,
+      type: 'text',
+      x: 10,
+      y: 10,
+      width: 50,
+      height: 50,
+      rotationAngle: 0,
+      padding: {
+        vertical: 0,
+        horizontal: 0,
+      },
+    };
+
+    const output = renderViaString(
+      <TextOutput
+        element={element}
+        box={{ width: 1080, height: 1920, x: 50, y: 100, rotationAngle: 0 }}
+      />
+    );
+    const span = output.querySelector('span');
+    expect(span.textContent).toBe('World');
+    expect(span.style).toMatchObject({
+      color: 'rgb(255, 0, 0)',
+      fontWeight: '700',
+    });
+  });
+
+  it('should hide range colors in the highlight background', () => {
+    const element = {
+      id: '123',
+      content: 'Hello <span style="color: rgba(255, 0, 0, 1)">World</span>',
+      type: 'text',
+      x: 10,
+      y: 10,
+      width: 50,
+      height: 50,
+      rotationAngle: 0,
+      padding: {
+        vertical: 0,
+        horizontal: 0,
+      },
+      backgroundTextMode: BACKGROUND_TEXT_MODE.HIGHLIGHT,
+    };
+
+    const output = renderViaString(
+      <TextOutput
+        element={element}
+        box={{ width: 1080, height: 1920, x: 50, y: 100, rotationAngle: 0 }}
+      />
+    );
+    const backgroundSpan = output.querySelector('span span');
+    expect(backgroundSpan).toHaveTextContent('Hello World');
+    expect(backgroundSpan).toHaveAttribute(
+      'style',
+      expect.stringContaining('-webkit-text-fill-color:transparent')
+    );
+  });
+
   it('should produce valid AMP output', async () => {
     const props = {
       element: {
@@ -0,0 +1,199 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { rgba } from 'polished';
+import { RichUtils } from 'draft-js';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { getSelectedLink, setLink } from '../../components/richText';
+import { isValidUrl, withProtocol } from '../../utils/url';
+import { ReactComponent as BoldIcon } from '../../icons/bold_icon.svg';
+import { ReactComponent as ItalicIcon } from '../../icons/italic_icon.svg';
+import { ReactComponent as UnderlineIcon } from '../../icons/underline_icon.svg';
+import { ReactComponent as LinkIcon } from '../../icons/link.svg';
+
+// Toolbar floats above the element while its text is being edited.
+const Toolbar = styled.div`
+  position: absolute;
+  bottom: calc(100% + 8px);
+  left: 0;
+  display: flex;
+  padding: 4px;
+  border-radius: 4px;
+  background-color: ${({ theme }) => theme.colors.bg.v1};
+  box-shadow: 0 2px 4px ${({ theme }) => rgba(theme.colors.bg.v0, 0.3)};
+`;
+
+const ToolbarButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 28px;
+  height: 28px;
+  margin: 0;
+  padding: 0;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  background-color: ${({ theme, isActive }) =>
+    isActive ? rgba(theme.colors.fg.v1, 0.2) : 'transparent'};
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.3;
+  }
+
+  svg {
+    width: 12px;
+    height: 12px;
+  }
+`;
+
+const LinkInput = styled.input`
+  width: 200px;
+  margin-left: 4px;
+  padding: 4px 8px;
+  border: 1px solid
+    ${({ theme, isInvalid }) =>
+      isInvalid ? theme.colors.warning : rgba(theme.colors.fg.v1, 0.3)};
+  border-radius: 4px;
+  color: ${({ theme }) => theme.colors.fg.v1};
+  background-color: transparent;
+  font-size: 13px;
+`;
+
+const STYLE_BUTTONS = [
+  { style: 'BOLD', label: __('Bold', 'web-stories'), Icon: BoldIcon },
+  { style: 'ITALIC', label: __('Italic', 'web-stories'), Icon: ItalicIcon },
+  {
+    style: 'UNDERLINE',
+    label: __('Underline', 'web-stories'),
+    Icon: UnderlineIcon,
+  },
+];
+
+function TextToolbar({ editorState, setEditorState, canLink, focusEditor }) {
+  const [isEditingLink, setIsEditingLink] = useState(false);
+  const [url, setUrl] = useState('');
+  const linkInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isEditingLink) {
+      linkInputRef.current.focus();
+    }
+  }, [isEditingLink]);
+
+  const currentStyle = editorState.getCurrentInlineStyle();
+  const selectedLink = getSelectedLink(editorState);
+  const hasSelection = !editorState.getSelection().isCollapsed();
+
+  // Keep the focus and selection in the editor.
+  const toggleStyle = (evt, style) => {
+    evt.preventDefault();
+    setEditorState(RichUtils.toggleInlineStyle(editorState, style));
+  };
+
+  const openLinkInput = (evt) => {
+    evt.preventDefault();
+    setUrl(selectedLink?.url || '');
+    setIsEditingLink(true);
+  };
+
+  const closeLinkInput = () => {
+    setIsEditingLink(false);
+    focusEditor();
+  };
+
+  // An empty address removes the link.
+  const urlWithProtocol = withProtocol(url.trim());
+  const isValid = !url.trim() || isValidUrl(urlWithProtocol);
+
+  const handleSubmit = (evt) => {
+    evt.preventDefault();
+    if (!isValid) {
+      return;
+    }
+    setEditorState(
+      setLink(editorState, url.trim() ? { url: urlWithProtocol } : null)
+    );
+    closeLinkInput();
+  };
+
+  return (
+    <Toolbar onClick={(evt) => evt.stopPropagation()}>
+      {STYLE_BUTTONS.map(({ style, label, Icon }) => (
+        <ToolbarButton
+          key={style}
+          type="button"
+          aria-label={label}
+          aria-pressed={currentStyle.has(style)}
+          isActive={currentStyle.has(style)}
+          onMouseDown={(evt) => toggleStyle(evt, style)}
+        >
+          <Icon />
+        </ToolbarButton>
+      ))}
+      <ToolbarButton
+        type="button"
+        aria-label={__('Link', 'web-stories')}
+        aria-pressed={Boolean(selectedLink)}
+        isActive={Boolean(selectedLink)}
+        disabled={!canLink || (!hasSelection && !selectedLink)}
+        onMouseDown={openLinkInput}
+      >
+        <LinkIcon />
+      </ToolbarButton>
+      {isEditingLink && (
+        <form onSubmit={handleSubmit}>
+          <LinkInput
+            ref={linkInputRef}
+            type="text"
+            value={url}
+            onChange={(evt) => setUrl(evt.target.value)}
+            onBlur={() => setIsEditingLink(false)}
+            placeholder={__('Web address', 'web-stories')}
+            aria-label={__('Web address', 'web-stories')}
+            aria-invalid={!isValid}
+            isInvalid={!isValid}
+          />
+        </form>
+      )}
+    </Toolbar>
+  );
+}
+
+TextToolbar.propTypes = {
+  editorState: PropTypes.object.isRequired,
+  setEditorState: PropTypes.func.isRequired,
+  canLink: PropTypes.bool,
+  focusEditor: PropTypes.func.isRequired,
+};
+
+export default TextToolbar;
@@ -106,7 +106,7 @@ export function getFilteredState(editorState, oldEditorState) {
     {
       blocks: [],
       styles: ['BOLD', 'ITALIC', 'UNDERLINE'],
-      entities: [],
+      entities: [{ type: 'LINK', attributes: ['url', 'desc', 'icon'] }],
       maxNesting: 1,
       whitespacedCharacters: [],
     },
@@ -142,8 +142,18 @@ export const generateFontFamily = (fontFamily, fontFallback) => {
   return fontFamilyDisplay;
 };
 
+/**
+ * Get the markup to render for the content of a text element.
+ *
+ * Formatting of text ranges is already part of the content, as `<strong>`,
+ * `<em>` and `<u>` tags and as `<span>`s with inline color, letter spacing
+ * and font weight, so it renders the same in the editor and the output.
+ *
+ * @param {string} content Text content.
+ * @param {boolean} bold Whether the whole text is bold.
+ * @return {string} Markup.
+ */
 export const draftMarkupToContent = (content, bold) => {
-  // @todo This logic is temporary and will change with selecting part + marking bold/italic/underline.
   if (bold) {
     return `<strong>${content}</strong>`;
   }
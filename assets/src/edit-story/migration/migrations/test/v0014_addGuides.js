@@ -0,0 +1,49 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import addGuides from '../v0014_addGuides';
+
+describe('addGuides', () => {
+  it('should add empty guides', () => {
+    expect(
+      addGuides({
+        _test: 'story',
+        pages: [],
+      })
+    ).toStrictEqual({
+      guides: { horizontal: [], vertical: [] },
+      _test: 'story',
+      pages: [],
+    });
+  });
+
+  it('should not override existing guides', () => {
+    expect(
+      addGuides({
+        _test: 'story',
+        pages: [],
+        guides: { horizontal: [100], vertical: [] },
+      })
+    ).toStrictEqual({
+      guides: { horizontal: [100], vertical: [] },
+      _test: 'story',
+      pages: [],
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import StoryPropTypes from '../types';
+import OutputElement from './element';
+
+/**
+ * Split a list of elements into runs of consecutive elements sharing a group.
+ *
+ * Ungrouped elements end up in a run of their own without a group id.
+ *
+ * @param {Array.<Object>} elements List of elements
+ * @return {Array.<Object>} List of runs with `groupId` and `elements`
+ */
+export function splitIntoGroups(elements) {
+  return elements.reduce((runs, element) => {
+    const lastRun = runs[runs.length - 1];
+    if (element.groupId && lastRun?.groupId === element.groupId) {
+      lastRun.elements.push(element);
+    } else {
+      runs.push({ groupId: element.groupId || null, elements: [element] });
+    }
+    return runs;
+  }, []);
+}
+
+function OutputGroup({ groupId, elements }) {
+  return (
+    <div className="group" data-group-id={groupId}>
+      {elements.map((element) => (
+        <OutputElement key={'el-' + element.id} element={element} />
+      ))}
+    </div>
+  );
+}
+
+OutputGroup.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  elements: PropTypes.arrayOf(StoryPropTypes.element).isRequired,
+};
+
+/**
+ * Render elements, wrapping the members of each group in a common container.
+ *
+ * @param {Object} props Component props
+ * @param {Array.<Object>} props.elements List of elements
+ * @return {*} Rendered elements
+ */
+export function OutputElements({ elements }) {
+  return splitIntoGroups(elements).map(({ groupId, elements: runElements }) =>
+    groupId ? (
+      <OutputGroup
+        key={'group-' + groupId}
+        groupId={groupId}
+        elements={runElements}
+      />
+    ) : (
+      <OutputElement key={'el-' + runElements[0].id} element={runElements[0]} />
+    )
+  );
+}
+
+OutputElements.propTypes = {
+  elements: PropTypes.arrayOf(StoryPropTypes.element).isRequired,
+};
+
+export default OutputGroup;
@@ -27,12 +27,22 @@ import { PAGE_WIDTH, PAGE_HEIGHT } from '../constants';
 import { generateOverlayStyles, OverlayType } from '../utils/backgroundOverlay';
 import { LinkType } from '../components/link';
 import OutputElement from './element';
+import { OutputElements } from './group';
+import OutputPageAttachment from './pageAttachment';
 import getLongestMediaElement from './utils/getLongestMediaElement';
 
 const ASPECT_RATIO = `${PAGE_WIDTH}:${PAGE_HEIGHT}`;
 
 function OutputPage({ page, autoAdvance, defaultPageDuration }) {
-  const { id, elements, backgroundElementId, backgroundOverlay } = page;
+  const {
+    id,
+    backgroundElementId,
+    backgroundOverlay,
+    backgroundAudio,
+    attachment,
+  } = page;
+  // Hidden elements are not part of the output at all.
+  const elements = page.elements.filter(({ isHidden }) => !isHidden);
   // Aspect-ratio constraints.
   const aspectRatioStyles = {
     margin: 'auto',
@@ -65,26 +75,35 @@ function OutputPage({ page, autoAdvance, defaultPageDuration }) {
       element.id === backgroundElementId &&
       element.isFullbleedBackground !== false
   );
+  // AMP doesn't allow a CTA layer on pages with an attachment, so one-tap
+  // links are output like two-tap links there.
+  const isCtaElement = (element) =>
+    !attachment && element.link?.type === LinkType.ONE_TAP;
   const regularElements = elements.filter(
-    (element) =>
-      element.id !== backgroundElementId &&
-      element.link?.type !== LinkType.ONE_TAP
+    (element) => element.id !== backgroundElementId && !isCtaElement(element)
   );
   const ctaElements = elements.filter(
-    (element) =>
-      element.id !== backgroundElementId &&
-      element.link?.type === LinkType.ONE_TAP
+    (element) => element.id !== backgroundElementId && isCtaElement(element)
   );
   const longestMediaElement = getLongestMediaElement(elements);
 
-  const autoAdvanceAfter = longestMediaElement?.id
-    ? `el-${longestMediaElement?.id}`
-    : `${defaultPageDuration}s`;
+  // Background audio can't be referenced by id, so its duration is used.
+  const isAudioLongest =
+    backgroundAudio?.length > 0 &&
+    !(longestMediaElement?.resource?.length > backgroundAudio.length);
+
+  let autoAdvanceAfter = `${defaultPageDuration}s`;
+  if (isAudioLongest) {
+    autoAdvanceAfter = `${backgroundAudio.length}s`;
+  } else if (longestMediaElement?.id) {
+    autoAdvanceAfter = `el-${longestMediaElement?.id}`;
+  }
 
   return (
     <amp-story-page
       id={id}
       auto-advance-after={autoAdvance ? autoAdvanceAfter : undefined}
+      background-audio={backgroundAudio?.src}
     >
       {backgroundFullbleedElements.length > 0 && (
         <amp-story-grid-layer template="vertical">
@@ -117,9 +136,7 @@ function OutputPage({ page, autoAdvance, defaultPageDuration }) {
 
       <amp-story-grid-layer template="vertical" aspect-ratio={ASPECT_RATIO}>
         <div className="page-safe-area">
-          {regularElements.map((element) => (
-            <OutputElement key={'el-' + element.id} element={element} />
-          ))}
+          <OutputElements elements={regularElements} />
         </div>
       </amp-story-grid-layer>
 
@@ -127,13 +144,13 @@ function OutputPage({ page, autoAdvance, defaultPageDuration }) {
         <amp-story-cta-layer>
           <div className="page-cta-area">
             <div className="page-safe-area" style={aspectRatioStyles}>
-              {ctaElements.map((element) => (
-                <OutputElement key={'el-' + element.id} element={element} />
-              ))}
+              <OutputElements elements={ctaElements} />
             </div>
           </div>
         </amp-story-cta-layer>
       )}
+
+      {attachment && <OutputPageAttachment attachment={attachment} />}
     </amp-story-page>
   );
 }
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import StoryPropTypes from '../types';
+import { AttachmentBlockType } from '../components/pageAttachment';
+
+function OutputAttachmentText({ content }) {
+  const lines = content.split('\n');
+  return (
+    <p>
+      {lines.map((line, index) => (
+        <span key={index}>
+          {index > 0 && <br />}
+          {line}
+        </span>
+      ))}
+    </p>
+  );
+}
+
+OutputAttachmentText.propTypes = {
+  content: PropTypes.string.isRequired,
+};
+
+function OutputPageAttachment({
+  attachment: { title, ctaText, theme, blocks },
+}) {
+  return (
+    <amp-story-page-attachment
+      layout="nodisplay"
+      theme={theme}
+      data-title={title || undefined}
+      data-cta-text={ctaText || undefined}
+    >
+      {blocks.map((block) => {
+        if (block.type === AttachmentBlockType.IMAGE) {
+          // Images without dimensions can't get a responsive layout.
+          if (!block.src || !block.width || !block.height) {
+            return null;
+          }
+          return (
+            <amp-img
+              key={block.id}
+              layout="responsive"
+              src={block.src}
+              width={block.width}
+              height={block.height}
+              alt={block.alt || undefined}
+            />
+          );
+        }
+        if (!block.content) {
+          return null;
+        }
+        return <OutputAttachmentText key={block.id} content={block.content} />;
+      })}
+    </amp-story-page-attachment>
+  );
+}
+
+OutputPageAttachment.propTypes = {
+  attachment: StoryPropTypes.pageAttachment.isRequired,
+};
+
+export default OutputPageAttachment;
@@ -29,7 +29,14 @@ import CustomCSS from './utils/styles';
 import { OutputPage } from './';
 
 function OutputStory({
-  story: { featuredMediaUrl, link, title, autoAdvance, defaultPageDuration },
+  story: {
+    featuredMediaUrl,
+    link,
+    title,
+    autoAdvance,
+    defaultPageDuration,
+    backgroundAudio,
+  },
   pages,
   metadata: { publisher, fallbackPoster, logoPlaceholder },
 }) {
@@ -59,6 +66,7 @@ function OutputStory({
           publisher-logo-src={logoPlaceholder}
           title={title}
           poster-portrait-src={featuredMediaUrl || fallbackPoster}
+          background-audio={backgroundAudio?.src}
         >
           {pages.map((page) => (
             <OutputPage
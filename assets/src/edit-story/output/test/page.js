@@ -117,6 +117,204 @@ describe('Page output', () => {
     ).toBeInTheDocument();
   });
 
+  it('should use background audio duration for auto-advance-after', () => {
+    const props = {
+      page: {
+        id: '123',
+        elements: [],
+        backgroundAudio: {
+          src: 'https://example.com/audio.mp3',
+          mimeType: 'audio/mpeg',
+          length: 12,
+        },
+      },
+      autoAdvance: true,
+      defaultPageDuration: 7,
+    };
+
+    const { container } = render(<PageOutput {...props} />);
+    const page = container.querySelector('amp-story-page');
+
+    expect(page).toHaveAttribute('auto-advance-after', '12s');
+    expect(page).toHaveAttribute(
+      'background-audio',
+      'https://example.com/audio.mp3'
+    );
+  });
+
+  it('should prefer a longer video over background audio', () => {
+    const props = {
+      page: {
+        id: '123',
+        elements: [
+          {
+            id: 'baz',
+            type: 'video',
+            x: 50,
+            y: 100,
+            height: 1920,
+            width: 1080,
+            rotationAngle: 0,
+            resource: {
+              type: 'video',
+              mimeType: 'video/mp4',
+              videoId: 123,
+              src: 'https://example.com/video.mp4',
+              poster: 'https://example.com/poster.png',
+              height: 1920,
+              width: 1080,
+              length: 99,
+            },
+          },
+        ],
+        backgroundAudio: {
+          src: 'https://example.com/audio.mp3',
+          mimeType: 'audio/mpeg',
+          length: 12,
+        },
+      },
+      autoAdvance: true,
+      defaultPageDuration: 7,
+    };
+
+    const { container } = render(<PageOutput {...props} />);
+
+    expect(queryByAutoAdvanceAfter(container, 'el-baz')).toBeInTheDocument();
+  });
+
+  it('should wrap grouped elements in a common container', () => {
+    const shape = {
+      type: 'shape',
+      x: 10,
+      y: 10,
+      width: 50,
+      height: 50,
+      rotationAngle: 0,
+      mask: { type: 'rectangle' },
+      backgroundColor: { color: { r: 255, g: 0, b: 0 } },
+    };
+    const props = {
+      page: {
+        id: '123',
+        elements: [
+          { ...shape, id: 'a' },
+          { ...shape, id: 'b', groupId: 'g1' },
+          { ...shape, id: 'c', groupId: 'g1' },
+        ],
+      },
+      autoAdvance: false,
+    };
+
+    const { container } = render(<PageOutput {...props} />);
+    const group = container.querySelector('.group');
+
+    expect(group).toHaveAttribute('data-group-id', 'g1');
+    expect(group.children).toHaveLength(2);
+    expect(queryById(group, 'el-b')).toBeInTheDocument();
+    expect(queryById(group, 'el-c')).toBeInTheDocument();
+    expect(queryById(group, 'el-a')).not.toBeInTheDocument();
+  });
+
+  it('should leave out hidden elements', () => {
+    const shape = {
+      type: 'shape',
+      x: 10,
+      y: 10,
+      width: 50,
+      height: 50,
+      rotationAngle: 0,
+      mask: { type: 'rectangle' },
+      backgroundColor: { color: { r: 255, g: 0, b: 0 } },
+    };
+    const props = {
+      page: {
+        id: '123',
+        elements: [
+          { ...shape, id: 'a' },
+          { ...shape, id: 'b', isHidden: true },
+        ],
+      },
+      autoAdvance: false,
+    };
+
+    const { container } = render(<PageOutput {...props} />);
+
+    expect(queryById(container, 'el-a')).toBeInTheDocument();
+    expect(queryById(container, 'el-b')).not.toBeInTheDocument();
+  });
+
+  it('should output the page attachment', () => {
+    const props = {
+      page: {
+        id: '123',
+        elements: [],
+        attachment: {
+          title: 'More',
+          ctaText: 'Read more',
+          theme: 'dark',
+          blocks: [
+            { id: '1', type: 'text', content: 'First line\nSecond line' },
+            {
+              id: '2',
+              type: 'image',
+              src: 'https://example.com/image.png',
+              alt: 'Example',
+              width: 400,
+              height: 300,
+            },
+          ],
+        },
+      },
+      autoAdvance: false,
+    };
+
+    const { container } = render(<PageOutput {...props} />);
+    const attachment = container.querySelector('amp-story-page-attachment');
+
+    expect(attachment).toHaveAttribute('theme', 'dark');
+    expect(attachment).toHaveAttribute('data-title', 'More');
+    expect(attachment).toHaveAttribute('data-cta-text', 'Read more');
+    expect(attachment.querySelector('p')).toHaveTextContent(
+      'First lineSecond line'
+    );
+    expect(attachment.querySelector('amp-img')).toHaveAttribute(
+      'src',
+      'https://example.com/image.png'
+    );
+    expect(container.querySelector('amp-story-page').lastChild).toBe(
+      attachment
+    );
+  });
+
+  it('should not output a CTA layer on pages with an attachment', () => {
+    const props = {
+      page: {
+        id: '123',
+        elements: [
+          {
+            id: 'a',
+            type: 'shape',
+            x: 10,
+            y: 600,
+            width: 50,
+            height: 50,
+            rotationAngle: 0,
+            mask: { type: 'rectangle' },
+            backgroundColor: { color: { r: 255, g: 0, b: 0 } },
+            link: { type: 1, url: 'https://example.com' },
+          },
+        ],
+        attachment: { theme: 'light', blocks: [] },
+      },
+      autoAdvance: false,
+    };
+
+    const { container } = render(<PageOutput {...props} />);
+
+    expect(container.querySelector('amp-story-cta-layer')).toBeNull();
+    expect(queryById(container, 'el-a')).toBeInTheDocument();
+  });
+
   describe('AMP validation', () => {
     it('should produce valid AMP output', async () => {
       const props = {
@@ -147,6 +345,42 @@ describe('Page output', () => {
       await expect(<PageOutput {...props} />).toBeValidAMPStoryPage();
     });
 
+    it('should produce valid AMP output with background audio', async () => {
+      const props = {
+        page: {
+          id: '123',
+          elements: [],
+          backgroundAudio: {
+            src: 'https://example.com/audio.mp3',
+            mimeType: 'audio/mpeg',
+            length: 12,
+          },
+        },
+        autoAdvance: true,
+        defaultPageDuration: 7,
+      };
+
+      await expect(<PageOutput {...props} />).toBeValidAMPStoryPage();
+    });
+
+    it('should produce valid AMP output with a page attachment', async () => {
+      const props = {
+        page: {
+          id: '123',
+          elements: [],
+          attachment: {
+            title: 'More',
+            ctaText: 'Read more',
+            theme: 'light',
+            blocks: [{ id: '1', type: 'text', content: 'Hello' }],
+          },
+        },
+        autoAdvance: false,
+      };
+
+      await expect(<PageOutput {...props} />).toBeValidAMPStoryPage();
+    });
+
     // see https://github.com/google/web-stories-wp/issues/536
     // eslint-disable-next-line jest/no-disabled-tests
     it.skip('should produce valid output with media elements', async () => {
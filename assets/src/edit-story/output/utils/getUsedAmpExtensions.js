@@ -45,6 +45,13 @@ const getUsedAmpExtensions = (pages) => {
     src: 'https://cdn.ampproject.org/v0/amp-video-0.1.js',
   };
 
+  const ampStoryInteractive = {
+    name: 'amp-story-interactive',
+    src: 'https://cdn.ampproject.org/v0/amp-story-interactive-0.1.js',
+  };
+
+  // Page attachments are built into amp-story, and their images use the
+  // amp-img element of the runtime, so they don't need any extension.
   for (const { elements } of pages) {
     for (const { type } of elements) {
       switch (type) {
@@ -52,6 +59,10 @@ const getUsedAmpExtensions = (pages) => {
         case 'video':
           extensions.push(ampVideo);
           break;
+        case 'poll':
+        case 'quiz':
+          extensions.push(ampStoryInteractive);
+          break;
         default:
           break;
       }
@@ -49,6 +49,19 @@ function CustomStyles() {
                 overflow: hidden;
               }
 
+              .group {
+                position: absolute;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                pointer-events: none;
+              }
+
+              .group > .wrapper {
+                pointer-events: auto;
+              }
+
               .fill {
                 position: absolute;
                 top: 0;
@@ -90,4 +90,43 @@ describe('getUsedAmpExtensions', () => {
       ])
     );
   });
+
+  it('should include the amp-story-interactive script once for polls and quizzes', () => {
+    const pages = [
+      {
+        elements: [{ type: 'poll' }],
+      },
+      {
+        elements: [{ type: 'quiz' }, { type: 'poll' }],
+      },
+    ];
+
+    const actual = getUsedAmpExtensions(pages);
+
+    expect(actual).toHaveLength(3);
+    expect(actual).toStrictEqual(
+      expect.arrayContaining([
+        {
+          name: 'amp-story-interactive',
+          src: 'https://cdn.ampproject.org/v0/amp-story-interactive-0.1.js',
+        },
+      ])
+    );
+  });
+
+  it('should not include any extra script for page attachments', () => {
+    const pages = [
+      {
+        elements: [{ type: 'text' }],
+        attachment: {
+          theme: 'light',
+          blocks: [{ id: '1', type: 'text', content: 'Hello' }],
+        },
+      },
+    ];
+
+    const actual = getUsedAmpExtensions(pages);
+
+    expect(actual).toHaveLength(2);
+  });
 });
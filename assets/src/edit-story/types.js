@@ -54,6 +54,14 @@ export const PatternPropType = PropTypes.shape({
 
 const StoryPropTypes = {};
 
+StoryPropTypes.audio = PropTypes.shape({
+  id: PropTypes.number,
+  src: PropTypes.string.isRequired,
+  mimeType: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  length: PropTypes.number,
+});
+
 StoryPropTypes.story = PropTypes.shape({
   storyId: PropTypes.number,
   title: PropTypes.string.isRequired,
@@ -67,6 +75,11 @@ StoryPropTypes.story = PropTypes.shape({
   password: PropTypes.string.isRequired,
   autoAdvance: PropTypes.bool,
   defaultPageDuration: PropTypes.number,
+  guides: PropTypes.shape({
+    horizontal: PropTypes.arrayOf(PropTypes.number).isRequired,
+    vertical: PropTypes.arrayOf(PropTypes.number).isRequired,
+  }),
+  backgroundAudio: StoryPropTypes.audio,
 });
 
 StoryPropTypes.mask = PropTypes.shape({
@@ -98,11 +111,30 @@ StoryPropTypes.children = PropTypes.oneOfType([
   PropTypes.node,
 ]);
 
+StoryPropTypes.pageAttachment = PropTypes.shape({
+  title: PropTypes.string,
+  ctaText: PropTypes.string,
+  theme: PropTypes.oneOf(['light', 'dark']),
+  blocks: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      type: PropTypes.oneOf(['text', 'image']).isRequired,
+      content: PropTypes.string,
+      src: PropTypes.string,
+      alt: PropTypes.string,
+      width: PropTypes.number,
+      height: PropTypes.number,
+    })
+  ).isRequired,
+});
+
 StoryPropTypes.page = PropTypes.shape({
   id: PropTypes.string.isRequired,
   elements: PropTypes.arrayOf(PropTypes.shape(StoryPropTypes.element)),
   backgroundElementId: PropTypes.string,
   backgroundOverlay: PropTypes.oneOf(Object.values(OverlayType)),
+  backgroundAudio: StoryPropTypes.audio,
+  attachment: StoryPropTypes.pageAttachment,
 });
 
 StoryPropTypes.imageResource = PropTypes.shape({
@@ -156,6 +188,9 @@ const StoryElementPropTypes = {
   mask: StoryPropTypes.mask,
   link: StoryPropTypes.link,
   opacity: PropTypes.number,
+  groupId: PropTypes.string,
+  isLocked: PropTypes.bool,
+  isHidden: PropTypes.bool,
 };
 
 const StoryMediaPropTypes = {
@@ -215,6 +250,36 @@ StoryPropTypes.elements.shape = PropTypes.shape({
   backgroundColor: PatternPropType,
 });
 
+StoryPropTypes.interactiveOption = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  text: PropTypes.string,
+});
+
+const StoryInteractivePropTypes = {
+  prompt: PropTypes.string,
+  options: PropTypes.arrayOf(StoryPropTypes.interactiveOption).isRequired,
+  theme: PropTypes.oneOf(['light', 'dark']),
+  accentColor: PatternPropType,
+  promptColor: PatternPropType,
+  promptBackgroundColor: PatternPropType,
+};
+
+StoryPropTypes.elements.poll = PropTypes.shape({
+  ...StoryElementPropTypes,
+  ...StoryInteractivePropTypes,
+});
+
+StoryPropTypes.elements.quiz = PropTypes.shape({
+  ...StoryElementPropTypes,
+  ...StoryInteractivePropTypes,
+  correctOptionId: PropTypes.string,
+});
+
+StoryPropTypes.elements.interactive = PropTypes.oneOfType([
+  StoryPropTypes.elements.poll,
+  StoryPropTypes.elements.quiz,
+]);
+
 StoryPropTypes.elements.background = PropTypes.shape({
   ...StoryLayerPropTypes,
   inner: StoryPropTypes.element,
@@ -0,0 +1,66 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+const DOUBLE_DASH_PATTERN = /\-\-/g;
+const DOUBLE_DASH_ESCAPE = '_DOUBLEDASH_';
+
+/**
+ * Serialize a clipboard payload into an HTML comment, so it can be
+ * prepended to the `text/html` clipboard data.
+ *
+ * Double dashes are escaped, as they are not allowed inside HTML comments.
+ *
+ * @param {Object} payload Payload with a `sentinel` property identifying its type
+ * @return {string} HTML comment containing the serialized payload
+ */
+export function serializeClipboardPayload(payload) {
+  const serializedPayload = JSON.stringify(payload).replace(
+    DOUBLE_DASH_PATTERN,
+    DOUBLE_DASH_ESCAPE
+  );
+  return `<!-- ${serializedPayload} -->`;
+}
+
+/**
+ * Find the clipboard payload with the given sentinel in the `text/html`
+ * clipboard data.
+ *
+ * @param {string} html HTML clipboard data
+ * @param {string} sentinel Payload type, e.g. `story-elements`
+ * @return {?Object} Parsed payload or null if none found
+ */
+export function getClipboardPayload(html, sentinel) {
+  if (!html) {
+    return null;
+  }
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  for (let n = template.content.firstChild; n; n = n.nextSibling) {
+    if (n.nodeType !== /* COMMENT */ 8) {
+      continue;
+    }
+    try {
+      const payload = JSON.parse(
+        n.nodeValue.replace(new RegExp(DOUBLE_DASH_ESCAPE, 'g'), '--')
+      );
+      if (payload.sentinel === sentinel) {
+        return payload;
+      }
+    } catch (e) {
+      // Not a payload, ignore.
+    }
+  }
+  return null;
+}
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Get ids of all elements in the same group as the given element,
+ * or just the given element id if it isn't grouped.
+ *
+ * @param {Array.<Object>} elements List of elements on the page
+ * @param {string} elementId Element id
+ * @return {Array.<string>} List of element ids
+ */
+export function getGroupMemberIds(elements, elementId) {
+  const element = elements.find(({ id }) => id === elementId);
+  if (!element?.groupId) {
+    return [elementId];
+  }
+  return elements
+    .filter(({ groupId }) => groupId === element.groupId)
+    .map(({ id }) => id);
+}
+
+/**
+ * Extend a list of element ids with the other members of their groups.
+ *
+ * @param {Array.<Object>} elements List of elements on the page
+ * @param {Array.<string>} elementIds List of element ids
+ * @return {Array.<string>} List of element ids including all group members
+ */
+export function expandToGroups(elements, elementIds) {
+  const groupIds = elements
+    .filter(({ id, groupId }) => groupId && elementIds.includes(id))
+    .map(({ groupId }) => groupId);
+  if (groupIds.length === 0) {
+    return elementIds;
+  }
+  const memberIds = elements
+    .filter(({ groupId }) => groupIds.includes(groupId))
+    .map(({ id }) => id);
+  return [...new Set([...elementIds, ...memberIds])];
+}
+
+/**
+ * Get the id of the group if the given elements are exactly all members of one group.
+ *
+ * @param {Array.<Object>} elements List of elements on the page
+ * @param {Array.<string>} elementIds List of element ids
+ * @return {?string} Group id or null
+ */
+export function getSelectedGroupId(elements, elementIds) {
+  const selected = elements.filter(({ id }) => elementIds.includes(id));
+  const [first] = selected;
+  if (selected.length < 2 || !first.groupId) {
+    return null;
+  }
+  const isWholeGroup = elements.every(
+    ({ id, groupId }) => (groupId === first.groupId) === elementIds.includes(id)
+  );
+  return isWholeGroup ? first.groupId : null;
+}
@@ -0,0 +1,53 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * External dependencies
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Give a page and all of its elements new ids, so that it can be inserted
+ * next to the page it was copied from.
+ *
+ * The background element reference and element groups are updated to match
+ * the new element ids.
+ *
+ * @param {Object} page Page object
+ * @return {Object} Copy of the page with new ids
+ */
+function regeneratePageIds(page) {
+  const { elements = [], backgroundElementId } = page;
+  const newElementIds = {};
+  const newGroupIds = {};
+  const newElements = elements.map(({ id, groupId, ...rest }) => {
+    newElementIds[id] = uuidv4();
+    const element = { ...rest, id: newElementIds[id] };
+    if (groupId) {
+      newGroupIds[groupId] = newGroupIds[groupId] || uuidv4();
+      element.groupId = newGroupIds[groupId];
+    }
+    return element;
+  });
+
+  return {
+    ...page,
+    id: uuidv4(),
+    elements: newElements,
+    backgroundElementId: newElementIds[backgroundElementId] || null,
+  };
+}
+
+export default regeneratePageIds;
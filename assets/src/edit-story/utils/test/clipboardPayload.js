@@ -0,0 +1,42 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * Internal dependencies
+ */
+import {
+  serializeClipboardPayload,
+  getClipboardPayload,
+} from '../clipboardPayload';
+
+describe('clipboardPayload', () => {
+  it('should round-trip a payload through html', () => {
+    const payload = { sentinel: 'story-pages', items: [{ text: 'a -- b' }] };
+    const html = `${serializeClipboardPayload(payload)}<p>Hello</p>`;
+
+    expect(html).not.toContain('a -- b');
+    expect(getClipboardPayload(html, 'story-pages')).toStrictEqual(payload);
+  });
+
+  it('should ignore payloads with a different sentinel', () => {
+    const html = serializeClipboardPayload({ sentinel: 'story-elements' });
+
+    expect(getClipboardPayload(html, 'story-pages')).toBeNull();
+  });
+
+  it('should ignore comments that are not payloads', () => {
+    expect(getClipboardPayload('<!-- hello -->', 'story-pages')).toBeNull();
+  });
+});
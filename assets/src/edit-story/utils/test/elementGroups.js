@@ -0,0 +1,65 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+  getGroupMemberIds,
+  expandToGroups,
+  getSelectedGroupId,
+} from '../elementGroups';
+
+const ELEMENTS = [
+  { id: '1' },
+  { id: '2', groupId: 'a' },
+  { id: '3', groupId: 'a' },
+  { id: '4', groupId: 'b' },
+  { id: '5', groupId: 'b' },
+];
+
+describe('getGroupMemberIds', () => {
+  it('should return all members of the element group', () => {
+    expect(getGroupMemberIds(ELEMENTS, '3')).toStrictEqual(['2', '3']);
+  });
+
+  it('should return only the element if it is not grouped', () => {
+    expect(getGroupMemberIds(ELEMENTS, '1')).toStrictEqual(['1']);
+  });
+});
+
+describe('expandToGroups', () => {
+  it('should add missing group members', () => {
+    expect(expandToGroups(ELEMENTS, ['1', '4'])).toStrictEqual(['1', '4', '5']);
+  });
+
+  it('should return the same list if nothing is grouped', () => {
+    const ids = ['1'];
+    expect(expandToGroups(ELEMENTS, ids)).toBe(ids);
+  });
+});
+
+describe('getSelectedGroupId', () => {
+  it('should return the group id for a complete group', () => {
+    expect(getSelectedGroupId(ELEMENTS, ['3', '2'])).toBe('a');
+  });
+
+  it('should return null for a partial or mixed selection', () => {
+    expect(getSelectedGroupId(ELEMENTS, ['2'])).toBeNull();
+    expect(getSelectedGroupId(ELEMENTS, ['1', '2', '3'])).toBeNull();
+    expect(getSelectedGroupId(ELEMENTS, ['2', '3', '4', '5'])).toBeNull();
+  });
+});
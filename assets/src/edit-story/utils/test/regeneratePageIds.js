@@ -0,0 +1,65 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * Internal dependencies
+ */
+import regeneratePageIds from '../regeneratePageIds';
+
+describe('regeneratePageIds', () => {
+  const page = {
+    id: 'p1',
+    backgroundElementId: 'e1',
+    backgroundOverlay: 'linear',
+    elements: [
+      { id: 'e1', type: 'shape', isBackground: true },
+      { id: 'e2', type: 'text', groupId: 'g1' },
+      { id: 'e3', type: 'text', groupId: 'g1' },
+    ],
+  };
+
+  it('should give the page and all elements new ids', () => {
+    const result = regeneratePageIds(page);
+
+    expect(result.id).not.toBe('p1');
+    const ids = result.elements.map(({ id }) => id);
+    expect(ids).not.toContain('e1');
+    expect(ids).not.toContain('e2');
+    expect(ids).not.toContain('e3');
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  it('should keep the background element and overlay', () => {
+    const result = regeneratePageIds(page);
+
+    expect(result.backgroundElementId).toBe(result.elements[0].id);
+    expect(result.backgroundOverlay).toBe('linear');
+  });
+
+  it('should keep grouped elements together under a new group id', () => {
+    const result = regeneratePageIds(page);
+
+    const [, first, second] = result.elements;
+    expect(first.groupId).not.toBe('g1');
+    expect(first.groupId).toBe(second.groupId);
+  });
+
+  it('should not modify the original page', () => {
+    regeneratePageIds(page);
+
+    expect(page.id).toBe('p1');
+    expect(page.elements[0].id).toBe('e1');
+  });
+});
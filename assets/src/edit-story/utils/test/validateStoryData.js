@@ -0,0 +1,243 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import validateStoryData from '../validateStoryData';
+
+const TEXT = {
+  id: 't1',
+  type: 'text',
+  x: 10,
+  y: 20,
+  width: 100,
+  height: 50,
+  rotationAngle: 0,
+  content: 'Hello',
+  color: { color: { r: 0, g: 0, b: 0 } },
+};
+
+const IMAGE = {
+  id: 'i1',
+  type: 'image',
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 100,
+  rotationAngle: 0,
+  scale: 100,
+  resource: { src: 'https://example.com/a.jpg' },
+};
+
+const POLL = {
+  id: 'q1',
+  type: 'poll',
+  x: 0,
+  y: 0,
+  width: 200,
+  height: 150,
+  rotationAngle: 0,
+  prompt: 'Cats or dogs?',
+  options: [
+    { id: 'o1', text: 'Cats' },
+    { id: 'o2', text: 'Dogs' },
+  ],
+  theme: 'light',
+  accentColor: { color: { r: 0, g: 90, b: 240 } },
+};
+
+function getPages(elements, extra = {}) {
+  return [{ id: 'p1', backgroundOverlay: 'none', elements, ...extra }];
+}
+
+describe('validateStoryData', () => {
+  it('should leave valid story data unchanged', () => {
+    const storyData = { version: 13, pages: getPages([TEXT, IMAGE]) };
+
+    const { storyData: result, issues, quarantine } = validateStoryData(
+      storyData
+    );
+
+    expect(result).toStrictEqual(storyData);
+    expect(issues).toStrictEqual([]);
+    expect(quarantine).toStrictEqual([]);
+  });
+
+  it('should accept null for optional properties', () => {
+    const storyData = {
+      pages: getPages([{ ...TEXT, backgroundColor: null, link: null }]),
+    };
+
+    const { storyData: result, issues } = validateStoryData(storyData);
+
+    expect(result).toStrictEqual(storyData);
+    expect(issues).toStrictEqual([]);
+  });
+
+  it('should reset null required properties to their fallback', () => {
+    const { storyData, issues } = validateStoryData({
+      pages: getPages([{ ...TEXT, rotationAngle: null }]),
+    });
+
+    expect(storyData.pages[0].elements[0].rotationAngle).toBe(0);
+    expect(issues).toStrictEqual([
+      {
+        pageIndex: 0,
+        elementType: 'text',
+        isDropped: false,
+        reason: 'rotationAngle',
+      },
+    ]);
+  });
+
+  it('should default a null page overlay without reporting it', () => {
+    const { storyData, issues } = validateStoryData({
+      pages: getPages([TEXT], { backgroundOverlay: null }),
+    });
+
+    expect(storyData.pages[0].backgroundOverlay).toBe('none');
+    expect(issues).toStrictEqual([]);
+  });
+
+  it('should keep valid polls and quizzes', () => {
+    const quiz = { ...POLL, id: 'q2', type: 'quiz', correctOptionId: 'o1' };
+    const storyData = { pages: getPages([POLL, quiz]) };
+
+    const { storyData: result, issues, quarantine } = validateStoryData(
+      storyData
+    );
+
+    expect(result).toStrictEqual(storyData);
+    expect(issues).toStrictEqual([]);
+    expect(quarantine).toStrictEqual([]);
+  });
+
+  it('should repair interactive styles and quarantine invalid options', () => {
+    const broken = { ...POLL, id: 'q2', options: [{ id: 'o1' }] };
+    const { storyData, issues } = validateStoryData({
+      pages: getPages([{ ...POLL, theme: 'neon' }, broken]),
+    });
+
+    expect(storyData.pages[0].elements).toStrictEqual([
+      { ...POLL, theme: 'light' },
+    ]);
+    expect(issues).toStrictEqual([
+      { pageIndex: 0, elementType: 'poll', isDropped: false, reason: 'theme' },
+      { pageIndex: 0, elementType: 'poll', isDropped: true, reason: 'options' },
+    ]);
+  });
+
+  it('should handle missing story data', () => {
+    const { storyData, issues } = validateStoryData(undefined);
+
+    expect(storyData.pages).toStrictEqual([]);
+    expect(issues).toStrictEqual([]);
+  });
+
+  it('should generate missing and duplicate ids', () => {
+    const { storyData, issues } = validateStoryData({
+      pages: [
+        { elements: [{ ...TEXT, id: undefined }] },
+        { id: 'p2', elements: [TEXT, TEXT] },
+      ],
+    });
+
+    const [first, second] = storyData.pages;
+    expect(first.id).toStrictEqual(expect.any(String));
+    expect(first.elements[0].id).toStrictEqual(expect.any(String));
+    expect(second.elements[0].id).toBe('t1');
+    expect(second.elements[1].id).not.toBe('t1');
+    expect(issues).toHaveLength(3);
+  });
+
+  it('should repair invalid coordinates and optional properties', () => {
+    const { storyData, issues } = validateStoryData({
+      pages: getPages([{ ...TEXT, x: NaN, opacity: 'full', groupId: 5 }]),
+    });
+
+    const [element] = storyData.pages[0].elements;
+    expect(element.x).toBe(0);
+    expect(element.opacity).toBe(100);
+    expect(element).not.toHaveProperty('groupId');
+    expect(issues).toStrictEqual([
+      { pageIndex: 0, elementType: 'text', isDropped: false, reason: 'x' },
+    ]);
+  });
+
+  it('should quarantine elements of unknown type', () => {
+    const unknown = { ...TEXT, id: 'u1', type: 'sticker' };
+    const { storyData, issues, quarantine } = validateStoryData({
+      pages: getPages([TEXT, unknown]),
+    });
+
+    expect(storyData.pages[0].elements).toStrictEqual([TEXT]);
+    expect(quarantine).toStrictEqual([{ pageId: 'p1', element: unknown }]);
+    expect(issues).toStrictEqual([
+      {
+        pageIndex: 0,
+        elementType: 'sticker',
+        isDropped: true,
+        reason: 'unknownType',
+      },
+    ]);
+  });
+
+  it('should quarantine elements that cannot be repaired', () => {
+    const broken = { ...IMAGE, resource: null };
+    const { storyData, quarantine } = validateStoryData({
+      pages: getPages([broken, { ...TEXT, width: -5 }]),
+    });
+
+    expect(storyData.pages[0].elements).toStrictEqual([]);
+    expect(quarantine).toHaveLength(2);
+  });
+
+  it('should reset a dangling background element id', () => {
+    const background = { ...IMAGE, isBackground: true };
+    const { storyData, issues } = validateStoryData({
+      pages: [
+        ...getPages([background], { backgroundElementId: 'missing' }),
+        { id: 'p2', elements: [TEXT], backgroundElementId: 'missing' },
+      ],
+    });
+
+    expect(storyData.pages[0].backgroundElementId).toBe('i1');
+    expect(storyData.pages[1].backgroundElementId).toBeNull();
+    expect(issues).toHaveLength(2);
+  });
+
+  it('should repair invalid page properties', () => {
+    const { storyData } = validateStoryData({
+      pages: [{ id: 'p1', elements: 'none', backgroundOverlay: 'sparkles' }],
+    });
+
+    expect(storyData.pages[0]).toStrictEqual({
+      id: 'p1',
+      elements: [],
+      backgroundOverlay: 'none',
+    });
+  });
+
+  it('should quarantine invalid pages', () => {
+    const { storyData, quarantine } = validateStoryData({
+      pages: [null, ...getPages([TEXT])],
+    });
+
+    expect(storyData.pages).toHaveLength(1);
+    expect(quarantine).toStrictEqual([{ page: null }]);
+  });
+});
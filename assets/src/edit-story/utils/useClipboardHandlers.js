@@ -25,8 +25,16 @@ const BLACKLIST_CLIPBOARD_ELEMENTS = ['INPUT', 'TEXTAREA', 'BUTTON'];
  * @param {?Element} container
  * @param {function(!ClipboardEvent)} copyCutHandler
  * @param {function(!ClipboardEvent)} pasteHandler
+ * @param {Object} [options]
+ * @param {boolean} [options.allowButtons] Whether focused buttons in the
+ * container can be a copy/paste target, e.g. for lists of page thumbnails.
  */
-function useClipboardHandlers(container, copyCutHandler, pasteHandler) {
+function useClipboardHandlers(
+  container,
+  copyCutHandler,
+  pasteHandler,
+  { allowButtons = false } = {}
+) {
   useEffect(() => {
     if (!container) {
       return undefined;
@@ -36,7 +44,7 @@ function useClipboardHandlers(container, copyCutHandler, pasteHandler) {
       const { target, clipboardData } = evt;
 
       // Elements that either handle their own clipboard or use platform.
-      if (!isCopyPasteTarget(target)) {
+      if (!isCopyPasteTarget(target, allowButtons)) {
         return;
       }
 
@@ -58,7 +66,7 @@ function useClipboardHandlers(container, copyCutHandler, pasteHandler) {
       const { target } = evt;
 
       // Elements that either handle their own clipboard or use platform.
-      if (!isCopyPasteTarget(target)) {
+      if (!isCopyPasteTarget(target, allowButtons)) {
         return;
       }
 
@@ -79,18 +87,20 @@ function useClipboardHandlers(container, copyCutHandler, pasteHandler) {
       document.removeEventListener('cut', copyCutHandlerWrapper);
       document.removeEventListener('paste', pasteHandlerWrapper);
     };
-  }, [container, copyCutHandler, pasteHandler]);
+  }, [container, copyCutHandler, pasteHandler, allowButtons]);
 }
 
 /**
  * @param {?Element} target
+ * @param {boolean} allowButtons
  * @return {boolean} Where the target can be used for copy/paste. This mainly
  * ignores platform level targets.
  */
-function isCopyPasteTarget(target) {
+function isCopyPasteTarget(target, allowButtons) {
   return (
     target &&
-    !BLACKLIST_CLIPBOARD_ELEMENTS.includes(target.tagName) &&
+    (!BLACKLIST_CLIPBOARD_ELEMENTS.includes(target.tagName) ||
+      (allowButtons && target.tagName === 'BUTTON')) &&
     !target.closest('[contenteditable="true"]')
   );
 }
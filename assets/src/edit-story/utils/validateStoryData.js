@@ -0,0 +1,270 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Internal dependencies
+ */
+import { elementTypes } from '../elements';
+import {
+  InteractiveTheme,
+  MAX_OPTIONS,
+  MIN_OPTIONS,
+} from '../elements/interactive/util';
+import { OverlayType } from './backgroundOverlay';
+import createSolid from './createSolid';
+
+const isString = (value) => typeof value === 'string';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositiveNumber = (value) => isNumber(value) && value > 0;
+const isBool = (value) => typeof value === 'boolean';
+const isObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isPattern = (value) =>
+  isObject(value) && (isObject(value.color) || Array.isArray(value.stops));
+const isInteractiveOption = (value) =>
+  isObject(value) &&
+  isString(value.id) &&
+  Boolean(value.id) &&
+  (value.text === undefined || isString(value.text));
+const isInteractiveOptions = (value) =>
+  Array.isArray(value) &&
+  value.length >= MIN_OPTIONS &&
+  value.length <= MAX_OPTIONS &&
+  value.every(isInteractiveOption);
+
+/*
+ * Property checks per element type, following the shapes in `types.js`.
+ *
+ * Required properties with a `fallback` are reset to it when invalid, other
+ * invalid required properties cause the element to be quarantined. Optional
+ * properties may be null or undefined, other invalid optional properties are
+ * reset to the element type's default attributes, or removed if there is
+ * no default.
+ */
+const ELEMENT_SCHEMA = {
+  x: { check: isNumber, isRequired: true, fallback: 0 },
+  y: { check: isNumber, isRequired: true, fallback: 0 },
+  width: { check: isPositiveNumber, isRequired: true },
+  height: { check: isPositiveNumber, isRequired: true },
+  rotationAngle: { check: isNumber, isRequired: true, fallback: 0 },
+  flip: { check: isObject },
+  isFill: { check: isBool },
+  mask: { check: (value) => isObject(value) && isString(value.type) },
+  link: { check: (value) => isObject(value) && isString(value.url) },
+  opacity: { check: isNumber },
+  groupId: { check: isString },
+  isLocked: { check: isBool },
+  isHidden: { check: isBool },
+};
+
+const MEDIA_SCHEMA = {
+  ...ELEMENT_SCHEMA,
+  scale: { check: isNumber, isRequired: true, fallback: 100 },
+  focalX: { check: isNumber },
+  focalY: { check: isNumber },
+  resource: {
+    check: (value) => isObject(value) && isString(value.src),
+    isRequired: true,
+  },
+};
+
+const INTERACTIVE_SCHEMA = {
+  ...ELEMENT_SCHEMA,
+  prompt: { check: isString },
+  options: { check: isInteractiveOptions, isRequired: true },
+  theme: {
+    check: (value) => Object.values(InteractiveTheme).includes(value),
+  },
+  accentColor: { check: isPattern },
+  promptColor: { check: isPattern },
+  promptBackgroundColor: { check: isPattern },
+};
+
+const SCHEMA_BY_TYPE = {
+  text: {
+    ...ELEMENT_SCHEMA,
+    content: { check: isString, isRequired: true, fallback: '' },
+    color: {
+      check: isPattern,
+      isRequired: true,
+      fallback: createSolid(0, 0, 0),
+    },
+    backgroundColor: { check: isPattern },
+    fontSize: { check: isNumber },
+    fontWeight: { check: isNumber },
+    letterSpacing: { check: isNumber },
+    lineHeight: { check: isNumber },
+    padding: { check: isObject },
+  },
+  shape: {
+    ...ELEMENT_SCHEMA,
+    backgroundColor: { check: isPattern },
+  },
+  image: MEDIA_SCHEMA,
+  video: MEDIA_SCHEMA,
+  poll: INTERACTIVE_SCHEMA,
+  quiz: {
+    ...INTERACTIVE_SCHEMA,
+    correctOptionId: { check: isString },
+  },
+};
+
+/**
+ * Repair a single element, if possible.
+ *
+ * @param {Object} element Element
+ * @return {{element: ?Object, isFixed: boolean, reason: ?string}} Repaired element
+ * and the first invalid property, or null element with the reason if it can't be repaired.
+ */
+function validateElement(element) {
+  if (!isObject(element)) {
+    return { element: null, isFixed: false, reason: 'invalid' };
+  }
+
+  const schema = SCHEMA_BY_TYPE[element.type];
+  const definition = elementTypes.find(({ type }) => type === element.type);
+  if (!schema || !definition) {
+    return { element: null, isFixed: false, reason: 'unknownType' };
+  }
+
+  const defaultAttributes = definition.defaultAttributes || {};
+  const repaired = { ...element };
+  let fixedKey = null;
+
+  for (const [key, { check, isRequired, fallback }] of Object.entries(schema)) {
+    const value = repaired[key];
+    const isUnset = value === undefined || value === null;
+    if ((isUnset && !isRequired) || check(value)) {
+      continue;
+    }
+    if (isRequired && fallback === undefined) {
+      return { element: null, isFixed: false, reason: key };
+    }
+    fixedKey = fixedKey || key;
+    if (isRequired) {
+      repaired[key] = fallback;
+    } else if (check(defaultAttributes[key])) {
+      repaired[key] = defaultAttributes[key];
+    } else {
+      delete repaired[key];
+    }
+  }
+
+  return { element: repaired, isFixed: Boolean(fixedKey), reason: fixedKey };
+}
+
+/**
+ * Validate story data after migration, and repair it where possible.
+ *
+ * Pages and elements missing ids or with duplicate ids get new ones. Invalid
+ * properties are reset as described for the schema above, and a dangling
+ * `backgroundElementId` is reset. Elements of unknown type and elements that
+ * can't be repaired are removed from their page and returned as quarantined,
+ * so they aren't lost for good.
+ *
+ * @param {Object} storyData Migrated story data
+ * @return {{storyData: Object, issues: Array<Object>, quarantine: Array<Object>}}
+ * Repaired story data, list of issues found and quarantined content.
+ */
+function validateStoryData(storyData) {
+  const issues = [];
+  const quarantine = [];
+  const pageIds = new Set();
+  const elementIds = new Set();
+
+  const getUniqueId = (id, usedIds) => {
+    const uniqueId = isString(id) && id && !usedIds.has(id) ? id : uuidv4();
+    usedIds.add(uniqueId);
+    return uniqueId;
+  };
+
+  const rawPages = Array.isArray(storyData?.pages) ? storyData.pages : [];
+  const pages = [];
+  rawPages.forEach((rawPage, pageIndex) => {
+    if (!isObject(rawPage)) {
+      issues.push({ pageIndex, isDropped: true, reason: 'invalid' });
+      quarantine.push({ page: rawPage });
+      return;
+    }
+
+    const page = { ...rawPage };
+    page.id = getUniqueId(rawPage.id, pageIds);
+    if (page.id !== rawPage.id) {
+      issues.push({ pageIndex, isDropped: false, reason: 'id' });
+    }
+    if (
+      page.backgroundOverlay === undefined ||
+      page.backgroundOverlay === null
+    ) {
+      page.backgroundOverlay = OverlayType.NONE;
+    } else if (!Object.values(OverlayType).includes(page.backgroundOverlay)) {
+      page.backgroundOverlay = OverlayType.NONE;
+      issues.push({ pageIndex, isDropped: false, reason: 'backgroundOverlay' });
+    }
+
+    const rawElements = Array.isArray(rawPage.elements) ? rawPage.elements : [];
+    if (rawElements !== rawPage.elements) {
+      issues.push({ pageIndex, isDropped: false, reason: 'elements' });
+    }
+
+    page.elements = [];
+    rawElements.forEach((rawElement) => {
+      const { element, isFixed, reason } = validateElement(rawElement);
+      const elementType = rawElement?.type;
+      if (!element) {
+        issues.push({ pageIndex, elementType, isDropped: true, reason });
+        quarantine.push({ pageId: page.id, element: rawElement });
+        return;
+      }
+      element.id = getUniqueId(rawElement.id, elementIds);
+      if (element.id !== rawElement.id) {
+        // Keep the page background if only its id was broken.
+        if (page.backgroundElementId === rawElement.id) {
+          page.backgroundElementId = element.id;
+        }
+        issues.push({ pageIndex, elementType, isDropped: false, reason: 'id' });
+      } else if (isFixed) {
+        issues.push({ pageIndex, elementType, isDropped: false, reason });
+      }
+      page.elements.push(element);
+    });
+
+    const { backgroundElementId } = page;
+    const hasBackground = page.elements.some(
+      ({ id }) => id === backgroundElementId
+    );
+    if (backgroundElementId && !hasBackground) {
+      const background = page.elements.find(({ isBackground }) => isBackground);
+      page.backgroundElementId = background ? background.id : null;
+      issues.push({ pageIndex, isDropped: false, reason: 'background' });
+    }
+
+    pages.push(page);
+  });
+
+  return {
+    storyData: { ...storyData, pages },
+    issues,
+    quarantine,
+  };
+}
+
+export default validateStoryData;
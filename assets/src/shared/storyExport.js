@@ -0,0 +1,294 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { DATA_VERSION, migrate } from '../edit-story/migration';
+import getStoryMarkup from '../edit-story/output/utils/getStoryMarkup';
+import objectPick from '../edit-story/utils/objectPick';
+import cleanForSlug from '../edit-story/utils/cleanForSlug';
+import validateStoryData from '../edit-story/utils/validateStoryData';
+
+export { DATA_VERSION };
+
+export const STORY_EXPORT_TYPE = 'web-stories-story';
+
+// Site-specific properties like author, featured media or publisher logo
+// are left out, as they can't be expected to exist on another site.
+// Neither is the password, which must never end up in a downloaded file.
+const EXPORTED_STORY_PROPS = ['title', 'excerpt', 'slug', 'stylePresets'];
+
+function createUserError(message) {
+  const error = new Error(message);
+  error.isUserError = true;
+  return error;
+}
+
+/**
+ * Create a versioned export object for a story.
+ *
+ * @param {Object} story Story-global properties
+ * @param {Array<Object>} pages List of pages
+ * @return {Object} Export object that can be serialized to JSON
+ */
+export function createStoryExport(story, pages) {
+  return {
+    type: STORY_EXPORT_TYPE,
+    version: DATA_VERSION,
+    story: objectPick(story, EXPORTED_STORY_PROPS),
+    story_data: {
+      version: DATA_VERSION,
+      pages,
+      autoAdvance: story.autoAdvance,
+      defaultPageDuration: story.defaultPageDuration,
+      guides: story.guides,
+    },
+  };
+}
+
+/**
+ * Create a versioned export object for a story post from the REST API.
+ *
+ * The story data is migrated to the current version first, so the export
+ * has the same shape as one from the editor.
+ *
+ * @param {Object} post Story post object in the `edit` context
+ * @return {Object} Export object that can be serialized to JSON
+ * @throws {Error} User error if the story has no pages
+ */
+export function createStoryExportFromPost(post) {
+  const { story_data: storyDataRaw } = post;
+  if (!storyDataRaw?.pages?.length) {
+    throw createUserError(
+      __('The story has no pages to export.', 'web-stories')
+    );
+  }
+
+  const { pages, ...storyData } = migrate(
+    storyDataRaw,
+    storyDataRaw.version || 0
+  );
+  return createStoryExport(
+    {
+      ...storyData,
+      title: post.title.raw,
+      excerpt: post.excerpt.raw,
+      slug: post.slug,
+      stylePresets: post.style_presets,
+    },
+    pages
+  );
+}
+
+/**
+ * Trigger a download of the story export as a JSON file.
+ *
+ * @param {Object} storyExport Export object as created by `createStoryExport`
+ */
+export function downloadStoryExport(storyExport) {
+  const blob = new window.Blob([JSON.stringify(storyExport)], {
+    type: 'application/json',
+  });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${cleanForSlug(storyExport.story.title) || 'story'}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Read the contents of a file selected by the user.
+ *
+ * @param {File} file File object
+ * @return {Promise<string>} File contents
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Parse the contents of a story export file.
+ *
+ * The story data is migrated from the version declared in the file to the
+ * current data version and validated afterwards, just like when loading a
+ * story in the editor. Content that can't be repaired is kept aside in the
+ * story's quarantine.
+ *
+ * @param {string} contents File contents
+ * @return {{story: Object, pages: Array<Object>, issues: Array<Object>}} Story
+ * properties, pages and issues found when validating the story data.
+ * @throws {Error} User error if the file isn't a valid story export
+ */
+export function parseStoryExport(contents) {
+  let storyExport;
+  try {
+    storyExport = JSON.parse(contents);
+  } catch (e) {
+    throw createUserError(
+      __('The file is not a valid JSON file.', 'web-stories')
+    );
+  }
+
+  if (storyExport?.type !== STORY_EXPORT_TYPE || !storyExport.story_data) {
+    throw createUserError(__('The file is not a story export.', 'web-stories'));
+  }
+
+  const version = Number(storyExport.story_data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw createUserError(
+      __('The story export has no valid version.', 'web-stories')
+    );
+  }
+  if (version > DATA_VERSION) {
+    throw createUserError(
+      sprintf(
+        /* translators: %d: data version of the file. */
+        __(
+          'The story was exported from a newer version (%d) of the editor.',
+          'web-stories'
+        ),
+        version
+      )
+    );
+  }
+
+  const { storyData, issues, quarantine } = validateStoryData(
+    migrate(storyExport.story_data, version)
+  );
+  const { pages, autoAdvance, defaultPageDuration, guides } = storyData;
+  if (pages.length === 0) {
+    throw createUserError(
+      __('The story export contains no valid pages.', 'web-stories')
+    );
+  }
+
+  return {
+    story: {
+      ...objectPick(storyExport.story || {}, EXPORTED_STORY_PROPS),
+      autoAdvance,
+      defaultPageDuration,
+      guides,
+      quarantine,
+    },
+    pages,
+    issues,
+  };
+}
+
+/**
+ * Get all media resources used in the given pages, uniquely by source.
+ *
+ * @param {Array<Object>} pages List of pages
+ * @return {Array<Object>} List of media resources
+ */
+export function getMediaResources(pages) {
+  const resources = {};
+  pages.forEach(({ elements }) =>
+    elements.forEach(({ resource }) => {
+      if (resource?.src) {
+        resources[resource.src] = resource;
+      }
+    })
+  );
+  return Object.values(resources);
+}
+
+/**
+ * Import a story from an export file as a new draft.
+ *
+ * Media attachments referenced by the story are looked up on this site,
+ * and the ones that can't be found are returned, so they can be reported
+ * together with the content that had to be repaired.
+ *
+ * @param {string} contents File contents
+ * @param {Object} api API callbacks
+ * @param {Function} api.saveStoryById Saves a story, creating it if no id is given
+ * @param {Function} api.getMediaById Fetches a media attachment by id
+ * @param {Object} api.metadata Metadata for generating the story markup
+ * @return {Promise<{post: Object, unresolvedMedia: Array<string>, issues: Array<Object>}>}
+ * Created story post, the sources of all media that could not be resolved and
+ * the issues found when validating the story data.
+ */
+export async function importStory(
+  contents,
+  { saveStoryById, getMediaById, metadata }
+) {
+  const { story, pages, issues } = parseStoryExport(contents);
+
+  const unresolvedMedia = [];
+  await Promise.all(
+    getMediaResources(pages).map(async ({ id, src }) => {
+      try {
+        const media = await getMediaById(id);
+        if (media.source_url !== src) {
+          unresolvedMedia.push(src);
+        }
+      } catch (e) {
+        unresolvedMedia.push(src);
+      }
+    })
+  );
+
+  // Story data can only be saved together with the story markup.
+  const draft = { ...story, status: 'draft' };
+  const post = await saveStoryById({
+    ...draft,
+    pages,
+    content: getStoryMarkup(draft, pages, metadata),
+  });
+
+  return { post, unresolvedMedia, issues };
+}
+
+/**
+ * Get the notice to show the user after a story was imported.
+ *
+ * @param {Object} result Result of `importStory`
+ * @param {Array<string>} result.unresolvedMedia Media that could not be found
+ * @param {Array<Object>} result.issues Issues found in the story data
+ * @return {{message: string, list: Array<string>}} Notice message and list of
+ * media that could not be found.
+ */
+export function getImportNotice({ unresolvedMedia, issues }) {
+  const messages = [__('Story imported as a new draft.', 'web-stories')];
+  if (issues.length > 0) {
+    messages.push(
+      __(
+        'Some content of the story was damaged and has been repaired.',
+        'web-stories'
+      )
+    );
+  }
+  if (unresolvedMedia.length > 0) {
+    messages.push(
+      __('The following media could not be found on this site:', 'web-stories')
+    );
+  }
+  return { message: messages.join(' '), list: unresolvedMedia };
+}
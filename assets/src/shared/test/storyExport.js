@@ -0,0 +1,291 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { DATA_VERSION } from '../../edit-story/migration';
+import {
+  createStoryExport,
+  createStoryExportFromPost,
+  getImportNotice,
+  parseStoryExport,
+  importStory,
+  STORY_EXPORT_TYPE,
+} from '../storyExport';
+
+const GEOMETRY = { x: 0, y: 0, width: 100, height: 100, rotationAngle: 0 };
+
+const TEXT = {
+  ...GEOMETRY,
+  id: 'e1',
+  type: 'text',
+  content: 'Hello',
+  color: { color: { r: 0, g: 0, b: 0 } },
+};
+
+const PAGES = [
+  {
+    id: 'p1',
+    backgroundElementId: 'e1',
+    backgroundOverlay: 'none',
+    elements: [
+      {
+        ...GEOMETRY,
+        id: 'e1',
+        type: 'image',
+        scale: 100,
+        resource: { id: 10, src: 'https://example.com/a.jpg' },
+      },
+      {
+        ...GEOMETRY,
+        id: 'e2',
+        type: 'video',
+        scale: 100,
+        resource: { id: 11, src: 'https://example.com/b.mp4' },
+      },
+    ],
+  },
+];
+
+function getExportJSON(overrides = {}) {
+  return JSON.stringify({
+    ...createStoryExport(
+      { title: 'Story', excerpt: 'About', author: 1, featuredMedia: 5 },
+      PAGES
+    ),
+    ...overrides,
+  });
+}
+
+describe('createStoryExport', () => {
+  it('should create a versioned export without site-specific properties', () => {
+    const result = createStoryExport(
+      {
+        title: 'Story',
+        author: 1,
+        featuredMedia: 5,
+        password: 'secret',
+        autoAdvance: true,
+      },
+      PAGES
+    );
+
+    expect(result).toMatchObject({
+      type: STORY_EXPORT_TYPE,
+      version: DATA_VERSION,
+      story: { title: 'Story' },
+      story_data: {
+        version: DATA_VERSION,
+        pages: PAGES,
+        autoAdvance: true,
+      },
+    });
+    expect(result.story).not.toHaveProperty('author');
+    expect(result.story).not.toHaveProperty('featuredMedia');
+    expect(result.story).not.toHaveProperty('password');
+  });
+});
+
+describe('createStoryExportFromPost', () => {
+  const post = {
+    title: { raw: 'Story' },
+    excerpt: { raw: 'About' },
+    slug: 'story',
+    password: 'secret',
+    style_presets: {},
+  };
+
+  it('should export the story data of the post', () => {
+    const result = createStoryExportFromPost({
+      ...post,
+      story_data: {
+        version: DATA_VERSION,
+        pages: PAGES,
+        autoAdvance: true,
+      },
+    });
+
+    expect(result).toMatchObject({
+      story: { title: 'Story', excerpt: 'About', slug: 'story' },
+      story_data: {
+        version: DATA_VERSION,
+        autoAdvance: true,
+      },
+    });
+    expect(result.story_data.pages).toHaveLength(1);
+    expect(result.story).not.toHaveProperty('password');
+  });
+
+  it('should export the guides of the post', () => {
+    const guides = { horizontal: [100], vertical: [50, 200] };
+    const result = createStoryExportFromPost({
+      ...post,
+      story_data: { version: DATA_VERSION, pages: PAGES, guides },
+    });
+
+    expect(result.story_data.guides).toStrictEqual(guides);
+  });
+
+  it.each([null, {}, { version: DATA_VERSION, pages: [] }])(
+    'should throw a user error for story data %p',
+    (storyData) => {
+      expect.assertions(1);
+      try {
+        createStoryExportFromPost({ ...post, story_data: storyData });
+      } catch (e) {
+        expect(e.isUserError).toBe(true);
+      }
+    }
+  );
+});
+
+describe('parseStoryExport', () => {
+  it('should return story properties and pages', () => {
+    const { story, pages } = parseStoryExport(getExportJSON());
+
+    expect(story).toMatchObject({ title: 'Story', excerpt: 'About' });
+    expect(story.author).toBeUndefined();
+    expect(pages).toHaveLength(1);
+  });
+
+  it('should migrate the story data from the declared version', () => {
+    const contents = JSON.stringify({
+      type: STORY_EXPORT_TYPE,
+      story: { title: 'Old story' },
+      story_data: {
+        version: 12,
+        pages: [{ id: 'p1', elements: [TEXT] }],
+      },
+    });
+
+    const { pages } = parseStoryExport(contents);
+
+    expect(pages[0].elements[0]).toStrictEqual({
+      ...TEXT,
+      isLocked: false,
+      isHidden: false,
+    });
+  });
+
+  it.each([
+    ['invalid JSON', '{'],
+    ['not an export', JSON.stringify({ pages: [] })],
+    ['missing version', getExportJSON({ story_data: { pages: PAGES } })],
+    [
+      'newer version',
+      getExportJSON({
+        story_data: { version: DATA_VERSION + 1, pages: PAGES },
+      }),
+    ],
+    [
+      'no pages',
+      getExportJSON({ story_data: { version: DATA_VERSION, pages: [] } }),
+    ],
+    [
+      'invalid pages',
+      getExportJSON({ story_data: { version: DATA_VERSION, pages: [null] } }),
+    ],
+  ])('should throw a user error for %s', (_, contents) => {
+    expect.assertions(1);
+    try {
+      parseStoryExport(contents);
+    } catch (e) {
+      expect(e.isUserError).toBe(true);
+    }
+  });
+
+  it('should quarantine invalid elements and report them', () => {
+    const invalidElement = { id: 'e2', type: 'unknown' };
+    const contents = getExportJSON({
+      story_data: {
+        version: DATA_VERSION,
+        pages: [{ id: 'p1', elements: [TEXT, invalidElement] }],
+      },
+    });
+
+    const { story, pages, issues } = parseStoryExport(contents);
+
+    expect(pages[0].elements).toHaveLength(1);
+    expect(story.quarantine).toStrictEqual([
+      { pageId: 'p1', element: invalidElement },
+    ]);
+    expect(issues).toStrictEqual([
+      expect.objectContaining({ pageIndex: 0, isDropped: true }),
+    ]);
+  });
+});
+
+describe('getImportNotice', () => {
+  it('should mention repaired content and list unresolved media', () => {
+    const { message, list } = getImportNotice({
+      unresolvedMedia: ['https://example.com/b.mp4'],
+      issues: [{ pageIndex: 0, isDropped: true }],
+    });
+
+    expect(message).toContain('damaged');
+    expect(message).toContain('could not be found');
+    expect(list).toStrictEqual(['https://example.com/b.mp4']);
+  });
+
+  it('should only confirm the import if there were no problems', () => {
+    const { message, list } = getImportNotice({
+      unresolvedMedia: [],
+      issues: [],
+    });
+
+    expect(message).toBe('Story imported as a new draft.');
+    expect(list).toStrictEqual([]);
+  });
+});
+
+describe('importStory', () => {
+  it('should create a new draft and report unresolved media', async () => {
+    const saveStoryById = jest.fn(() => Promise.resolve({ id: 123 }));
+    const getMediaById = jest.fn((id) =>
+      id === 10
+        ? Promise.resolve({ source_url: 'https://example.com/a.jpg' })
+        : Promise.reject(new Error('Not found'))
+    );
+
+    const { post, unresolvedMedia, issues } = await importStory(
+      getExportJSON(),
+      {
+        saveStoryById,
+        getMediaById,
+        metadata: {
+          publisher: { name: 'Publisher' },
+          logoPlaceholder: 'https://example.com/logo.png',
+          fallbackPoster: 'https://example.com/poster.png',
+        },
+      }
+    );
+
+    expect(post).toStrictEqual({ id: 123 });
+    expect(unresolvedMedia).toStrictEqual(['https://example.com/b.mp4']);
+    expect(issues).toStrictEqual([]);
+    expect(saveStoryById).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: 'Story',
+        status: 'draft',
+        content: expect.stringContaining('<amp-story'),
+        pages: PAGES,
+        quarantine: [],
+      })
+    );
+    expect(saveStoryById.mock.calls[0][0].storyId).toBeUndefined();
+  });
+});
@@ -142,8 +142,14 @@ class Dashboard {
 					'newStoryURL' => $new_story_url,
 					'api'         => [
 						'stories' => sprintf( '/wp/v2/%s', $rest_base ),
+						'media'   => '/wp/v2/media',
 						'fonts'   => '/web-stories/v1/fonts',
 					],
+					'metadata'    => [
+						'publisher'       => Story_Post_Type::get_publisher_data(),
+						'logoPlaceholder' => Story_Post_Type::PUBLISHER_LOGO_PLACEHOLDER,
+						'fallbackPoster'  => plugins_url( 'assets/images/fallback-poster.jpg', WEBSTORIES_PLUGIN_FILE ),
+					],
 				],
 			]
 		);
@@ -33,6 +33,7 @@ use WP_Post;
 use WP_REST_Posts_Controller;
 use WP_REST_Request;
 use WP_REST_Response;
+use WP_REST_Server;
 
 /**
  * Override the WP_REST_Posts_Controller class to add `post_content_filtered` to REST request.
@@ -53,6 +54,104 @@ class Stories_Controller extends WP_REST_Posts_Controller {
 	];
 
 	const PUBLISHER_LOGOS_OPTION = 'web_stories_publisher_logos';
+
+	/**
+	 * Registers the routes for the objects of the controller.
+	 *
+	 * Adds a route to acquire the post lock of a story, so that only one user
+	 * edits it at a time.
+	 *
+	 * @see register_rest_route()
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		parent::register_routes();
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/lock',
+			[
+				'args' => [
+					'id' => [
+						'description' => __( 'Unique identifier for the object.', 'web-stories' ),
+						'type'        => 'integer',
+					],
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'lock_item' ],
+					'permission_callback' => [ $this, 'lock_item_permissions_check' ],
+					'args'                => [
+						'force' => [
+							'description' => __( 'Whether to take over the lock from another user.', 'web-stories' ),
+							'type'        => 'boolean',
+							'default'     => false,
+						],
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Checks if a given request has access to lock a story.
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 *
+	 * @return true|WP_Error True if the request has access to lock the story, WP_Error object otherwise.
+	 */
+	public function lock_item_permissions_check( $request ) {
+		$post = $this->get_post( $request['id'] );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		if ( ! $this->check_update_permission( $post ) ) {
+			return new WP_Error( 'rest_cannot_edit', __( 'Sorry, you are not allowed to edit this post.', 'web-stories' ), [ 'status' => rest_authorization_required_code() ] );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Acquires the post lock of a story for the current user.
+	 *
+	 * If another user holds the lock, it is only taken over if `force` is set.
+	 * Either way, the response tells who holds the lock now.
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 *
+	 * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+	 */
+	public function lock_item( $request ) {
+		$post = $this->get_post( $request['id'] );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		// The post lock functions are only loaded in the admin.
+		require_once ABSPATH . 'wp-admin/includes/post.php';
+
+		$lock_user_id = wp_check_post_lock( $post->ID );
+		if ( ! $lock_user_id || $request['force'] ) {
+			wp_set_post_lock( $post->ID );
+			$lock_user_id = false;
+		}
+
+		$lock_user = $lock_user_id ? get_userdata( $lock_user_id ) : false;
+
+		return rest_ensure_response(
+			[
+				'locked' => (bool) $lock_user,
+				'user'   => $lock_user ? [
+					'id'   => $lock_user->ID,
+					'name' => $lock_user->display_name,
+				] : null,
+			]
+		);
+	}
+
 	/**
 	 * Prepares a single story for create or update. Add post_content_filtered field to save/insert.
 	 *
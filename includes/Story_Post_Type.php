@@ -28,6 +28,7 @@ namespace Google\Web_Stories;
 
 use Google\Web_Stories\REST_API\Stories_Controller;
 use WP_Post;
+use WP_REST_Response;
 use WP_Screen;
 
 /**
@@ -71,6 +72,13 @@ class Story_Post_Type {
 	 */
 	const PUBLISHER_LOGO_PLACEHOLDER = WEBSTORIES_PLUGIN_DIR_URL . 'assets/images/fallback-wordpress-publisher-logo.png';
 
+	/**
+	 * The user meta key for custom editor keyboard shortcuts.
+	 *
+	 * @var string
+	 */
+	const KEYBOARD_SHORTCUTS_USER_META_KEY = 'web_stories_keyboard_shortcuts';
+
 	/**
 	 * Registers the post type to store URLs with validation errors.
 	 *
@@ -138,6 +146,24 @@ class Story_Post_Type {
 			]
 		);
 
+		register_meta(
+			'user',
+			self::KEYBOARD_SHORTCUTS_USER_META_KEY,
+			[
+				'type'         => 'object',
+				'description'  => __( 'Custom keyboard shortcuts of the story editor, keyed by shortcut name.', 'web-stories' ),
+				'show_in_rest' => [
+					'schema' => [
+						'type'                 => 'object',
+						'additionalProperties' => [
+							'type' => 'string',
+						],
+					],
+				],
+				'single'       => true,
+			]
+		);
+
 		add_action( 'admin_enqueue_scripts', [ __CLASS__, 'admin_enqueue_scripts' ] );
 		add_action( 'web_stories_story_head', [ __CLASS__, 'enqueue_frontend_styles' ] );
 		add_filter( 'show_admin_bar', [ __CLASS__, 'show_admin_bar' ] ); // phpcs:ignore WordPressVIPMinimum.UserExperience.AdminBarRemoval.RemovalDetected
@@ -145,6 +171,10 @@ class Story_Post_Type {
 		add_filter( 'admin_body_class', [ __CLASS__, 'admin_body_class' ], 99 );
 		add_filter( 'wp_kses_allowed_html', [ __CLASS__, 'filter_kses_allowed_html' ], 10, 2 );
 
+		// Keep story data in revisions, so that the editor can show and restore them.
+		add_filter( '_wp_post_revision_fields', [ __CLASS__, 'filter_revision_fields' ], 10, 2 );
+		add_filter( 'rest_prepare_revision', [ __CLASS__, 'filter_rest_prepare_revision' ], 10, 2 );
+
 		// Select the single-web-story.php template for Stories.
 		add_filter( 'template_include', [ __CLASS__, 'filter_template_include' ] );
 
@@ -298,6 +328,8 @@ class Story_Post_Type {
 			self::load_admin_fonts( $post );
 		}
 
+		$keyboard_shortcuts = get_user_meta( get_current_user_id(), self::KEYBOARD_SHORTCUTS_USER_META_KEY, true );
+
 		// Media settings.
 		$max_upload_size = wp_max_upload_size();
 		if ( ! $max_upload_size ) {
@@ -310,16 +342,17 @@ class Story_Post_Type {
 			[
 				'id'     => 'edit-story',
 				'config' => [
-					'isRTL'            => is_rtl(),
-					'timeFormat'       => get_option( 'time_format' ),
-					'allowedMimeTypes' => self::get_allowed_mime_types(),
-					'allowedFileTypes' => self::get_allowed_file_types(),
-					'postType'         => self::POST_TYPE_SLUG,
-					'storyId'          => $story_id,
-					'previewLink'      => get_preview_post_link( $story_id ),
-					'maxUpload'        => $max_upload_size,
-					'pluginDir'        => WEBSTORIES_PLUGIN_DIR_URL,
-					'api'              => [
+					'isRTL'             => is_rtl(),
+					'timeFormat'        => get_option( 'time_format' ),
+					'allowedMimeTypes'  => self::get_allowed_mime_types(),
+					'allowedFileTypes'  => self::get_allowed_file_types(),
+					'postType'          => self::POST_TYPE_SLUG,
+					'storyId'           => $story_id,
+					'previewLink'       => get_preview_post_link( $story_id ),
+					'maxUpload'         => $max_upload_size,
+					'pluginDir'         => WEBSTORIES_PLUGIN_DIR_URL,
+					'keyboardShortcuts' => is_array( $keyboard_shortcuts ) ? (object) $keyboard_shortcuts : new \stdClass(),
+					'api'               => [
 						'stories'  => sprintf( '/wp/v2/%s', $rest_base ),
 						'media'    => '/wp/v2/media',
 						'users'    => '/wp/v2/users',
@@ -327,7 +360,7 @@ class Story_Post_Type {
 						'fonts'    => '/web-stories/v1/fonts',
 						'link'     => '/web-stories/v1/link',
 					],
-					'metadata'         => [
+					'metadata'          => [
 						'publisher'       => self::get_publisher_data(),
 						'logoPlaceholder' => self::PUBLISHER_LOGO_PLACEHOLDER,
 						'fallbackPoster'  => plugins_url( 'assets/images/fallback-poster.jpg', WEBSTORIES_PLUGIN_FILE ),
@@ -392,7 +425,12 @@ class Story_Post_Type {
 				'image/jpg',
 				'image/gif',
 			],
-			'audio' => [], // todo: support audio uploads.
+			'audio' => [
+				'audio/mpeg',
+				'audio/aac',
+				'audio/wav',
+				'audio/ogg',
+			],
 			'video' => [
 				'video/mp4',
 			],
@@ -552,6 +590,55 @@ class Story_Post_Type {
 		return $class;
 	}
 
+	/**
+	 * Filter the fields that are stored in revisions to include the story data.
+	 *
+	 * @param array              $fields Fields to store in revisions, keyed by field name.
+	 * @param array|WP_Post|null $post   Post or revision the fields are for.
+	 *
+	 * @return array Filtered fields.
+	 */
+	public static function filter_revision_fields( $fields, $post ) {
+		if ( is_array( $post ) ) {
+			$post = (object) $post;
+		}
+
+		if ( ! isset( $post->post_type ) ) {
+			return $fields;
+		}
+
+		$post_type = $post->post_type;
+		if ( 'revision' === $post_type && ! empty( $post->post_parent ) ) {
+			$post_type = get_post_type( $post->post_parent );
+		}
+
+		if ( self::POST_TYPE_SLUG === $post_type ) {
+			$fields['post_content_filtered'] = __( 'Story data', 'web-stories' );
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Add the story data to revisions of stories in REST responses.
+	 *
+	 * @param WP_REST_Response $response Response object.
+	 * @param WP_Post          $post     Revision.
+	 *
+	 * @return WP_REST_Response Filtered response.
+	 */
+	public static function filter_rest_prepare_revision( $response, $post ) {
+		if ( self::POST_TYPE_SLUG !== get_post_type( $post->post_parent ) ) {
+			return $response;
+		}
+
+		$data               = $response->get_data();
+		$data['story_data'] = json_decode( $post->post_content_filtered, true );
+		$response->set_data( $data );
+
+		return $response;
+	}
+
 	/**
 	 * Filter the allowed tags for KSES to allow for amp-story children.
 	 *
@@ -565,7 +652,7 @@ class Story_Post_Type {
 		}
 
 		$story_components = [
-			'amp-story'                 => [
+			'amp-story'                  => [
 				'background-audio'     => true,
 				'live-story'           => true,
 				'live-story-disabled'  => true,
@@ -578,20 +665,45 @@ class Story_Post_Type {
 				'supports-landscape'   => true,
 				'title'                => true,
 			],
-			'amp-story-page'            => [
+			'amp-story-page'             => [
 				'auto-advance-after' => true,
 				'background-audio'   => true,
 				'id'                 => true,
 			],
-			'amp-story-page-attachment' => [
-				'theme' => true,
+			'amp-story-page-attachment'  => [
+				'data-*' => true,
+				'theme'  => true,
+			],
+			'amp-story-interactive-poll' => [
+				'id'            => true,
+				'option-1-text' => true,
+				'option-2-text' => true,
+				'option-3-text' => true,
+				'option-4-text' => true,
+				'prompt-text'   => true,
+				'style'         => true,
+				'theme'         => true,
+			],
+			'amp-story-interactive-quiz' => [
+				'id'               => true,
+				'option-1-correct' => true,
+				'option-1-text'    => true,
+				'option-2-correct' => true,
+				'option-2-text'    => true,
+				'option-3-correct' => true,
+				'option-3-text'    => true,
+				'option-4-correct' => true,
+				'option-4-text'    => true,
+				'prompt-text'      => true,
+				'style'            => true,
+				'theme'            => true,
 			],
-			'amp-story-grid-layer'      => [
+			'amp-story-grid-layer'       => [
 				'position' => true,
 				'template' => true,
 			],
-			'amp-story-cta-layer'       => [],
-			'amp-img'                   => [
+			'amp-story-cta-layer'        => [],
+			'amp-img'                    => [
 				'alt'                       => true,
 				'attribution'               => true,
 				'data-amp-bind-alt'         => true,
@@ -608,7 +720,7 @@ class Story_Post_Type {
 				'src'                       => true,
 				'srcset'                    => true,
 			],
-			'amp-video'                 => [
+			'amp-video'                  => [
 				'album'                      => true,
 				'alt'                        => true,
 				'artist'                     => true,
@@ -647,7 +759,7 @@ class Story_Post_Type {
 				'rotate-to-fullscreen'       => true,
 				'src'                        => true,
 			],
-			'img'                       => [
+			'img'                        => [
 				'alt'           => true,
 				'attribution'   => true,
 				'border'        => true,
@@ -786,7 +898,7 @@ class Story_Post_Type {
 	 *
 	 * @return array Publisher name and logo.
 	 */
-	private static function get_publisher_data() {
+	public static function get_publisher_data() {
 		$publisher      = get_bloginfo( 'name' );
 		$publisher_logo = self::get_publisher_logo();
 
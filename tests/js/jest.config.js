@@ -48,6 +48,7 @@ module.exports = {
   collectCoverageFrom: [
     '<rootDir>/assets/src/edit-story/**/*.js',
     '<rootDir>/assets/src/dashboard/**/*.js',
+    '<rootDir>/assets/src/shared/**/*.js',
     '!**/test/**',
     '!**/stories/**',
   ],
@@ -0,0 +1,150 @@
+/*
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * External dependencies
+ */
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join, relative, resolve } from 'path';
+
+/**
+ * Internal dependencies
+ */
+import {
+  migrate,
+  DATA_VERSION,
+} from '../../assets/src/edit-story/migration/migrate';
+import validateStoryData from '../../assets/src/edit-story/utils/validateStoryData';
+import { STORY_EXPORT_TYPE } from '../../assets/src/shared/storyExport';
+import getStoryMarkup from '../../assets/src/edit-story/output/utils/getStoryMarkup';
+
+/*
+ * Checks every story_data JSON file in STORIES_DIR (or the bundled fixtures)
+ * against the current migrations:
+ *
+ * - migrating to DATA_VERSION must not throw,
+ * - validating the migrated data must not report any issues,
+ * - the story must render to static markup, and
+ * - if there's a `<name>.expected.json` next to the file, the migrated data
+ *   must be equal to it.
+ *
+ * Usage: STORIES_DIR=path/to/exports npm run test:migrations
+ */
+
+const STORIES_DIR = resolve(
+  process.env.STORIES_DIR || join(__dirname, 'fixtures')
+);
+
+const EXPECTED_SUFFIX = '.expected.json';
+
+const STORY = {
+  title: 'Story',
+  status: 'publish',
+  author: 1,
+  slug: 'story',
+  date: '2020-01-01T00:00:00',
+  modified: '2020-01-01T00:00:00',
+  excerpt: '',
+  featuredMedia: 0,
+  password: '',
+};
+
+const METADATA = {
+  publisher: {
+    name: 'Publisher',
+    logo: 'https://example.com/logo.png',
+  },
+  logoPlaceholder: 'https://example.com/logo.png',
+  fallbackPoster: 'https://example.com/poster.png',
+};
+
+function findStoryFiles(dir) {
+  const paths = [];
+  readdirSync(dir)
+    .sort()
+    .forEach((name) => {
+      const path = join(dir, name);
+      if (statSync(path).isDirectory()) {
+        paths.push(...findStoryFiles(path));
+      } else if (name.endsWith('.json') && !name.endsWith(EXPECTED_SUFFIX)) {
+        paths.push(path);
+      }
+    });
+  return paths;
+}
+
+function readJSON(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function loadStoryData(path) {
+  const json = readJSON(path);
+  // Story exports wrap the story data together with the story properties.
+  const storyData = json?.type === STORY_EXPORT_TYPE ? json.story_data : json;
+  const migrated = {
+    ...migrate(storyData, storyData.version || 0),
+    version: DATA_VERSION,
+  };
+  // Story data is saved as JSON, so only compare what would actually be saved.
+  return JSON.parse(JSON.stringify(migrated));
+}
+
+const files = findStoryFiles(STORIES_DIR).map((path) => {
+  const expectedPath = path.replace(/\.json$/, EXPECTED_SUFFIX);
+  return [
+    relative(STORIES_DIR, path),
+    path,
+    existsSync(expectedPath) ? expectedPath : null,
+  ];
+});
+
+describe('Story migrations', () => {
+  it('should find story files to check', () => {
+    expect(files).not.toHaveLength(0);
+  });
+
+  // `describe.each` does not accept an empty table.
+  if (files.length === 0) {
+    return;
+  }
+
+  describe.each(files)('%s', (name, path, expectedPath) => {
+    it('should migrate to the current version', () => {
+      expect(() => loadStoryData(path)).not.toThrow();
+    });
+
+    it('should not report validation issues after migration', () => {
+      const storyData = loadStoryData(path);
+      const { issues } = validateStoryData(storyData);
+
+      expect(issues).toStrictEqual([]);
+    });
+
+    it('should render to static markup', () => {
+      const { storyData } = validateStoryData(loadStoryData(path));
+      const { autoAdvance, defaultPageDuration, pages } = storyData;
+      const story = { ...STORY, autoAdvance, defaultPageDuration };
+
+      expect(getStoryMarkup(story, pages, METADATA)).toContain('<amp-story ');
+    });
+
+    if (expectedPath) {
+      it('should match the expected migration output', () => {
+        expect(loadStoryData(path)).toStrictEqual(readJSON(expectedPath));
+      });
+    }
+  });
+});
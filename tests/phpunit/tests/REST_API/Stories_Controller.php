@@ -23,6 +23,36 @@ use WP_REST_Request;
 class Stories_Controller extends \WP_Test_REST_TestCase {
 	protected $server;
 
+	protected static $editor;
+	protected static $author;
+	protected static $story_id;
+
+	public static function wpSetUpBeforeClass( $factory ) {
+		self::$editor   = $factory->user->create(
+			[
+				'role'         => 'editor',
+				'display_name' => 'Editor',
+			]
+		);
+		self::$author   = $factory->user->create(
+			[
+				'role' => 'author',
+			]
+		);
+		self::$story_id = $factory->post->create(
+			[
+				'post_type'   => 'web-story',
+				'post_author' => self::$editor,
+			]
+		);
+	}
+
+	public static function wpTearDownAfterClass() {
+		self::delete_user( self::$editor );
+		self::delete_user( self::$author );
+		wp_delete_post( self::$story_id, true );
+	}
+
 	public function setUp() {
 		parent::setUp();
 
@@ -45,6 +75,7 @@ class Stories_Controller extends \WP_Test_REST_TestCase {
 
 		$this->assertArrayHasKey( '/wp/v2/web-story', $routes );
 		$this->assertCount( 2, $routes['/wp/v2/web-story'] );
+		$this->assertArrayHasKey( '/wp/v2/web-story/(?P<id>[\d]+)/lock', $routes );
 	}
 
 	public function test_get_item_schema() {
@@ -58,4 +89,75 @@ class Stories_Controller extends \WP_Test_REST_TestCase {
 		$this->assertArrayHasKey( 'story_data', $properties );
 		$this->assertArrayHasKey( 'featured_media_url', $properties );
 	}
+
+	public function test_lock_item_without_permission() {
+		wp_set_current_user( self::$author );
+		$request  = new WP_REST_Request( 'POST', '/wp/v2/web-story/' . self::$story_id . '/lock' );
+		$response = rest_get_server()->dispatch( $request );
+
+		$this->assertErrorResponse( 'rest_cannot_edit', $response, 403 );
+	}
+
+	public function test_lock_item() {
+		wp_set_current_user( self::$editor );
+		$request  = new WP_REST_Request( 'POST', '/wp/v2/web-story/' . self::$story_id . '/lock' );
+		$response = rest_get_server()->dispatch( $request );
+
+		$this->assertEquals(
+			[
+				'locked' => false,
+				'user'   => null,
+			],
+			$response->get_data()
+		);
+		$lock = explode( ':', get_post_meta( self::$story_id, '_edit_lock', true ) );
+		$this->assertEquals( self::$editor, $lock[1] );
+	}
+
+	public function test_lock_item_locked_by_other_user() {
+		wp_set_current_user( self::$editor );
+		$request = new WP_REST_Request( 'POST', '/wp/v2/web-story/' . self::$story_id . '/lock' );
+		rest_get_server()->dispatch( $request );
+
+		$other_editor = self::factory()->user->create( [ 'role' => 'editor' ] );
+		wp_set_current_user( $other_editor );
+		$response = rest_get_server()->dispatch( $request );
+
+		$this->assertEquals(
+			[
+				'locked' => true,
+				'user'   => [
+					'id'   => self::$editor,
+					'name' => 'Editor',
+				],
+			],
+			$response->get_data()
+		);
+
+		$request->set_param( 'force', true );
+		$response = rest_get_server()->dispatch( $request );
+
+		$this->assertFalse( $response->get_data()['locked'] );
+		wp_set_current_user( self::$editor );
+		$this->assertEquals( $other_editor, wp_check_post_lock( self::$story_id ) );
+	}
+
+	public function test_get_revision_includes_story_data() {
+		wp_set_current_user( self::$editor );
+		$story_data = [ 'pages' => [ [ 'id' => 'page-1' ] ] ];
+		wp_update_post(
+			[
+				'ID'                    => self::$story_id,
+				'post_content_filtered' => wp_json_encode( $story_data ),
+			]
+		);
+		$revision = current( wp_get_post_revisions( self::$story_id ) );
+
+		$this->assertEquals( wp_json_encode( $story_data ), $revision->post_content_filtered );
+
+		$request  = new WP_REST_Request( 'GET', '/wp/v2/web-story/' . self::$story_id . '/revisions/' . $revision->ID );
+		$response = rest_get_server()->dispatch( $request );
+
+		$this->assertEquals( $story_data, $response->get_data()['story_data'] );
+	}
 }
@@ -0,0 +1,45 @@
+<?php
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+namespace Google\Web_Stories\Tests;
+
+class Story_Post_Type extends \WP_UnitTestCase {
+	protected function kses_story( $html ) {
+		$allowed_tags = \Google\Web_Stories\Story_Post_Type::filter_kses_allowed_html( wp_kses_allowed_html( 'post' ) );
+
+		return wp_kses( $html, $allowed_tags );
+	}
+
+	public function test_filter_kses_allowed_html_page_attachment() {
+		$html = '<amp-story-page-attachment layout="nodisplay" theme="dark" data-title="Title" data-cta-text="Read more"><p>Text</p></amp-story-page-attachment>';
+
+		$this->assertSame( $html, $this->kses_story( $html ) );
+	}
+
+	public function test_filter_kses_allowed_html_interactive_elements() {
+		$allowed_tags = \Google\Web_Stories\Story_Post_Type::filter_kses_allowed_html( [] );
+
+		foreach ( [ 'amp-story-interactive-poll', 'amp-story-interactive-quiz' ] as $tag ) {
+			$this->assertArrayHasKey( 'id', $allowed_tags[ $tag ] );
+			$this->assertArrayHasKey( 'style', $allowed_tags[ $tag ] );
+		}
+
+		$html = '<amp-story-interactive-quiz id="interactive-123" prompt-text="Question?" theme="dark" option-1-text="Yes" option-1-correct="" option-2-text="No"></amp-story-interactive-quiz>';
+
+		$this->assertSame( $html, $this->kses_story( $html ) );
+	}
+}